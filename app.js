@@ -90,6 +90,15 @@ async function initializeAdditionalServices() {
         await hotReloadService.initialize();
         businessLogger.info('熱重載服務初始化完成');
 
+        // 初始化 AI 用量服務（用量及預算表）
+        const aiUsageService = container.resolve('aiUsageService');
+        await aiUsageService.initialize();
+
+        // 初始化費用記錄存儲服務（本地帳本及定期對賬）
+        const expenseStorageService = container.resolve('expenseStorageService');
+        await expenseStorageService.initialize();
+        businessLogger.info('費用記錄存儲服務初始化完成');
+
         // 初始化 WhatsApp 服務
         const whatsAppService = container.resolve('whatsAppService');
         await whatsAppService.initialize();
@@ -204,7 +213,12 @@ function setupPeriodicMaintenance() {
                 { name: 'enablePdf', type: 'INTEGER DEFAULT 0' },
                 { name: 'pdfStyle', type: 'TEXT DEFAULT \'default\'' },
                 { name: 'enableAI', type: 'INTEGER DEFAULT 0' },
-                { name: 'aiConfidenceThreshold', type: 'REAL DEFAULT 0.7' }
+                { name: 'aiConfidenceThreshold', type: 'REAL DEFAULT 0.7' },
+                { name: 'storageProviders', type: 'TEXT DEFAULT \'["ledger","sheets"]\'' },
+                { name: 'aiProvider', type: 'TEXT' },
+                { name: 'aiModel', type: 'TEXT' },
+                { name: 'baseCurrency', type: 'TEXT' },
+                { name: 'approvalRules', type: 'TEXT' }
             ];
 
             columnsToAdd.forEach(column => {
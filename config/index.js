@@ -1,3 +1,4 @@
+const path = require('path');
 const database = require('./database');
 const redis = require('./redis');
 const whatsapp = require('./whatsapp');
@@ -5,6 +6,15 @@ const google = require('./google');
 const environment = require('./environment');
 const { FEATURE_FLAGS, isFeatureEnabled, getAllFeatureFlags } = require('./featureFlags');
 
+const nodeEnv = environment.get('NODE_ENV', 'development');
+
+// 預設密鑰是公開的，任何人都能以它偽造存取令牌，只允許在開發及測試環境使用
+const jwtSecret = String(environment.get('JWT_SECRET', '') ||
+  (['development', 'test'].includes(nodeEnv) ? 'your-secret-key' : ''));
+if (!jwtSecret) {
+  throw new Error(`未設定 JWT_SECRET，${nodeEnv} 環境無法啟動，請設定為長隨機字串`);
+}
+
 module.exports = {
   database,
   redis,
@@ -19,7 +29,7 @@ module.exports = {
   server: {
     port: environment.get('PORT', 3002),
     sessionSecret: environment.get('SESSION_SECRET', 'your-secret-key-change-this-in-production'),
-    nodeEnv: environment.get('NODE_ENV', 'development')
+    nodeEnv
   },
   
   // 佇列配置
@@ -31,6 +41,149 @@ module.exports = {
     }
   },
   
+  // 費用記錄存儲配置
+  storage: {
+    defaultProviders: ['ledger', 'sheets'],
+    exportDir: environment.get('EXPENSE_EXPORT_DIR', path.join(__dirname, '..', 'exports')),
+    reconcileInterval: 5 * 60000, // 5分鐘
+    reconcileBatchSize: 50,
+    maxSyncAttempts: 10
+  },
+  
+  // 聊天查詢指令配置
+  expenseQuery: {
+    cacheTTL: 60000, // 同一用戶連續查詢時重用工作表數據（1分鐘）
+    maxResults: 10
+  },
+  
+  // 多貨幣：收據記錄原始貨幣，統計時換算為租戶的基礎貨幣
+  currency: {
+    defaultBase: environment.get('BASE_CURRENCY', 'HKD'),
+    // 匯率表文件，可離線修改，修改後自動重新載入
+    ratesFile: environment.get('CURRENCY_RATES_FILE', path.join(__dirname, 'currency-rates.json')),
+    reloadInterval: 60000 // 檢查匯率表是否有修改的間隔（1分鐘）
+  },
+  
+  // 重複收據檢測（保存前與用戶最近的記錄比對）
+  duplicateDetection: {
+    enabled: environment.get('DUPLICATE_DETECTION_ENABLED', true),
+    lookbackDays: 90,
+    maxHashDistance: 6, // 64 位感知哈希的漢明距離，越小越嚴格
+    amountTolerance: 0.01
+  },
+  
+  // AI 提供者配置（租戶可在設定中選擇提供者及模型）
+  ai: {
+    defaultProvider: environment.get('AI_PROVIDER', 'anthropic'),
+    // 首選提供者出錯或被限流時，依此順序嘗試其他已配置的提供者
+    fallbackOrder: ['anthropic', 'openai', 'gemini'],
+    rateLimitCooldown: 60000, // 被限流的提供者暫停使用的時間（沒有 retry-after 時）
+    settingsCacheTTL: 60000,
+    providers: {
+      anthropic: {
+        model: environment.get('ANTHROPIC_MODEL', 'claude-3-haiku-20240307'),
+        // PDF 文件需要支援文件輸入的模型
+        documentModel: environment.get('AI_DOCUMENT_MODEL', 'claude-3-5-sonnet-20241022')
+      },
+      openai: {
+        model: environment.get('OPENAI_MODEL', 'gpt-4o-mini'),
+        documentModel: environment.get('OPENAI_DOCUMENT_MODEL', 'gpt-4o')
+      },
+      gemini: {
+        model: environment.get('GEMINI_MODEL', 'gemini-1.5-flash'),
+        documentModel: environment.get('GEMINI_DOCUMENT_MODEL', 'gemini-1.5-flash')
+      },
+      mock: {
+        model: 'mock-1'
+      }
+    },
+    // 每百萬 token 的估算價格（美元），按模型名稱前綴匹配，未列出的模型成本記為 0
+    pricing: {
+      'claude-3-haiku': { input: 0.25, output: 1.25 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 },
+      'claude-3-sonnet': { input: 3, output: 15 },
+      'claude-3-5-sonnet': { input: 3, output: 15 },
+      'claude-3-opus': { input: 15, output: 75 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'mock': { input: 0, output: 0 }
+    },
+    // 每月預算（美元），租戶可在 /api/ai-usage/budget 另行設定
+    budget: {
+      defaultMonthlyLimit: environment.get('AI_MONTHLY_BUDGET', 0), // 0 為不限
+      warnRatio: 0.8, // 用量達到預算的比例時發出警告
+      hardStop: true // 超出預算後拒絕新的 AI 請求
+    }
+  },
+  
+  // 收據識別配置
+  recognition: {
+    maxTokens: 4096, // 一張圖片可能有多張收據
+    maxPages: 10,
+    maxReceipts: 10,
+    // 相冊的圖片逐張送達，最後一張到達後再等待的時間
+    albumWindow: 4000
+  },
+
+  // 圖片品質預檢：識別前在本地檢查，不合格的圖片直接請用戶重拍，不調用 AI
+  imageQuality: {
+    enabled: environment.get('IMAGE_QUALITY_CHECK_ENABLED', true),
+    analysisSize: 512, // 分析時縮小到的長邊像素
+    minShortSide: 480, // 原圖短邊的最低像素
+    minSharpness: 60, // 拉普拉斯方差，越低越模糊
+    minBrightness: 45,
+    maxBrightness: 235,
+    minDocumentRatio: 0.15, // 收據佔畫面的最低比例
+    cropMargin: 0.02, // 自動裁剪時保留的邊距（相對收據尺寸）
+    minDeskewAngle: 1, // 傾斜小於此角度不校正
+    maxDeskewAngle: 20
+  },
+  
+  // GDPR 自助請求：匯出的壓縮檔在下載期限後刪除
+  gdpr: {
+    exportDir: environment.get('GDPR_EXPORT_DIR', path.join(__dirname, '..', 'exports', 'gdpr')),
+    archiveRetentionDays: 7,
+    maxDriveFiles: 500 // 每次匯出最多下載的 Drive 文件數量
+  },
+  
+  // 管理員：以登入的 Email 判斷，可使用審計日誌等管理功能
+  admin: {
+    emails: String(environment.get('ADMIN_EMAILS', ''))
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean)
+  },
+  
+  // 審計日誌：每條記錄串成哈希鏈並以此密鑰簽名，密鑰不存在時自動生成
+  audit: {
+    signingKeyFile: environment.get('AUDIT_SIGNING_KEY_FILE', path.join(__dirname, '..', 'credentials', 'audit-signing-key.pem')),
+    maxPageSize: 200,
+    maxExportRows: 50000,
+    verifyBatchSize: 1000
+  },
+  
+  // JWT 認證：存取令牌短期有效，刷新令牌每次使用後輪換
+  auth: {
+    jwtSecret,
+    accessTokenTtl: String(environment.get('ACCESS_TOKEN_TTL', '15m')),
+    refreshTokenTtlDays: environment.get('REFRESH_TOKEN_TTL_DAYS', 30),
+    minPasswordLength: 8,
+    invitationTtlDays: environment.get('INVITATION_TTL_DAYS', 7)
+  },
+  
+  // 內部 API：工作流系統是獨立進程，經此使用主系統已登入的 WhatsApp 客戶端
+  // 只接受本機的請求；必須設定 INTERNAL_API_SECRET（兩個進程讀取同一份環境變量），未設定時內部 API 停用
+  internalApi: {
+    url: String(environment.get('MAIN_APP_URL', '') || `http://127.0.0.1:${environment.get('PORT', 3002)}`),
+    secret: String(environment.get('INTERNAL_API_SECRET', '') || ''),
+    pollTimeout: 25000, // 事件 long polling 的等待時間
+    maxBodySize: '25mb', // 發送媒體時以 base64 傳送（工作流系統下載的媒體最大 16MB）
+    maxBufferedEvents: 200, // 每個訂閱保留的未讀事件數量
+    subscriptionTtl: 2 * 60000 // 超過此時間沒有輪詢的訂閱會被移除
+  },
+  
   // 應用程式配置
   app: {
     maxListeners: 50,
@@ -0,0 +1,97 @@
+/**
+ * 租戶成員角色及權限配置
+ * 路由以權限檢查（authMiddleware.requirePermission），角色只在這裡對應到權限
+ */
+
+// 角色由高至低排列，成員只能管理及指派比自己低的角色
+const ROLES = ['owner', 'admin', 'accountant', 'submitter', 'viewer'];
+
+// 可以邀請或指派的角色（擁有者是建立租戶的用戶，不能轉移）
+const ASSIGNABLE_ROLES = ['admin', 'accountant', 'submitter', 'viewer'];
+
+const PERMISSIONS = {
+  SETTINGS_READ: 'settings:read',
+  SETTINGS_WRITE: 'settings:write',
+  ANALYTICS_READ: 'analytics:read',
+  ANALYTICS_WRITE: 'analytics:write',
+  EXPENSES_READ: 'expenses:read',
+  EXPENSES_WRITE: 'expenses:write',
+  EXPENSES_EXPORT: 'expenses:export',
+  EXPENSES_APPROVE: 'expenses:approve',
+  RECEIPTS_SUBMIT: 'receipts:submit',
+  WHATSAPP_MANAGE: 'whatsapp:manage',
+  MEMBERS_READ: 'members:read',
+  MEMBERS_MANAGE: 'members:manage',
+  WORKFLOWS_READ: 'workflows:read',
+  WORKFLOWS_MANAGE: 'workflows:manage',
+  BOTS_READ: 'bots:read',
+  BOTS_MANAGE: 'bots:manage',
+  PLUGINS_READ: 'plugins:read',
+  PLUGINS_MANAGE: 'plugins:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  owner: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS,
+  accountant: [
+    PERMISSIONS.SETTINGS_READ,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.ANALYTICS_WRITE,
+    PERMISSIONS.EXPENSES_READ,
+    PERMISSIONS.EXPENSES_WRITE,
+    PERMISSIONS.EXPENSES_EXPORT,
+    PERMISSIONS.RECEIPTS_SUBMIT,
+    PERMISSIONS.MEMBERS_READ,
+    PERMISSIONS.WORKFLOWS_READ,
+    PERMISSIONS.BOTS_READ,
+    PERMISSIONS.PLUGINS_READ
+  ],
+  submitter: [
+    PERMISSIONS.RECEIPTS_SUBMIT,
+    PERMISSIONS.EXPENSES_READ
+  ],
+  viewer: [
+    PERMISSIONS.ANALYTICS_READ
+  ]
+};
+
+/**
+ * 角色是否擁有權限
+ * @param {string} role - 角色
+ * @param {string} permission - 權限
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * 角色的權限列表
+ * @param {string} role - 角色
+ * @returns {Array<string>}
+ */
+const getPermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+/**
+ * 角色 a 是否高於角色 b
+ * @param {string} a - 角色
+ * @param {string} b - 角色
+ * @returns {boolean}
+ */
+const outranks = (a, b) => {
+  const rankA = ROLES.indexOf(a);
+  const rankB = ROLES.indexOf(b);
+  return rankA !== -1 && rankB !== -1 && rankA < rankB;
+};
+
+module.exports = {
+  ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissions,
+  outranks
+};
@@ -7,6 +7,7 @@ const express = require('express');
 const path = require('path');
 const session = require('express-session');
 const { businessLogger } = require('../utils/logger');
+const config = require('../config');
 
 class Application {
   constructor(container) {
@@ -88,6 +89,14 @@ class Application {
         this.logger.warn('圖片處理服務未註冊，跳過');
       }
 
+      try {
+        const expenseStorageService = this.container.resolve('expenseStorageService');
+        this.services.push(expenseStorageService);
+        this.logger.info('費用記錄存儲服務已加入管理');
+      } catch (err) {
+        this.logger.warn('費用記錄存儲服務未註冊，跳過');
+      }
+
       try {
         const expenseChatService = this.container.resolve('expenseChatService');
         this.services.push(expenseChatService);
@@ -96,6 +105,14 @@ class Application {
         this.logger.warn('費用對話服務未註冊，跳過');
       }
 
+      try {
+        const whatsAppBridgeService = this.container.resolve('whatsAppBridgeService');
+        this.services.push(whatsAppBridgeService);
+        this.logger.info('WhatsApp 橋接服務已加入管理');
+      } catch (err) {
+        this.logger.warn('WhatsApp 橋接服務未註冊，跳過');
+      }
+
       try {
         const websocketService = this.container.resolve('websocketService');
         this.services.push(websocketService);
@@ -115,6 +132,8 @@ class Application {
    */
   initializeMiddleware() {
     try {
+      // 內部 API 以 base64 傳送媒體，需要較大的請求上限；已解析的請求不會再經過下一個解析器
+      this.app.use('/api/internal', express.json({ limit: config.internalApi.maxBodySize }));
       this.app.use(express.json());
       this.app.use(express.urlencoded({ extended: true }));
       this.app.use(express.static(path.join(__dirname, '../public')));
@@ -161,6 +180,18 @@ class Application {
       const healthRoutes = require('../routes/healthRoutes');
       const whatsappRoutes = require('../routes/whatsappRoutes');
       const hotReloadRoutes = require('../routes/hotReloadRoutes');
+      const expenseRoutes = require('../routes/expenseRoutes');
+      const aiUsageRoutes = require('../routes/aiUsageRoutes');
+      const gdprRoutes = require('../routes/gdprRoutes');
+      const auditRoutes = require('../routes/auditRoutes');
+      const authRoutes = require('../routes/authRoutes');
+      const memberRoutes = require('../routes/memberRoutes');
+      const internalRoutes = require('../routes/internalRoutes');
+      const { PERMISSIONS } = require('../config/roles');
+
+      // 以存取令牌（Bearer）識別用戶，用戶相關的 API 只能存取所屬租戶的數據，並按角色檢查權限
+      const authMiddleware = this.container.resolve('authMiddleware');
+      const authenticateUser = authMiddleware.authenticateUser();
 
       // 根路由
       this.app.get('/', (req, res) => {
@@ -187,6 +218,11 @@ class Application {
         res.sendFile(path.join(__dirname, '../public', 'monitoring.html'));
       });
 
+      // 審計日誌頁面路由
+      this.app.get('/audit', (req, res) => {
+        res.sendFile(path.join(__dirname, '../public', 'audit.html'));
+      });
+
       // 上傳頁面路由
       this.app.get('/upload', (req, res) => {
         res.json({ 
@@ -200,8 +236,9 @@ class Application {
       });
 
       // 註冊 API 路由
+      this.app.use('/api/auth', authRoutes(this.container));
       this.app.use('/api', userRoutes(this.container));
-      this.app.use('/api/whatsapp', whatsappRoutes(this.container));
+      this.app.use('/api/whatsapp', authenticateUser, whatsappRoutes(this.container));
       this.app.use('/api/health', healthRoutes(this.container));
       
       // 註冊監控路由
@@ -212,10 +249,31 @@ class Application {
       } catch (err) {
         this.logger.warn('監控路由未找到，跳過');
       }
-      this.app.use('/api/plugins', pluginRoutes(this.container));
-      this.app.use('/api/ai', aiRoutes(this.container));
-      this.app.use('/api/analytics', analyticsRoutes(this.container));
-      this.app.use('/api/hot-reload', hotReloadRoutes(this.container));
+      this.app.use(
+        '/api/plugins',
+        authMiddleware.authenticateToken(),
+        authMiddleware.requirePermissionByMethod(PERMISSIONS.PLUGINS_READ, PERMISSIONS.PLUGINS_MANAGE),
+        pluginRoutes(this.container)
+      );
+      this.app.use(
+        '/api/ai',
+        authenticateUser,
+        authMiddleware.requirePermissionByMethod(PERMISSIONS.ANALYTICS_READ, PERMISSIONS.RECEIPTS_SUBMIT),
+        aiRoutes(this.container)
+      );
+      this.app.use('/api/analytics', authenticateUser, analyticsRoutes(this.container));
+      this.app.use('/api/expenses', expenseRoutes(this.container));
+      this.app.use('/api/ai-usage', aiUsageRoutes(this.container));
+      this.app.use('/api/gdpr', authenticateUser, gdprRoutes(this.container));
+      this.app.use('/api/members', authMiddleware.authenticateToken(), memberRoutes(this.container));
+      this.app.use('/api/audit', authMiddleware.authenticateToken(), auditRoutes(this.container));
+      this.app.use(
+        '/api/hot-reload',
+        authMiddleware.authenticateToken(),
+        authMiddleware.requirePermission(PERMISSIONS.PLUGINS_MANAGE),
+        hotReloadRoutes(this.container)
+      );
+      this.app.use('/api/internal', internalRoutes(this.container));
 
       this.logger.info('路由初始化完成');
     } catch (error) {
@@ -36,6 +36,9 @@ class EventHandlers {
     
     // WhatsApp 相關事件處理器
     this.setupWhatsAppHandlers();
+
+    // AI 預算事件處理器
+    this.setupAIHandlers();
     
     // 系統相關事件處理器
     this.setupSystemHandlers();
@@ -142,7 +145,7 @@ class EventHandlers {
 
     // 圖片處理開始
     eventBus.on(EventTypes.IMAGE.PROCESSING, async (event) => {
-      const { chatId, media, defaultDate, client, driveFolderId, msgId, userId } = event.data;
+      const { chatId, media, attachments, defaultDate, client, driveFolderId, msgId, userId } = event.data;
       businessLogger.info(`處理圖片事件：msgId=${msgId}, userId=${userId}`);
       
       try {
@@ -150,7 +153,7 @@ class EventHandlers {
         stateManager.markImageProcessing(msgId);
         
         // 調用費用對話服務開始處理
-        await expenseChatService.startExpenseChat(chatId, media, defaultDate, client, driveFolderId, msgId);
+        await expenseChatService.startExpenseChat(chatId, media, defaultDate, client, driveFolderId, msgId, attachments);
         
         // 發送圖片處理完成事件
         await eventBus.emit(EventTypes.IMAGE.PROCESSED, {
@@ -354,6 +357,24 @@ class EventHandlers {
     });
   }
 
+  // ==================== AI 預算事件 ====================
+
+  setupAIHandlers() {
+    // 預算警告及超出預算時在監控儀表板顯示警報
+    const raiseAlert = (level) => (event) => {
+      try {
+        const ServiceContainer = require('./ServiceContainer');
+        const monitoringService = ServiceContainer.getInstance().resolve('monitoringService');
+        monitoringService.triggerAlert({ type: 'AI 預算', level, message: event.data.message });
+      } catch (error) {
+        businessLogger.warn(`無法發出 AI 預算警報：${error.message}`);
+      }
+    };
+
+    eventBus.on(EventTypes.AI.BUDGET_WARNING, raiseAlert('warning'));
+    eventBus.on(EventTypes.AI.BUDGET_EXCEEDED, raiseAlert('critical'));
+  }
+
   // ==================== 系統事件 ====================
   
   setupSystemHandlers() {
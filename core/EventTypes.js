@@ -105,7 +105,10 @@ const EventTypes = {
     CONFIRMATION_REQUESTED: 'ai.confirmation.requested', // 請求AI確認
     CONFIRMED: 'ai.confirmed',              // 用戶確認AI結果
     MODIFIED: 'ai.modified',                // 用戶修改AI結果
-    CANCELLED: 'ai.cancelled'               // 用戶取消AI結果
+    CANCELLED: 'ai.cancelled',              // 用戶取消AI結果
+    // AI 成本預算
+    BUDGET_WARNING: 'ai.budget.warning',    // 本月用量接近預算
+    BUDGET_EXCEEDED: 'ai.budget.exceeded'   // 本月用量超出預算
   }
 };
 
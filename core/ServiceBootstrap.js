@@ -54,6 +54,10 @@ class ServiceBootstrap {
       const databaseService = new DatabaseService();
       this.container.register('databaseService', databaseService);
 
+      // 註冊審計日誌服務（寫入 audit_logs 表）
+      const AuditService = require('../services/AuditService');
+      this.container.register('auditService', new AuditService(this.container));
+
       // 註冊 Redis 服務
       const { getRedisInstance } = require('../services/redisService');
       this.container.register('redisService', getRedisInstance());
@@ -97,6 +101,18 @@ class ServiceBootstrap {
     const userService = new UserService();
     this.container.register('userService', userService);
 
+    // 註冊刷新令牌服務、租戶成員服務及 JWT 認證中間件（依賴用戶及審計服務）
+    const RefreshTokenService = require('../services/RefreshTokenService');
+    this.container.register('refreshTokenService', new RefreshTokenService(this.container));
+    const TenantMemberService = require('../services/TenantMemberService');
+    this.container.register('tenantMemberService', new TenantMemberService(this.container));
+    const AuthMiddleware = require('../middleware/authMiddleware');
+    this.container.register('authMiddleware', new AuthMiddleware(this.container));
+
+    // 註冊 GDPR 服務（依賴資料庫、用戶及審計服務）
+    const GDPRService = require('../services/GDPRService');
+    this.container.register('gdprService', new GDPRService(this.container));
+
     // 註冊 AI 服務
     const AIService = require('../services/aiService');
     const aiService = new AIService();
@@ -110,6 +126,22 @@ class ServiceBootstrap {
     const imageProcessingService = require('../services/ImageProcessingService');
     this.container.register('imageProcessingService', imageProcessingService);
 
+    // 註冊 AI 用量及成本服務
+    const aiUsageService = require('../services/ai/AIUsageService');
+    this.container.register('aiUsageService', aiUsageService);
+
+    // 註冊費用記錄存儲服務
+    const expenseStorageService = require('../services/storage/ExpenseStorageService');
+    this.container.register('expenseStorageService', expenseStorageService);
+
+    // 註冊費用審批服務
+    const expenseApprovalService = require('../services/ExpenseApprovalService');
+    this.container.register('expenseApprovalService', expenseApprovalService);
+
+    // 註冊 WhatsApp 橋接服務（供工作流系統經內部 API 使用）
+    const whatsAppBridgeService = require('../services/WhatsAppBridgeService');
+    this.container.register('whatsAppBridgeService', whatsAppBridgeService);
+
     // 註冊費用對話服務
     const expenseChatService = require('../services/ExpenseChatService');
     this.container.register('expenseChatService', expenseChatService);
@@ -30,7 +30,7 @@ async function createBasicTables() {
         `CREATE TABLE IF NOT EXISTS users (
           userId TEXT PRIMARY KEY,
           username TEXT,
-          email TEXT UNIQUE,
+          email TEXT UNIQUE COLLATE NOCASE,
           password TEXT,
           groupName TEXT,
           messageFormat TEXT,
@@ -48,7 +48,12 @@ async function createBasicTables() {
           enableAI BOOLEAN DEFAULT 0,
           aiConfidenceThreshold REAL DEFAULT 0.8,
           enablePdf BOOLEAN,
-          pdfStyle TEXT
+          pdfStyle TEXT,
+          storageProviders TEXT DEFAULT '["ledger","sheets"]',
+          aiProvider TEXT,
+          aiModel TEXT,
+          baseCurrency TEXT,
+          approvalRules TEXT
         )`,
         (err) => {
           if (err) {
@@ -57,6 +62,13 @@ async function createBasicTables() {
             return;
           }
           businessLogger.info('users 表已創建或已存在');
+
+          // 舊的 users 表以二進制比較 email，補上不分大小寫的唯一索引
+          db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_nocase ON users (email COLLATE NOCASE)', (err) => {
+            if (err) {
+              businessLogger.error(`創建 users email 索引失敗，請先處理大小寫不同的重複 Email：${err.message}`);
+            }
+          });
           
           // 建立 plugin_settings 表
           db.run(
@@ -130,6 +142,74 @@ async function createPluginTables() {
   });
 }
 
+// 創建審計日誌資料表（AuditService 使用）
+async function createAuditTables() {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+          id TEXT PRIMARY KEY,
+          timestamp TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          user_id TEXT,
+          tenant_id TEXT,
+          ip_address TEXT,
+          user_agent TEXT,
+          action TEXT,
+          resource TEXT,
+          details TEXT,
+          risk_level TEXT,
+          status TEXT,
+          metadata TEXT,
+          chain_seq INTEGER,
+          prev_hash TEXT,
+          hash TEXT,
+          signature TEXT,
+          redacted_at TEXT
+        )
+      `, (err) => {
+        if (err) {
+          businessLogger.error(`創建 audit_logs 表失敗：${err.message}`, { stack: err.stack });
+          reject(err);
+          return;
+        }
+        businessLogger.info('audit_logs 表已創建或已存在');
+
+        db.run('CREATE INDEX IF NOT EXISTS idx_audit_logs_user_time ON audit_logs (user_id, timestamp)', (err) => {
+          if (err) {
+            businessLogger.error(`創建 audit_logs 索引失敗：${err.message}`, { stack: err.stack });
+            reject(err);
+            return;
+          }
+          resolve();
+        });
+      });
+    });
+  });
+}
+
+// 讀取發票設定（是否生成 PDF 發票及上傳的 Drive 文件夾）
+function getInvoiceSettings(userId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT enablePdf, pdfStyle, driveFolderId FROM users WHERE userId = ?',
+      [userId],
+      (err, row) => {
+        if (err) {
+          businessLogger.error(`讀取用戶 ${userId} 的發票設定失敗：${err.message}`);
+          reject(err);
+          return;
+        }
+        resolve({
+          invoice_enabled: row && row.enablePdf ? 1 : 0,
+          invoice_folder_id: row ? row.driveFolderId || '' : '',
+          pdf_style: row ? row.pdfStyle || 'default' : 'default'
+        });
+      }
+    );
+  });
+}
+
 // 初始化資料庫（可控制的初始化）
 async function initializeDatabase() {
   if (isInitialized) {
@@ -147,6 +227,7 @@ async function initializeDatabase() {
       businessLogger.info('開始初始化資料庫...');
       await createBasicTables();
       await createPluginTables();
+      await createAuditTables();
       isInitialized = true;
       businessLogger.info('資料庫初始化完成');
     } catch (error) {
@@ -161,4 +242,5 @@ async function initializeDatabase() {
 // 匯出資料庫實例和初始化函數，但不在模組載入時自動執行
 module.exports = db;
 module.exports.initializeDatabase = initializeDatabase;
-module.exports.isInitialized = () => isInitialized;
\ No newline at end of file
+module.exports.isInitialized = () => isInitialized;
+module.exports.getInvoiceSettings = getInvoiceSettings;
\ No newline at end of file
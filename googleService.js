@@ -363,9 +363,223 @@ async function writeToSheet(sheetId, sheetName, answers, fields) {
   }
 }
 
+// 欄位序號轉換為欄名（0 -> A，26 -> AA）
+function columnLetter(index) {
+  let letter = "";
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+// 按 recordId 欄更新已寫入的行，返回是否找到該行
+async function updateSheetRowByRecordId(sheetId, sheetName, recordId, values) {
+  const sheets = google.sheets({ version: "v4", auth });
+  const context = "Google Sheets 更新記錄";
+  try {
+    if (!sheetId || !sheetName || !recordId) {
+      throw new ValidationError(
+        `無效的 Google Sheet ID、Sheet 名稱或記錄 ID: ${sheetId}, ${sheetName}, ${recordId}`
+      );
+    }
+
+    let headers = await getExistingHeaders(sheets, sheetId, sheetName);
+    const recordIdIndex = headers.indexOf("recordId");
+    if (recordIdIndex === -1) {
+      businessLogger.warn(`工作表 ${sheetName} 沒有 recordId 欄，無法更新記錄 ${recordId}`);
+      return false;
+    }
+
+    const column = columnLetter(recordIdIndex);
+    const columnResponse = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${sheetName}!${column}2:${column}`,
+    });
+    const ids = (columnResponse.data.values || []).map((row) => row[0]);
+    const rowOffset = ids.indexOf(recordId);
+    if (rowOffset === -1) {
+      businessLogger.warn(`工作表 ${sheetName} 中找不到記錄 ${recordId}`);
+      return false;
+    }
+    const rowIndex = rowOffset + 2;
+
+    // 追加缺少的欄位（例如作廢狀態）
+    const newFields = Object.keys(values).filter((field) => !headers.includes(field));
+    if (newFields.length > 0) {
+      headers = [...headers, ...newFields];
+      await createHeaders(sheets, sheetId, sheetName, headers);
+    }
+
+    const data = Object.entries(values).map(([field, value]) => ({
+      range: `${sheetName}!${columnLetter(headers.indexOf(field))}${rowIndex}`,
+      values: [[value === undefined || value === null ? "" : value]],
+    }));
+
+    await pRetry(
+      async () => {
+        return await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: sheetId,
+          resource: { valueInputOption: "USER_ENTERED", data },
+        });
+      },
+      {
+        retries: 3,
+        factor: 2,
+        minTimeout: 1000,
+        maxTimeout: 5000,
+        onFailedAttempt: (err) => {
+          businessLogger.error(`Sheets API 重試: ${err.message}`);
+        },
+      }
+    );
+
+    businessLogger.info(`✅ 已更新第 ${rowIndex} 行的記錄 ${recordId}: ${Object.keys(values)}`);
+    return true;
+  } catch (err) {
+    const errorResponse = handleError(
+      new ApiError(`更新 Google Sheet 記錄失敗：${err.message}`, 500),
+      context
+    );
+    throw new Error(errorResponse.error);
+  }
+}
+
+// 由 Drive 分享連結取得文件 ID
+function getDriveFileId(url) {
+  if (!url) return null;
+  const match = String(url).match(/\/d\/([a-zA-Z0-9_-]+)/) || String(url).match(/[?&]id=([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+// 把 Drive 文件標記為作廢（重新命名並加入說明，不刪除文件）
+async function markDriveFileVoid(fileId, reason = "") {
+  const drive = google.drive({ version: "v3", auth });
+  const context = "Google Drive 標記作廢";
+  try {
+    const file = await drive.files.get({ fileId, fields: "id, name" });
+    const prefix = "[作廢] ";
+    if (file.data.name.startsWith(prefix)) {
+      return true;
+    }
+
+    await pRetry(
+      async () => {
+        return await drive.files.update({
+          fileId,
+          requestBody: {
+            name: `${prefix}${file.data.name}`,
+            description: reason ? `已作廢：${reason}` : "已作廢",
+          },
+        });
+      },
+      {
+        retries: 3,
+        factor: 2,
+        minTimeout: 1000,
+        maxTimeout: 5000,
+        onFailedAttempt: (err) => {
+          businessLogger.error(`Drive API 重試: ${err.message}`);
+        },
+      }
+    );
+
+    businessLogger.info(`✅ 已將 Drive 文件 ${fileId} 標記為作廢`);
+    return true;
+  } catch (err) {
+    const errorResponse = handleError(
+      new ApiError(`標記 Drive 文件作廢失敗：${err.message}`, 500),
+      context
+    );
+    throw new Error(errorResponse.error);
+  }
+}
+
+// 下載 Drive 文件內容
+async function downloadDriveFile(fileId) {
+  const drive = google.drive({ version: "v3", auth });
+  const context = "Google Drive 下載文件";
+  try {
+    const retryOptions = {
+      retries: 3,
+      factor: 2,
+      minTimeout: 1000,
+      maxTimeout: 5000,
+      onFailedAttempt: (err) => {
+        businessLogger.error(`Drive API 重試: ${err.message}`);
+      },
+    };
+    const meta = await pRetry(
+      async () => await drive.files.get({ fileId, fields: "id, name, mimeType" }),
+      retryOptions
+    );
+    const content = await pRetry(
+      async () => await drive.files.get({ fileId, alt: "media" }, { responseType: "arraybuffer" }),
+      retryOptions
+    );
+
+    return {
+      name: meta.data.name,
+      mimeType: meta.data.mimeType,
+      data: Buffer.from(content.data),
+    };
+  } catch (err) {
+    const errorResponse = handleError(
+      new ApiError(`下載 Drive 文件失敗：${err.message}`, 500),
+      context
+    );
+    throw new Error(errorResponse.error);
+  }
+}
+
+// 讀取工作表所有行（第一行為表頭）
+async function readSheetRows(sheetId, sheetName) {
+  const sheets = google.sheets({ version: "v4", auth });
+  const context = "Google Sheets 讀取記錄";
+  try {
+    if (!sheetId || !sheetName) {
+      throw new ValidationError(
+        `無效的 Google Sheet ID 或 Sheet 名稱: ${sheetId}, ${sheetName}`
+      );
+    }
+
+    const response = await pRetry(
+      async () => {
+        return await sheets.spreadsheets.values.get({
+          spreadsheetId: sheetId,
+          range: sheetName,
+        });
+      },
+      {
+        retries: 3,
+        factor: 2,
+        minTimeout: 1000,
+        maxTimeout: 5000,
+        onFailedAttempt: (err) => {
+          businessLogger.error(`Sheets API 重試: ${err.message}`);
+        },
+      }
+    );
+    return response.data.values || [];
+  } catch (err) {
+    const errorResponse = handleError(
+      new ApiError(`讀取 Google Sheet 記錄失敗：${err.message}`, 500),
+      context
+    );
+    throw new Error(errorResponse.error);
+  }
+}
+
 module.exports = {
   uploadImageToDrive,
   writeToSheet,
+  updateSheetRowByRecordId,
+  getDriveFileId,
+  markDriveFileVoid,
+  downloadDriveFile,
+  readSheetRows,
   getExistingHeaders,
   createHeaders,
   ensureSheetRowsCapacity,
@@ -5,6 +5,8 @@
 
 const jwt = require('jsonwebtoken');
 const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+const roles = require('../config/roles');
 
 class AuthMiddleware {
   constructor(container) {
@@ -12,6 +14,8 @@ class AuthMiddleware {
     this.logger = businessLogger;
     this.userService = null;
     this.tenantContextManager = null;
+    this.refreshTokenService = null;
+    this.tenantMemberService = null;
     
     // 嘗試從容器獲取服務
     try {
@@ -25,6 +29,18 @@ class AuthMiddleware {
     } catch (error) {
       this.logger.warn('TenantContextManager 未註冊，跳過租戶驗證');
     }
+
+    try {
+      this.refreshTokenService = container.resolve('refreshTokenService');
+    } catch (error) {
+      this.logger.warn('RefreshTokenService 未註冊，登出後存取令牌在過期前仍然有效');
+    }
+
+    try {
+      this.tenantMemberService = container.resolve('tenantMemberService');
+    } catch (error) {
+      this.logger.warn('TenantMemberService 未註冊，所有用戶都是自己租戶的擁有者');
+    }
   }
 
   /**
@@ -43,7 +59,7 @@ class AuthMiddleware {
           });
         }
 
-        const secret = process.env.JWT_SECRET || 'your-secret-key';
+        const secret = config.auth.jwtSecret;
         
         jwt.verify(token, secret, async (err, decoded) => {
           if (err) {
@@ -52,18 +68,49 @@ class AuthMiddleware {
               token: token.substring(0, 20) + '...'
             });
             
-            return res.status(403).json({ 
+            // 回應 401，客戶端以刷新令牌換取新的存取令牌
+            if (err.name === 'TokenExpiredError') {
+              return res.status(401).json({ 
+                error: '認證令牌已過期',
+                code: 'TOKEN_EXPIRED'
+              });
+            }
+            return res.status(401).json({ 
               error: '無效的認證令牌',
               code: 'INVALID_TOKEN'
             });
           }
 
+          // 已登出或修改密碼後，令牌系列被撤銷的存取令牌不再有效
+          if (this.refreshTokenService) {
+            try {
+              if (!(await this.refreshTokenService.isFamilyActive(decoded.sid, decoded.userId))) {
+                return res.status(401).json({ 
+                  error: '登入已失效，請重新登入',
+                  code: 'TOKEN_REVOKED'
+                });
+              }
+            } catch (error) {
+              this.logger.error('檢查令牌狀態失敗', { 
+                userId: decoded.userId,
+                error: error.message 
+              });
+              return res.status(500).json({ 
+                error: '用戶驗證失敗',
+                code: 'USER_VALIDATION_ERROR'
+              });
+            }
+          }
+
           // 驗證用戶是否存在
           if (this.userService) {
             try {
-              const user = await this.userService.getUserById(decoded.userId);
+              const user = await this.userService.getUserById(decoded.userId).catch(error => {
+                if (error.status === 404) return null;
+                throw error;
+              });
               if (!user) {
-                return res.status(403).json({ 
+                return res.status(401).json({ 
                   error: '用戶不存在',
                   code: 'USER_NOT_FOUND'
                 });
@@ -77,7 +124,11 @@ class AuthMiddleware {
                 });
               }
               
-              req.user = user;
+              // 租戶及角色以數據庫為準，角色變更即時生效
+              const membership = this.tenantMemberService
+                ? await this.tenantMemberService.getMembership(user.userId)
+                : { tenantId: user.tenantId || user.userId, role: 'owner' };
+              req.user = { ...user, id: user.userId, tenantId: membership.tenantId, role: membership.role };
             } catch (error) {
               this.logger.error('用戶驗證失敗', { 
                 userId: decoded.userId,
@@ -89,11 +140,13 @@ class AuthMiddleware {
               });
             }
           } else {
-            // 基本驗證，直接使用 decoded 信息
+            // 基本驗證，直接使用 decoded 信息（角色變更在令牌刷新後才生效）
             req.user = {
               id: decoded.userId,
+              userId: decoded.userId,
               email: decoded.email,
-              tenantId: decoded.tenantId
+              tenantId: decoded.tenantId || decoded.userId,
+              role: decoded.role
             };
           }
 
@@ -114,7 +167,44 @@ class AuthMiddleware {
   }
 
   /**
-   * 權限檢查中間件
+   * 以存取令牌識別用戶的中間件，用於以 userId 參數指定數據擁有者的 API
+   * 數據屬於租戶（以擁有者的用戶ID保存），請求中的 userId 必須是用戶所屬的租戶，未提供時自動填入
+   */
+  authenticateUser() {
+    const authenticate = this.authenticateToken();
+
+    return (req, res, next) => {
+      authenticate(req, res, () => {
+        const userId = req.user.tenantId || req.user.userId;
+        const body = req.body && typeof req.body === 'object' ? req.body : null;
+        const requested = [req.query.userId, body && body.userId, req.params.userId].filter(Boolean);
+
+        if (requested.some(value => value !== userId)) {
+          this.logger.warn('拒絕存取其他用戶的數據', {
+            userId: req.user.userId,
+            tenantId: userId,
+            requestedUserId: requested.find(value => value !== userId),
+            path: req.path,
+            method: req.method
+          });
+          return res.status(403).json({ 
+            error: '無權存取其他用戶的數據',
+            code: 'FORBIDDEN_USER'
+          });
+        }
+
+        req.query.userId = userId;
+        if (body) {
+          body.userId = userId;
+        }
+        next();
+      });
+    };
+  }
+
+  /**
+   * 權限檢查中間件，需在 authenticateToken 之後使用
+   * 角色對應的權限見 config/roles.js
    */
   requirePermission(permission) {
     return async (req, res, next) => {
@@ -136,55 +226,34 @@ class AuthMiddleware {
           });
         }
 
-        // 使用租戶上下文管理器檢查權限
-        if (this.tenantContextManager) {
-          const hasPermission = this.tenantContextManager.validateAccess(
+        // 以成員角色檢查權限，沒有角色時使用租戶上下文管理器
+        let hasPermission = false;
+        if (req.user.role) {
+          hasPermission = roles.hasPermission(req.user.role, permission);
+        } else if (this.tenantContextManager) {
+          hasPermission = this.tenantContextManager.validateAccess(
             tenantId, 
             userId, 
             [permission]
           );
+        }
 
-          if (!hasPermission) {
-            this.logger.warn('權限不足', {
-              userId,
-              tenantId,
-              requiredPermission: permission,
-              path: req.path,
-              method: req.method
-            });
-
-            return res.status(403).json({ 
-              error: '權限不足',
-              code: 'INSUFFICIENT_PERMISSIONS',
-              requiredPermission: permission
-            });
-          }
-        } else if (this.userService) {
-          // 使用用戶服務檢查權限
-          const hasPermission = await this.userService.hasPermission(
-            userId, 
-            permission, 
-            tenantId
-          );
-
-          if (!hasPermission) {
-            this.logger.warn('權限不足', {
-              userId,
-              tenantId,
-              requiredPermission: permission,
-              path: req.path,
-              method: req.method
-            });
+        if (!hasPermission) {
+          this.logger.warn('權限不足', {
+            userId,
+            tenantId,
+            role: req.user.role,
+            requiredPermission: permission,
+            path: req.path,
+            method: req.method
+          });
 
-            return res.status(403).json({ 
-              error: '權限不足',
-              code: 'INSUFFICIENT_PERMISSIONS',
-              requiredPermission: permission
-            });
-          }
-        } else {
-          // 基本權限檢查，假設有權限
-          this.logger.warn('無法進行權限檢查，跳過驗證');
+          return res.status(403).json({ 
+            error: '權限不足',
+            code: 'INSUFFICIENT_PERMISSIONS',
+            requiredPermission: permission,
+            role: req.user.role
+          });
         }
 
         next();
@@ -202,6 +271,21 @@ class AuthMiddleware {
     };
   }
 
+  /**
+   * 按請求方法檢查權限：GET、HEAD 需要讀取權限，其他方法需要寫入權限
+   * @param {string} readPermission - 讀取權限
+   * @param {string} writePermission - 寫入權限
+   */
+  requirePermissionByMethod(readPermission, writePermission) {
+    const requireRead = this.requirePermission(readPermission);
+    const requireWrite = this.requirePermission(writePermission);
+
+    return (req, res, next) => {
+      const check = ['GET', 'HEAD'].includes(req.method) ? requireRead : requireWrite;
+      return check(req, res, next);
+    };
+  }
+
   /**
    * 角色檢查中間件
    */
@@ -352,8 +436,9 @@ class AuthMiddleware {
    */
   generateToken(user, options = {}) {
     const {
-      expiresIn = '24h',
-      secret = process.env.JWT_SECRET || 'your-secret-key'
+      expiresIn = config.auth.accessTokenTtl,
+      secret = config.auth.jwtSecret,
+      sessionId
     } = options;
 
     const payload = {
@@ -361,6 +446,7 @@ class AuthMiddleware {
       email: user.email,
       tenantId: user.tenantId,
       role: user.role || user.userRole,
+      sid: sessionId, // 刷新令牌系列ID，撤銷後此存取令牌失效
       iat: Math.floor(Date.now() / 1000)
     };
 
@@ -370,7 +456,7 @@ class AuthMiddleware {
   /**
    * 驗證 JWT Token
    */
-  verifyToken(token, secret = process.env.JWT_SECRET || 'your-secret-key') {
+  verifyToken(token, secret = config.auth.jwtSecret) {
     try {
       return jwt.verify(token, secret);
     } catch (error) {
@@ -0,0 +1,200 @@
+/**
+ * 瀏覽器端認證工具
+ * 保存存取令牌及刷新令牌，為 API 請求加上 Bearer 令牌，存取令牌過期時自動刷新
+ * 多個分頁同時刷新時以 Web Locks 排隊，避免同一刷新令牌被使用兩次而觸發重用偵測
+ */
+
+(function () {
+  const ACCESS_TOKEN_KEY = 'auth.accessToken';
+  const REFRESH_TOKEN_KEY = 'auth.refreshToken';
+  const USER_KEY = 'auth.user';
+  const LOGIN_PAGE = '/?login=1';
+
+  let refreshing = null;
+
+  function saveSession(data) {
+    localStorage.setItem(ACCESS_TOKEN_KEY, data.accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, data.refreshToken);
+    localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+  }
+
+  function clearSession() {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  }
+
+  function getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function withRefreshLock(task) {
+    if (navigator.locks && navigator.locks.request) {
+      return navigator.locks.request('auth-refresh', task);
+    }
+    return task();
+  }
+
+  /**
+   * 以刷新令牌換取新的令牌
+   * @param {string} failedToken - 被拒絕的存取令牌，其他分頁已經刷新時直接使用新令牌
+   * @returns {Promise<boolean>} 是否成功
+   */
+  function refreshTokens(failedToken) {
+    if (!refreshing) {
+      refreshing = withRefreshLock(async () => {
+        if (localStorage.getItem(ACCESS_TOKEN_KEY) !== failedToken) {
+          return Boolean(localStorage.getItem(ACCESS_TOKEN_KEY));
+        }
+
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+          return false;
+        }
+
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        if (!response.ok) {
+          clearSession();
+          return false;
+        }
+        saveSession(await response.json());
+        return true;
+      }).finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  function redirectToLogin() {
+    clearSession();
+    window.location.href = LOGIN_PAGE;
+  }
+
+  /**
+   * 帶 Bearer 令牌的 fetch，存取令牌過期時刷新一次後重試
+   * 刷新失敗時返回登入頁面
+   */
+  async function authFetch(url, options = {}) {
+    const send = (token) => fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+    });
+
+    const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+    if (!token) {
+      redirectToLogin();
+      throw new Error('請先登入');
+    }
+
+    const response = await send(token);
+    if (response.status !== 401) {
+      return response;
+    }
+
+    if (!(await refreshTokens(token))) {
+      redirectToLogin();
+      throw new Error('登入已失效，請重新登入');
+    }
+    return send(localStorage.getItem(ACCESS_TOKEN_KEY));
+  }
+
+  /**
+   * 下載需要認證的文件
+   * @param {string} url - 下載地址
+   * @param {string} fallbackName - 伺服器沒有提供文件名稱時使用
+   */
+  async function download(url, fallbackName) {
+    const response = await authFetch(url);
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || '下載失敗');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+    const filename = match ? decodeURIComponent(match[1] || match[2]) : fallbackName;
+
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename || 'download';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+  }
+
+  async function authenticate(path, email, password) {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || '請檢查帳號密碼');
+    }
+    saveSession(data);
+    return data;
+  }
+
+  /**
+   * 接受租戶邀請，並以新的租戶及角色更新令牌
+   * @param {string} token - 邀請連結中的令牌
+   */
+  async function acceptInvitation(token) {
+    const response = await authFetch('/api/auth/invitations/accept', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || '接受邀請失敗');
+    }
+    saveSession(data);
+    return data;
+  }
+
+  async function logout() {
+    try {
+      await authFetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+      redirectToLogin();
+    }
+  }
+
+  /**
+   * 頁面載入時確認已登入，未登入時返回登入頁面
+   * @returns {Object|null} 已登入的用戶
+   */
+  function requireLogin() {
+    const user = getUser();
+    if (!user || !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      redirectToLogin();
+      return null;
+    }
+    return user;
+  }
+
+  window.AuthClient = {
+    login: (email, password) => authenticate('/api/auth/login', email, password),
+    register: (email, password) => authenticate('/api/auth/register', email, password),
+    logout,
+    acceptInvitation,
+    fetch: authFetch,
+    download,
+    getUser,
+    requireLogin,
+    isLoggedIn: () => Boolean(localStorage.getItem(REFRESH_TOKEN_KEY))
+  };
+})();
@@ -0,0 +1,110 @@
+/**
+ * AI 用量路由
+ * 租戶的 token 用量、估算成本及每月預算
+ * 所有路由都以存取令牌識別用戶，租戶取自登入用戶；所有租戶的用量只限 ADMIN_EMAILS 中的用戶
+ */
+
+const express = require('express');
+const config = require('../config');
+const { PERMISSIONS } = require('../config/roles');
+const { businessLogger } = require('../utils/logger');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+module.exports = (container) => {
+  const router = express.Router();
+  const aiUsageService = container.resolve('aiUsageService');
+  const authMiddleware = container.resolve('authMiddleware');
+  const canRead = authMiddleware.requirePermission(PERMISSIONS.ANALYTICS_READ);
+  const canWrite = authMiddleware.requirePermission(PERMISSIONS.SETTINGS_WRITE);
+  const logger = businessLogger;
+
+  // 在路由內驗證，不依賴掛載時加上的中間件
+  router.use(authMiddleware.authenticateUser());
+
+  const requireAdmin = (req, res, next) => {
+    if (!config.admin.emails.includes(String(req.user.email || '').toLowerCase())) {
+      return res.status(403).json({ error: '只有管理員可以查看所有租戶的用量' });
+    }
+    next();
+  };
+
+  const parseMonth = (req, res) => {
+    const { month } = req.query;
+    if (month && !MONTH_PATTERN.test(month)) {
+      res.status(400).json({ error: 'month 必須為 YYYY-MM 格式' });
+      return null;
+    }
+    return month || aiUsageService.toMonth();
+  };
+
+  /**
+   * 租戶的用量摘要（按功能、模型、用戶及日期）
+   * GET /api/ai-usage/summary?month=2026-10
+   */
+  router.get('/summary', canRead, async (req, res) => {
+    try {
+      const userId = req.user.tenantId;
+      const month = parseMonth(req, res);
+      if (!month) return;
+
+      const summary = await aiUsageService.getSummary(userId, month);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      logger.error(`取得 AI 用量失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 所有租戶的用量，按成本排序
+   * GET /api/ai-usage/tenants?month=2026-10
+   */
+  router.get('/tenants', requireAdmin, async (req, res) => {
+    try {
+      const month = parseMonth(req, res);
+      if (!month) return;
+
+      const tenants = await aiUsageService.getTenantOverview(month);
+      const totalCost = tenants.reduce((sum, tenant) => sum + tenant.cost, 0);
+      res.json({ success: true, data: { month, totalCost, tenants } });
+    } catch (error) {
+      logger.error(`取得租戶 AI 用量失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 取得租戶預算
+   * GET /api/ai-usage/budget
+   */
+  router.get('/budget', canRead, async (req, res) => {
+    try {
+      const userId = req.user.tenantId;
+      const budget = await aiUsageService.getBudget(userId);
+      const status = aiUsageService.evaluateBudget(await aiUsageService.getMonthlySpend(userId), budget);
+      res.json({ success: true, data: { ...budget, current: status } });
+    } catch (error) {
+      logger.error(`取得 AI 預算失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 設定租戶預算
+   * PUT /api/ai-usage/budget { monthlyLimit, warnRatio, hardStop }
+   */
+  router.put('/budget', canWrite, async (req, res) => {
+    try {
+      const userId = req.user.tenantId;
+      const { monthlyLimit, warnRatio, hardStop } = req.body;
+      const budget = await aiUsageService.setBudget(userId, { monthlyLimit, warnRatio, hardStop });
+      res.json({ success: true, data: budget });
+    } catch (error) {
+      logger.error(`設定 AI 預算失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -1,10 +1,15 @@
 const express = require('express');
 const AnalyticsAIService = require('../services/analyticsAIService');
+const aiProviderService = require('../services/ai/AIProviderService');
 const { businessLogger } = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
 
 module.exports = (container) => {
   const router = express.Router();
   const analyticsService = new AnalyticsAIService();
+  const authMiddleware = container.resolve('authMiddleware');
+  const canRead = authMiddleware.requirePermission(PERMISSIONS.ANALYTICS_READ);
+  const canWrite = authMiddleware.requirePermission(PERMISSIONS.ANALYTICS_WRITE);
 
   // 初始化服務
   analyticsService.initialize().catch(err => {
@@ -15,7 +20,7 @@ module.exports = (container) => {
    * 🚀 生成智能儀表板
    * GET /api/analytics/dashboard?userId=xxx&filterMonth=2025-06
    */
-  router.get('/dashboard', async (req, res) => {
+  router.get('/dashboard', canRead, async (req, res) => {
     try {
       const { userId, filterMonth } = req.query;
       
@@ -51,7 +56,7 @@ module.exports = (container) => {
    * 📊 獲取圖表數據
    * POST /api/analytics/chart-data
    */
-  router.post('/chart-data', async (req, res) => {
+  router.post('/chart-data', canRead, async (req, res) => {
     try {
       const { userId, chartConfig } = req.body;
       
@@ -87,7 +92,7 @@ module.exports = (container) => {
    * 🔄 重新分析數據
    * POST /api/analytics/reanalyze
    */
-  router.post('/reanalyze', async (req, res) => {
+  router.post('/reanalyze', canWrite, async (req, res) => {
     try {
       const { userId, filterMonth } = req.body;
       
@@ -124,7 +129,7 @@ module.exports = (container) => {
    * 📋 獲取數據概要
    * GET /api/analytics/summary?userId=xxx
    */
-  router.get('/summary', async (req, res) => {
+  router.get('/summary', canRead, async (req, res) => {
     try {
       const { userId } = req.query;
       
@@ -167,11 +172,11 @@ module.exports = (container) => {
    * 🧠 AI 分析狀態
    * GET /api/analytics/ai-status
    */
-  router.get('/ai-status', async (req, res) => {
+  router.get('/ai-status', canRead, async (req, res) => {
     try {
       const status = {
         aiService: analyticsService.isInitialized ? '已初始化' : '未初始化',
-        claudeModel: 'claude-3-haiku-20240307',
+        aiProviders: aiProviderService.getStatus(),
         features: [
           '自動數據結構識別',
           '智能圖表推薦', 
@@ -202,7 +207,7 @@ module.exports = (container) => {
    * 📅 獲取可用月份列表
    * GET /api/analytics/available-months?userId=xxx
    */
-  router.get('/available-months', async (req, res) => {
+  router.get('/available-months', canRead, async (req, res) => {
     try {
       const { userId } = req.query;
       
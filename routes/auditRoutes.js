@@ -0,0 +1,174 @@
+/**
+ * 審計日誌路由
+ * 管理員查詢、統計及匯出審計日誌，並驗證哈希鏈是否被篡改
+ * 掛載時需要 authMiddleware.authenticateToken()（userId 是篩選條件，不能綁定為登入用戶）
+ */
+
+const express = require('express');
+const config = require('../config');
+const { businessLogger } = require('../utils/logger');
+
+module.exports = (container) => {
+  const router = express.Router();
+  const auditService = container.resolve('auditService');
+  const logger = businessLogger;
+
+  /**
+   * 只允許 ADMIN_EMAILS 中的用戶存取
+   */
+  router.use((req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: '請先登入' });
+    }
+    if (!config.admin.emails.includes(String(req.user.email || '').toLowerCase())) {
+      return res.status(403).json({ error: '只有管理員可以存取審計日誌' });
+    }
+    next();
+  });
+
+  /**
+   * 從查詢參數取得篩選條件
+   */
+  const getFilters = (query) => {
+    const filters = {};
+    for (const key of ['startDate', 'endDate', 'eventType', 'userId', 'tenantId', 'riskLevel', 'status']) {
+      if (query[key]) {
+        filters[key] = String(query[key]);
+      }
+    }
+    return filters;
+  };
+
+  /**
+   * 記錄管理員對審計日誌的操作
+   */
+  const logAccess = (req, eventType, action, details) => {
+    return auditService.logEvent({
+      eventType,
+      userId: req.user.userId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      action,
+      resource: 'audit_logs',
+      details,
+      riskLevel: auditService.riskLevels.MEDIUM
+    }).catch(error => logger.error(`記錄審計日誌存取失敗: ${error.message}`));
+  };
+
+  /**
+   * 分頁查詢審計日誌
+   * GET /api/audit/logs?page=1&pageSize=50&sortBy=timestamp&sortOrder=DESC&startDate=&endDate=&eventType=&userId=&tenantId=&riskLevel=&status=
+   */
+  router.get('/logs', async (req, res) => {
+    try {
+      const filters = getFilters(req.query);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), config.audit.maxPageSize);
+
+      const [logs, total] = await Promise.all([
+        auditService.queryAuditLogs(
+          { ...filters, limit: pageSize, offset: (page - 1) * pageSize },
+          { sortBy: req.query.sortBy, sortOrder: req.query.sortOrder }
+        ),
+        auditService.countAuditLogs(filters)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          logs,
+          pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+        }
+      });
+    } catch (error) {
+      logger.error(`查詢審計日誌失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 審計統計
+   * GET /api/audit/stats
+   */
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await auditService.getAuditStats(getFilters(req.query));
+      res.json({ success: true, data: stats });
+    } catch (error) {
+      logger.error(`獲取審計統計失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 篩選選項（事件類型及風險等級）
+   * GET /api/audit/options
+   */
+  router.get('/options', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        eventTypes: Object.values(auditService.eventTypes),
+        riskLevels: Object.values(auditService.riskLevels)
+      }
+    });
+  });
+
+  /**
+   * 匯出審計日誌
+   * GET /api/audit/export?format=csv|json&startDate=&endDate=...
+   */
+  router.get('/export', async (req, res) => {
+    try {
+      const format = req.query.format === 'csv' ? 'csv' : 'json';
+      const filters = getFilters(req.query);
+      const { body, count, truncated } = await auditService.exportAuditLogs(filters, format);
+
+      await logAccess(req, auditService.eventTypes.DATA_EXPORT, 'audit_log_export', { format, filters, count, truncated });
+      logger.info(`管理員 ${req.user.userId} 匯出 ${count} 條審計日誌（${format}）`);
+
+      const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.set('X-Audit-Truncated', String(truncated));
+      res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.send(format === 'csv' ? `\uFEFF${body}` : body);
+    } catch (error) {
+      logger.error(`匯出審計日誌失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 驗證哈希鏈
+   * GET /api/audit/verify?startDate=&endDate=
+   */
+  router.get('/verify', async (req, res) => {
+    try {
+      const { startDate, endDate } = getFilters(req.query);
+      const result = await auditService.verifyChain({ startDate, endDate });
+      if (!result.valid) {
+        logger.warn(`審計日誌哈希鏈驗證失敗，${result.failures.length} 個問題`);
+      }
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error(`驗證審計日誌失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 簽名公鑰，供合規人員獨立驗證匯出的日誌
+   * GET /api/audit/public-key
+   */
+  router.get('/public-key', (req, res) => {
+    try {
+      const { publicKey, keyId } = auditService.getSigningKeys();
+      res.json({ success: true, data: { keyId, publicKey, algorithm: 'ECDSA P-256 / SHA-256' } });
+    } catch (error) {
+      logger.error(`取得審計簽名公鑰失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
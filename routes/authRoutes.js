@@ -1,19 +1,24 @@
 /**
  * 認證路由
  * 實現登入、登出、註冊、token刷新等功能
+ * 存取令牌（JWT）短期有效，刷新令牌每次使用後輪換，登出及修改密碼時在伺服器端撤銷
  */
 
 const express = require('express');
-const bcrypt = require('bcrypt');
+const config = require('../config');
+const roles = require('../config/roles');
 const { businessLogger } = require('../utils/logger');
 
 module.exports = (container) => {
   const router = express.Router();
   const logger = businessLogger;
-  
+
   let authMiddleware = null;
-  let userService = null;
-  
+  let auditService = null;
+  const userService = container.resolve('userService');
+  const refreshTokenService = container.resolve('refreshTokenService');
+  const tenantMemberService = container.resolve('tenantMemberService');
+
   // 嘗試從容器獲取服務
   try {
     authMiddleware = container.resolve('authMiddleware');
@@ -22,20 +27,86 @@ module.exports = (container) => {
     const AuthMiddleware = require('../middleware/authMiddleware');
     authMiddleware = new AuthMiddleware(container);
   }
-  
+
   try {
-    userService = container.resolve('userService');
+    auditService = container.resolve('auditService');
   } catch (error) {
-    logger.warn('UserService 未註冊，使用基本認證');
+    logger.warn('AuditService 未註冊，認證事件不會記錄到審計日誌');
   }
 
+  // 登入、註冊及刷新的速率限制
+  const authRateLimit = authMiddleware.rateLimit({ max: 20, message: '嘗試次數過多，請稍後再試' });
+
+  /**
+   * 取得請求的來源資料
+   */
+  const getClientInfo = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  /**
+   * 記錄審計事件，失敗時不影響認證流程
+   */
+  const audit = (method, ...args) => {
+    if (!auditService) return;
+    auditService[method](...args).catch(error => logger.error(`記錄認證審計事件失敗: ${error.message}`));
+  };
+
+  /**
+   * 返回給客戶端的用戶資料，tenantId 是數據擁有者，頁面以此作為 userId 參數
+   * @param {Object} user - 用戶
+   * @param {Object} membership - { tenantId, role }
+   */
+  const formatUser = (user, membership) => ({
+    id: user.userId,
+    userId: user.userId,
+    email: user.email,
+    name: user.username,
+    tenantId: membership.tenantId,
+    role: membership.role,
+    permissions: roles.getPermissions(membership.role)
+  });
+
   /**
-   * 用戶註冊
-   * POST /api/auth/register
+   * 發出存取令牌及刷新令牌，存取令牌包含租戶及角色供工作流系統使用
+   * @param {Object} user - userService.getUserById 返回的用戶
+   * @param {Object} refresh - refreshTokenService.issue 或 rotate 的結果
    */
-  router.post('/register', async (req, res) => {
+  const createTokenResponse = async (user, refresh) => {
+    const membership = await tenantMemberService.getMembership(user.userId);
+    const accessToken = authMiddleware.generateToken(
+      { userId: user.userId, email: user.email, tenantId: membership.tenantId, role: membership.role },
+      { sessionId: refresh.familyId }
+    );
+    return {
+      user: formatUser(user, membership),
+      token: accessToken,
+      accessToken,
+      expiresIn: config.auth.accessTokenTtl,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.expiresAt,
+      tokenType: 'Bearer'
+    };
+  };
+
+  /**
+   * 回應錯誤，userService 拒絕的 { status, message }、AuthTokenError 及 MemberError 都有 status
+   */
+  const sendError = (res, error, fallbackCode) => {
+    res.status(error.status || 500).json({
+      error: error.message,
+      code: error.code || fallbackCode
+    });
+  };
+
+  /**
+   * 用戶註冊，成功後直接登入
+   * POST /api/auth/register { email, password }
+   */
+  router.post('/register', authRateLimit, async (req, res) => {
     try {
-      const { email, password, name, tenantId } = req.body;
+      const { email, password } = req.body;
 
       // 驗證輸入
       if (!email || !password) {
@@ -46,107 +117,46 @@ module.exports = (container) => {
         });
       }
 
-      // 驗證郵箱格式
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          error: '郵箱格式不正確',
-          code: 'INVALID_EMAIL'
-        });
-      }
-
       // 驗證密碼強度
-      if (password.length < 8) {
+      if (String(password).length < config.auth.minPasswordLength) {
         return res.status(400).json({
-          error: '密碼長度至少8位',
+          error: `密碼長度至少${config.auth.minPasswordLength}位`,
           code: 'WEAK_PASSWORD'
         });
       }
 
-      if (userService) {
-        // 檢查用戶是否已存在
-        const existingUser = await userService.getUserByEmail(email);
-        if (existingUser) {
-          return res.status(409).json({
-            error: '用戶已存在',
-            code: 'USER_EXISTS'
-          });
-        }
-
-        // 加密密碼
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-        // 創建用戶
-        const userData = {
-          email,
-          password: hashedPassword,
-          name: name || email.split('@')[0],
-          tenantId: tenantId || 'default',
-          role: 'user',
-          status: 'active',
-          createdAt: new Date().toISOString()
-        };
-
-        const newUser = await userService.createUser(userData);
-
-        // 生成 JWT Token
-        const token = authMiddleware.generateToken(newUser);
-
-        logger.info('用戶註冊成功', { email, userId: newUser.id });
-
-        res.status(201).json({
-          message: '註冊成功',
-          user: {
-            id: newUser.id,
-            email: newUser.email,
-            name: newUser.name,
-            tenantId: newUser.tenantId,
-            role: newUser.role
-          },
-          token,
-          expiresIn: '24h'
-        });
-      } else {
-        // 基本註冊邏輯
-        const token = authMiddleware.generateToken({
-          userId: `user_${Date.now()}`,
-          email,
-          tenantId: tenantId || 'default',
-          role: 'user'
-        });
+      const { userId } = await userService.registerUser(String(email).trim(), password);
+      const user = await userService.getUserById(userId);
+      const refresh = await refreshTokenService.issue(userId, getClientInfo(req));
+
+      logger.info('用戶註冊成功', { email: user.email, userId });
+      audit('logEvent', {
+        eventType: 'user_create',
+        userId,
+        tenantId: userId,
+        ...getClientInfo(req),
+        action: 'register',
+        resource: 'auth'
+      });
 
-        logger.info('基本用戶註冊成功', { email });
-
-        res.status(201).json({
-          message: '註冊成功',
-          user: {
-            email,
-            tenantId: tenantId || 'default',
-            role: 'user'
-          },
-          token,
-          expiresIn: '24h'
-        });
-      }
+      res.status(201).json({
+        message: '註冊成功',
+        ...(await createTokenResponse(user, refresh))
+      });
     } catch (error) {
-      logger.error('用戶註冊失敗', { 
+      logger.error('用戶註冊失敗', {
         error: error.message,
         email: req.body.email
       });
-      
-      res.status(500).json({
-        error: '註冊失敗',
-        code: 'REGISTRATION_ERROR'
-      });
+      sendError(res, error, 'REGISTRATION_ERROR');
     }
   });
 
   /**
    * 用戶登入
-   * POST /api/auth/login
+   * POST /api/auth/login { email, password }
    */
-  router.post('/login', async (req, res) => {
+  router.post('/login', authRateLimit, async (req, res) => {
     try {
       const { email, password } = req.body;
 
@@ -159,171 +169,93 @@ module.exports = (container) => {
         });
       }
 
-      if (userService) {
-        // 查找用戶
-        const user = await userService.getUserByEmail(email);
-        if (!user) {
-          return res.status(401).json({
-            error: '用戶不存在或密碼錯誤',
-            code: 'INVALID_CREDENTIALS'
-          });
-        }
+      let userId;
+      try {
+        ({ userId } = await userService.loginUser(String(email).trim(), password));
+      } catch (error) {
+        if (error.status !== 400) throw error;
 
-        // 檢查用戶狀態
-        if (user.status === 'inactive') {
-          return res.status(403).json({
-            error: '帳戶已停用',
-            code: 'ACCOUNT_DISABLED'
-          });
-        }
-
-        // 驗證密碼
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-          logger.warn('登入失敗：密碼錯誤', { email });
-          return res.status(401).json({
-            error: '用戶不存在或密碼錯誤',
-            code: 'INVALID_CREDENTIALS'
-          });
-        }
-
-        // 更新最後登入時間
-        await userService.updateUser(user.id, {
-          lastLoginAt: new Date().toISOString()
+        // 不區分 Email 不存在或密碼錯誤
+        logger.warn('登入失敗', { email, reason: error.message });
+        audit('logAuthFailure', null, null, req.ip, req.get('user-agent'), error.message, { email });
+        return res.status(401).json({
+          error: '用戶不存在或密碼錯誤',
+          code: 'INVALID_CREDENTIALS'
         });
+      }
 
-        // 生成 JWT Token
-        const token = authMiddleware.generateToken(user);
-
-        logger.info('用戶登入成功', { email, userId: user.id });
-
-        res.json({
-          message: '登入成功',
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            tenantId: user.tenantId,
-            role: user.role,
-            lastLoginAt: user.lastLoginAt
-          },
-          token,
-          expiresIn: '24h'
-        });
-      } else {
-        // 基本登入邏輯
-        const token = authMiddleware.generateToken({
-          userId: `user_${Date.now()}`,
-          email,
-          tenantId: 'default',
-          role: 'user'
-        });
+      const user = await userService.getUserById(userId);
+      const refresh = await refreshTokenService.issue(userId, getClientInfo(req));
 
-        logger.info('基本用戶登入成功', { email });
-
-        res.json({
-          message: '登入成功',
-          user: {
-            email,
-            tenantId: 'default',
-            role: 'user'
-          },
-          token,
-          expiresIn: '24h'
-        });
-      }
+      logger.info('用戶登入成功', { email, userId });
+      audit('logLogin', userId, userId, req.ip, req.get('user-agent'), 'success', { method: 'password' });
+
+      res.json({
+        message: '登入成功',
+        ...(await createTokenResponse(user, refresh))
+      });
     } catch (error) {
-      logger.error('用戶登入失敗', { 
+      logger.error('用戶登入失敗', {
         error: error.message,
         email: req.body.email
       });
-      
-      res.status(500).json({
-        error: '登入失敗',
-        code: 'LOGIN_ERROR'
-      });
+      sendError(res, error, 'LOGIN_ERROR');
     }
   });
 
   /**
-   * 用戶登出
+   * 用戶登出：撤銷目前的令牌系列，其他裝置不受影響
    * POST /api/auth/logout
    */
   router.post('/logout', authMiddleware.authenticateToken(), async (req, res) => {
     try {
       const userId = req.user.id || req.user.userId;
-      
-      // 這裡可以實現 token 黑名單機制
-      // 目前只是簡單的登出響應
-      
+
+      await refreshTokenService.revokeFamily(req.token.sid, refreshTokenService.revokeReasons.LOGOUT);
+      if (req.session && req.session.userId) {
+        req.session.destroy(() => {});
+      }
+
       logger.info('用戶登出成功', { userId });
+      audit('logLogout', userId, userId, req.ip, req.get('user-agent'));
 
       res.json({
         message: '登出成功'
       });
     } catch (error) {
-      logger.error('用戶登出失敗', { 
+      logger.error('用戶登出失敗', {
         error: error.message,
         userId: req.user?.id
       });
-      
-      res.status(500).json({
-        error: '登出失敗',
-        code: 'LOGOUT_ERROR'
-      });
+      sendError(res, error, 'LOGOUT_ERROR');
     }
   });
 
   /**
-   * 刷新 Token
-   * POST /api/auth/refresh
+   * 以刷新令牌換取新的存取令牌及刷新令牌（存取令牌過期後仍可使用）
+   * POST /api/auth/refresh { refreshToken }
    */
-  router.post('/refresh', authMiddleware.authenticateToken(), async (req, res) => {
+  router.post('/refresh', authRateLimit, async (req, res) => {
     try {
-      const userId = req.user.id || req.user.userId;
-      
-      if (userService) {
-        // 重新獲取用戶信息
-        const user = await userService.getUserById(userId);
-        if (!user) {
-          return res.status(404).json({
-            error: '用戶不存在',
-            code: 'USER_NOT_FOUND'
-          });
-        }
-
-        // 生成新的 Token
-        const newToken = authMiddleware.generateToken(user);
-
-        logger.info('Token 刷新成功', { userId });
-
-        res.json({
-          message: 'Token 刷新成功',
-          token: newToken,
-          expiresIn: '24h'
-        });
-      } else {
-        // 基本刷新邏輯
-        const newToken = authMiddleware.generateToken(req.user);
+      const refresh = await refreshTokenService.rotate(req.body.refreshToken, getClientInfo(req));
+      const user = await userService.getUserById(refresh.userId).catch(async error => {
+        if (error.status !== 404) throw error;
+        await refreshTokenService.revokeFamily(refresh.familyId, refreshTokenService.revokeReasons.ACCOUNT_DELETED);
+        throw { status: 401, code: 'USER_NOT_FOUND', message: '用戶不存在' };
+      });
 
-        logger.info('基本 Token 刷新成功', { userId });
+      logger.info('Token 刷新成功', { userId: refresh.userId });
 
-        res.json({
-          message: 'Token 刷新成功',
-          token: newToken,
-          expiresIn: '24h'
-        });
-      }
+      res.json({
+        message: 'Token 刷新成功',
+        ...(await createTokenResponse(user, refresh))
+      });
     } catch (error) {
-      logger.error('Token 刷新失敗', { 
+      logger.error('Token 刷新失敗', {
         error: error.message,
-        userId: req.user?.id
-      });
-      
-      res.status(500).json({
-        error: 'Token 刷新失敗',
-        code: 'REFRESH_ERROR'
+        code: error.code
       });
+      sendError(res, error, 'REFRESH_ERROR');
     }
   });
 
@@ -333,57 +265,21 @@ module.exports = (container) => {
    */
   router.get('/me', authMiddleware.authenticateToken(), async (req, res) => {
     try {
-      const userId = req.user.id || req.user.userId;
-      
-      if (userService) {
-        // 重新獲取用戶信息
-        const user = await userService.getUserById(userId);
-        if (!user) {
-          return res.status(404).json({
-            error: '用戶不存在',
-            code: 'USER_NOT_FOUND'
-          });
-        }
-
-        res.json({
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            tenantId: user.tenantId,
-            role: user.role,
-            status: user.status,
-            createdAt: user.createdAt,
-            lastLoginAt: user.lastLoginAt
-          }
-        });
-      } else {
-        // 基本用戶信息
-        res.json({
-          user: {
-            id: req.user.id || req.user.userId,
-            email: req.user.email,
-            tenantId: req.user.tenantId,
-            role: req.user.role
-          }
-        });
-      }
+      res.json({
+        user: formatUser(req.user, req.user)
+      });
     } catch (error) {
-      logger.error('獲取用戶信息失敗', { 
+      logger.error('獲取用戶信息失敗', {
         error: error.message,
         userId: req.user?.id
       });
-      
-      res.status(500).json({
-        error: '獲取用戶信息失敗',
-        code: 'GET_USER_ERROR'
-      });
+      sendError(res, error, 'GET_USER_ERROR');
     }
   });
 
   /**
-   * 修改密碼
-   * PUT /api/auth/password
+   * 修改密碼：撤銷所有裝置的登入，並為目前的客戶端發出新的令牌
+   * PUT /api/auth/password { currentPassword, newPassword }
    */
   router.put('/password', authMiddleware.authenticateToken(), async (req, res) => {
     try {
@@ -399,72 +295,68 @@ module.exports = (container) => {
         });
       }
 
-      // 驗證新密碼強度
-      if (newPassword.length < 8) {
-        return res.status(400).json({
-          error: '新密碼長度至少8位',
-          code: 'WEAK_PASSWORD'
-        });
-      }
-
-      if (userService) {
-        // 獲取用戶信息
-        const user = await userService.getUserById(userId);
-        if (!user) {
-          return res.status(404).json({
-            error: '用戶不存在',
-            code: 'USER_NOT_FOUND'
-          });
-        }
-
-        // 驗證當前密碼
-        const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-        if (!isValidPassword) {
+      try {
+        await userService.changePassword(userId, currentPassword, newPassword);
+      } catch (error) {
+        if (error.status === 401) {
           return res.status(401).json({
-            error: '當前密碼錯誤',
+            error: error.message,
             code: 'INVALID_CURRENT_PASSWORD'
           });
         }
+        throw error;
+      }
 
-        // 加密新密碼
-        const saltRounds = 10;
-        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+      await refreshTokenService.revokeAllForUser(userId, refreshTokenService.revokeReasons.PASSWORD_CHANGE);
+      const refresh = await refreshTokenService.issue(userId, getClientInfo(req));
 
-        // 更新密碼
-        await userService.updateUser(userId, {
-          password: hashedNewPassword,
-          updatedAt: new Date().toISOString()
-        });
+      logger.info('密碼修改成功', { userId });
+      audit('logPasswordChange', userId, userId, req.ip, req.get('user-agent'));
 
-        logger.info('密碼修改成功', { userId });
+      res.json({
+        message: '密碼修改成功，其他裝置已登出',
+        ...(await createTokenResponse(req.user, refresh))
+      });
+    } catch (error) {
+      logger.error('密碼修改失敗', {
+        error: error.message,
+        userId: req.user?.id
+      });
+      sendError(res, error, 'PASSWORD_CHANGE_ERROR');
+    }
+  });
 
-        res.json({
-          message: '密碼修改成功'
-        });
-      } else {
-        // 基本密碼修改邏輯
-        logger.info('基本密碼修改成功', { userId });
+  /**
+   * 接受租戶邀請：加入邀請的租戶，並以新的角色發出令牌
+   * POST /api/auth/invitations/accept { token }
+   */
+  router.post('/invitations/accept', authMiddleware.authenticateToken(), async (req, res) => {
+    try {
+      const userId = req.user.id || req.user.userId;
+      const membership = await tenantMemberService.acceptInvitation(req.body.token, req.user, getClientInfo(req));
 
-        res.json({
-          message: '密碼修改成功'
-        });
-      }
+      // 舊的存取令牌仍帶有原來的租戶，撤銷目前的系列並重新發出
+      await refreshTokenService.revokeFamily(req.token.sid, refreshTokenService.revokeReasons.MEMBERSHIP_CHANGED);
+      const refresh = await refreshTokenService.issue(userId, getClientInfo(req));
+
+      logger.info('用戶已接受租戶邀請', { userId, tenantId: membership.tenantId, role: membership.role });
+
+      res.json({
+        message: '已加入租戶',
+        ...(await createTokenResponse(req.user, refresh))
+      });
     } catch (error) {
-      logger.error('密碼修改失敗', { 
+      logger.error('接受租戶邀請失敗', {
         error: error.message,
         userId: req.user?.id
       });
-      
-      res.status(500).json({
-        error: '密碼修改失敗',
-        code: 'PASSWORD_CHANGE_ERROR'
-      });
+      sendError(res, error, 'ACCEPT_INVITATION_ERROR');
     }
   });
 
   /**
    * 驗證 Token
-   * POST /api/auth/verify
+   * POST /api/auth/verify { token }
    */
   router.post('/verify', async (req, res) => {
     try {
@@ -478,7 +370,7 @@ module.exports = (container) => {
       }
 
       const decoded = authMiddleware.verifyToken(token);
-      if (!decoded) {
+      if (!decoded || !(await refreshTokenService.isFamilyActive(decoded.sid, decoded.userId))) {
         return res.status(401).json({
           error: '無效的 Token',
           code: 'INVALID_TOKEN'
@@ -492,17 +384,14 @@ module.exports = (container) => {
           email: decoded.email,
           tenantId: decoded.tenantId,
           role: decoded.role
-        }
+        },
+        expiresAt: new Date(decoded.exp * 1000).toISOString()
       });
     } catch (error) {
       logger.error('Token 驗證失敗', { error: error.message });
-      
-      res.status(500).json({
-        error: 'Token 驗證失敗',
-        code: 'VERIFY_ERROR'
-      });
+      sendError(res, error, 'VERIFY_ERROR');
     }
   });
 
   return router;
-}; 
\ No newline at end of file
+};
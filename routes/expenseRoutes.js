@@ -0,0 +1,178 @@
+/**
+ * 費用記錄路由
+ * 本地帳本查詢、匯出、存儲對賬及費用審批
+ * 所有路由都以存取令牌識別用戶，userId 必須是用戶所屬的租戶
+ */
+
+const express = require('express');
+const path = require('path');
+const { businessLogger } = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
+
+module.exports = (container) => {
+  const router = express.Router();
+  const expenseStorageService = container.resolve('expenseStorageService');
+  const expenseApprovalService = container.resolve('expenseApprovalService');
+  const authMiddleware = container.resolve('authMiddleware');
+  const authenticateUser = authMiddleware.authenticateUser();
+  const canRead = authMiddleware.requirePermission(PERMISSIONS.EXPENSES_READ);
+  const canWrite = authMiddleware.requirePermission(PERMISSIONS.EXPENSES_WRITE);
+  const canExport = authMiddleware.requirePermission(PERMISSIONS.EXPENSES_EXPORT);
+  const canApprove = authMiddleware.requirePermission(PERMISSIONS.EXPENSES_APPROVE);
+  const logger = businessLogger;
+
+  // 在路由內驗證，不依賴掛載時加上的中間件
+  router.use(authenticateUser);
+
+  /**
+   * 列出費用記錄
+   * GET /api/expenses/records?userId=xxx&status=recorded&limit=50&offset=0
+   */
+  router.get('/records', canRead, async (req, res) => {
+    try {
+      const { userId, status, from, to } = req.query;
+      if (!userId) {
+        return res.status(400).json({ error: '缺少 userId 參數' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = parseInt(req.query.offset) || 0;
+      const records = await expenseStorageService.listRecords(userId, { status, from, to, limit, offset });
+      const syncSummary = await expenseStorageService.getSyncSummary(userId);
+
+      res.json({ success: true, data: { records, syncSummary, limit, offset } });
+    } catch (error) {
+      logger.error(`取得費用記錄失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 取得單筆記錄及其同步狀態
+   * GET /api/expenses/records/:recordId?userId=xxx
+   */
+  router.get('/records/:recordId', canRead, async (req, res) => {
+    try {
+      const { userId } = req.query;
+      const record = await expenseStorageService.getRecordWithSync(req.params.recordId);
+      if (!record || record.userId !== userId) {
+        return res.status(404).json({ error: '找不到費用記錄' });
+      }
+      res.json({ success: true, data: record });
+    } catch (error) {
+      logger.error(`取得費用記錄失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 重新排程失敗的同步
+   * POST /api/expenses/records/:recordId/retry { userId, provider }
+   */
+  router.post('/records/:recordId/retry', canWrite, async (req, res) => {
+    try {
+      const { userId, provider } = req.body;
+      const record = await expenseStorageService.getRecordWithSync(req.params.recordId);
+      if (!record || record.userId !== userId) {
+        return res.status(404).json({ error: '找不到費用記錄' });
+      }
+
+      const requeued = await expenseStorageService.retrySync(record.id, provider);
+      if (!requeued) {
+        return res.status(404).json({ error: `記錄沒有 ${provider} 的同步狀態` });
+      }
+      const summary = await expenseStorageService.reconcilePending({ userId });
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      logger.error(`重試同步失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 立即對賬（補寫待同步記錄）
+   * POST /api/expenses/reconcile { userId }
+   */
+  router.post('/reconcile', canWrite, async (req, res) => {
+    try {
+      const { userId } = req.body;
+      if (!userId) {
+        return res.status(400).json({ error: '缺少 userId 參數' });
+      }
+      const summary = await expenseStorageService.reconcilePending({ userId });
+      logger.info(`用戶 ${userId} 手動對賬完成: ${JSON.stringify(summary)}`);
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      logger.error(`對賬失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 匯出費用記錄
+   * GET /api/expenses/export?userId=xxx&format=csv|xlsx
+   */
+  router.get('/export', canExport, async (req, res) => {
+    try {
+      const { userId, status, from, to } = req.query;
+      const format = req.query.format || 'csv';
+      if (!userId) {
+        return res.status(400).json({ error: '缺少 userId 參數' });
+      }
+      if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ error: `不支援的匯出格式：${format}` });
+      }
+
+      const filePath = await expenseStorageService.exportRecords(userId, format, { status, from, to });
+      const filename = `expenses-${new Date().toISOString().slice(0, 10)}${path.extname(filePath)}`;
+      logger.info(`用戶 ${userId} 匯出費用記錄: ${format}`);
+      res.download(filePath, filename);
+    } catch (error) {
+      logger.error(`匯出費用記錄失敗: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  /**
+   * 列出審批申請
+   * GET /api/expenses/approvals?userId=xxx&status=pending&limit=50
+   */
+  router.get('/approvals', canRead, async (req, res) => {
+    try {
+      const { userId, status, limit } = req.query;
+      if (!userId) {
+        return res.status(400).json({ error: '缺少 userId 參數' });
+      }
+      const approvals = await expenseApprovalService.listApprovals(userId, { status, limit });
+      res.json({ success: true, data: approvals });
+    } catch (error) {
+      logger.error(`取得審批申請失敗: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 批准或拒絕審批申請，審批人記錄為登入用戶
+   * POST /api/expenses/approvals/:approvalId/approve { userId }
+   * POST /api/expenses/approvals/:approvalId/reject { userId, note }
+   */
+  router.post('/approvals/:approvalId/:action(approve|reject)', canApprove, async (req, res) => {
+    try {
+      const { userId, note } = req.body;
+      const result = await expenseApprovalService.decide(req.params.approvalId, userId, {
+        action: req.params.action,
+        actor: req.user.email || req.user.userId,
+        via: 'dashboard',
+        note: note ? String(note).trim() : null
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error(`處理審批申請失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message, code: error.code });
+    }
+  });
+
+  return router;
+};
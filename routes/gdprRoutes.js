@@ -0,0 +1,106 @@
+/**
+ * GDPR 自助請求路由
+ * 已登入的用戶提交數據訪問、修正、刪除等請求，查看處理狀態及下載匯出的壓縮檔
+ * 掛載時需要 authMiddleware.authenticateUser()，用戶由存取令牌識別
+ */
+
+const express = require('express');
+const { businessLogger } = require('../utils/logger');
+
+module.exports = (container) => {
+  const router = express.Router();
+  const gdprService = container.resolve('gdprService');
+  const logger = businessLogger;
+
+  /**
+   * 取得存取令牌識別的用戶，未登入時直接回應錯誤
+   */
+  const getRequestUser = (req, res) => {
+    const userId = req.user && req.user.userId;
+    if (!userId) {
+      res.status(401).json({ error: '請先登入' });
+      return null;
+    }
+    return userId;
+  };
+
+  /**
+   * 列出用戶的請求及私隱偏好
+   * GET /api/gdpr/requests
+   */
+  router.get('/requests', async (req, res) => {
+    try {
+      const userId = getRequestUser(req, res);
+      if (!userId) return;
+
+      const requests = await gdprService.listRequests(userId);
+      const preferences = await gdprService.getPrivacyPreferences(userId);
+      res.json({ success: true, data: { requests, preferences } });
+    } catch (error) {
+      logger.error(`取得 GDPR 請求失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 提交請求
+   * POST /api/gdpr/requests { type, details }
+   * type: access | rectification | erasure | portability | restriction | objection | withdrawal
+   */
+  router.post('/requests', async (req, res) => {
+    try {
+      const userId = getRequestUser(req, res);
+      if (!userId) return;
+
+      const { type, details } = req.body;
+      if (!type) {
+        return res.status(400).json({ error: '缺少 type 參數' });
+      }
+      const request = await gdprService.createRequest(userId, type, details);
+      logger.info(`用戶 ${userId} 提交 GDPR ${type} 請求`);
+      res.status(202).json({ success: true, data: request });
+    } catch (error) {
+      logger.error(`提交 GDPR 請求失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 取得單一請求的狀態
+   * GET /api/gdpr/requests/:requestId
+   */
+  router.get('/requests/:requestId', async (req, res) => {
+    try {
+      const userId = getRequestUser(req, res);
+      if (!userId) return;
+
+      const request = await gdprService.getRequest(userId, req.params.requestId);
+      res.json({ success: true, data: gdprService.formatRequest(request) });
+    } catch (error) {
+      logger.error(`取得 GDPR 請求失敗: ${error.message}`);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * 下載訪問或可攜性請求的匯出壓縮檔
+   * GET /api/gdpr/requests/:requestId/download
+   */
+  router.get('/requests/:requestId/download', async (req, res) => {
+    try {
+      const userId = getRequestUser(req, res);
+      if (!userId) return;
+
+      const archivePath = await gdprService.getArchive(userId, req.params.requestId);
+      logger.info(`用戶 ${userId} 下載 GDPR 匯出壓縮檔 ${req.params.requestId}`);
+      res.download(archivePath, `my-data-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (error) {
+      logger.error(`下載 GDPR 匯出壓縮檔失敗: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    }
+  });
+
+  return router;
+};
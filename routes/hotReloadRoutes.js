@@ -1,13 +1,25 @@
 const express = require('express');
+const config = require('../config');
 const { businessLogger } = require('../utils/logger');
 
 /**
  * 熱重載路由
  * 提供熱重載管理的 API 接口
+ * 重載服務會影響所有租戶，掛載時需要 authMiddleware.authenticateToken()，且只限 ADMIN_EMAILS 中的用戶
  */
 module.exports = (container) => {
   const router = express.Router();
 
+  router.use((req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: '請先登入' });
+    }
+    if (!config.admin.emails.includes(String(req.user.email || '').toLowerCase())) {
+      return res.status(403).json({ success: false, error: '只有管理員可以管理熱重載' });
+    }
+    next();
+  });
+
   /**
    * 獲取熱重載狀態
    */
@@ -0,0 +1,112 @@
+/**
+ * 內部 API 路由
+ * 只供同一主機上的工作流系統（獨立進程）呼叫，以 X-Internal-Secret 標頭驗證，不接受用戶的存取令牌
+ * 未設定 INTERNAL_API_SECRET 時所有請求都被拒絕
+ * 工作流系統負責檢查機械人綁定的用戶屬於同一租戶
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { businessLogger } = require('../utils/logger');
+
+// 本機直接連接的地址；經同一主機的反向代理轉發的外部請求帶有轉發標頭
+const isLoopback = (req) => /^(::ffff:)?127\./.test(req.socket.remoteAddress || '') || req.socket.remoteAddress === '::1';
+const isForwarded = (req) => Boolean(req.get('x-forwarded-for') || req.get('x-real-ip') || req.get('forwarded'));
+
+module.exports = (container) => {
+  const router = express.Router();
+  const whatsAppBridgeService = container.resolve('whatsAppBridgeService');
+  const logger = businessLogger;
+  const expected = config.internalApi.secret
+    ? crypto.createHash('sha256').update(config.internalApi.secret).digest()
+    : null;
+
+  if (!expected) {
+    logger.warn('未設定 INTERNAL_API_SECRET，內部 API 已停用，工作流系統無法使用主系統的 WhatsApp 客戶端');
+  }
+
+  /**
+   * 只接受本機請求，並驗證內部密鑰（比較哈希，避免以回應時間猜測密鑰）
+   */
+  router.use((req, res, next) => {
+    if (!isLoopback(req) || isForwarded(req)) {
+      logger.warn(`拒絕非本機的內部 API 請求: ${req.method} ${req.originalUrl}`, { ip: req.socket.remoteAddress });
+      return res.status(403).json({ error: '內部 API 只接受本機請求', code: 'INTERNAL_API_LOCAL_ONLY' });
+    }
+    if (!expected) {
+      return res.status(503).json({ error: '未設定 INTERNAL_API_SECRET，內部 API 已停用', code: 'INTERNAL_API_DISABLED' });
+    }
+
+    const provided = crypto.createHash('sha256').update(String(req.get('x-internal-secret') || '')).digest();
+    if (!crypto.timingSafeEqual(provided, expected)) {
+      logger.warn(`拒絕未授權的內部 API 請求: ${req.method} ${req.originalUrl}`, { ip: req.ip });
+      return res.status(401).json({ error: '未授權', code: 'INVALID_INTERNAL_SECRET' });
+    }
+    next();
+  });
+
+  const sendError = (res, error) => {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  };
+
+  /**
+   * 查詢用戶的 WhatsApp 連接狀態
+   * GET /api/internal/whatsapp/:userId/status
+   */
+  router.get('/whatsapp/:userId/status', (req, res) => {
+    res.json({ success: true, data: whatsAppBridgeService.getStatus(req.params.userId) });
+  });
+
+  /**
+   * 以用戶的客戶端發送消息
+   * POST /api/internal/whatsapp/:userId/messages { jid, payload }
+   */
+  router.post('/whatsapp/:userId/messages', async (req, res) => {
+    try {
+      const { jid, payload } = req.body;
+      const sent = await whatsAppBridgeService.sendMessage(req.params.userId, jid, payload);
+      res.json({ success: true, data: sent });
+    } catch (error) {
+      logger.error(`內部 API 發送 WhatsApp 消息失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 列出用戶參與的群組
+   * GET /api/internal/whatsapp/:userId/groups
+   */
+  router.get('/whatsapp/:userId/groups', async (req, res) => {
+    try {
+      const groups = await whatsAppBridgeService.getGroups(req.params.userId);
+      res.json({ success: true, data: groups });
+    } catch (error) {
+      logger.error(`內部 API 取得 WhatsApp 群組失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 等待新事件（long polling）
+   * GET /api/internal/whatsapp/:userId/events?cursor=12&incoming=1&wait=25000
+   */
+  router.get('/whatsapp/:userId/events', async (req, res) => {
+    try {
+      const { cursor, incoming, wait } = req.query;
+      const result = await whatsAppBridgeService.poll(req.params.userId, {
+        cursor: cursor === undefined ? null : cursor,
+        incoming: incoming === '1' || incoming === 'true',
+        wait: wait === undefined ? undefined : Math.max(0, parseInt(wait) || 0)
+      });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (error.status !== 409) {
+        logger.error(`內部 API 取得 WhatsApp 事件失敗: ${error.message}`);
+      }
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,123 @@
+/**
+ * 租戶成員路由
+ * 列出成員、邀請用戶、修改角色及移除成員
+ * 掛載時需要 authMiddleware.authenticateToken()，租戶及角色由存取令牌識別
+ */
+
+const express = require('express');
+const { businessLogger } = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
+
+module.exports = (container) => {
+  const router = express.Router();
+  const tenantMemberService = container.resolve('tenantMemberService');
+  const authMiddleware = container.resolve('authMiddleware');
+  const logger = businessLogger;
+
+  const canRead = authMiddleware.requirePermission(PERMISSIONS.MEMBERS_READ);
+  const canManage = authMiddleware.requirePermission(PERMISSIONS.MEMBERS_MANAGE);
+
+  /**
+   * 操作者及請求來源
+   */
+  const getActor = (req) => ({
+    userId: req.user.userId,
+    tenantId: req.user.tenantId,
+    role: req.user.role
+  });
+  const getClientInfo = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const sendError = (res, error) => {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  };
+
+  /**
+   * 列出租戶成員
+   * GET /api/members
+   */
+  router.get('/', canRead, async (req, res) => {
+    try {
+      const members = await tenantMemberService.listMembers(req.user.tenantId);
+      res.json({ success: true, data: { members, currentUserId: req.user.userId, role: req.user.role } });
+    } catch (error) {
+      logger.error(`取得租戶成員失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 列出尚未接受的邀請
+   * GET /api/members/invitations
+   */
+  router.get('/invitations', canManage, async (req, res) => {
+    try {
+      const invitations = await tenantMemberService.listInvitations(req.user.tenantId);
+      res.json({ success: true, data: invitations });
+    } catch (error) {
+      logger.error(`取得租戶邀請失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 邀請用戶，返回的連結只顯示一次，由邀請者轉交
+   * POST /api/members/invitations { email, role }
+   */
+  router.post('/invitations', canManage, async (req, res) => {
+    try {
+      const { invitation, token } = await tenantMemberService.createInvitation(getActor(req), req.body, getClientInfo(req));
+      const inviteUrl = `${req.protocol}://${req.get('host')}/?invite=${encodeURIComponent(token)}`;
+      res.status(201).json({ success: true, data: { ...invitation, inviteUrl } });
+    } catch (error) {
+      logger.error(`建立租戶邀請失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 撤銷邀請
+   * DELETE /api/members/invitations/:invitationId
+   */
+  router.delete('/invitations/:invitationId', canManage, async (req, res) => {
+    try {
+      await tenantMemberService.revokeInvitation(getActor(req), req.params.invitationId, getClientInfo(req));
+      res.json({ success: true });
+    } catch (error) {
+      logger.error(`撤銷租戶邀請失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 修改成員角色
+   * PUT /api/members/:memberId/role { role }
+   */
+  router.put('/:memberId/role', canManage, async (req, res) => {
+    try {
+      const result = await tenantMemberService.updateRole(getActor(req), req.params.memberId, req.body.role, getClientInfo(req));
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error(`修改成員角色失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * 移除成員
+   * DELETE /api/members/:memberId
+   */
+  router.delete('/:memberId', canManage, async (req, res) => {
+    try {
+      await tenantMemberService.removeMember(getActor(req), req.params.memberId, getClientInfo(req));
+      res.json({ success: true });
+    } catch (error) {
+      logger.error(`移除租戶成員失敗: ${error.message}`);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+};
@@ -1,13 +1,19 @@
 /**
  * 使用者路由
+ * 註冊、登入及登出為舊版 session 流程，新客戶端請使用 /api/auth；設定需要存取令牌
  */
 
 const express = require('express');
 const { businessLogger } = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
 
 module.exports = (container) => {
   const router = express.Router();
   const userController = container.resolve('userController');
+  const authMiddleware = container.resolve('authMiddleware');
+  const authenticateUser = authMiddleware.authenticateUser();
+  const canReadSettings = authMiddleware.requirePermission(PERMISSIONS.SETTINGS_READ);
+  const canWriteSettings = authMiddleware.requirePermission(PERMISSIONS.SETTINGS_WRITE);
   const logger = businessLogger;
 
   // 註冊
@@ -53,7 +59,7 @@ module.exports = (container) => {
   });
   
   // 取得設定
-  router.get('/settings', async (req, res) => {
+  router.get('/settings', authenticateUser, canReadSettings, async (req, res) => {
     try {
       const { userId } = req.query;
       await userController.getSettings(req, res);
@@ -67,7 +73,7 @@ module.exports = (container) => {
   });
   
   // 更新設定 (PUT)
-  router.put('/settings', async (req, res) => {
+  router.put('/settings', authenticateUser, canWriteSettings, async (req, res) => {
     try {
       const { userId } = req.query;
       await userController.updateSettings(req, res);
@@ -81,7 +87,7 @@ module.exports = (container) => {
   });
 
   // 更新設定 (POST) - 前端使用
-  router.post('/settings', async (req, res) => {
+  router.post('/settings', authenticateUser, canWriteSettings, async (req, res) => {
     try {
       const { userId } = req.body;
       await userController.updateSettings(req, res);
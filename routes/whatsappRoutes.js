@@ -1,24 +1,29 @@
 /**
  * WhatsApp 路由
+ * 掛載時需要 authMiddleware.authenticateUser()，userId 必須是用戶所屬的租戶
  */
 
 const express = require('express');
 const { businessLogger } = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
 
 module.exports = (container) => {
   const router = express.Router();
   const whatsappService = container.resolve('whatsAppService');
+  const authMiddleware = container.resolve('authMiddleware');
+  const canManage = authMiddleware.requirePermission(PERMISSIONS.WHATSAPP_MANAGE);
+  const canRead = authMiddleware.requirePermission(PERMISSIONS.SETTINGS_READ);
   const logger = businessLogger;
 
   // 獲取 QR 碼
-  router.get('/qr', async (req, res) => {
+  router.get('/qr', canManage, async (req, res) => {
     try {
       const { userId } = req.query;
       if (!userId) {
         return res.status(400).json({ error: '缺少 userId 參數' });
       }
       
-      const result = await whatsappService.getQRCode(userId, req.session);
+      const result = await whatsappService.getQRCode(userId, { userId: req.user.tenantId });
       
       if (result.status === 200) {
         res.json(result.data);
@@ -36,14 +41,14 @@ module.exports = (container) => {
   });
 
   // 獲取登入狀態
-  router.get('/status', async (req, res) => {
+  router.get('/status', canRead, async (req, res) => {
     try {
       const { userId } = req.query;
       if (!userId) {
         return res.status(400).json({ error: '缺少 userId 參數' });
       }
       
-      const result = await whatsappService.getLoginStatus(userId, req.session);
+      const result = await whatsappService.getLoginStatus(userId, { userId: req.user.tenantId });
       
       if (result.status === 200) {
         res.json(result.data);
@@ -61,7 +66,7 @@ module.exports = (container) => {
   });
 
   // 獲取連接狀態（詳細）
-  router.get('/connection-status', async (req, res) => {
+  router.get('/connection-status', canRead, async (req, res) => {
     try {
       const { getClients } = require('../services/whatsappConnection');
       const clients = getClients();
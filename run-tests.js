@@ -0,0 +1,47 @@
+/**
+ * 執行獨立的單元測試
+ * 逐個以子進程執行，不需要啟動服務或連接外部 API；任何一個失敗時以非零狀態結束
+ * 日誌寫到臨時目錄，執行後刪除
+ *
+ * 執行: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TESTS = [
+    'test-expression-evaluator.js',
+    'test-cron-expression.js',
+    'test-currency.js',
+    'test-ai-confidence.js',
+    'test-ai-providers.js',
+    'test-image-quality.js',
+    'test-duplicate-detection.js',
+    'test-expense-approval.js',
+    'test-tenant-roles.js',
+    'test-auth-tokens.js',
+    'test-audit-log.js',
+    'test-gdpr.js',
+    'test-telegram-connector.js'
+];
+
+const failed = [];
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-logs-'));
+const env = { ...process.env, LOG_DIR: logDir };
+
+for (const file of TESTS) {
+    console.log(`\n▶ ${file}`);
+    const result = spawnSync(process.execPath, [path.join(__dirname, file)], { cwd: __dirname, env, stdio: 'inherit' });
+    if (result.status !== 0) {
+        failed.push(file);
+    }
+}
+
+fs.rmSync(logDir, { recursive: true, force: true });
+
+console.log(failed.length === 0
+    ? `\n🎉 ${TESTS.length} 個測試文件全部通過`
+    : `\n⚠️ ${failed.length}/${TESTS.length} 個測試文件失敗: ${failed.join(', ')}`);
+process.exit(failed.length === 0 ? 0 : 1);
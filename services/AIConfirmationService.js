@@ -81,7 +81,8 @@ class AIConfirmationService {
       '店舖': '店舖名稱', '店铺': '店舖名稱', '商店': '店舖名稱', '店名': '店舖名稱',
       '日期': '日期', 'date': '日期', '時間': '日期', '时间': '日期',
       '金額': '銀碼', '金额': '銀碼', '價格': '銀碼', '价格': '銀碼', '總額': '銀碼', '银码': '銀碼',
-      '備註': '備註', '备注': '備註', '說明': '備註', '说明': '備註', 'note': '備註'
+      '備註': '備註', '备注': '備註', '說明': '備註', '说明': '備註', 'note': '備註',
+      '貨幣': 'currency', '货币': 'currency', '幣種': 'currency', 'currency': 'currency'
     };
     
     // 檢查通用映射關鍵詞是否與自定義欄位衝突
@@ -196,7 +197,7 @@ class AIConfirmationService {
         // 判斷是否為通用映射
         const isGeneric = ['店舖', '店铺', '商店', '店名', '日期', 'date', '時間', '时间', 
                           '金額', '金额', '價格', '价格', '總額', '银码', '備註', '备注', 
-                          '說明', '说明', 'note'].includes(key);
+                          '說明', '说明', 'note', '貨幣', '货币', '幣種', 'currency'].includes(key);
         
         if (isGeneric) {
           genericMatches.push([key, value]);
@@ -258,22 +259,38 @@ class AIConfirmationService {
 
   /**
    * 格式化確認訊息
+   * 提供閾值時，未修改且信心度達到閾值的欄位自動接受，只列出需要用戶確認的欄位
+   * @param {Object} options - 多張收據時的 { index, total }；按信心度確認時的 { confidence, threshold }
    */
-  formatConfirmationMessage(originalData, modifiedData, customQuestions = []) {
-    let message = '🔄 **修改確認**\n\n';
+  formatConfirmationMessage(originalData, modifiedData, customQuestions = [], options = {}) {
+    const isBatch = options.total > 1;
+    const lowFields = options.threshold !== undefined
+      ? this.findLowConfidenceFields(modifiedData, options.confidence, options.threshold)
+      : null;
     
     const changes = [];
     const unchanged = [];
+    const accepted = [];
     
     for (const [field, value] of Object.entries(modifiedData)) {
       const originalValue = originalData[field];
       if (originalValue !== value) {
         changes.push(`${field}: ~~${originalValue}~~ → **${value}**`);
+      } else if (lowFields && !lowFields.includes(field)) {
+        accepted.push(field);
+      } else if (lowFields) {
+        const score = options.confidence && options.confidence.fields[field];
+        unchanged.push(`${field}: ${value || '未知'}${score !== undefined ? `（信心度 ${Math.round(score * 100)}%）` : ''}`);
       } else {
         unchanged.push(`${field}: ${value}`);
       }
     }
     
+    const title = lowFields && changes.length === 0 ? '🔍 **請確認 AI 識別結果' : '🔄 **修改確認';
+    let message = isBatch
+      ? `${title}（收據 ${options.index + 1}/${options.total}）**\n\n`
+      : `${title}**\n\n`;
+    
     if (changes.length > 0) {
       message += '**已修改的欄位：**\n';
       changes.forEach(change => message += `• ${change}\n`);
@@ -281,17 +298,173 @@ class AIConfirmationService {
     }
     
     if (unchanged.length > 0) {
-      message += '**未修改的欄位：**\n';
+      message += lowFields ? '**AI 不確定的欄位：**\n' : '**未修改的欄位：**\n';
       unchanged.forEach(item => message += `• ${item}\n`);
     }
     
+    if (accepted.length > 0) {
+      message += `${unchanged.length > 0 ? '\n' : ''}✅ 已自動接受 ${accepted.length} 個信心度高的欄位：${accepted.join('、')}\n`;
+    }
+    
     message += '\n📋 **請確認最終結果：**\n';
-    message += '✅ 回覆「確認」上傳修改後的資料\n';
-    message += '✏️ 或繼續修改其他欄位\n';
+    if (isBatch) {
+      message += `✅ 回覆「確認」上傳全部 ${options.total} 張收據\n`;
+    } else {
+      message += changes.length > 0 ? '✅ 回覆「確認」上傳修改後的資料\n' : '✅ 回覆「確認」直接上傳\n';
+    }
+    message += lowFields && changes.length === 0
+      ? '✏️ 或發送需要更正的欄位，例如「欄位: 正確的值」\n'
+      : '✏️ 或繼續修改其他欄位\n';
     message += '❌ 回覆「取消」放棄記錄';
     
     return message;
   }
+
+  /**
+   * 找出需要用戶確認的欄位：信心度低於閾值的欄位；沒有信心度或整張收據的信心度低於閾值時為所有欄位
+   * @param {Object} receipt - 收據的欄位值
+   * @param {Object|null} confidence - 識別返回的 { fields, document }
+   * @param {number} threshold - 用戶的 aiConfidenceThreshold
+   * @returns {Array<string>}
+   */
+  findLowConfidenceFields(receipt, confidence, threshold = 0.8) {
+    const fields = Object.keys(receipt);
+    if (!confidence || !confidence.fields || !(confidence.document >= threshold)) {
+      return fields;
+    }
+    return fields.filter(field => !(confidence.fields[field] >= threshold));
+  }
+
+  /**
+   * 把用戶修改過的欄位標記為已確認
+   * @param {Object|null} confidence - { fields, document }
+   * @param {Array<string>} fields - 已確認的欄位
+   * @returns {Object|null}
+   */
+  confirmFields(confidence, fields) {
+    if (!confidence) return confidence;
+    const confirmed = { ...confidence.fields };
+    fields.forEach(field => {
+      confirmed[field] = 1;
+    });
+    return { ...confidence, fields: confirmed };
+  }
+
+  /**
+   * 格式化識別到的收據列表
+   * @param {Array<Object>} receipts - 每張收據的欄位值
+   * @param {Object} options - { confidences, threshold }，提供時以 ⚠️ 標示需要確認的欄位
+   * @returns {string}
+   */
+  formatReceiptList(receipts, options = {}) {
+    const formatFields = (receipt, index) => {
+      const lowFields = options.confidences
+        ? this.findLowConfidenceFields(receipt, options.confidences[index], options.threshold)
+        : [];
+      return Object.entries(receipt)
+        .map(([field, value]) => `${field}: ${value || '未知'}${lowFields.includes(field) ? ' ⚠️' : ''}\n`)
+        .join('');
+    };
+
+    if (receipts.length === 1) {
+      return '🤖 **AI 識別結果**\n\n' + formatFields(receipts[0], 0);
+    }
+
+    let message = `🤖 **AI 識別到 ${receipts.length} 張收據**\n`;
+    receipts.forEach((receipt, index) => {
+      message += `\n🧾 **收據 ${index + 1}**\n`;
+      message += formatFields(receipt, index);
+    });
+    if (options.confidences) {
+      message += '\n⚠️ 表示 AI 不確定的欄位，請特別檢查';
+    }
+    return message;
+  }
+
+  /**
+   * 格式化確認請求
+   * @param {number} count - 收據數量
+   * @returns {string}
+   */
+  formatConfirmationRequest(count) {
+    if (count === 1) {
+      return `📝 **請確認或修改**\n\n` +
+        `請檢查以上識別結果是否正確：\n\n` +
+        `✅ 回覆「確認」直接上傳\n` +
+        `✏️ 或直接復製上方結果並修改後發送\n` +
+        `❌ 回覆「取消」放棄此次記錄`;
+    }
+
+    return `📝 **請確認或修改**\n\n` +
+      `請檢查以上 ${count} 張收據是否正確：\n\n` +
+      `✅ 回覆「確認」分別保存為 ${count} 筆記錄\n` +
+      `🔗 回覆「合併」合併為一筆記錄（例如同一張收據的多頁）\n` +
+      `✏️ 修改時請以「收據 N」開頭，例如：\n收據 2\n銀碼: 85.50\n` +
+      `❌ 回覆「取消」放棄此次記錄`;
+  }
+
+  /**
+   * 解析修改內容針對的收據
+   * 支援「收據 2」、「第2張」、「#2」開頭
+   * @param {string} userInput - 用戶訊息
+   * @param {number} count - 收據數量
+   * @returns {Object} { index, input }，多張收據但沒有指明時 index 為 null
+   */
+  parseReceiptSelector(userInput, count) {
+    const match = userInput.match(/^\s*(?:收據|收据|receipt|第|#)\s*(\d{1,2})\s*(?:張|张)?\s*[:：\n]?/i);
+    if (match) {
+      const index = parseInt(match[1], 10) - 1;
+      if (index >= 0 && index < count) {
+        return { index, input: userInput.slice(match[0].length).trim() };
+      }
+      return { index: null, input: userInput };
+    }
+    return { index: count === 1 ? 0 : null, input: userInput };
+  }
+
+  /**
+   * 把多張收據合併為一筆記錄：金額欄位相加，其他欄位保留不重複的值
+   * @param {Array<Object>} receipts - 每張收據的欄位值
+   * @param {Array<Object>} customQuestions - 用戶的自訂問題
+   * @returns {Object}
+   */
+  mergeReceipts(receipts, customQuestions = []) {
+    const fields = [];
+    receipts.forEach(receipt => {
+      Object.keys(receipt).forEach(field => {
+        if (!fields.includes(field)) fields.push(field);
+      });
+    });
+
+    const amountFields = new Set(fields.filter(field => this.isAmountField(field, customQuestions)));
+    const merged = {};
+
+    for (const field of fields) {
+      const values = receipts
+        .map(receipt => receipt[field])
+        .filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+
+      if (amountFields.has(field) && values.length > 0 && values.every(value => !isNaN(parseFloat(value)))) {
+        const total = values.reduce((sum, value) => sum + parseFloat(value), 0);
+        merged[field] = total.toFixed(2);
+      } else {
+        merged[field] = [...new Set(values.map(value => String(value).trim()))].join(' / ');
+      }
+    }
+
+    this.logger.info(`已合併 ${receipts.length} 張收據：${JSON.stringify(merged)}`);
+    return merged;
+  }
+
+  /**
+   * 判斷欄位是否為金額
+   */
+  isAmountField(field, customQuestions = []) {
+    const question = customQuestions.find(q => q.field === field);
+    const text = `${field} ${question ? question.question : ''}`.toLowerCase();
+    return ['amount', 'total', 'price', '金額', '金额', '銀碼', '银码', '總額', '总额', '價格', '价格']
+      .some(keyword => text.includes(keyword));
+  }
 }
 
-module.exports = AIConfirmationService; 
\ No newline at end of file
+module.exports = AIConfirmationService; 
\ No newline at end of file
@@ -3,8 +3,38 @@
  * 實現安全事件的記錄、查詢和分析功能
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { businessLogger } = require('../utils/logger');
 const { encryptionService } = require('../utils/encryption');
+const config = require('../config');
+
+// 哈希鏈第一條記錄的上一個哈希
+const GENESIS_HASH = '0'.repeat(64);
+
+// 計算哈希時的欄位順序，匯出時一併提供以便獨立驗證
+const CHAIN_FIELDS = [
+  'id', 'timestamp', 'event_type', 'user_id', 'tenant_id', 'ip_address', 'user_agent', 'action',
+  'resource', 'details', 'risk_level', 'status', 'metadata', 'chain_seq', 'prev_hash'
+];
+
+// 可排序的欄位 → 資料表欄位
+const SORT_COLUMNS = {
+  timestamp: 'timestamp',
+  eventType: 'event_type',
+  userId: 'user_id',
+  tenantId: 'tenant_id',
+  riskLevel: 'risk_level',
+  status: 'status',
+  chainSeq: 'chain_seq'
+};
+
+// 匯出 CSV 的欄位
+const EXPORT_COLUMNS = [
+  'chainSeq', 'id', 'timestamp', 'eventType', 'userId', 'tenantId', 'ipAddress', 'userAgent', 'action',
+  'resource', 'riskLevel', 'status', 'details', 'metadata', 'prevHash', 'hash', 'signature', 'redactedAt'
+];
 
 class AuditService {
   constructor(container) {
@@ -47,6 +77,11 @@ class AuditService {
       DATA_DELETE: 'data_delete',
       DATA_EXPORT: 'data_export',
       
+      // 費用審批
+      EXPENSE_APPROVAL_REQUEST: 'expense_approval_request',
+      EXPENSE_APPROVE: 'expense_approve',
+      EXPENSE_REJECT: 'expense_reject',
+      
       // 系統操作
       SYSTEM_CONFIG_CHANGE: 'system_config_change',
       SYSTEM_BACKUP: 'system_backup',
@@ -71,6 +106,12 @@ class AuditService {
       HIGH: 'high',
       CRITICAL: 'critical'
     };
+
+    // 哈希鏈：逐條寫入，確保每條記錄都連接到上一條
+    this.chainQueue = Promise.resolve();
+    this.chainReady = null;
+    this.memoryChainTail = null;
+    this.signingKeys = null;
   }
 
   /**
@@ -107,33 +148,8 @@ class AuditService {
         auditEvent.details.token = '[REDACTED]';
       }
 
-      if (this.database) {
-        // 使用數據庫存儲
-        await this.database.query(
-          `INSERT INTO audit_logs (
-            id, timestamp, event_type, user_id, tenant_id, ip_address, 
-            user_agent, action, resource, details, risk_level, status, metadata
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            auditEvent.id,
-            auditEvent.timestamp,
-            auditEvent.eventType,
-            auditEvent.userId,
-            auditEvent.tenantId,
-            auditEvent.ipAddress,
-            auditEvent.userAgent,
-            auditEvent.action,
-            auditEvent.resource,
-            JSON.stringify(auditEvent.details),
-            auditEvent.riskLevel,
-            auditEvent.status,
-            JSON.stringify(auditEvent.metadata)
-          ]
-        );
-      } else {
-        // 使用內存存儲
-        this.auditLogs.set(auditEvent.id, auditEvent);
-      }
+      // 加入哈希鏈並保存
+      await this.appendToChain(auditEvent);
 
       // 記錄到日誌系統
       this.logger.info('審計事件記錄', {
@@ -288,116 +304,38 @@ class AuditService {
 
   /**
    * 查詢審計日誌
+   * @param {Object} filters - startDate、endDate、eventType、userId、tenantId、riskLevel、status、limit、offset
+   * @param {Object} options - sortBy（timestamp、eventType、userId、tenantId、riskLevel、status、chainSeq）及 sortOrder
    */
   async queryAuditLogs(filters = {}, options = {}) {
     try {
       const {
-        startDate,
-        endDate,
-        eventType,
-        userId,
-        tenantId,
-        riskLevel,
-        status,
         limit = 100,
         offset = 0
       } = filters;
 
-      const {
-        sortBy = 'timestamp',
-        sortOrder = 'DESC'
-      } = options;
+      const sortBy = SORT_COLUMNS[options.sortBy] ? options.sortBy : 'timestamp';
+      const sortOrder = String(options.sortOrder || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
       if (this.database) {
-        // 構建查詢條件
-        let whereClause = 'WHERE 1=1';
-        const params = [];
-
-        if (startDate) {
-          whereClause += ' AND timestamp >= ?';
-          params.push(startDate);
-        }
-
-        if (endDate) {
-          whereClause += ' AND timestamp <= ?';
-          params.push(endDate);
-        }
-
-        if (eventType) {
-          whereClause += ' AND event_type = ?';
-          params.push(eventType);
-        }
-
-        if (userId) {
-          whereClause += ' AND user_id = ?';
-          params.push(userId);
-        }
-
-        if (tenantId) {
-          whereClause += ' AND tenant_id = ?';
-          params.push(tenantId);
-        }
-
-        if (riskLevel) {
-          whereClause += ' AND risk_level = ?';
-          params.push(riskLevel);
-        }
-
-        if (status) {
-          whereClause += ' AND status = ?';
-          params.push(status);
-        }
+        await this.ensureChainColumns();
+        const { whereClause, params } = this.buildWhereClause(filters);
 
         // 執行查詢
         const query = `
           SELECT * FROM audit_logs 
           ${whereClause}
-          ORDER BY ${sortBy} ${sortOrder}
+          ORDER BY ${SORT_COLUMNS[sortBy]} ${sortOrder}
           LIMIT ? OFFSET ?
         `;
 
         params.push(limit, offset);
 
         const results = await this.database.query(query, params);
-
-        // 解析 JSON 字段
-        return results.map(row => ({
-          ...row,
-          details: JSON.parse(row.details || '{}'),
-          metadata: JSON.parse(row.metadata || '{}')
-        }));
+        return results.map(row => this.formatRow(row));
       } else {
         // 使用內存存儲查詢
-        let logs = Array.from(this.auditLogs.values());
-
-        // 應用過濾器
-        if (startDate) {
-          logs = logs.filter(log => log.timestamp >= startDate);
-        }
-
-        if (endDate) {
-          logs = logs.filter(log => log.timestamp <= endDate);
-        }
-
-        if (eventType) {
-          logs = logs.filter(log => log.eventType === eventType);
-        }
-
-        if (userId) {
-          logs = logs.filter(log => log.userId === userId);
-        }
-
-        if (tenantId) {
-          logs = logs.filter(log => log.tenantId === tenantId);
-        }
-
-        if (riskLevel) {
-          logs = logs.filter(log => log.riskLevel === riskLevel);
-        }
-
-        if (status) {
-          logs = logs.filter(log => log.status === status);
-        }
+        const logs = this.filterMemoryLogs(filters);
 
         // 排序
         logs.sort((a, b) => {
@@ -423,12 +361,437 @@ class AuditService {
     }
   }
 
+  /**
+   * 統計符合條件的審計日誌數量（用於分頁）
+   * @param {Object} filters - 與 queryAuditLogs 相同的篩選條件
+   * @returns {Promise<number>}
+   */
+  async countAuditLogs(filters = {}) {
+    if (this.database) {
+      const { whereClause, params } = this.buildWhereClause(filters);
+      const rows = await this.database.query(`SELECT COUNT(*) AS total FROM audit_logs ${whereClause}`, params);
+      return rows[0] ? rows[0].total : 0;
+    }
+    return this.filterMemoryLogs(filters).length;
+  }
+
+  /**
+   * 構建查詢條件
+   * @param {Object} filters - 篩選條件
+   * @returns {Object} { whereClause, params }
+   */
+  buildWhereClause(filters) {
+    const columns = {
+      eventType: 'event_type',
+      userId: 'user_id',
+      tenantId: 'tenant_id',
+      riskLevel: 'risk_level',
+      status: 'status'
+    };
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (filters.startDate) {
+      whereClause += ' AND timestamp >= ?';
+      params.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+      whereClause += ' AND timestamp <= ?';
+      params.push(filters.endDate);
+    }
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (filters[key]) {
+        whereClause += ` AND ${column} = ?`;
+        params.push(filters[key]);
+      }
+    }
+
+    return { whereClause, params };
+  }
+
+  /**
+   * 按條件篩選內存中的審計日誌
+   * @param {Object} filters - 篩選條件
+   * @returns {Array}
+   */
+  filterMemoryLogs(filters) {
+    const { startDate, endDate } = filters;
+    return Array.from(this.auditLogs.values()).filter(log =>
+      (!startDate || log.timestamp >= startDate) &&
+      (!endDate || log.timestamp <= endDate) &&
+      ['eventType', 'userId', 'tenantId', 'riskLevel', 'status'].every(key => !filters[key] || log[key] === filters[key])
+    );
+  }
+
+  /**
+   * 把資料表的行轉換為與內存存儲相同的格式
+   * @param {Object} row - audit_logs 行
+   * @returns {Object}
+   */
+  formatRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      eventType: row.event_type,
+      userId: row.user_id,
+      tenantId: row.tenant_id,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      action: row.action,
+      resource: row.resource,
+      details: JSON.parse(row.details || '{}'),
+      riskLevel: row.risk_level,
+      status: row.status,
+      metadata: JSON.parse(row.metadata || '{}'),
+      chainSeq: row.chain_seq ?? null,
+      prevHash: row.prev_hash || null,
+      hash: row.hash || null,
+      signature: row.signature || null,
+      redactedAt: row.redacted_at || null
+    };
+  }
+
+  /**
+   * 把審計事件轉換為資料表的行（details 及 metadata 為 JSON 字串）
+   * @param {Object} event - 審計事件
+   * @returns {Object}
+   */
+  toRow(event) {
+    return {
+      id: event.id,
+      timestamp: event.timestamp,
+      event_type: event.eventType,
+      user_id: event.userId,
+      tenant_id: event.tenantId,
+      ip_address: event.ipAddress ?? null,
+      user_agent: event.userAgent ?? null,
+      action: event.action ?? null,
+      resource: event.resource ?? null,
+      details: JSON.stringify(event.details || {}),
+      risk_level: event.riskLevel,
+      status: event.status,
+      metadata: JSON.stringify(event.metadata || {}),
+      chain_seq: event.chainSeq ?? null,
+      prev_hash: event.prevHash ?? null,
+      hash: event.hash ?? null,
+      signature: event.signature ?? null,
+      redacted_at: event.redactedAt ?? null
+    };
+  }
+
+  /**
+   * 為舊的 audit_logs 表加入哈希鏈欄位（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureChainColumns() {
+    if (!this.chainReady) {
+      this.chainReady = (async () => {
+        for (const column of ['chain_seq INTEGER', 'prev_hash TEXT', 'hash TEXT', 'signature TEXT', 'redacted_at TEXT']) {
+          try {
+            await this.database.run(`ALTER TABLE audit_logs ADD COLUMN ${column}`);
+          } catch (err) {
+            if (!/duplicate column/i.test(err.message)) throw err;
+          }
+        }
+        await this.database.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_chain ON audit_logs (chain_seq)');
+      })().catch(err => {
+        this.chainReady = null;
+        throw err;
+      });
+    }
+    return this.chainReady;
+  }
+
+  /**
+   * 取得簽名密鑰，密鑰文件不存在時生成新的 ECDSA P-256 密鑰
+   * @returns {Object} { privateKey, publicKey, keyId }
+   */
+  getSigningKeys() {
+    if (!this.signingKeys) {
+      const keyFile = config.audit.signingKeyFile;
+      if (!fs.existsSync(keyFile)) {
+        const { privateKey } = crypto.generateKeyPairSync('ec', {
+          namedCurve: 'prime256v1',
+          privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+          publicKeyEncoding: { type: 'spki', format: 'pem' }
+        });
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        try {
+          fs.writeFileSync(keyFile, privateKey, { mode: 0o600, flag: 'wx' });
+          this.logger.warn(`未找到審計日誌簽名密鑰，已生成新密鑰：${keyFile}`);
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+
+      const privateKey = fs.readFileSync(keyFile, 'utf8');
+      const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+      this.signingKeys = {
+        privateKey,
+        publicKey,
+        keyId: crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 16)
+      };
+    }
+    return this.signingKeys;
+  }
+
+  /**
+   * 計算記錄的哈希：按 CHAIN_FIELDS 的順序序列化，包括序號及上一條記錄的哈希
+   * @param {Object} row - audit_logs 行
+   * @returns {string} SHA-256 十六進制
+   */
+  hashRow(row) {
+    const payload = JSON.stringify(CHAIN_FIELDS.map(field => row[field] ?? null));
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * 取得哈希鏈最後一條記錄的序號及哈希
+   * @returns {Promise<Object>} { seq, hash }
+   */
+  async getChainTail() {
+    if (!this.database) {
+      return this.memoryChainTail || { seq: 0, hash: GENESIS_HASH };
+    }
+    const rows = await this.database.query(
+      'SELECT chain_seq, hash FROM audit_logs WHERE chain_seq IS NOT NULL ORDER BY chain_seq DESC LIMIT 1'
+    );
+    return rows[0] ? { seq: rows[0].chain_seq, hash: rows[0].hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * 把事件連接到哈希鏈末端、簽名並保存
+   * @param {Object} auditEvent - 審計事件，會加上 chainSeq、prevHash、hash 及 signature
+   * @returns {Promise<void>}
+   */
+  async appendToChain(auditEvent) {
+    const append = this.chainQueue.then(async () => {
+      if (this.database) {
+        await this.ensureChainColumns();
+      }
+      const { privateKey } = this.getSigningKeys();
+
+      for (let attempt = 1; ; attempt++) {
+        const tail = await this.getChainTail();
+        auditEvent.chainSeq = tail.seq + 1;
+        auditEvent.prevHash = tail.hash;
+        const row = this.toRow(auditEvent);
+        auditEvent.hash = row.hash = this.hashRow(row);
+        auditEvent.signature = row.signature = encryptionService.signData(row.hash, privateKey);
+
+        if (!this.database) {
+          // 使用內存存儲
+          this.auditLogs.set(auditEvent.id, auditEvent);
+          this.memoryChainTail = { seq: auditEvent.chainSeq, hash: auditEvent.hash };
+          return;
+        }
+
+        try {
+          // 使用數據庫存儲
+          await this.database.run(
+            `INSERT INTO audit_logs (${CHAIN_FIELDS.join(', ')}, hash, signature)
+             VALUES (${CHAIN_FIELDS.map(() => '?').join(', ')}, ?, ?)`,
+            [...CHAIN_FIELDS.map(field => row[field]), row.hash, row.signature]
+          );
+          return;
+        } catch (error) {
+          // 另一個進程同時寫入了相同的序號，重新讀取鏈尾後再試
+          if (attempt >= 3 || !/UNIQUE constraint failed: audit_logs.chain_seq/i.test(error.message)) {
+            throw error;
+          }
+        }
+      }
+    });
+    this.chainQueue = append.catch(() => {});
+    return append;
+  }
+
+  /**
+   * 逐批讀取哈希鏈上的記錄（按序號）
+   * @param {Object} filters - startDate、endDate
+   */
+  async *iterateChain(filters = {}) {
+    if (!this.database) {
+      const logs = this.filterMemoryLogs({ startDate: filters.startDate, endDate: filters.endDate })
+        .filter(log => log.chainSeq)
+        .sort((a, b) => a.chainSeq - b.chainSeq);
+      for (const log of logs) {
+        yield this.toRow(log);
+      }
+      return;
+    }
+
+    await this.ensureChainColumns();
+    const { whereClause, params } = this.buildWhereClause({ startDate: filters.startDate, endDate: filters.endDate });
+    let lastSeq = 0;
+    for (;;) {
+      const rows = await this.database.query(
+        `SELECT * FROM audit_logs ${whereClause} AND chain_seq > ? ORDER BY chain_seq ASC LIMIT ?`,
+        [...params, lastSeq, config.audit.verifyBatchSize]
+      );
+      for (const row of rows) {
+        yield row;
+      }
+      if (rows.length < config.audit.verifyBatchSize) return;
+      lastSeq = rows[rows.length - 1].chain_seq;
+    }
+  }
+
+  /**
+   * 驗證哈希鏈：重新計算每條記錄的哈希、檢查簽名及與上一條記錄的連接
+   * 已遮蔽的記錄（GDPR 刪除）無法重新計算哈希，只檢查簽名及連接
+   * @param {Object} filters - startDate、endDate，範圍內第一條記錄視為起點
+   * @returns {Promise<Object>} { valid, checked, redacted, unchained, firstSeq, lastSeq, failures }
+   */
+  async verifyChain(filters = {}) {
+    const { publicKey, keyId } = this.getSigningKeys();
+    const result = {
+      valid: true,
+      keyId,
+      checked: 0,
+      redacted: 0,
+      unchained: 0,
+      firstSeq: null,
+      lastSeq: null,
+      failures: []
+    };
+    const fail = (row, reason) => {
+      result.valid = false;
+      if (result.failures.length < 100) {
+        result.failures.push({ id: row.id, chainSeq: row.chain_seq, timestamp: row.timestamp, reason });
+      }
+    };
+
+    let previous = null;
+    for await (const row of this.iterateChain(filters)) {
+      result.checked++;
+      if (result.firstSeq === null) result.firstSeq = row.chain_seq;
+      result.lastSeq = row.chain_seq;
+
+      if (row.redacted_at) {
+        result.redacted++;
+      } else if (this.hashRow(row) !== row.hash) {
+        fail(row, 'hash_mismatch');
+      }
+
+      if (!encryptionService.verifySignature(row.hash, row.signature, publicKey)) {
+        fail(row, 'invalid_signature');
+      }
+
+      if (previous && row.chain_seq !== previous.chain_seq + 1) {
+        fail(row, 'missing_entries');
+      } else if (previous ? row.prev_hash !== previous.hash : row.chain_seq === 1 && row.prev_hash !== GENESIS_HASH) {
+        fail(row, 'broken_link');
+      }
+      previous = row;
+    }
+
+    // 啟用哈希鏈前的舊記錄
+    if (this.database) {
+      const { whereClause, params } = this.buildWhereClause(filters);
+      const rows = await this.database.query(
+        `SELECT COUNT(*) AS total FROM audit_logs ${whereClause} AND chain_seq IS NULL`,
+        params
+      );
+      result.unchained = rows[0] ? rows[0].total : 0;
+    }
+
+    this.logger.info('審計日誌哈希鏈驗證完成', {
+      valid: result.valid,
+      checked: result.checked,
+      failures: result.failures.length
+    });
+    return result;
+  }
+
+  /**
+   * 遮蔽用戶的審計日誌（GDPR 刪除）
+   * 刪除記錄會令哈希鏈斷開，改為清除 IP、瀏覽器及詳情並標記遮蔽時間
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - removeUserId: 同時把用戶ID替換為 redacted
+   * @returns {Promise<number>} 遮蔽的記錄數量
+   */
+  async redactUserEntries(userId, options = {}) {
+    const { removeUserId = false } = options;
+    const redactedAt = new Date().toISOString();
+
+    if (this.database) {
+      await this.ensureChainColumns();
+      const { changes } = await this.database.run(
+        `UPDATE audit_logs SET ip_address = NULL, user_agent = NULL, details = '{}', redacted_at = ?
+         ${removeUserId ? ", user_id = 'redacted'" : ''} WHERE user_id = ?`,
+        [redactedAt, userId]
+      );
+      return changes;
+    }
+
+    let count = 0;
+    for (const log of this.auditLogs.values()) {
+      if (log.userId !== userId) continue;
+      Object.assign(log, { ipAddress: null, userAgent: null, details: {}, redactedAt });
+      if (removeUserId) log.userId = 'redacted';
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * 匯出審計日誌（按序號排列），JSON 格式附帶驗證所需的公鑰及欄位順序
+   * @param {Object} filters - 與 queryAuditLogs 相同的篩選條件
+   * @param {string} format - json 或 csv
+   * @returns {Promise<Object>} { body, count, truncated }
+   */
+  async exportAuditLogs(filters = {}, format = 'json') {
+    const maxRows = config.audit.maxExportRows;
+    const logs = await this.queryAuditLogs(
+      { ...filters, limit: maxRows + 1, offset: 0 },
+      { sortBy: 'chainSeq', sortOrder: 'ASC' }
+    );
+    const truncated = logs.length > maxRows;
+    const entries = logs.slice(0, maxRows);
+
+    if (format === 'csv') {
+      const toCell = (value) => {
+        const text = value === null || value === undefined
+          ? ''
+          : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const lines = [
+        EXPORT_COLUMNS.join(','),
+        ...entries.map(entry => EXPORT_COLUMNS.map(column => toCell(entry[column])).join(','))
+      ];
+      return { body: lines.join('\r\n'), count: entries.length, truncated };
+    }
+
+    const { publicKey, keyId } = this.getSigningKeys();
+    const body = JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      filters,
+      count: entries.length,
+      truncated,
+      signing: {
+        algorithm: 'ECDSA P-256 / SHA-256',
+        keyId,
+        publicKey,
+        genesisHash: GENESIS_HASH,
+        hashAlgorithm: 'SHA-256',
+        hashInput: `JSON.stringify([${CHAIN_FIELDS.join(', ')}])`,
+        signedData: 'hash'
+      },
+      entries
+    }, null, 2);
+    return { body, count: entries.length, truncated };
+  }
+
   /**
    * 獲取審計統計信息
    */
   async getAuditStats(filters = {}) {
     try {
-      const logs = await this.queryAuditLogs(filters, { limit: 10000 });
+      const logs = await this.queryAuditLogs({ ...filters, limit: 10000 });
 
       const stats = {
         totalEvents: logs.length,
@@ -0,0 +1,344 @@
+/**
+ * 聊天設定服務
+ * 讓群組管理員在 WhatsApp 中查看及修改配置：
+ *   「設定」                         - 查看目前設定
+ *   「設定 AI 開/關」                 - 啟用或停用 AI 識別
+ *   「設定 信心度 0.8」               - AI 可信度閾值
+ *   「設定 群組 名稱」                - 目標群組名稱
+ *   「設定 貨幣 HKD」                 - 基礎貨幣，統計時其他貨幣按匯率換算
+ *   「設定 問題 新增 欄位 問題」       - 新增自訂問題（「刪除 欄位」移除）
+ *   「設定 發票 開/關」               - PDF 發票，另可設定 抬頭/前綴/頁尾/公司/地址/電話
+ *
+ * 修改經 userService.updateUserSettings 保存，與 PUT /settings 使用相同的驗證及重新載入流程。
+ */
+
+const { businessLogger } = require('../utils/logger');
+const UserService = require('./userService');
+
+const SETTINGS_PREFIX = /^(?:設定|設置|配置|settings?|config)(?:\s+|$)/i;
+const ON_VALUES = ['開', '开', '啟用', '启用', 'on', 'enable', 'true', '1'];
+const OFF_VALUES = ['關', '关', '停用', '關閉', '关闭', 'off', 'disable', 'false', '0'];
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+// 發票相關的文字設定
+const INVOICE_FIELDS = {
+  抬頭: 'invoiceTitle',
+  title: 'invoiceTitle',
+  前綴: 'invoiceNumberPrefix',
+  prefix: 'invoiceNumberPrefix',
+  頁尾: 'invoiceFooter',
+  footer: 'invoiceFooter',
+  公司: 'companyName',
+  company: 'companyName',
+  地址: 'companyAddress',
+  address: 'companyAddress',
+  電話: 'companyPhone',
+  phone: 'companyPhone'
+};
+
+const FIELD_LABELS = {
+  enableAI: 'AI 識別',
+  aiConfidenceThreshold: 'AI 信心度',
+  groupName: '群組名稱',
+  baseCurrency: '基礎貨幣',
+  customQuestions: '自訂問題',
+  enablePdf: 'PDF 發票',
+  invoiceTitle: '發票抬頭',
+  invoiceNumberPrefix: '發票編號前綴',
+  invoiceFooter: '發票頁尾',
+  companyName: '公司名稱',
+  companyAddress: '公司地址',
+  companyPhone: '公司電話'
+};
+
+class ChatSettingsService {
+  constructor() {
+    this.userService = new UserService();
+    businessLogger.info('聊天設定服務已初始化');
+  }
+
+  /**
+   * 解析設定指令
+   * @param {string} text - 訊息原文（設定值保留大小寫）
+   * @returns {Object|null} { action: 'show' | 'update', key, args, rawArgs }
+   */
+  parseCommand(text) {
+    if (!text || typeof text !== 'string') return null;
+    const input = text.trim();
+    if (!SETTINGS_PREFIX.test(input)) return null;
+
+    const rest = input.replace(SETTINGS_PREFIX, '').trim();
+    if (rest === '') {
+      return { action: 'show' };
+    }
+
+    const [key, ...args] = rest.split(/\s+/);
+    return { action: 'update', key: key.toLowerCase(), args, rawArgs: rest.slice(key.length).trim() };
+  }
+
+  /**
+   * 把設定指令轉換為 updateUserSettings 的參數
+   * @param {Object} command - parseCommand 的結果
+   * @param {Object} user - 目前設定（getUserById 的結果）
+   * @returns {Object} { changes } 或 { error }
+   */
+  buildChanges(command, user) {
+    const { key, args, rawArgs } = command;
+
+    switch (key) {
+      case 'ai': {
+        const enabled = this.parseSwitch(args[0]);
+        if (enabled === null) return { error: '請輸入「設定 AI 開」或「設定 AI 關」。' };
+        return { changes: { enableAI: enabled } };
+      }
+
+      case '信心度':
+      case '可信度':
+      case 'threshold': {
+        const value = Number(args[0]);
+        if (args[0] === undefined || !Number.isFinite(value)) {
+          return { error: '請輸入 0 到 1 之間的數字，例如「設定 信心度 0.8」。' };
+        }
+        return { changes: { aiConfidenceThreshold: value } };
+      }
+
+      case '群組':
+      case 'group':
+        if (!rawArgs) return { error: '請輸入群組名稱，例如「設定 群組 公司報銷」。' };
+        return { changes: { groupName: rawArgs } };
+
+      case '貨幣':
+      case '货币':
+      case 'currency':
+        if (!args[0]) return { error: '請輸入貨幣代碼，例如「設定 貨幣 HKD」。' };
+        return { changes: { baseCurrency: args[0].toUpperCase() } };
+
+      case '問題':
+      case 'question':
+      case 'questions':
+        return this.buildQuestionChanges(args, user);
+
+      case '發票':
+      case 'invoice':
+        return this.buildInvoiceChanges(args);
+
+      default:
+        return { error: `不支援的設定「${key}」。\n\n${this.formatUsage()}` };
+    }
+  }
+
+  buildQuestionChanges(args, user) {
+    const [operation, field, ...words] = args;
+    const questions = user.customQuestions || [];
+
+    if (['新增', '添加', 'add'].includes(operation)) {
+      const question = words.join(' ');
+      if (!field || !question) {
+        return { error: '請輸入「設定 問題 新增 欄位 問題內容」。' };
+      }
+      if (questions.some(q => q.field.toLowerCase() === field.toLowerCase())) {
+        return { error: `欄位「${field}」已有問題，請先刪除再新增。` };
+      }
+      return { changes: { customQuestions: [...questions, { question, field, prompts: '' }] } };
+    }
+
+    if (['刪除', '删除', '移除', 'remove', 'delete'].includes(operation)) {
+      if (!field) return { error: '請輸入「設定 問題 刪除 欄位」。' };
+      const remaining = questions.filter(q => q.field.toLowerCase() !== field.toLowerCase());
+      if (remaining.length === questions.length) {
+        return { error: `找不到欄位「${field}」的問題。` };
+      }
+      return { changes: { customQuestions: remaining } };
+    }
+
+    return { error: '請輸入「設定 問題 新增 欄位 問題內容」或「設定 問題 刪除 欄位」。' };
+  }
+
+  buildInvoiceChanges(args) {
+    const [option, ...words] = args;
+
+    const enabled = this.parseSwitch(option);
+    if (enabled !== null) {
+      return { changes: { enablePdf: enabled } };
+    }
+
+    const field = option && INVOICE_FIELDS[option.toLowerCase()];
+    if (!field) {
+      return { error: '請輸入「設定 發票 開/關」或「設定 發票 抬頭/前綴/頁尾/公司/地址/電話 內容」。' };
+    }
+    return { changes: { [field]: words.join(' ') } };
+  }
+
+  parseSwitch(value) {
+    if (!value) return null;
+    const normalized = value.toLowerCase();
+    if (ON_VALUES.includes(normalized)) return true;
+    if (OFF_VALUES.includes(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * 檢查發送者是否有權修改設定：帳號本人或群組管理員
+   * @param {Object} sender - { id, fromMe, participants }
+   * @returns {boolean}
+   */
+  isAuthorized(sender = {}) {
+    if (sender.fromMe) return true;
+    if (!sender.id || !Array.isArray(sender.participants)) return false;
+
+    const participant = sender.participants.find(p => p.id === sender.id);
+    return Boolean(participant && ADMIN_ROLES.includes(participant.admin));
+  }
+
+  /**
+   * 執行設定指令並回覆結果
+   * @param {Object} client - WhatsApp 客戶端
+   * @param {string} chatId - 聊天ID
+   * @param {string} userId - 用戶ID
+   * @param {string} text - 訊息原文
+   * @param {Object} sender - { id, fromMe, participants }
+   * @returns {Promise<boolean>}
+   */
+  async handleCommand(client, chatId, userId, text, sender = {}) {
+    const command = this.parseCommand(text);
+    if (!command || !userId) return false;
+
+    let message;
+    try {
+      message = await this.execute(chatId, userId, command, sender);
+    } catch (err) {
+      const reason = err.message || '未知錯誤';
+      businessLogger.error(`聊天設定失敗：userId=${userId}，${reason}`);
+      message = `❌ 設定失敗：${reason}`;
+    }
+
+    try {
+      await client.sendMessage(chatId, { text: message });
+      return true;
+    } catch (err) {
+      businessLogger.warn(`無法發送設定結果：${err.message}`);
+      return false;
+    }
+  }
+
+  async execute(chatId, userId, command, sender) {
+    if (!this.isAuthorized(sender)) {
+      businessLogger.warn(`非管理員嘗試修改設定：userId=${userId}，sender=${sender.id}`);
+      return '🔒 只有群組管理員可以查看或修改設定。';
+    }
+
+    const user = await this.userService.getUserById(userId);
+    if (command.action === 'show') {
+      return this.formatSettings(user);
+    }
+
+    const { changes, error } = this.buildChanges(command, user);
+    if (error) {
+      return `⚠️ ${error}`;
+    }
+
+    // 與 PUT /settings 相同的驗證，保存後會重新載入 WhatsApp 客戶端設置
+    await this.userService.updateUserSettings(userId, changes);
+    await this.recordAudit(userId, chatId, sender, changes, user);
+    businessLogger.info(`用戶 ${userId} 已在聊天中修改設定：${Object.keys(changes).join(', ')}`);
+
+    return this.formatChanges(changes, user);
+  }
+
+  /**
+   * 記錄審計事件，失敗時不影響已保存的設定
+   */
+  async recordAudit(userId, chatId, sender, changes, before) {
+    let auditService;
+    try {
+      const ServiceContainer = require('../core/ServiceContainer');
+      auditService = ServiceContainer.getInstance().resolve('auditService');
+    } catch (err) {
+      businessLogger.warn(`AuditService 未註冊，未記錄設定變更：${err.message}`);
+      return;
+    }
+
+    try {
+      const previous = {};
+      for (const field of Object.keys(changes)) {
+        previous[field] = before[field];
+      }
+      await auditService.logEvent({
+        eventType: auditService.eventTypes.SYSTEM_CONFIG_CHANGE,
+        userId,
+        action: 'update_settings',
+        resource: 'settings',
+        details: {
+          source: 'whatsapp',
+          chatId,
+          actor: sender.fromMe ? userId : sender.id,
+          changes,
+          previous
+        }
+      });
+    } catch (err) {
+      businessLogger.warn(`記錄設定變更審計失敗：${err.message}`);
+    }
+  }
+
+  formatSettings(user) {
+    const questions = user.customQuestions.length > 0
+      ? user.customQuestions.map(q => `  • ${q.field}：${q.question}`).join('\n')
+      : '  （未設定）';
+
+    return `⚙️ **目前設定**\n\n` +
+      `🏷️ 群組名稱：${user.groupName || '（未設定）'}\n` +
+      `💱 基礎貨幣：${user.baseCurrency}\n` +
+      `🤖 AI 識別：${user.enableAI ? '開' : '關'}\n` +
+      `🎯 AI 信心度：${user.aiConfidenceThreshold}\n` +
+      `❓ 自訂問題：\n${questions}\n\n` +
+      `🧾 PDF 發票：${user.enablePdf ? '開' : '關'}\n` +
+      `  • 發票抬頭：${user.invoiceTitle || '-'}\n` +
+      `  • 編號前綴：${user.invoiceNumberPrefix || '-'}\n` +
+      `  • 頁尾：${user.invoiceFooter || '-'}\n` +
+      `  • 公司：${user.companyName || '-'}\n` +
+      `  • 地址：${user.companyAddress || '-'}\n` +
+      `  • 電話：${user.companyPhone || '-'}\n\n` +
+      this.formatUsage();
+  }
+
+  formatChanges(changes, before) {
+    const lines = Object.entries(changes).map(([field, value]) => {
+      const label = FIELD_LABELS[field] || field;
+      if (field === 'customQuestions') {
+        return `${label}：${value.map(q => q.field).join('、') || '（無）'}`;
+      }
+      return `${label}：${this.formatValue(before[field])} → ${this.formatValue(value)}`;
+    });
+
+    let message = `✅ **設定已更新**\n\n${lines.join('\n')}`;
+    if (changes.groupName !== undefined) {
+      message += `\n\n🏷️ 之後請在群組「${changes.groupName}」中使用機械人。`;
+    }
+    return message;
+  }
+
+  formatValue(value) {
+    if (value === true) return '開';
+    if (value === false) return '關';
+    if (value === undefined || value === null || value === '') return '（空）';
+    return String(value);
+  }
+
+  formatUsage() {
+    return `💡 **修改設定**：\n` +
+      `• 設定 AI 開/關\n` +
+      `• 設定 信心度 0.8\n` +
+      `• 設定 群組 名稱\n` +
+      `• 設定 貨幣 HKD\n` +
+      `• 設定 問題 新增 欄位 問題內容\n` +
+      `• 設定 問題 刪除 欄位\n` +
+      `• 設定 發票 開/關\n` +
+      `• 設定 發票 抬頭/前綴/頁尾/公司/地址/電話 內容`;
+  }
+}
+
+// 建立單例實例
+const chatSettingsService = new ChatSettingsService();
+
+module.exports = chatSettingsService;
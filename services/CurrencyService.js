@@ -0,0 +1,193 @@
+/**
+ * 貨幣服務
+ * 識別金額或貨幣欄位中的貨幣，並按匯率表把金額換算為租戶的基礎貨幣。
+ *
+ * 匯率表為 config.currency.ratesFile 指向的 JSON 文件，rates 為 1 單位 base 可兌換的數量：
+ *   { "base": "USD", "updatedAt": "2026-10-01", "rates": { "USD": 1, "HKD": 7.78 } }
+ * 文件可離線維護，修改後在 config.currency.reloadInterval 內自動重新載入。
+ */
+
+const fs = require('fs');
+const db = require('../database');
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+
+// 貨幣符號及名稱（單獨的 $ 無法判斷，視為基礎貨幣）
+const CURRENCY_ALIASES = {
+  HKD: ['HK$', 'HKD', '港幣', '港币', '港元', '港紙'],
+  CNY: ['RMB', 'CNY', '人民幣', '人民币', '¥', '￥', '元'],
+  USD: ['US$', 'USD', '美元', '美金'],
+  MOP: ['MOP$', 'MOP', '澳門幣', '澳门币', '澳門元', '葡幣'],
+  TWD: ['NT$', 'TWD', '新台幣', '新台币', '台幣'],
+  JPY: ['JP¥', 'JPY', '日圓', '日元', '円'],
+  KRW: ['KRW', '韓圜', '韩元', '₩'],
+  SGD: ['S$', 'SGD', '新加坡元', '新幣'],
+  MYR: ['MYR', 'RM', '令吉'],
+  THB: ['THB', '泰銖', '泰铢', '฿'],
+  EUR: ['EUR', '歐元', '欧元', '€'],
+  GBP: ['GBP', '英鎊', '英镑', '£'],
+  AUD: ['A$', 'AUD', '澳元', '澳幣'],
+  CAD: ['C$', 'CAD', '加元', '加幣']
+};
+
+// 貨幣欄位的識別關鍵字
+const CURRENCY_FIELD_KEYWORDS = ['currency', '貨幣', '货币', '幣種', '币种', '幣別'];
+
+// 較長的別名優先（例如 US$ 先於 S$、港元先於元）
+const ALIASES = Object.entries(CURRENCY_ALIASES)
+  .flatMap(([code, aliases]) => aliases.map(alias => ({ alias: alias.toUpperCase(), code })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+class CurrencyService {
+  constructor() {
+    this.table = { base: 'USD', updatedAt: null, rates: { USD: 1 } };
+    this.loadedMtime = null;
+    this.lastCheck = 0;
+    businessLogger.info('貨幣服務已初始化');
+  }
+
+  /**
+   * 目前的匯率表（文件有修改時重新載入）
+   * @returns {Object} { base, updatedAt, rates }
+   */
+  getRates() {
+    if (Date.now() - this.lastCheck >= config.currency.reloadInterval) {
+      this.lastCheck = Date.now();
+      this.reloadIfChanged();
+    }
+    return this.table;
+  }
+
+  reloadIfChanged() {
+    const file = config.currency.ratesFile;
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs === this.loadedMtime) return;
+      this.table = this.parseRates(JSON.parse(fs.readFileSync(file, 'utf8')));
+      this.loadedMtime = mtimeMs;
+      businessLogger.info(`已載入匯率表 ${file}：${Object.keys(this.table.rates).length} 種貨幣，更新日期 ${this.table.updatedAt || '-'}`);
+    } catch (err) {
+      businessLogger.error(`載入匯率表 ${file} 失敗，繼續使用現有匯率：${err.message}`);
+    }
+  }
+
+  /**
+   * 驗證匯率表內容
+   * @param {Object} data - 匯率表 JSON
+   * @returns {Object} { base, updatedAt, rates }
+   */
+  parseRates(data) {
+    const base = String(data.base || '').toUpperCase();
+    const rates = {};
+    for (const [code, rate] of Object.entries(data.rates || {})) {
+      const value = Number(rate);
+      if (!/^[A-Z]{3}$/.test(code.toUpperCase()) || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`無效的匯率：${code}=${rate}`);
+      }
+      rates[code.toUpperCase()] = value;
+    }
+    if (!rates[base]) {
+      throw new Error(`匯率表缺少基準貨幣 ${base || '(空)'}`);
+    }
+    return { base, updatedAt: data.updatedAt || null, rates };
+  }
+
+  /**
+   * 匯率表中的貨幣代碼
+   * @returns {Array<string>}
+   */
+  getSupportedCurrencies() {
+    return Object.keys(this.getRates().rates);
+  }
+
+  isSupported(code) {
+    return Boolean(code) && Object.prototype.hasOwnProperty.call(this.getRates().rates, String(code).toUpperCase());
+  }
+
+  /**
+   * 找出貨幣欄位
+   * @param {Array<string>} fields - 欄位名稱或工作表表頭
+   * @returns {string|null}
+   */
+  findCurrencyField(fields = []) {
+    return fields.find(field =>
+      field && CURRENCY_FIELD_KEYWORDS.some(keyword => String(field).toLowerCase().includes(keyword))
+    ) || null;
+  }
+
+  /**
+   * 從文字中識別貨幣，例如「HK$100.50」、「100 RMB」、「USD」、「人民幣」
+   * @param {string} text - 金額或貨幣欄位的值
+   * @returns {string|null} ISO 4217 代碼，無法判斷時為 null
+   */
+  detectCurrency(text) {
+    if (text === undefined || text === null) return null;
+    const input = String(text).trim().toUpperCase();
+    if (input === '') return null;
+
+    const code = input.match(/(?:^|[^A-Z])([A-Z]{3})(?![A-Z])/);
+    if (code && this.isSupported(code[1])) {
+      return code[1];
+    }
+
+    const match = ALIASES.find(({ alias }) => input.includes(alias));
+    return match ? match.code : null;
+  }
+
+  /**
+   * 解析帶貨幣的金額
+   * @param {string|number} value - 例如「HK$1,200.50」
+   * @returns {Object} { amount, currency }，amount 無法解析時為 null
+   */
+  parseMoney(value) {
+    if (value === undefined || value === null || value === '') {
+      return { amount: null, currency: null };
+    }
+    const number = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return {
+      amount: number ? parseFloat(number[0]) : null,
+      currency: this.detectCurrency(value)
+    };
+  }
+
+  /**
+   * 換算金額
+   * @param {number} amount - 金額
+   * @param {string} from - 原始貨幣
+   * @param {string} to - 目標貨幣
+   * @returns {number|null} 換算後的金額（兩位小數），沒有匯率時為 null
+   */
+  convert(amount, from, to) {
+    if (!Number.isFinite(amount)) return null;
+    if (!from || !to || from === to) return amount;
+
+    const { rates } = this.getRates();
+    if (!rates[from] || !rates[to]) return null;
+    return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+  }
+
+  /**
+   * 租戶的基礎貨幣，未設定時使用 config.currency.defaultBase
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<string>}
+   */
+  async getBaseCurrency(userId) {
+    const fallback = String(config.currency.defaultBase).toUpperCase();
+    if (!userId) return fallback;
+
+    return new Promise(resolve => {
+      db.get('SELECT baseCurrency FROM users WHERE userId = ?', [userId], (err, row) => {
+        if (err) {
+          businessLogger.warn(`讀取用戶 ${userId} 的基礎貨幣失敗，使用 ${fallback}：${err.message}`);
+          return resolve(fallback);
+        }
+        resolve((row && row.baseCurrency) || fallback);
+      });
+    });
+  }
+}
+
+// 建立單例實例
+const currencyService = new CurrencyService();
+
+module.exports = currencyService;
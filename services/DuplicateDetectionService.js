@@ -0,0 +1,234 @@
+/**
+ * 重複收據檢測服務
+ * 保存費用前與用戶最近的帳本記錄比對，找出同一張收據被重複拍攝或由不同群組成員重複提交的情況：
+ *   圖片 - 感知哈希（dHash）的漢明距離在 config.duplicateDetection.maxHashDistance 以內
+ *   欄位 - 金額及日期相同，且店鋪相近（任何一方沒有店鋪時只比對金額及日期）
+ *
+ * 檢測只用於提示，用戶確認後仍可照常記錄。
+ */
+
+const sharp = require('sharp');
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+const expenseQueryService = require('./ExpenseQueryService');
+
+// 欄位的識別關鍵字（欄位名稱由用戶自訂）
+const AMOUNT_KEYWORDS = ['amount', 'total', 'price', '金額', '金额', '銀碼', '银码', '總額', '总额', '價格', '价格'];
+const DATE_KEYWORDS = ['date', '日期'];
+const VENDOR_KEYWORDS = ['shop', 'store', 'vendor', 'merchant', '店', '商戶', '商家', '供應商'];
+
+// 每個十六進制字符的位元數
+const BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+class DuplicateDetectionService {
+  constructor() {
+    businessLogger.info('重複收據檢測服務已初始化');
+  }
+
+  /**
+   * 計算圖片的感知哈希（dHash，64 位）
+   * 縮小為 9x8 灰階後比較相鄰像素，對縮放、壓縮及輕微的光線變化不敏感
+   * @param {Buffer} buffer - 圖片內容
+   * @returns {Promise<string>} 16 位十六進制字串
+   */
+  async computeImageHash(buffer) {
+    const pixels = await sharp(buffer)
+      .rotate()
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      let byte = 0;
+      for (let col = 0; col < 8; col++) {
+        const index = row * 9 + col;
+        byte = (byte << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+      }
+      hash += byte.toString(16).padStart(2, '0');
+    }
+    return hash;
+  }
+
+  /**
+   * 計算收據每一頁圖片的哈希（PDF 頁面不計算，只比對欄位）
+   * @param {Array<Object>} pages - 每頁的 { data, mimetype }
+   * @returns {Promise<string|null>} 以逗號分隔的哈希，沒有圖片時為 null
+   */
+  async computeImageHashes(pages) {
+    const hashes = [];
+    for (const page of pages || []) {
+      if (!page || !page.data || !page.mimetype?.startsWith('image/')) continue;
+      try {
+        hashes.push(await this.computeImageHash(Buffer.from(page.data, 'base64')));
+      } catch (err) {
+        businessLogger.warn(`計算收據圖片哈希失敗：${err.message}`);
+      }
+    }
+    return hashes.length > 0 ? hashes.join(',') : null;
+  }
+
+  /**
+   * 兩個哈希的漢明距離
+   * @returns {number}
+   */
+  hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * 檢查待保存的收據是否與最近的記錄重複
+   * @param {string} userId - 用戶ID（群組成員的提交都記在同一用戶下）
+   * @param {Array<Object>} receipts - 每張收據的欄位值
+   * @param {string|null} imageHash - computeImageHashes 的結果（同一文件的收據共用）
+   * @returns {Promise<Array<Object|null>>} 每張收據最可能重複的記錄 { record, reasons, fields }，沒有則為 null
+   */
+  async checkReceipts(userId, receipts, imageHash = null) {
+    if (!config.duplicateDetection.enabled || receipts.length === 0) {
+      return receipts.map(() => null);
+    }
+
+    try {
+      const records = await this.loadRecentRecords(userId);
+      return receipts.map(receipt => this.findDuplicate({ data: receipt, imageHash }, records));
+    } catch (err) {
+      businessLogger.error(`重複收據檢測失敗，略過檢測：${err.message}`);
+      return receipts.map(() => null);
+    }
+  }
+
+  /**
+   * 用戶最近未作廢的記錄
+   */
+  async loadRecentRecords(userId) {
+    const since = new Date(Date.now() - config.duplicateDetection.lookbackDays * 24 * 60 * 60 * 1000);
+    return expenseStorageService.listRecords(userId, {
+      status: 'recorded',
+      // 帳本的 createdAt 為 SQLite 的 UTC 時間格式
+      from: since.toISOString().replace('T', ' ').slice(0, 19)
+    });
+  }
+
+  /**
+   * 在記錄中找出最可能重複的一筆：圖片及欄位都相符的優先，其次為欄位相符，最後為圖片相符
+   * @param {Object} candidate - { data, imageHash }
+   * @param {Array<Object>} records - 帳本記錄
+   * @returns {Object|null} { record, reasons, fields }
+   */
+  findDuplicate(candidate, records) {
+    const fields = this.extractKeyFields(candidate.data);
+    let best = null;
+
+    for (const record of records) {
+      const recordFields = this.extractKeyFields(record.data);
+      const reasons = [];
+      if (this.imagesMatch(candidate.imageHash, record.imageHash)) {
+        reasons.push('image');
+      }
+      if (this.fieldsMatch(fields, recordFields)) {
+        reasons.push('fields');
+      }
+      if (reasons.length === 0) continue;
+
+      const score = reasons.length * 2 + (reasons.includes('fields') ? 1 : 0);
+      if (!best || score > best.score) {
+        best = { record, reasons, fields: recordFields, score };
+      }
+    }
+
+    if (!best) return null;
+    const { score, ...match } = best;
+    return match;
+  }
+
+  imagesMatch(a, b) {
+    if (!a || !b) return false;
+    const limit = config.duplicateDetection.maxHashDistance;
+    const hashesB = b.split(',');
+    return a.split(',').some(hashA => hashesB.some(hashB => this.hammingDistance(hashA, hashB) <= limit));
+  }
+
+  /**
+   * 金額及日期相同，且店鋪相近（任何一方沒有店鋪時不比對）
+   */
+  fieldsMatch(a, b) {
+    if (a.amount === null || b.amount === null || !a.date || !b.date) return false;
+    if (Math.abs(a.amount - b.amount) > config.duplicateDetection.amountTolerance) return false;
+    if (a.date.toDateString() !== b.date.toDateString()) return false;
+    if (!a.vendor || !b.vendor) return true;
+    return a.vendor.includes(b.vendor) || b.vendor.includes(a.vendor);
+  }
+
+  /**
+   * 按欄位名稱找出金額、日期及店鋪
+   * @param {Object} data - 收據或記錄的欄位值
+   * @returns {Object} { amount, date, vendor, dateText, vendorText }
+   */
+  extractKeyFields(data = {}) {
+    const find = keywords => Object.keys(data).find(field =>
+      keywords.some(keyword => field.toLowerCase().includes(keyword)) && data[field] !== undefined && data[field] !== null
+    );
+    const amountField = find(AMOUNT_KEYWORDS);
+    const dateField = find(DATE_KEYWORDS);
+    const vendorField = find(VENDOR_KEYWORDS);
+    const vendorText = vendorField ? String(data[vendorField]).trim() : '';
+
+    return {
+      amount: amountField ? expenseQueryService.parseAmount(data[amountField]) : null,
+      date: dateField ? expenseQueryService.parseDate(data[dateField]) : null,
+      vendor: this.normalizeVendor(vendorText),
+      dateText: dateField ? String(data[dateField]).trim() : '',
+      vendorText
+    };
+  }
+
+  // 忽略大小寫、空格及標點
+  normalizeVendor(value) {
+    return String(value || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+  }
+
+  /**
+   * 格式化重複提示
+   * @param {Array<Object|null>} matches - checkReceipts 的結果
+   * @returns {string}
+   */
+  formatDuplicateWarning(matches) {
+    const lines = matches
+      .map((match, index) => {
+        if (!match) return null;
+        const subject = matches.length > 1 ? `收據 ${index + 1} ` : '這張收據';
+        return `${subject}看來與 ${this.describeRecordDate(match)} 的記錄重複：${this.describeRecord(match)}（${this.describeReasons(match.reasons)}）`;
+      })
+      .filter(Boolean);
+
+    return `⚠️ **可能重複的收據**\n\n${lines.join('\n')}\n\n仍要記錄嗎？回覆「確認」照常記錄，或回覆「取消」放棄。`;
+  }
+
+  describeRecordDate(match) {
+    const date = match.fields.date || expenseQueryService.parseDate(match.record.createdAt);
+    return date ? `${date.getMonth() + 1}月${date.getDate()}日` : '之前';
+  }
+
+  describeRecord(match) {
+    const parts = [match.fields.vendorText, match.fields.amount === null ? '' : expenseQueryService.formatAmount(match.fields.amount)]
+      .filter(Boolean);
+    return parts.length > 0 ? parts.join('｜') : `記錄 ${match.record.id.slice(0, 8)}`;
+  }
+
+  describeReasons(reasons) {
+    const labels = { image: '相同的圖片', fields: '相同的金額及日期' };
+    return reasons.map(reason => labels[reason]).join('、');
+  }
+}
+
+// 建立單例實例
+const duplicateDetectionService = new DuplicateDetectionService();
+
+module.exports = duplicateDetectionService;
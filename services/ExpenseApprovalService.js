@@ -0,0 +1,567 @@
+/**
+ * 費用審批服務
+ * 按租戶的審批規則保留需要審批的費用，通知審批人，批准後才寫入 Google Sheet 等存儲：
+ *   規則 - { minAmount, category, approver }，設定的條件全部符合時需要審批，任何一條規則符合即可
+ *          minAmount 以租戶的基礎貨幣計算，無法換算的金額視為需要審批
+ *   通知 - 機械人以 WhatsApp 私訊審批人，審批人回覆該訊息「批准」或「拒絕 原因」
+ *   儀表板 - 有 expenses:approve 權限的成員可在設定頁面批准或拒絕
+ *
+ * 批准後記錄加入審批人及審批時間欄位，批准及拒絕都會記錄到 AuditService。
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { businessLogger } = require('../utils/logger');
+const currencyService = require('./CurrencyService');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+
+// 欄位的識別關鍵字（欄位名稱由用戶自訂）
+const AMOUNT_KEYWORDS = ['amount', 'total', 'price', '金額', '金额', '銀碼', '银码', '總額', '总额', '價格', '价格'];
+const CATEGORY_KEYWORDS = ['category', 'type', '類別', '类别', '分類', '分类', '種類', '种类', '用途', '項目', '项目'];
+
+const APPROVE_PATTERN = /^(?:批准|核准|同意|approve|approved)$/i;
+const REJECT_PATTERN = /^(?:拒絕|拒绝|駁回|驳回|reject|rejected)(?:\s*[:：]?\s*([\s\S]+))?$/i;
+
+const PROVIDER_LABELS = { sheets: 'Google Sheet', csv: 'CSV 文件', xlsx: 'Excel 文件' };
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+class ApprovalError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class ExpenseApprovalService {
+  constructor() {
+    this.tablesReady = null;
+    businessLogger.info('費用審批服務已初始化');
+  }
+
+  /**
+   * 建立審批表（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      this.tablesReady = (async () => {
+        await run(`CREATE TABLE IF NOT EXISTS expense_approvals (
+          id TEXT PRIMARY KEY,
+          recordId TEXT NOT NULL,
+          userId TEXT NOT NULL,
+          chatId TEXT,
+          approver TEXT NOT NULL,
+          reasons TEXT,
+          status TEXT DEFAULT 'pending',
+          requestMsgId TEXT,
+          decidedBy TEXT,
+          decidedVia TEXT,
+          decisionNote TEXT,
+          decidedAt DATETIME,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run('CREATE INDEX IF NOT EXISTS idx_expense_approvals_user ON expense_approvals (userId, status)');
+        await run('CREATE INDEX IF NOT EXISTS idx_expense_approvals_approver ON expense_approvals (approver, status)');
+        businessLogger.info('expense_approvals 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  /**
+   * 規範化審批規則設置
+   * @param {string|Array} value - JSON 字串或陣列
+   * @returns {Array<Object>} [{ minAmount, category, approver }]
+   */
+  normalizeRules(value) {
+    let list = value;
+    if (typeof list === 'string') {
+      try {
+        list = JSON.parse(list);
+      } catch (err) {
+        list = [];
+      }
+    }
+    if (!Array.isArray(list)) return [];
+
+    return list.filter(rule => rule && typeof rule === 'object').map(rule => {
+      const minAmount = rule.minAmount === undefined || rule.minAmount === null || rule.minAmount === ''
+        ? null
+        : Number(rule.minAmount);
+      return {
+        minAmount,
+        category: rule.category ? String(rule.category).trim() : '',
+        approver: String(rule.approver || '').replace(/[\s\-()+]/g, '')
+      };
+    });
+  }
+
+  /**
+   * 驗證審批規則
+   * @param {Array<Object>} rules - normalizeRules 的結果
+   * @returns {string|null} 錯誤訊息
+   */
+  validateRules(rules) {
+    for (const [index, rule] of rules.entries()) {
+      const label = `審批規則 ${index + 1}`;
+      if (rule.minAmount === null && !rule.category) {
+        return `${label} 需要設定金額或類別`;
+      }
+      if (rule.minAmount !== null && (!Number.isFinite(rule.minAmount) || rule.minAmount < 0)) {
+        return `${label} 的金額無效`;
+      }
+      if (!/^\d{8,15}$/.test(rule.approver)) {
+        return `${label} 的審批人需要是 WhatsApp 電話號碼（連國家代碼，例如 85291234567）`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 按欄位名稱找出金額、類別及貨幣欄位
+   * @param {Object} data - 欄位值
+   * @returns {Object} { amountField, categoryField, currencyField }
+   */
+  findKeyFields(data = {}) {
+    const find = keywords => Object.keys(data).find(field =>
+      keywords.some(keyword => field.toLowerCase().includes(keyword)) && data[field] !== undefined && data[field] !== null && data[field] !== ''
+    ) || null;
+    return {
+      amountField: find(AMOUNT_KEYWORDS),
+      categoryField: find(CATEGORY_KEYWORDS),
+      currencyField: currencyService.findCurrencyField(Object.keys(data))
+    };
+  }
+
+  /**
+   * 找出第一條符合的審批規則
+   * @param {Object} data - 欄位值
+   * @param {Array<Object>} rules - 審批規則
+   * @param {string} baseCurrency - 租戶的基礎貨幣
+   * @returns {Object|null} { rule, reasons }
+   */
+  evaluate(data, rules, baseCurrency) {
+    const { amountField, categoryField, currencyField } = this.findKeyFields(data);
+    const money = amountField ? currencyService.parseMoney(data[amountField]) : { amount: null };
+    const currency = (currencyField && currencyService.detectCurrency(data[currencyField])) || money.currency || baseCurrency;
+    const converted = money.amount === null ? null : currencyService.convert(money.amount, currency, baseCurrency);
+    const category = categoryField ? String(data[categoryField]).trim().toLowerCase() : '';
+
+    for (const rule of this.normalizeRules(rules)) {
+      const reasons = [];
+
+      if (rule.minAmount !== null) {
+        if (money.amount === null) continue;
+        if (converted === null) {
+          reasons.push(`金額 ${money.amount} ${currency} 無法換算為 ${baseCurrency}`);
+        } else if (converted > rule.minAmount) {
+          reasons.push(`金額 ${converted} ${baseCurrency} 超過 ${rule.minAmount} ${baseCurrency}`);
+        } else {
+          continue;
+        }
+      }
+      if (rule.category) {
+        if (category !== rule.category.toLowerCase()) continue;
+        reasons.push(`類別為「${data[categoryField]}」`);
+      }
+
+      return { rule, reasons };
+    }
+    return null;
+  }
+
+  /**
+   * 檢查費用是否需要審批
+   * @param {string} userId - 用戶ID
+   * @param {Object} data - 欄位值
+   * @param {Array<Object>} rules - 用戶的審批規則
+   * @returns {Promise<Object|null>} { rule, reasons }
+   */
+  async check(userId, data, rules) {
+    if (!rules || rules.length === 0) return null;
+    const baseCurrency = await currencyService.getBaseCurrency(userId);
+    return this.evaluate(data, rules, baseCurrency);
+  }
+
+  /**
+   * 建立審批申請並以 WhatsApp 通知審批人
+   * 通知失敗時申請仍然有效，可在儀表板審批
+   * @param {Object} client - WhatsApp 客戶端
+   * @param {Object} params - { userId, chatId, recordId, data, imageUrl, match }
+   * @returns {Promise<Object>} 審批申請
+   */
+  async requestApproval(client, { userId, chatId, recordId, data, imageUrl, match }) {
+    await this.ensureTables();
+    const approval = {
+      id: uuidv4(),
+      recordId,
+      userId,
+      chatId,
+      approver: match.rule.approver,
+      reasons: match.reasons,
+      status: 'pending'
+    };
+    await run(
+      'INSERT INTO expense_approvals (id, recordId, userId, chatId, approver, reasons) VALUES (?, ?, ?, ?, ?, ?)',
+      [approval.id, recordId, userId, chatId || null, approval.approver, JSON.stringify(match.reasons)]
+    );
+
+    try {
+      if (!client || !client.ws || !client.ws.isOpen) {
+        throw new Error('WhatsApp 未連線');
+      }
+      const sent = await client.sendMessage(this.toJid(approval.approver), {
+        text: this.formatRequest(approval, data, imageUrl)
+      });
+      if (sent?.key?.id) {
+        await run('UPDATE expense_approvals SET requestMsgId = ? WHERE id = ?', [sent.key.id, approval.id]);
+      }
+    } catch (err) {
+      businessLogger.warn(`無法通知審批人 ${approval.approver}，記錄 ${recordId} 可在儀表板審批：${err.message}`);
+    }
+
+    await this.recordAudit('EXPENSE_APPROVAL_REQUEST', approval, {
+      action: 'request_approval',
+      actor: chatId,
+      details: { reasons: match.reasons, approver: approval.approver }
+    });
+    businessLogger.info(`記錄 ${recordId} 需要審批：${match.reasons.join('；')}，審批人：${approval.approver}`);
+    return approval;
+  }
+
+  /**
+   * 解析審批人的回覆
+   * @param {string} text - 訊息原文
+   * @param {string|null} quotedMsgId - 被回覆的訊息ID
+   * @returns {Object|null} { action, note, quotedMsgId }
+   */
+  parseDecision(text, quotedMsgId = null) {
+    if (!text || typeof text !== 'string') return null;
+    const input = text.trim();
+
+    if (APPROVE_PATTERN.test(input)) {
+      return { action: 'approve', note: null, quotedMsgId };
+    }
+    const reject = input.match(REJECT_PATTERN);
+    if (reject) {
+      return { action: 'reject', note: reject[1] ? reject[1].trim() : null, quotedMsgId };
+    }
+    return null;
+  }
+
+  /**
+   * 處理審批人在私訊中的回覆
+   * @param {Object} client - WhatsApp 客戶端
+   * @param {string} userId - 用戶ID
+   * @param {string} chatId - 審批人的聊天ID
+   * @param {Object} decision - parseDecision 的結果
+   * @returns {Promise<boolean>} 是否為審批回覆（不是時交由其他流程處理）
+   */
+  async handleReply(client, userId, chatId, decision) {
+    await this.ensureTables();
+    const approver = String(chatId).split('@')[0];
+    let approval;
+
+    if (decision.quotedMsgId) {
+      approval = await get(
+        'SELECT * FROM expense_approvals WHERE userId = ? AND approver = ? AND requestMsgId = ?',
+        [userId, approver, decision.quotedMsgId]
+      );
+      if (!approval) return false;
+    } else {
+      const pending = await all(
+        "SELECT * FROM expense_approvals WHERE userId = ? AND approver = ? AND status = 'pending' ORDER BY createdAt",
+        [userId, approver]
+      );
+      if (pending.length === 0) return false;
+      if (pending.length > 1) {
+        await this.reply(client, chatId, `📝 你有 ${pending.length} 個待審批的費用，請回覆要審批的申請訊息。`);
+        return true;
+      }
+      approval = pending[0];
+    }
+
+    let message;
+    try {
+      const result = await this.decide(approval.id, userId, {
+        action: decision.action,
+        actor: `+${approver}`,
+        via: 'whatsapp',
+        note: decision.note
+      }, client);
+      message = this.formatDecision(result);
+    } catch (err) {
+      businessLogger.warn(`處理審批回覆失敗：approval=${approval.id}，${err.message}`);
+      message = `⚠️ ${err.message}`;
+    }
+    await this.reply(client, chatId, message);
+    return true;
+  }
+
+  /**
+   * 批准或拒絕審批申請
+   * @param {string} approvalId - 審批申請ID
+   * @param {string} userId - 用戶ID（租戶）
+   * @param {Object} decision - { action: 'approve'|'reject', actor, via, note }
+   * @param {Object} [client] - WhatsApp 客戶端，用於通知提交的群組；未提供時使用用戶的連線
+   * @returns {Promise<Object>} { approval, results, pending }
+   */
+  async decide(approvalId, userId, { action, actor, via, note = null }, client = null) {
+    await this.ensureTables();
+    if (!['approve', 'reject'].includes(action)) {
+      throw new ApprovalError(`無效的審批操作：${action}`, 'INVALID_ACTION');
+    }
+
+    const approval = await get('SELECT * FROM expense_approvals WHERE id = ? AND userId = ?', [approvalId, userId]);
+    if (!approval) {
+      throw new ApprovalError('找不到審批申請', 'APPROVAL_NOT_FOUND', 404);
+    }
+    if (approval.status !== 'pending') {
+      throw new ApprovalError(`此申請已${this.describeStatus(approval.status)}`, 'ALREADY_DECIDED', 409);
+    }
+
+    const record = await expenseStorageService.getRecordWithSync(approval.recordId);
+    if (!record || record.status !== 'pending_approval') {
+      await run("UPDATE expense_approvals SET status = 'cancelled', decidedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'", [approval.id]);
+      throw new ApprovalError('記錄已作廢或不存在，無需審批', 'RECORD_NOT_PENDING', 409);
+    }
+
+    // 先佔用申請，避免 WhatsApp 及儀表板同時審批
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    const decidedAt = new Date().toISOString();
+    const claimed = await run(
+      "UPDATE expense_approvals SET status = ?, decidedBy = ?, decidedVia = ?, decisionNote = ?, decidedAt = ? WHERE id = ? AND status = 'pending'",
+      [status, actor, via, note, decidedAt, approval.id]
+    );
+    if (claimed.changes === 0) {
+      throw new ApprovalError('此申請已被處理', 'ALREADY_DECIDED', 409);
+    }
+
+    let outcome;
+    try {
+      outcome = action === 'approve'
+        ? await expenseStorageService.approveRecord(approval.recordId, { approvedBy: actor, approvedAt: decidedAt })
+        : await expenseStorageService.rejectRecord(approval.recordId, actor, note);
+    } catch (err) {
+      await run("UPDATE expense_approvals SET status = 'pending', decidedBy = NULL, decidedVia = NULL, decisionNote = NULL, decidedAt = NULL WHERE id = ?", [approval.id]);
+      throw err;
+    }
+
+    const decided = { ...approval, status, decidedBy: actor, decidedVia: via, decisionNote: note, decidedAt, reasons: this.parseReasons(approval.reasons) };
+    await this.recordAudit(action === 'approve' ? 'EXPENSE_APPROVE' : 'EXPENSE_REJECT', decided, {
+      action: action === 'approve' ? 'approve_expense' : 'reject_expense',
+      actor,
+      details: { via, note, data: outcome.record.data, results: outcome.results }
+    });
+    businessLogger.info(`記錄 ${approval.recordId} 已${this.describeStatus(status)}，審批人：${actor}（${via}）`);
+
+    await this.notifySubmitter(client, decided, outcome);
+    return { approval: decided, record: outcome.record, results: outcome.results || {}, pending: outcome.pending || [] };
+  }
+
+  /**
+   * 列出審批申請及對應的記錄
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>}
+   */
+  async listApprovals(userId, options = {}) {
+    await this.ensureTables();
+    const params = [userId];
+    let sql = `
+      SELECT a.*, r.data, r.fields, r.imageUrl
+      FROM expense_approvals a
+      LEFT JOIN expense_records r ON r.id = a.recordId
+      WHERE a.userId = ?
+    `;
+    if (options.status) {
+      sql += ' AND a.status = ?';
+      params.push(options.status);
+    }
+    sql += ' ORDER BY a.createdAt DESC LIMIT ?';
+    params.push(Math.min(parseInt(options.limit) || 50, 200));
+
+    const rows = await all(sql, params);
+    return rows.map(row => ({
+      id: row.id,
+      recordId: row.recordId,
+      chatId: row.chatId,
+      approver: row.approver,
+      reasons: this.parseReasons(row.reasons),
+      status: row.status,
+      decidedBy: row.decidedBy,
+      decidedVia: row.decidedVia,
+      decisionNote: row.decisionNote,
+      decidedAt: row.decidedAt,
+      createdAt: row.createdAt,
+      data: this.parseJSON(row.data, {}),
+      fields: this.parseJSON(row.fields, []),
+      imageUrl: row.imageUrl || ''
+    }));
+  }
+
+  /**
+   * 通知提交費用的群組審批結果
+   */
+  async notifySubmitter(client, approval, outcome) {
+    if (!approval.chatId) return;
+    const target = client || this.getUserClient(approval.userId);
+    const summary = this.describeData(outcome.record);
+    let text = approval.status === 'approved'
+      ? `✅ **費用已批准**（審批人：${approval.decidedBy}）\n\n${summary}`
+      : `❌ **費用被拒絕**（審批人：${approval.decidedBy}${approval.decisionNote ? `，原因：${approval.decisionNote}` : ''}）\n\n${summary}\n\n記錄不會寫入存儲。`;
+    if (approval.status === 'approved' && outcome.pending && outcome.pending.length > 0) {
+      const names = outcome.pending.map(name => PROVIDER_LABELS[name] || name).join('、');
+      text += `\n\n⏳ ${names} 暫時無法寫入，系統會自動補寫。`;
+    }
+    await this.reply(target, approval.chatId, text);
+  }
+
+  getUserClient(userId) {
+    try {
+      const { getClients } = require('./whatsappConnection');
+      const clientData = getClients().get(userId);
+      return clientData && clientData.ready ? clientData.client : null;
+    } catch (err) {
+      businessLogger.warn(`無法取得用戶 ${userId} 的 WhatsApp 連線：${err.message}`);
+      return null;
+    }
+  }
+
+  async reply(client, chatId, text) {
+    if (!client || !client.ws || !client.ws.isOpen) {
+      businessLogger.warn(`WhatsApp 未連線，無法發送審批訊息到 ${chatId}`);
+      return;
+    }
+    try {
+      await client.sendMessage(chatId, { text });
+    } catch (err) {
+      businessLogger.warn(`無法發送審批訊息到 ${chatId}：${err.message}`);
+    }
+  }
+
+  /**
+   * 記錄審計事件，失敗時不影響審批結果
+   */
+  async recordAudit(eventType, approval, { action, actor, details }) {
+    let auditService;
+    try {
+      const ServiceContainer = require('../core/ServiceContainer');
+      auditService = ServiceContainer.getInstance().resolve('auditService');
+    } catch (err) {
+      businessLogger.warn(`AuditService 未註冊，未記錄費用審批：${err.message}`);
+      return;
+    }
+
+    try {
+      await auditService.logEvent({
+        eventType: auditService.eventTypes[eventType],
+        userId: approval.userId,
+        tenantId: approval.userId,
+        action,
+        resource: 'expense_records',
+        details: {
+          approvalId: approval.id,
+          recordId: approval.recordId,
+          actor,
+          ...details
+        },
+        riskLevel: auditService.riskLevels.MEDIUM
+      });
+    } catch (err) {
+      businessLogger.warn(`記錄費用審批審計失敗：${err.message}`);
+    }
+  }
+
+  // 審批人電話號碼的 WhatsApp 聊天ID
+  toJid(phone) {
+    return `${phone}@s.whatsapp.net`;
+  }
+
+  formatRequest(approval, data, imageUrl) {
+    let text = `📝 **費用審批申請**\n\n${this.describeData({ fields: Object.keys(data), data })}\n`;
+    if (imageUrl) {
+      text += `\n📎 收據：${imageUrl}`;
+    }
+    text += `\n🔎 原因：${approval.reasons.join('；')}`;
+    text += `\n🔖 編號：${approval.id.slice(0, 8)}\n\n請回覆此訊息「批准」，或「拒絕 原因」。`;
+    return text;
+  }
+
+  formatDecision({ approval, pending }) {
+    if (approval.status === 'rejected') {
+      return `❌ 已拒絕費用申請 ${approval.id.slice(0, 8)}，已通知提交者。`;
+    }
+    let text = `✅ 已批准費用申請 ${approval.id.slice(0, 8)}，記錄已寫入存儲。`;
+    if (pending.length > 0) {
+      text += `\n⏳ ${pending.map(name => PROVIDER_LABELS[name] || name).join('、')} 暫時無法寫入，系統會自動補寫。`;
+    }
+    return text;
+  }
+
+  // 保存需要審批的記錄後在群組中的提示
+  formatHeldNotice(match) {
+    return `⏳ **此費用需要審批**：${match.reasons.join('；')}\n已通知審批人，批准後才會寫入 Google Sheet 等存儲。`;
+  }
+
+  // 記錄的欄位摘要
+  describeData(record) {
+    const lines = record.fields
+      .filter(field => record.data[field] !== undefined && record.data[field] !== '' && field !== 'imageUrl')
+      .map(field => `${field}: ${record.data[field]}`);
+    return lines.join('\n');
+  }
+
+  describeStatus(status) {
+    return { approved: '批准', rejected: '拒絕', cancelled: '取消' }[status] || status;
+  }
+
+  parseReasons(value) {
+    return this.parseJSON(value, []);
+  }
+
+  parseJSON(value, fallback) {
+    try {
+      return value ? JSON.parse(value) : fallback;
+    } catch (err) {
+      return fallback;
+    }
+  }
+}
+
+// 建立單例實例
+const expenseApprovalService = new ExpenseApprovalService();
+
+module.exports = expenseApprovalService;
+module.exports.ApprovalError = ApprovalError;
@@ -1,6 +1,10 @@
 const { businessLogger } = require('../utils/logger');
 const { createSuccessMessage, createErrorMessage, createWarningMessage, formatMessage } = require('../utils/messageUtils');
-const { uploadImageToDrive, writeToSheet } = require('../googleService');
+const { uploadImageToDrive } = require('../googleService');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+const duplicateDetectionService = require('./DuplicateDetectionService');
+const expenseApprovalService = require('./ExpenseApprovalService');
+const { ImageQualityError } = require('./ImageQualityService');
 const config = require('../config');
 const stateManager = require('../core/StateManager');
 const eventBus = require('../core/EventBus');
@@ -14,8 +18,10 @@ class ExpenseChatService {
     businessLogger.info('費用對話服務已初始化');
   }
 
-  async startExpenseChat(chatId, media, defaultDate, client, driveFolderId, msgId) {
+  async startExpenseChat(chatId, media, defaultDate, client, driveFolderId, msgId, attachments = null) {
     businessLogger.info(`開始費用對話流程：chatId=${chatId}，msgId=${msgId}`);
+    // PDF 或相冊有多頁，單張圖片只有一頁
+    const pages = attachments && attachments.length > 0 ? attachments : [media];
     let userId;
     const { getClients } = require('./whatsappConnection');
     
@@ -48,51 +54,103 @@ class ExpenseChatService {
     if (clientData.enableAI) {
       businessLogger.info(`用戶 ${userId} 已啟用 AI 功能，開始圖片識別`);
       try {
-        const imageBuffer = Buffer.from(media.data, 'base64');
         const AIService = require('./aiService');
         const aiService = new AIService();
         await aiService.initialize();
-        const { rawText, parsedData } = await aiService.recognizeImage(imageBuffer, userId);
-        if (!parsedData) {
+        const { receipts, confidences } = await aiService.recognizeDocument(
+          pages.map(page => ({ buffer: Buffer.from(page.data, 'base64'), mimetype: page.mimetype })),
+          userId
+        );
+        if (!receipts || receipts.length === 0) {
           throw new Error('AI 未返回有效數據');
         }
 
-        businessLogger.info(`AI 識別成功，開始確認流程：chatId=${chatId}，msgId=${msgId}`);
+        businessLogger.info(`AI 識別成功，共 ${receipts.length} 張收據，開始確認流程：chatId=${chatId}，msgId=${msgId}`);
+
+        // 保存前與最近的記錄比對，可能重複時在確認請求前提示
+        const imageHash = await duplicateDetectionService.computeImageHashes(pages);
+        const duplicates = await duplicateDetectionService.checkReceipts(userId, receipts, imageHash);
+
+        // 信心度低於用戶設定閾值的欄位需要確認
+        const AIConfirmationService = require('./AIConfirmationService');
+        const aiConfirmationService = new AIConfirmationService();
+        const threshold = clientData.aiConfidenceThreshold;
+        const lowConfidence = receipts.map((receipt, index) =>
+          aiConfirmationService.findLowConfidenceFields(receipt, confidences && confidences[index], threshold)
+        );
 
         // 儲存AI識別結果到狀態管理器，等待用戶確認
         stateManager.setAIConfirmationState(chatId, msgId, {
-          parsedData,
+          parsedData: receipts[0],
+          receipts,
+          confidences,
+          confidenceThreshold: threshold,
           media,
+          attachments: pages,
+          imageHash,
           userId,
           driveFolderId: clientData.driveFolderId,
           sheetId: clientData.sheetId,
           sheetName: clientData.sheetName,
+          storageProviders: clientData.storageProviders,
+          approvalRules: clientData.approvalRules || [],
           customQuestions: clientData.customQuestions || []
         });
 
-        // 格式化並發送識別結果（第一段訊息）
-        let resultMessage = '🤖 **AI 識別結果**\n\n';
-        for (const [field, value] of Object.entries(parsedData)) {
-          resultMessage += `${field}: ${value || '未知'}\n`;
+        // 所有欄位的信心度都達到閾值且沒有疑似重複時自動接受，不需要用戶確認
+        if (lowConfidence.every(fields => fields.length === 0) && !duplicates.some(Boolean)) {
+          businessLogger.info(`所有欄位信心度達到 ${threshold}，自動保存：chatId=${chatId}，msgId=${msgId}`);
+          await client.sendMessage(chatId, {
+            text: `🤖 AI 識別結果信心度高（≥ ${Math.round(threshold * 100)}%），已自動記錄。如有錯誤，請回覆記錄訊息更正。`
+          });
+          try {
+            await this.handleAIConfirmation(chatId, msgId, receipts, client);
+          } catch (saveErr) {
+            // handleAIConfirmation 已通知用戶並清理狀態
+            businessLogger.warn(`自動保存失敗：${saveErr.message}`);
+          }
+          return;
         }
 
-        await client.sendMessage(chatId, { text: resultMessage });
-
-        // 發送確認請求（第二段訊息）
-        const confirmationMessage = `📝 **請確認或修改**\n\n` +
-          `請檢查以上識別結果是否正確：\n\n` +
-          `✅ 回覆「確認」直接上傳\n` +
-          `✏️ 或直接復製上方結果並修改後發送\n` +
-          `❌ 回覆「取消」放棄此次記錄`;
-
-        await client.sendMessage(chatId, { text: confirmationMessage });
-        businessLogger.info(`AI 確認流程啟動：chatId=${chatId}，msgId=${msgId}`);
+        // 單張收據只列出需要確認的欄位；多張收據列出全部欄位並標示需要確認的欄位
+        if (receipts.length === 1) {
+          await client.sendMessage(chatId, {
+            text: aiConfirmationService.formatConfirmationMessage(receipts[0], receipts[0], clientData.customQuestions || [], {
+              confidence: confidences && confidences[0],
+              threshold
+            })
+          });
+        } else {
+          await client.sendMessage(chatId, { text: aiConfirmationService.formatReceiptList(receipts, { confidences, threshold }) });
+        }
+        if (duplicates.some(Boolean)) {
+          businessLogger.info(`可能重複的收據：chatId=${chatId}，msgId=${msgId}，記錄=${duplicates.map(match => match?.record.id || '-').join(', ')}`);
+          await client.sendMessage(chatId, { text: duplicateDetectionService.formatDuplicateWarning(duplicates) });
+        }
+        if (receipts.length > 1) {
+          await client.sendMessage(chatId, { text: aiConfirmationService.formatConfirmationRequest(receipts.length) });
+        }
+        businessLogger.info(`AI 確認流程啟動：chatId=${chatId}，msgId=${msgId}，需要確認的欄位=${JSON.stringify(lowConfidence)}`);
 
         // 清理圖片處理狀態，但不標記為完全處理完成
         stateManager.setImageProcessingStatus(false);
         this.processImageQueue();
         return;
       } catch (err) {
+        // 圖片品質不足時請用戶重拍，不轉到一般對話流程
+        if (err instanceof ImageQualityError) {
+          businessLogger.info(`${err.message}，請用戶重拍：chatId=${chatId}，msgId=${msgId}`);
+          try {
+            await client.sendMessage(chatId, { text: err.guidance });
+          } catch (sendErr) {
+            businessLogger.warn(`無法發送重拍提示：${sendErr.message}`);
+          }
+          stateManager.markImageProcessed(msgId);
+          stateManager.setImageProcessingStatus(false);
+          this.processImageQueue();
+          return;
+        }
+
         businessLogger.error(`AI 識別失敗：${err.message}`);
         if (clientData.ready && clientData.client.ws.isOpen) {
           try {
@@ -119,7 +177,7 @@ class ExpenseChatService {
 
     stateManager.setExpenseState(chatId, msgId, {
       step: 1,
-      answers: { media },
+      answers: { media, attachments: pages },
       questions,
       lastActive: Date.now(),
       lastMessageId: null,
@@ -159,6 +217,11 @@ class ExpenseChatService {
     }
 
     businessLogger.info(`結束費用對話流程：chatId=${chatId}，msgId=${state.msgId}`);
+
+    // 可能重複時先詢問用戶，回覆「確認」後再次進入此流程
+    if (!state.duplicateChecked && await this.promptIfDuplicate(chatId, state, client)) {
+      return;
+    }
     
     // 發送處理中消息給用戶
     if (client && client.ws && client.ws.isOpen) {
@@ -217,113 +280,177 @@ class ExpenseChatService {
     let imageUrl = '';
     let errorMessage = '';
 
-    // 圖片上傳階段 - 增加進度反饋
-    try {
-      if (!state.answers.media || !state.answers.media.data) {
-        throw new Error('圖片數據無效');
-      }
-      if (!clientData.driveFolderId) {
-        throw new Error('無效的 Google Drive 文件夾 ID');
-      }
+    // 圖片上傳階段 - 增加進度反饋（未設置 Google Drive 的用戶跳過上傳）
+    if (!clientData.driveFolderId) {
+      businessLogger.info(`用戶 ${userId} 未設置 Google Drive 文件夾，跳過圖片上傳`);
+    } else {
+      try {
+        if (!state.answers.media || !state.answers.media.data) {
+          throw new Error('圖片數據無效');
+        }
       
-      // 發送上傳進度消息
-      if (client && client.ws && client.ws.isOpen) {
-        try {
-          await client.sendMessage(chatId, { 
-            text: '📤 正在上傳圖片到雲端...' 
-          });
-        } catch (err) {
-          businessLogger.warn(`無法發送上傳進度消息：${err.message}`);
+        // 發送上傳進度消息
+        if (client && client.ws && client.ws.isOpen) {
+          try {
+            await client.sendMessage(chatId, { 
+              text: '📤 正在上傳圖片到雲端...' 
+            });
+          } catch (err) {
+            businessLogger.warn(`無法發送上傳進度消息：${err.message}`);
+          }
         }
-      }
       
-      const filename = `receipt_${Date.now()}_${Math.random().toString(36).substring(2)}.jpg`;
-      imageUrl = await processLimit(() => uploadImageToDrive(
-        state.answers.media.data,
-        state.answers.media.mimetype,
-        filename,
-        clientData.driveFolderId
-      ));
-      businessLogger.info(`圖片上傳結果：imageUrl=${imageUrl}`);
+        imageUrl = await this.uploadAttachments(
+          state.answers.attachments || [state.answers.media],
+          clientData.driveFolderId
+        );
+        businessLogger.info(`圖片上傳結果：imageUrl=${imageUrl}`);
       
-      // 發送上傳成功消息
-      if (client && client.ws && client.ws.isOpen) {
-        try {
-          await client.sendMessage(chatId, { 
-            text: '✅ 圖片上傳成功！正在寫入表格...' 
-          });
-        } catch (err) {
-          businessLogger.warn(`無法發送上傳成功消息：${err.message}`);
+        // 發送上傳成功消息
+        if (client && client.ws && client.ws.isOpen) {
+          try {
+            await client.sendMessage(chatId, { 
+              text: '✅ 圖片上傳成功！正在寫入表格...' 
+            });
+          } catch (err) {
+            businessLogger.warn(`無法發送上傳成功消息：${err.message}`);
+          }
         }
-      }
       
-    } catch (err) {
-      errorMessage = `圖片上傳失敗：${err.message}`;
-      businessLogger.error(errorMessage);
-      imageUrl = '';
+      } catch (err) {
+        errorMessage = `圖片上傳失敗：${err.message}`;
+        businessLogger.error(errorMessage);
+        imageUrl = '';
       
-      // 發送上傳失敗消息
-      if (client && client.ws && client.ws.isOpen) {
-        try {
-          await client.sendMessage(chatId, { 
-            text: '❌ 圖片上傳失敗，但會繼續處理其他資料...' 
-          });
-        } catch (err) {
-          businessLogger.warn(`無法發送上傳失敗消息：${err.message}`);
+        // 發送上傳失敗消息
+        if (client && client.ws && client.ws.isOpen) {
+          try {
+            await client.sendMessage(chatId, { 
+              text: '❌ 圖片上傳失敗，但會繼續處理其他資料...' 
+            });
+          } catch (err) {
+            businessLogger.warn(`無法發送上傳失敗消息：${err.message}`);
+          }
         }
       }
     }
 
     const answers = { ...state.answers, imageUrl };
+    delete answers.attachments;
     const fields = clientData.customQuestions?.map(q => q.field).concat(['imageUrl']) || ['imageUrl'];
     businessLogger.info(`提交欄位：${fields.join(', ')}`);
 
     let success = false;
+    let storageResult = null;
+    let approvalMatch = null;
+    const rowData = {};
     try {
-      if (!clientData.sheetId || !clientData.sheetName) {
-        throw new Error('無效的 Google Sheet ID 或工作表名稱');
-      }
       const headers = (clientData.customQuestions || []).map(q => q.field);
-      const rowData = {};
       headers.forEach(field => {
         rowData[field] = answers[field] || '';
       });
-      if (imageUrl) rowData['imageUrl'] = imageUrl;
-      success = await processLimit(() => writeToSheet(
-        clientData.sheetId,
-        clientData.sheetName,
-        rowData,
-        headers
-      ));
-      businessLogger.info(`Google Sheet 寫入結果：${success}`);
+      // 符合審批規則的記錄只保存到本地帳本，批准後才寫入其他存儲
+      approvalMatch = await expenseApprovalService.check(userId, rowData, clientData.approvalRules);
+      storageResult = await processLimit(() => expenseStorageService.saveExpense({
+        userId,
+        chatId,
+        msgId: state.msgId,
+        data: rowData,
+        fields: headers,
+        imageUrl,
+        imageHash: state.imageHash,
+        settings: clientData,
+        holdForApproval: Boolean(approvalMatch)
+      }));
+      success = storageResult.success;
+      businessLogger.info(`費用記錄存儲結果：${success}，記錄ID：${storageResult.recordId}`);
     } catch (err) {
-      errorMessage = errorMessage || `寫入 Google Sheet 失敗：${err.message}`;
+      errorMessage = errorMessage || `保存費用記錄失敗：${err.message}`;
       businessLogger.error(errorMessage);
       success = false;
     }
 
-    const submissionData = { answers: { ...state.answers, imageUrl } };
+    const submissionData = { answers };
     const messageFormat = clientData.messageFormat;
     const summary = formatMessage(submissionData.answers, messageFormat);
-    const responseMessage = success
+    let responseMessage = success
       ? createSuccessMessage('提交', submissionData)
       : createErrorMessage('提交', errorMessage || '請檢查設置後重試。');
+    if (success && storageResult.held) {
+      responseMessage += `\n\n${expenseApprovalService.formatHeldNotice(approvalMatch)}`;
+    }
+    if (success && storageResult.pending.length > 0) {
+      responseMessage += `\n\n${this.formatPendingSyncNotice(storageResult.pending)}`;
+    }
+    if (success && storageResult.recordId) {
+      responseMessage += `\n\n${this.formatCorrectionHint()}`;
+    }
 
     try {
       if (clientData.ready && clientData.client.ws.isOpen) {
-        await client.sendMessage(chatId, { text: responseMessage });
+        const sent = await client.sendMessage(chatId, { text: responseMessage });
+        if (success && storageResult.recordId) {
+          await expenseStorageService.attachConfirmationMessage(storageResult.recordId, sent?.key?.id);
+        }
         businessLogger.info(`提交結果：${success ? '成功' : '失敗'}，總結：${summary}`);
       }
     } catch (err) {
       businessLogger.warn(`無法為用戶 ${userId} 發送提交結果：${err.message}`);
     }
 
+    if (success && storageResult.held) {
+      await this.requestApproval(client, { userId, chatId, recordId: storageResult.recordId, data: rowData, imageUrl, match: approvalMatch });
+    }
+
     stateManager.deleteExpenseState(chatId, state.msgId);
     stateManager.markImageProcessed(state.msgId);
     stateManager.setImageProcessingStatus(false);
     this.processImageQueue();
   }
 
+  /**
+   * 一般對話流程保存前檢查重複，找到可能重複的記錄時詢問用戶
+   * @returns {Promise<boolean>} 是否正在等待用戶回覆
+   */
+  async promptIfDuplicate(chatId, state, client) {
+    state.duplicateChecked = true;
+    state.imageHash = await duplicateDetectionService.computeImageHashes(state.answers.attachments || [state.answers.media]);
+    const [match] = await duplicateDetectionService.checkReceipts(state.userId, [state.answers], state.imageHash);
+
+    if (!match || !client || !client.ws || !client.ws.isOpen) {
+      stateManager.setExpenseState(chatId, state.msgId, state);
+      return false;
+    }
+
+    state.awaitingDuplicateConfirmation = true;
+    state.lastActive = Date.now();
+    stateManager.setExpenseState(chatId, state.msgId, state);
+    businessLogger.info(`可能重複的收據，等待用戶確認：chatId=${chatId}，msgId=${state.msgId}，記錄=${match.record.id}`);
+    await client.sendMessage(chatId, { text: duplicateDetectionService.formatDuplicateWarning([match]) });
+    return true;
+  }
+
+  /**
+   * 處理重複提示的回覆：「確認」照常記錄，「取消」放棄
+   */
+  async handleDuplicateReply(chatId, state, message, client) {
+    const reply = message.trim().toLowerCase();
+
+    if (['確認', '确认', 'confirm'].includes(reply)) {
+      state.awaitingDuplicateConfirmation = false;
+      stateManager.setExpenseState(chatId, state.msgId, state);
+      await this.finishExpenseChat(chatId, state, client);
+    } else if (['取消', 'cancel'].includes(reply)) {
+      businessLogger.info(`用戶放棄可能重複的收據：chatId=${chatId}，msgId=${state.msgId}`);
+      if (client.ws.isOpen) {
+        await client.sendMessage(chatId, { text: '❌ 已取消本次記錄。' });
+      }
+      this.cleanupFailedExpenseChat(chatId, state.msgId);
+    } else if (client.ws.isOpen) {
+      await client.sendMessage(chatId, { text: '⚠️ 請回覆「確認」照常記錄，或回覆「取消」放棄此收據。' });
+    }
+  }
+
   processImageQueue() {
     const imageProcessingService = require('./ImageProcessingService');
     imageProcessingService.processImageQueue();
@@ -331,6 +458,7 @@ class ExpenseChatService {
 
   /**
    * 處理AI確認後的上傳流程
+   * @param {Object|Array<Object>} confirmedData - 確認的資料；多張收據時為陣列，每張保存為一筆記錄
    */
   async handleAIConfirmation(chatId, msgId, confirmedData, client) {
     businessLogger.info(`開始處理AI確認上傳：chatId=${chatId}，msgId=${msgId}`);
@@ -341,61 +469,46 @@ class ExpenseChatService {
       if (!aiState) {
         throw new Error('找不到AI確認狀態');
       }
+      const receipts = Array.isArray(confirmedData) ? confirmedData : [confirmedData];
 
-      // 驗證必要參數
-      if (!aiState.driveFolderId || !aiState.sheetId || !aiState.sheetName) {
-        throw new Error('缺少必要的上傳設置');
-      }
-
-      // 發送處理開始消息
-      if (client && client.ws && client.ws.isOpen) {
-        await client.sendMessage(chatId, { 
-          text: '📤 開始上傳資料到雲端...' 
-        });
-      }
+      // 1. 上傳圖片到 Google Drive（未設置文件夾則跳過）；多張收據共用同一份文件
+      let imageUrl = '';
+      if (aiState.driveFolderId) {
+        if (client && client.ws && client.ws.isOpen) {
+          await client.sendMessage(chatId, { 
+            text: '📤 開始上傳資料到雲端...' 
+          });
+        }
 
-      // 1. 上傳圖片到 Google Drive
-      businessLogger.info(`開始上傳圖片到Google Drive：${aiState.driveFolderId}`);
-      const filename = `receipt_${Date.now()}_${Math.random().toString(36).substring(2)}.jpg`;
-      const imageUrl = await processLimit(() => uploadImageToDrive(
-        aiState.media.data,
-        aiState.media.mimetype,
-        filename,
-        aiState.driveFolderId
-      ));
+        businessLogger.info(`開始上傳圖片到Google Drive：${aiState.driveFolderId}`);
+        imageUrl = await this.uploadAttachments(aiState.attachments || [aiState.media], aiState.driveFolderId);
 
-      // 發送上傳成功消息
-      if (client && client.ws && client.ws.isOpen) {
-        await client.sendMessage(chatId, { 
-          text: '✅ 圖片上傳成功！正在寫入表格...' 
-        });
+        // 發送上傳成功消息
+        if (client && client.ws && client.ws.isOpen) {
+          await client.sendMessage(chatId, { 
+            text: '✅ 圖片上傳成功！正在寫入表格...' 
+          });
+        }
       }
 
-      // 2. 將確認的資料和圖片URL寫入Google Sheet
-      const rowData = { ...confirmedData, imageUrl };
-      const headers = Object.keys(confirmedData);
-      const success = await processLimit(() => writeToSheet(
-        aiState.sheetId,
-        aiState.sheetName,
-        rowData,
-        headers
-      ));
-
-      // 3. 發送最終結果
-      let responseMessage = success 
-        ? '✅ **AI 識別結果已成功保存！**\n\n' 
-        : '⚠️ **AI 識別結果（寫入失敗）**\n\n';
-      
-      for (const [field, value] of Object.entries(confirmedData)) {
-        responseMessage += `${field}: ${value || '未知'}\n`;
+      // 2. 每張收據寫入用戶選擇的存儲並發送結果（每筆記錄一則確認訊息，方便回覆更正）
+      let savedCount = 0;
+      for (let index = 0; index < receipts.length; index++) {
+        const label = receipts.length > 1 ? `收據 ${index + 1}/${receipts.length}` : null;
+        const saved = await this.saveConfirmedReceipt(chatId, msgId, aiState, receipts[index], imageUrl, client, label);
+        if (saved) savedCount++;
       }
-      responseMessage += `\n📎 圖片連結：${imageUrl}`;
+      const success = savedCount === receipts.length;
 
-      if (client && client.ws && client.ws.isOpen) {
-        await client.sendMessage(chatId, { text: responseMessage });
+      if (receipts.length > 1 && client && client.ws && client.ws.isOpen) {
+        await client.sendMessage(chatId, {
+          text: success
+            ? `✅ 已保存全部 ${receipts.length} 張收據。`
+            : `⚠️ 已保存 ${savedCount}/${receipts.length} 張收據，請檢查寫入失敗的記錄。`
+        });
       }
 
-      businessLogger.info(`AI 確認上傳完成：chatId=${chatId}，msgId=${msgId}，成功=${success}`);
+      businessLogger.info(`AI 確認上傳完成：chatId=${chatId}，msgId=${msgId}，成功=${savedCount}/${receipts.length}`);
 
       // 清理狀態
       stateManager.deleteAIConfirmationState(chatId, msgId);
@@ -429,6 +542,95 @@ class ExpenseChatService {
     }
   }
 
+  /**
+   * 保存一張已確認的收據並發送結果
+   * @returns {Promise<boolean>} 是否保存成功
+   */
+  async saveConfirmedReceipt(chatId, msgId, aiState, data, imageUrl, client, label = null) {
+    const approvalMatch = await expenseApprovalService.check(aiState.userId, data, aiState.approvalRules);
+    const storageResult = await processLimit(() => expenseStorageService.saveExpense({
+      userId: aiState.userId,
+      chatId,
+      msgId,
+      data,
+      fields: Object.keys(data),
+      imageUrl,
+      imageHash: aiState.imageHash,
+      settings: aiState,
+      holdForApproval: Boolean(approvalMatch)
+    }));
+    const success = storageResult.success;
+
+    let responseMessage = success 
+      ? (storageResult.held ? '⏳ **AI 識別結果已保存，等待審批**\n\n' : '✅ **AI 識別結果已成功保存！**\n\n')
+      : '⚠️ **AI 識別結果（寫入失敗）**\n\n';
+    if (label) {
+      responseMessage += `🧾 ${label}\n`;
+    }
+    
+    for (const [field, value] of Object.entries(data)) {
+      responseMessage += `${field}: ${value || '未知'}\n`;
+    }
+    if (imageUrl) {
+      responseMessage += `\n📎 圖片連結：${imageUrl}`;
+    }
+    if (success && storageResult.held) {
+      responseMessage += `\n\n${expenseApprovalService.formatHeldNotice(approvalMatch)}`;
+    }
+    if (success && storageResult.pending.length > 0) {
+      responseMessage += `\n\n${this.formatPendingSyncNotice(storageResult.pending)}`;
+    }
+    if (success && storageResult.recordId) {
+      responseMessage += `\n\n${this.formatCorrectionHint()}`;
+    }
+
+    if (client && client.ws && client.ws.isOpen) {
+      const sent = await client.sendMessage(chatId, { text: responseMessage });
+      if (success && storageResult.recordId) {
+        await expenseStorageService.attachConfirmationMessage(storageResult.recordId, sent?.key?.id);
+      }
+    }
+    if (success && storageResult.held) {
+      await this.requestApproval(client, { userId: aiState.userId, chatId, recordId: storageResult.recordId, data, imageUrl, match: approvalMatch });
+    }
+    return success;
+  }
+
+  /**
+   * 通知審批人，失敗時記錄仍保留在帳本等待審批
+   */
+  async requestApproval(client, params) {
+    try {
+      await expenseApprovalService.requestApproval(client, params);
+    } catch (err) {
+      businessLogger.error(`建立記錄 ${params.recordId} 的審批申請失敗：${err.message}`);
+    }
+  }
+
+  /**
+   * 上傳收據文件的每一頁到 Google Drive
+   * @param {Array<Object>} pages - 每頁的 { data, mimetype }
+   * @param {string} driveFolderId - Drive 文件夾ID
+   * @returns {Promise<string>} 文件連結，多頁時以換行分隔
+   */
+  async uploadAttachments(pages, driveFolderId) {
+    const urls = [];
+    for (const page of pages) {
+      if (!page || !page.data) {
+        throw new Error('圖片數據無效');
+      }
+      const extension = page.mimetype === 'application/pdf' ? 'pdf' : page.mimetype === 'image/png' ? 'png' : 'jpg';
+      const filename = `receipt_${Date.now()}_${Math.random().toString(36).substring(2)}.${extension}`;
+      urls.push(await processLimit(() => uploadImageToDrive(
+        page.data,
+        page.mimetype,
+        filename,
+        driveFolderId
+      )));
+    }
+    return urls.filter(Boolean).join('\n');
+  }
+
   async handleExpenseMessage(chatId, message, client) {
     const { getClients } = require('./whatsappConnection');
     let userId;
@@ -460,6 +662,11 @@ class ExpenseChatService {
     state.lastActive = Date.now();
     stateManager.setExpenseState(chatId, state.msgId, state);
 
+    if (state.awaitingDuplicateConfirmation) {
+      await this.handleDuplicateReply(chatId, state, message, client);
+      return;
+    }
+
     const currentQuestion = state.questions[state.step - 1];
     if (!currentQuestion) {
       businessLogger.warn(`chatId ${chatId} 的費用對話步驟無效：step=${state.step}`);
@@ -492,6 +699,18 @@ class ExpenseChatService {
     }
   }
 
+  // 部分存儲暫時寫入失敗時的提示
+  formatPendingSyncNotice(pendingProviders) {
+    const labels = { sheets: 'Google Sheet', csv: 'CSV 文件', xlsx: 'Excel 文件' };
+    const names = pendingProviders.map(name => labels[name] || name).join('、');
+    return `⏳ ${names} 暫時無法寫入，記錄已保存在本地，系統會自動補寫。`;
+  }
+
+  // 確認訊息中的更正說明
+  formatCorrectionHint() {
+    return '✏️ 如需更正，請回覆此訊息「修改 欄位 新值」，或回覆「作廢」作廢此記錄。';
+  }
+
   // 清理失敗的費用對話
   cleanupFailedExpenseChat(chatId, msgId) {
     try {
@@ -0,0 +1,142 @@
+/**
+ * 費用記錄更正服務
+ * 處理聊天中的撤銷、作廢及修改指令：
+ *   「撤銷」/ undo                  - 作廢聊天中最近一筆記錄（回覆確認訊息時作廢該筆）
+ *   回覆確認訊息「作廢」/ void        - 作廢該筆記錄
+ *   回覆確認訊息「修改 欄位 新值」     - 修改該筆記錄的一個欄位
+ */
+
+const { businessLogger } = require('../utils/logger');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+const expenseQueryService = require('./ExpenseQueryService');
+
+const UNDO_PATTERN = /^(?:撤銷|撤销|撤回|undo)(?:上一筆|上一笔|最後一筆|最后一笔)?$/i;
+const VOID_PATTERN = /^(?:作廢|作废|刪除|删除|void|delete)$/i;
+const EDIT_PATTERN = /^(?:修改|更改|edit)\s+([^\s:=：]+)\s*[:=：]?\s*([\s\S]+)$/i;
+
+const PROVIDER_LABELS = {
+  sheets: 'Google Sheet',
+  csv: 'CSV 文件',
+  xlsx: 'Excel 文件',
+  image: '收據圖片',
+  invoice: '發票 PDF'
+};
+
+class ExpenseCorrectionService {
+  constructor() {
+    businessLogger.info('費用記錄更正服務已初始化');
+  }
+
+  /**
+   * 解析更正指令
+   * @param {string} text - 訊息原文（修改的值保留大小寫）
+   * @param {string|null} quotedMsgId - 被回覆的訊息ID
+   * @returns {Object|null} { action, field, value, quotedMsgId }
+   */
+  parseCommand(text, quotedMsgId = null) {
+    if (!text || typeof text !== 'string') return null;
+    const input = text.trim();
+
+    if (UNDO_PATTERN.test(input)) {
+      return { action: 'void', quotedMsgId };
+    }
+    if (quotedMsgId && VOID_PATTERN.test(input)) {
+      return { action: 'void', quotedMsgId };
+    }
+
+    const edit = input.match(EDIT_PATTERN);
+    if (edit) {
+      return { action: 'edit', field: edit[1], value: edit[2].trim(), quotedMsgId };
+    }
+
+    return null;
+  }
+
+  /**
+   * 執行更正指令並回覆結果
+   * @param {Object} client - WhatsApp 客戶端
+   * @param {string} chatId - 聊天ID
+   * @param {string} userId - 用戶ID
+   * @param {Object} command - parseCommand 的結果
+   * @param {string} actor - 發送指令的聊天成員
+   * @returns {Promise<boolean>}
+   */
+  async handleCommand(client, chatId, userId, command, actor = null) {
+    let message;
+    try {
+      message = await this.execute(chatId, userId, command, actor);
+    } catch (err) {
+      businessLogger.error(`更正費用記錄失敗：userId=${userId}，${err.message}`);
+      message = `❌ 更正失敗：${err.message}`;
+    }
+
+    try {
+      await client.sendMessage(chatId, { text: message });
+      return true;
+    } catch (err) {
+      businessLogger.warn(`無法發送更正結果：${err.message}`);
+      return false;
+    }
+  }
+
+  async execute(chatId, userId, command, actor) {
+    if (command.action === 'edit' && !command.quotedMsgId) {
+      return '✏️ 請回覆要修改的記錄的確認訊息，再輸入「修改 欄位 新值」。';
+    }
+
+    const record = await expenseStorageService.findRecordForCorrection(userId, chatId, command.quotedMsgId);
+    if (!record) {
+      return command.quotedMsgId
+        ? '⚠️ 找不到此訊息對應的費用記錄。'
+        : '⚠️ 沒有可以撤銷的記錄。';
+    }
+
+    let result;
+    let summary;
+    if (command.action === 'void') {
+      result = await expenseStorageService.voidRecord(record.id, actor);
+      summary = `🗑️ **記錄已作廢**\n\n${this.describeRecord(record)}`;
+    } else {
+      const field = record.fields.find(name => name.toLowerCase() === command.field.toLowerCase());
+      if (!field) {
+        return `⚠️ 記錄沒有欄位「${command.field}」。\n\n可修改的欄位：${record.fields.join('、')}`;
+      }
+      result = await expenseStorageService.updateRecordField(record.id, field, command.value, actor);
+      summary = `✏️ **記錄已修改**\n\n${field}：${result.oldValue || '（空）'} → ${command.value}`;
+    }
+
+    expenseQueryService.invalidate(userId);
+    businessLogger.info(`費用記錄 ${record.id} 已${command.action === 'void' ? '作廢' : '修改'}，操作者：${actor || userId}`);
+
+    const notice = this.formatResults(result.results, command.action);
+    return notice ? `${summary}\n\n${notice}` : summary;
+  }
+
+  describeRecord(record) {
+    const lines = record.fields
+      .filter(field => record.data[field])
+      .map(field => `${field}: ${record.data[field]}`);
+    return lines.length > 0 ? lines.join('\n') : `記錄編號：${record.id.slice(0, 8)}`;
+  }
+
+  // 列出同步成功以外的存儲結果
+  formatResults(results = {}, action = 'edit') {
+    const lines = [];
+    for (const [name, result] of Object.entries(results)) {
+      const label = PROVIDER_LABELS[name] || name;
+      if (result.status === 'failed') {
+        lines.push(`⚠️ ${label} 更新失敗：${result.error}`);
+      } else if (result.status === 'pending') {
+        lines.push(action === 'void'
+          ? `⏳ ${label} 尚未寫入，作廢後不會再補寫`
+          : `⏳ ${label} 尚未寫入，系統補寫時會使用更正後的內容`);
+      }
+    }
+    return lines.join('\n');
+  }
+}
+
+// 建立單例實例
+const expenseCorrectionService = new ExpenseCorrectionService();
+
+module.exports = expenseCorrectionService;
@@ -0,0 +1,319 @@
+/**
+ * 費用查詢服務
+ * 處理聊天中的查詢指令：月份總額、分類統計、最近記錄及按店鋪搜尋
+ *
+ * 數據與智能儀表板相同，來自用戶的 Google Sheet（analyticsAIService.fetchUserSheetData），
+ * 欄位亦沿用儀表板的識別規則（extractValueFields 等）。
+ */
+
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+const { formatDate } = require('../utils/dateUtils');
+
+// 店鋪欄位的識別關鍵字（儀表板沒有對應規則）
+const VENDOR_KEYWORDS = ['shop', 'store', 'vendor', 'merchant', '店', '商戶', '商家', '供應商'];
+
+const CURRENT_MONTH = /本月|這個月|这个月|今個月|呢個月|this month/;
+const LAST_MONTH = /上個月|上个月|上月|last month/;
+const SPENDING = /支出|花費|花了|花咗|使咗|用了|總額|总额|幾多|多少|spend|spent|spending|total|expenses?/;
+
+class ExpenseQueryService {
+  constructor() {
+    this.analyticsReady = null;
+    this.cache = new Map();
+    businessLogger.info('費用查詢服務已初始化');
+  }
+
+  /**
+   * 解析查詢指令
+   * @param {string} text - 用戶訊息
+   * @param {Date} now - 當前時間
+   * @returns {Object|null} { type, month, limit, keyword }，不是查詢指令時返回 null
+   */
+  parseQuery(text, now = new Date()) {
+    if (!text || typeof text !== 'string') return null;
+
+    const input = text.toLowerCase().trim().replace(/[?？!！。]+$/, '');
+    if (input === '' || input.length > 60) return null;
+
+    const search = input.match(/^(?:搜尋|搜索|查找|search|find)\s*[:：]?\s+(.+)$/) ||
+      input.match(/^(?:搜尋|搜索|查找)[:：]?(.+)$/);
+    if (search) {
+      return { type: 'vendor_search', keyword: search[1].trim() };
+    }
+
+    const recent = input.match(/^(?:最近|最新|last|recent)\s*(\d{1,2})?\s*(?:筆|笔|條|条|項|项|entries|records|expenses)?\s*(?:記錄|紀錄|记录|支出)?$/);
+    if (recent && (recent[1] || input !== 'last')) {
+      const limit = Math.min(parseInt(recent[1] || '5', 10) || 5, config.expenseQuery.maxResults);
+      return { type: 'recent', limit };
+    }
+
+    const month = this.parseMonth(input, now);
+    if (/分類|分类|類別|类别|categor/.test(input) && (month || SPENDING.test(input) || /統計|统计/.test(input))) {
+      return { type: 'category_totals', month: month || this.toMonthKey(now) };
+    }
+
+    if (month && SPENDING.test(input)) {
+      return { type: 'month_total', month };
+    }
+
+    return null;
+  }
+
+  /**
+   * 從訊息中找出月份
+   * @returns {string|null} YYYY-MM
+   */
+  parseMonth(input, now) {
+    if (CURRENT_MONTH.test(input)) {
+      return this.toMonthKey(now);
+    }
+    if (LAST_MONTH.test(input)) {
+      return this.toMonthKey(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+    }
+
+    const full = input.match(/(\d{4})\s*[-/年]\s*(\d{1,2})\s*月?/);
+    if (full && Number(full[2]) >= 1 && Number(full[2]) <= 12) {
+      return `${full[1]}-${full[2].padStart(2, '0')}`;
+    }
+
+    const short = input.match(/(?:^|\D)(\d{1,2})\s*月/);
+    if (short && Number(short[1]) >= 1 && Number(short[1]) <= 12) {
+      // 未到的月份指去年
+      const monthIndex = Number(short[1]) - 1;
+      const year = monthIndex > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear();
+      return this.toMonthKey(new Date(year, monthIndex, 1));
+    }
+
+    return null;
+  }
+
+  toMonthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * 執行查詢並返回回覆訊息
+   * @param {string} userId - 用戶ID
+   * @param {Object} query - parseQuery 的結果
+   * @param {Date} now - 當前時間
+   * @returns {Promise<string>}
+   */
+  async execute(userId, query, now = new Date()) {
+    const userData = await this.loadSheetData(userId);
+    const analytics = await this.getAnalyticsService();
+    return this.answer(query, this.toEntries(userData, analytics), now);
+  }
+
+  /**
+   * 讀取用戶的 Google Sheet 數據（短暫緩存，避免連續查詢重複讀取）
+   */
+  async loadSheetData(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < config.expenseQuery.cacheTTL) {
+      return cached.data;
+    }
+
+    const analytics = await this.getAnalyticsService();
+    const data = await analytics.fetchUserSheetData(userId);
+    this.cache.set(userId, { data, loadedAt: Date.now() });
+    return data;
+  }
+
+  /**
+   * 只初始化 Google Sheets 部分，查詢不需要 AI
+   */
+  async getAnalyticsService() {
+    if (!this.analyticsReady) {
+      const AnalyticsAIService = require('./analyticsAIService');
+      const analytics = new AnalyticsAIService();
+      this.analyticsReady = analytics.initializeGoogleSheets()
+        .then(() => analytics)
+        .catch(err => {
+          this.analyticsReady = null;
+          throw err;
+        });
+    }
+    return this.analyticsReady;
+  }
+
+  /**
+   * 清除用戶的緩存（記錄有變更時調用）
+   * @param {string} userId - 用戶ID
+   */
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+
+  /**
+   * 把工作表記錄轉換為查詢用的條目
+   * @param {Object} userData - fetchUserSheetData 的結果
+   * @param {Object} analytics - 用於識別欄位的 AnalyticsAIService
+   * @returns {Object} { columns, entries }
+   */
+  toEntries(userData, analytics) {
+    const columns = {
+      amount: analytics.extractValueFields(userData)[0] || null,
+      date: analytics.extractTimeStructure(userData)[0] || null,
+      category: analytics.extractCategoryFields(userData)[0] || null,
+      vendor: userData.headers.find(header =>
+        header && VENDOR_KEYWORDS.some(keyword => header.toLowerCase().includes(keyword))
+      ) || null
+    };
+
+    // 已在聊天中作廢的記錄不計入
+    const active = userData.structuredData.filter(record => !record.recordStatus);
+
+    const entries = active.map(record => ({
+      amount: columns.amount ? this.parseAmount(record[columns.amount]) : null,
+      date: columns.date ? this.parseDate(record[columns.date]) : null,
+      dateText: columns.date ? record[columns.date] : '',
+      category: columns.category ? String(record[columns.category] || '').trim() : '',
+      vendor: columns.vendor ? String(record[columns.vendor] || '').trim() : ''
+    }));
+
+    return { columns, entries };
+  }
+
+  parseAmount(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const amount = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * 解析 YYYY-MM-DD、YYYY/MM/DD 或 DD/MM/YYYY
+   * @returns {Date|null}
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+    if (match) {
+      return new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  /**
+   * 按查詢類型生成回覆
+   * @param {Object} query - parseQuery 的結果
+   * @param {Object} sheet - toEntries 的結果
+   * @param {Date} now - 當前時間
+   * @returns {string}
+   */
+  answer(query, { columns, entries }, now = new Date()) {
+    if ((query.type === 'month_total' || query.type === 'category_totals') && !columns.date) {
+      return '⚠️ 找不到日期欄位，無法按月份統計。';
+    }
+    if (query.type !== 'recent' && query.type !== 'vendor_search' && !columns.amount) {
+      return '⚠️ 找不到金額欄位，無法計算總額。';
+    }
+
+    switch (query.type) {
+      case 'month_total':
+        return this.formatMonthTotal(query.month, this.inMonth(entries, query.month), now);
+      case 'category_totals':
+        if (!columns.category) {
+          return '⚠️ 找不到類別欄位，無法按類別統計。';
+        }
+        return this.formatCategoryTotals(query.month, this.inMonth(entries, query.month));
+      case 'recent':
+        return this.formatEntries(`🧾 **最近 ${query.limit} 筆記錄**`, entries.slice(-query.limit).reverse());
+      case 'vendor_search':
+        return this.formatSearch(query.keyword, entries, columns);
+      default:
+        return '⚠️ 不支援的查詢。';
+    }
+  }
+
+  inMonth(entries, month) {
+    return entries.filter(entry => entry.date && this.toMonthKey(entry.date) === month);
+  }
+
+  formatMonthTotal(month, entries, now) {
+    const total = entries.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+    const [year, monthNumber] = month.split('-');
+    let message = `📊 **${year}年${Number(monthNumber)}月支出**\n\n` +
+      `💰 總額：${this.formatAmount(total)}\n` +
+      `🧾 筆數：${entries.length}`;
+    if (month === this.toMonthKey(now)) {
+      message += `\n📅 截至 ${formatDate(now)}`;
+    }
+    return message;
+  }
+
+  formatCategoryTotals(month, entries) {
+    const [year, monthNumber] = month.split('-');
+    const title = `📂 **${year}年${Number(monthNumber)}月分類統計**`;
+    if (entries.length === 0) {
+      return `${title}\n\n該月沒有記錄。`;
+    }
+
+    const totals = new Map();
+    for (const entry of entries) {
+      const category = entry.category || '未分類';
+      const current = totals.get(category) || { amount: 0, count: 0 };
+      current.amount += entry.amount || 0;
+      current.count++;
+      totals.set(category, current);
+    }
+
+    const grandTotal = entries.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+    const lines = [...totals.entries()]
+      .sort((a, b) => b[1].amount - a[1].amount)
+      .map(([category, { amount, count }]) => {
+        const share = grandTotal > 0 ? Math.round((amount / grandTotal) * 100) : 0;
+        return `• ${category}：${this.formatAmount(amount)}（${count} 筆，${share}%）`;
+      });
+
+    return `${title}\n\n${lines.join('\n')}\n\n💰 總額：${this.formatAmount(grandTotal)}`;
+  }
+
+  formatSearch(keyword, entries, columns) {
+    if (!columns.vendor) {
+      return '⚠️ 找不到店鋪欄位，無法按店鋪搜尋。';
+    }
+
+    const matches = entries.filter(entry => entry.vendor.toLowerCase().includes(keyword));
+    if (matches.length === 0) {
+      return `🔍 找不到店鋪包含「${keyword}」的記錄。`;
+    }
+
+    const total = matches.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+    const shown = matches.slice(-config.expenseQuery.maxResults).reverse();
+    let title = `🔍 **「${keyword}」的搜尋結果**\n\n找到 ${matches.length} 筆，共 ${this.formatAmount(total)}`;
+    if (matches.length > shown.length) {
+      title += `\n（顯示最近 ${shown.length} 筆）`;
+    }
+    return this.formatEntries(title, shown);
+  }
+
+  formatEntries(title, entries) {
+    if (entries.length === 0) {
+      return `${title}\n\n暫時沒有記錄。`;
+    }
+    const lines = entries.map((entry, index) => {
+      const parts = [entry.dateText || '-', entry.vendor || '-', entry.amount === null ? '-' : this.formatAmount(entry.amount)];
+      if (entry.category) parts.push(entry.category);
+      return `${index + 1}. ${parts.join('｜')}`;
+    });
+    return `${title}\n\n${lines.join('\n')}`;
+  }
+
+  formatAmount(amount) {
+    return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+}
+
+// 建立單例實例
+const expenseQueryService = new ExpenseQueryService();
+
+module.exports = expenseQueryService;
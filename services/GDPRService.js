@@ -3,8 +3,52 @@
  * 實現數據保護、用戶權利、數據刪除等功能
  */
 
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const { businessLogger } = require('../utils/logger');
 const { encryptionService } = require('../utils/encryption');
+const { createZip } = require('../utils/zipArchive');
+const config = require('../config');
+const googleService = require('../googleService');
+
+/**
+ * 存放用戶數據的資料表，子表排在前面以便按順序刪除
+ * where 中的每個 ? 都代入用戶ID，exclude 的欄位不會匯出
+ */
+const USER_DATA_TABLES = [
+  { table: 'expense_record_sync', where: 'recordId IN (SELECT id FROM expense_records WHERE userId = ?)' },
+  { table: 'expense_record_history', where: 'recordId IN (SELECT id FROM expense_records WHERE userId = ?)' },
+  { table: 'expense_approvals', where: 'userId = ?' },
+  { table: 'expense_records', where: 'userId = ?' },
+  { table: 'plugin_settings', where: 'userId = ?' },
+  { table: 'ai_usage', where: 'tenantId = ? OR userId = ?' },
+  { table: 'ai_budgets', where: 'tenantId = ?' },
+  { table: 'workflow_execution_steps', where: 'execution_id IN (SELECT id FROM workflow_executions WHERE user_id = ?)' },
+  { table: 'workflow_reply_waits', where: 'user_id = ?' },
+  { table: 'workflow_executions', where: 'user_id = ?' },
+  { table: 'workflows', where: 'user_id = ?' },
+  { table: 'bots', where: 'user_id = ?' },
+  { table: 'privacy_preferences', where: 'userId = ?' },
+  { table: 'refresh_tokens', where: 'userId = ?', exclude: ['tokenHash'] },
+  { table: 'tenant_invitations', where: 'tenantId = ?', exclude: ['tokenHash'] },
+  { table: 'tenant_members', where: 'userId = ? OR tenantId = ?' }
+];
+
+// 匿名化時清空的用戶欄位
+const USER_PERSONAL_COLUMNS = [
+  'password', 'groupName', 'messageFormat', 'customQuestions', 'driveFolderId', 'sheetId', 'sheetName',
+  'companyName', 'companyAddress', 'companyPhone', 'invoiceTitle', 'invoiceNumberPrefix', 'invoiceFooter',
+  'approvalRules'
+];
+
+class GDPRRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GDPRRequestError';
+    this.status = status;
+  }
+}
 
 class GDPRService {
   constructor(container) {
@@ -13,26 +57,27 @@ class GDPRService {
     this.database = null;
     this.userService = null;
     this.auditService = null;
-    
+    this.tablesReady = null;
+
     // 嘗試從容器獲取服務
     try {
       this.database = container.resolve('databaseService');
     } catch (error) {
       this.logger.warn('DatabaseService 未註冊，GDPR 功能受限');
     }
-    
+
     try {
       this.userService = container.resolve('userService');
     } catch (error) {
       this.logger.warn('UserService 未註冊，GDPR 功能受限');
     }
-    
+
     try {
       this.auditService = container.resolve('auditService');
     } catch (error) {
       this.logger.warn('AuditService 未註冊，GDPR 審計功能受限');
     }
-    
+
     // GDPR 權利類型
     this.rights = {
       ACCESS: 'right_of_access',
@@ -43,7 +88,33 @@ class GDPRService {
       OBJECTION: 'objection_to_processing',
       WITHDRAWAL: 'withdrawal_of_consent'
     };
-    
+
+    // 自助請求類型 → 權利
+    this.requestTypes = {
+      access: this.rights.ACCESS,
+      rectification: this.rights.RECTIFICATION,
+      erasure: this.rights.ERASURE,
+      portability: this.rights.PORTABILITY,
+      restriction: this.rights.RESTRICTION,
+      objection: this.rights.OBJECTION,
+      withdrawal: this.rights.WITHDRAWAL
+    };
+
+    // 請求狀態
+    this.requestStatuses = {
+      PENDING: 'pending',
+      PROCESSING: 'processing',
+      COMPLETED: 'completed',
+      FAILED: 'failed'
+    };
+
+    // 可撤回的同意
+    this.consentTypes = {
+      AI_PROCESSING: 'ai_processing',
+      ANALYTICS: 'analytics',
+      MARKETING: 'marketing'
+    };
+
     // 數據類別
     this.dataCategories = {
       PERSONAL_DATA: 'personal_data',
@@ -53,7 +124,7 @@ class GDPRService {
       FINANCIAL_DATA: 'financial_data',
       COMMUNICATION_DATA: 'communication_data'
     };
-    
+
     // 處理目的
     this.processingPurposes = {
       SERVICE_PROVISION: 'service_provision',
@@ -66,69 +137,590 @@ class GDPRService {
   }
 
   /**
-   * 處理數據訪問請求
+   * 取得數據庫服務，未註冊時拋出錯誤
+   * @returns {Object} databaseService
+   */
+  requireDatabase() {
+    if (!this.database) {
+      throw new GDPRRequestError('數據庫服務未註冊，無法處理 GDPR 請求', 503);
+    }
+    return this.database;
+  }
+
+  /**
+   * 建立請求及私隱偏好表（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      const database = this.requireDatabase();
+      this.tablesReady = (async () => {
+        await database.run(`CREATE TABLE IF NOT EXISTS gdpr_requests (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          details TEXT,
+          result TEXT,
+          error TEXT,
+          archivePath TEXT,
+          expiresAt TEXT,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL,
+          completedAt TEXT
+        )`);
+        await database.run('CREATE INDEX IF NOT EXISTS idx_gdpr_requests_user ON gdpr_requests (userId, createdAt)');
+        await database.run(`CREATE TABLE IF NOT EXISTS privacy_preferences (
+          userId TEXT PRIMARY KEY,
+          processingRestricted INTEGER DEFAULT 0,
+          restrictionDetails TEXT,
+          objections TEXT,
+          withdrawnConsents TEXT,
+          updatedAt TEXT NOT NULL
+        )`);
+        this.logger.info('gdpr_requests 及 privacy_preferences 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  /**
+   * 提交 GDPR 請求，驗證後在背景處理
    * @param {string} userId - 用戶ID
-   * @param {string} tenantId - 租戶ID
-   * @param {Object} options - 請求選項
+   * @param {string} type - 請求類型（access、rectification、erasure 等）
+   * @param {Object} details - 請求內容
+   * @returns {Promise<Object>} 新建立的請求
    */
-  async handleDataAccessRequest(userId, tenantId, options = {}) {
-    try {
-      this.logger.info('處理數據訪問請求', { userId, tenantId });
+  async createRequest(userId, type, details = {}) {
+    if (!this.requestTypes[type]) {
+      throw new GDPRRequestError(`不支援的請求類型：${type}`);
+    }
+    await this.ensureTables();
+    const database = this.requireDatabase();
 
-      const {
-        includeMetadata = true,
-        includeAuditLogs = true,
-        format = 'json'
-      } = options;
+    const storedDetails = await this.validateRequest(userId, type, details || {});
+
+    const open = await database.get(
+      'SELECT id FROM gdpr_requests WHERE userId = ? AND type = ? AND status IN (?, ?)',
+      [userId, type, this.requestStatuses.PENDING, this.requestStatuses.PROCESSING]
+    );
+    if (open) {
+      throw new GDPRRequestError('已有同類型的請求正在處理，請等待完成後再提交', 409);
+    }
+
+    const now = new Date().toISOString();
+    const request = {
+      id: uuidv4(),
+      userId,
+      type,
+      status: this.requestStatuses.PENDING,
+      details: storedDetails,
+      createdAt: now,
+      updatedAt: now
+    };
+    await database.run(
+      'INSERT INTO gdpr_requests (id, userId, type, status, details, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [request.id, userId, type, request.status, JSON.stringify(storedDetails), now, now]
+    );
+    this.logger.info(`用戶 ${userId} 提交 GDPR 請求 ${request.id}: ${type}`);
 
-      const userData = {};
+    this.processRequest(request).catch(err => {
+      this.logger.error(`處理 GDPR 請求 ${request.id} 失敗: ${err.message}`);
+    });
+    return this.formatRequest({ ...request, details: JSON.stringify(storedDetails) });
+  }
 
-      // 獲取用戶基本信息
-      if (this.userService) {
+  /**
+   * 驗證請求內容，返回需要保存的內容
+   * @param {string} userId - 用戶ID
+   * @param {string} type - 請求類型
+   * @param {Object} details - 請求內容
+   * @returns {Promise<Object>}
+   */
+  async validateRequest(userId, type, details) {
+    switch (type) {
+      case 'rectification': {
+        const corrections = details.corrections || {};
+        const personal = corrections.personal || {};
+        const hasPersonal = personal.username !== undefined || personal.email !== undefined;
+        const hasSettings = corrections.settings && Object.keys(corrections.settings).length > 0;
+        if (!hasPersonal && !hasSettings) {
+          throw new GDPRRequestError('請提供需要修正的資料');
+        }
+        return { corrections };
+      }
+      case 'erasure': {
+        if (!this.userService) {
+          throw new GDPRRequestError('用戶服務未註冊，無法處理刪除請求', 503);
+        }
         const user = await this.userService.getUserById(userId);
-        if (user) {
-          userData.personal = {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role,
-            status: user.status,
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt,
-            lastLoginAt: user.lastLoginAt
-          };
+        const confirmEmail = String(details.confirmEmail || '').trim().toLowerCase();
+        if (!confirmEmail || confirmEmail !== String(user.email || '').toLowerCase()) {
+          throw new GDPRRequestError('請輸入帳戶的 Email 以確認刪除所有數據');
         }
+        return { reason: details.reason || 'user_request' };
+      }
+      case 'restriction':
+        return { lift: Boolean(details.lift), reason: details.reason || '' };
+      case 'objection': {
+        const purposes = this.validateList(details.purposes, Object.values(this.processingPurposes), '處理目的');
+        return { purposes, reason: details.reason || '' };
       }
+      case 'withdrawal': {
+        const consents = this.validateList(details.consents, Object.values(this.consentTypes), '同意類型');
+        return { consents };
+      }
+      default:
+        return {};
+    }
+  }
 
-      // 獲取用戶設置
-      if (this.userService) {
-        const settings = await this.userService.getUserSettings(userId);
-        if (settings) {
-          userData.settings = settings;
-        }
+  /**
+   * 驗證列表中的每個值都在允許範圍內
+   * @param {Array} values - 提交的值
+   * @param {Array} allowed - 允許的值
+   * @param {string} label - 錯誤訊息中的名稱
+   * @returns {Array} 去重後的值
+   */
+  validateList(values, allowed, label) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new GDPRRequestError(`請選擇至少一個${label}`);
+    }
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      throw new GDPRRequestError(`無效的${label}：${invalid.join(', ')}`);
+    }
+    return [...new Set(values)];
+  }
+
+  /**
+   * 處理請求並更新狀態
+   * @param {Object} request - 請求（details 為物件）
+   * @returns {Promise<void>}
+   */
+  async processRequest(request) {
+    const { id, userId, type, details } = request;
+    const tenantId = userId;
+    await this.updateRequest(id, { status: this.requestStatuses.PROCESSING });
+
+    try {
+      let outcome;
+      switch (type) {
+        case 'access':
+          outcome = await this.handleDataAccessRequest(userId, tenantId, { requestId: id });
+          break;
+        case 'portability':
+          outcome = await this.handleDataPortabilityRequest(userId, tenantId, { requestId: id });
+          break;
+        case 'rectification':
+          outcome = await this.handleDataRectificationRequest(userId, tenantId, details.corrections);
+          break;
+        case 'erasure':
+          outcome = await this.handleDataErasureRequest(userId, tenantId, { reason: details.reason, requestId: id });
+          break;
+        case 'restriction':
+          outcome = await this.handleProcessingRestrictionRequest(userId, tenantId, details);
+          break;
+        case 'objection':
+          outcome = await this.handleObjectionRequest(userId, tenantId, details.purposes);
+          break;
+        case 'withdrawal':
+          outcome = await this.handleConsentWithdrawalRequest(userId, tenantId, details.consents);
+          break;
       }
 
-      // 獲取審計日誌
-      if (this.auditService && includeAuditLogs) {
-        const auditLogs = await this.auditService.queryAuditLogs({
-          userId,
-          tenantId,
-          limit: 1000
+      const completedAt = new Date().toISOString();
+      const changes = {
+        status: this.requestStatuses.COMPLETED,
+        result: JSON.stringify(outcome.results || outcome.summary || {}),
+        completedAt
+      };
+      if (outcome.archivePath) {
+        changes.archivePath = outcome.archivePath;
+        changes.expiresAt = new Date(Date.now() + config.gdpr.archiveRetentionDays * 86400000).toISOString();
+      }
+      await this.updateRequest(id, changes);
+      this.logger.info(`GDPR 請求 ${id} (${type}) 處理完成`);
+    } catch (error) {
+      await this.updateRequest(id, {
+        status: this.requestStatuses.FAILED,
+        error: error.message || String(error)
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新請求欄位
+   * @param {string} requestId - 請求ID
+   * @param {Object} changes - 欄位 → 新值
+   * @returns {Promise<void>}
+   */
+  async updateRequest(requestId, changes) {
+    const fields = Object.keys(changes);
+    await this.requireDatabase().run(
+      `UPDATE gdpr_requests SET ${fields.map(field => `${field} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+      [...fields.map(field => changes[field]), new Date().toISOString(), requestId]
+    );
+  }
+
+  /**
+   * 列出用戶的請求（最新的在前）
+   * @param {string} userId - 用戶ID
+   * @param {number} limit - 最多返回的數量
+   * @returns {Promise<Array>}
+   */
+  async listRequests(userId, limit = 50) {
+    await this.ensureTables();
+    const rows = await this.requireDatabase().query(
+      'SELECT * FROM gdpr_requests WHERE userId = ? ORDER BY createdAt DESC LIMIT ?',
+      [userId, limit]
+    );
+    return rows.map(row => this.formatRequest(row));
+  }
+
+  /**
+   * 取得用戶的單一請求
+   * @param {string} userId - 用戶ID
+   * @param {string} requestId - 請求ID
+   * @returns {Promise<Object>}
+   */
+  async getRequest(userId, requestId) {
+    await this.ensureTables();
+    const row = await this.requireDatabase().get(
+      'SELECT * FROM gdpr_requests WHERE id = ? AND userId = ?',
+      [requestId, userId]
+    );
+    if (!row) {
+      throw new GDPRRequestError('找不到 GDPR 請求', 404);
+    }
+    return row;
+  }
+
+  /**
+   * 取得請求的匯出壓縮檔路徑，過期的壓縮檔會被刪除
+   * @param {string} userId - 用戶ID
+   * @param {string} requestId - 請求ID
+   * @returns {Promise<string>} 壓縮檔路徑
+   */
+  async getArchive(userId, requestId) {
+    const row = await this.getRequest(userId, requestId);
+    if (!row.archivePath) {
+      throw new GDPRRequestError('此請求沒有可下載的壓縮檔', 404);
+    }
+    if (row.expiresAt && new Date(row.expiresAt) <= new Date()) {
+      await fs.promises.rm(row.archivePath, { force: true });
+      await this.updateRequest(requestId, { archivePath: null });
+      throw new GDPRRequestError('壓縮檔已過期，請重新提交請求', 410);
+    }
+    return row.archivePath;
+  }
+
+  /**
+   * 刪除已過期的匯出壓縮檔
+   * @returns {Promise<number>} 刪除的數量
+   */
+  async cleanupExpiredArchives() {
+    await this.ensureTables();
+    const rows = await this.requireDatabase().query(
+      'SELECT id, archivePath FROM gdpr_requests WHERE archivePath IS NOT NULL AND expiresAt <= ?',
+      [new Date().toISOString()]
+    );
+    for (const row of rows) {
+      await fs.promises.rm(row.archivePath, { force: true });
+      await this.updateRequest(row.id, { archivePath: null });
+    }
+    if (rows.length > 0) {
+      this.logger.info(`已刪除 ${rows.length} 個過期的 GDPR 匯出壓縮檔`);
+    }
+    return rows.length;
+  }
+
+  /**
+   * 轉換為 API 返回的格式（不包含伺服器上的文件路徑）
+   * @param {Object} row - gdpr_requests 行
+   * @returns {Object}
+   */
+  formatRequest(row) {
+    const expired = Boolean(row.expiresAt) && new Date(row.expiresAt) <= new Date();
+    return {
+      id: row.id,
+      type: row.type,
+      right: this.requestTypes[row.type],
+      status: row.status,
+      details: JSON.parse(row.details || '{}'),
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error || null,
+      downloadable: Boolean(row.archivePath) && !expired,
+      expiresAt: row.expiresAt || null,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      completedAt: row.completedAt || null
+    };
+  }
+
+  /**
+   * 取得用戶的私隱偏好（處理限制、反對及撤回的同意）
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Object>}
+   */
+  async getPrivacyPreferences(userId) {
+    await this.ensureTables();
+    const row = await this.requireDatabase().get('SELECT * FROM privacy_preferences WHERE userId = ?', [userId]);
+    return {
+      processingRestricted: Boolean(row && row.processingRestricted),
+      restrictionDetails: row && row.restrictionDetails ? JSON.parse(row.restrictionDetails) : null,
+      objections: row ? JSON.parse(row.objections || '[]') : [],
+      withdrawnConsents: row ? JSON.parse(row.withdrawnConsents || '[]') : [],
+      updatedAt: row ? row.updatedAt : null
+    };
+  }
+
+  /**
+   * 更新用戶的私隱偏好
+   * @param {string} userId - 用戶ID
+   * @param {Object} changes - 要更新的偏好
+   * @returns {Promise<Object>} 更新後的偏好
+   */
+  async savePrivacyPreferences(userId, changes) {
+    const preferences = { ...(await this.getPrivacyPreferences(userId)), ...changes };
+    await this.requireDatabase().run(
+      `INSERT INTO privacy_preferences (userId, processingRestricted, restrictionDetails, objections, withdrawnConsents, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(userId) DO UPDATE SET processingRestricted = excluded.processingRestricted,
+         restrictionDetails = excluded.restrictionDetails, objections = excluded.objections,
+         withdrawnConsents = excluded.withdrawnConsents, updatedAt = excluded.updatedAt`,
+      [
+        userId,
+        preferences.processingRestricted ? 1 : 0,
+        preferences.restrictionDetails ? JSON.stringify(preferences.restrictionDetails) : null,
+        JSON.stringify(preferences.objections),
+        JSON.stringify(preferences.withdrawnConsents),
+        new Date().toISOString()
+      ]
+    );
+    return this.getPrivacyPreferences(userId);
+  }
+
+  /**
+   * 讀取用戶在各資料表中的數據，不存在的資料表略過
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Object>} 資料表名稱 → 行
+   */
+  async collectDatabaseRows(userId) {
+    const database = this.requireDatabase();
+    const tables = {};
+
+    const users = await database.query('SELECT * FROM users WHERE userId = ?', [userId]);
+    tables.users = users.map(({ password, ...user }) => user);
+
+    for (const { table, where, exclude = [] } of USER_DATA_TABLES) {
+      try {
+        const rows = await database.query(`SELECT * FROM ${table} WHERE ${where}`, this.whereParams(where, userId));
+        tables[table] = rows.map(row => {
+          const exported = { ...row };
+          exclude.forEach(column => delete exported[column]);
+          return exported;
         });
-        userData.auditLogs = auditLogs;
+      } catch (error) {
+        if (!/no such (table|column)/i.test(error.message)) throw error;
       }
+    }
+    tables.gdpr_requests = await database.query('SELECT * FROM gdpr_requests WHERE userId = ?', [userId]);
+    return tables;
+  }
 
-      // 獲取元數據
-      if (includeMetadata) {
-        userData.metadata = {
-          requestTimestamp: new Date().toISOString(),
-          dataCategories: Object.values(this.dataCategories),
-          processingPurposes: Object.values(this.processingPurposes),
-          retentionPeriod: '7年',
-          dataController: 'WhatsApp Bot System',
-          contactEmail: 'privacy@whatsappbot.com'
-        };
+  /**
+   * 為 where 條件中的每個 ? 代入用戶ID
+   */
+  whereParams(where, userId) {
+    return new Array(where.split('?').length - 1).fill(userId);
+  }
+
+  /**
+   * 下載費用記錄引用的 Drive 圖片及發票
+   * @param {Array} records - expense_records 行
+   * @returns {Promise<Object>} { files: [{ name, data }], errors }
+   */
+  async collectDriveFiles(records) {
+    const files = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const record of records) {
+      for (const url of [record.imageUrl, record.invoiceUrl]) {
+        const fileId = googleService.getDriveFileId(url);
+        if (!fileId || seen.has(fileId)) continue;
+        seen.add(fileId);
+        if (seen.size > config.gdpr.maxDriveFiles) {
+          errors.push(`Drive 文件超過 ${config.gdpr.maxDriveFiles} 個，其餘文件未包含在壓縮檔中`);
+          return { files, errors };
+        }
+
+        try {
+          const file = await googleService.downloadDriveFile(fileId);
+          const safeName = String(file.name || fileId).replace(/[\\/:*?"<>|]/g, '_');
+          files.push({ name: `drive/${record.id}_${safeName}`, data: file.data });
+        } catch (error) {
+          errors.push(`無法下載 Drive 文件 ${fileId}：${error.message}`);
+        }
       }
+    }
+    return { files, errors };
+  }
+
+  /**
+   * 讀取用戶設定的 Google 工作表，轉換為 CSV
+   * @param {Object} user - users 行
+   * @returns {Promise<Object>} { files: [{ name, data }], rowCount, errors }
+   */
+  async collectSheetRows(user) {
+    if (!user || !user.sheetId || !user.sheetName) {
+      return { files: [], rowCount: 0, errors: [] };
+    }
+    try {
+      const rows = await googleService.readSheetRows(user.sheetId, user.sheetName);
+      const csv = rows.map(row => row.map(cell => this.toCsvCell(cell)).join(',')).join('\r\n');
+      const safeName = String(user.sheetName).replace(/[\\/:*?"<>|]/g, '_');
+      return {
+        // 加入 BOM 讓 Excel 正確顯示中文
+        files: [{ name: `sheets/${safeName}.csv`, data: `\uFEFF${csv}` }],
+        rowCount: Math.max(rows.length - 1, 0),
+        errors: []
+      };
+    } catch (error) {
+      return { files: [], rowCount: 0, errors: [`無法讀取工作表 ${user.sheetName}：${error.message}`] };
+    }
+  }
+
+  toCsvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * 匯出用戶的所有數據為 ZIP 壓縮檔
+   * 包含 SQLite 資料表、審計日誌、Drive 圖片及工作表記錄
+   * @param {string} userId - 用戶ID
+   * @param {string} requestId - 請求ID（壓縮檔名稱）
+   * @param {Object} metadata - 寫入 manifest.json 的額外資料
+   * @returns {Promise<Object>} { archivePath, summary }
+   */
+  async buildExportArchive(userId, requestId, metadata = {}) {
+    const tables = await this.collectDatabaseRows(userId);
+    const auditLogs = this.auditService
+      ? await this.auditService.queryAuditLogs({ userId, limit: 100000 })
+      : [];
+    const drive = await this.collectDriveFiles(tables.expense_records || []);
+    const sheets = await this.collectSheetRows(tables.users[0]);
+
+    const summary = {
+      tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length])),
+      auditLogs: auditLogs.length,
+      driveFiles: drive.files.length,
+      sheetRows: sheets.rowCount,
+      errors: [...drive.errors, ...sheets.errors]
+    };
+
+    const entries = [
+      {
+        name: 'manifest.json',
+        data: JSON.stringify({ requestId, userId, generatedAt: new Date().toISOString(), ...metadata, summary }, null, 2)
+      },
+      ...Object.entries(tables).map(([table, rows]) => ({
+        name: `database/${table}.json`,
+        data: JSON.stringify(rows, null, 2)
+      })),
+      { name: 'audit/audit_logs.json', data: JSON.stringify(auditLogs, null, 2) },
+      ...drive.files,
+      ...sheets.files
+    ];
+
+    const safeUserId = String(userId).replace(/[^a-zA-Z0-9-_]/g, '_');
+    const archivePath = path.join(config.gdpr.exportDir, safeUserId, `${requestId}.zip`);
+    await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+    await fs.promises.writeFile(archivePath, createZip(entries));
+
+    this.logger.info(`已建立用戶 ${userId} 的數據匯出壓縮檔: ${archivePath}`);
+    return { archivePath, summary };
+  }
+
+  /**
+   * 刪除用戶在各資料表中的數據
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Object>} 資料表名稱 → 刪除的行數
+   */
+  async purgeDatabaseRows(userId) {
+    const database = this.requireDatabase();
+    const deleted = {};
+    for (const { table, where } of USER_DATA_TABLES) {
+      try {
+        const { changes } = await database.run(`DELETE FROM ${table} WHERE ${where}`, this.whereParams(where, userId));
+        deleted[table] = changes;
+      } catch (error) {
+        if (!/no such (table|column)/i.test(error.message)) throw error;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * 登出並刪除用戶的 WhatsApp 認證資料
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<boolean>} 是否有已連線的客戶端
+   */
+  async purgeWhatsAppSession(userId) {
+    const { getClients, cleanupClient, deleteAuthData } = require('./whatsappConnection');
+    const clientData = getClients().get(userId);
+
+    if (clientData && clientData.client) {
+      try {
+        await clientData.client.logout();
+      } catch (error) {
+        this.logger.warn(`登出用戶 ${userId} 的 WhatsApp 失敗：${error.message}`);
+      }
+      await cleanupClient(userId, clientData.client);
+    }
+    await deleteAuthData(userId);
+    return Boolean(clientData);
+  }
+
+  /**
+   * 處理數據訪問請求
+   * @param {string} userId - 用戶ID
+   * @param {string} tenantId - 租戶ID
+   * @param {Object} options - 請求選項
+   */
+  async handleDataAccessRequest(userId, tenantId, options = {}) {
+    try {
+      this.logger.info('處理數據訪問請求', { userId, tenantId });
+
+      const {
+        requestId = uuidv4(),
+        includeMetadata = true,
+        extraMetadata = {}
+      } = options;
+
+      // 獲取元數據
+      const metadata = includeMetadata
+        ? {
+            dataCategories: Object.values(this.dataCategories),
+            processingPurposes: Object.values(this.processingPurposes),
+            retentionPeriod: '7年',
+            dataController: 'WhatsApp Bot System',
+            contactEmail: 'privacy@whatsappbot.com',
+            privacyPreferences: await this.getPrivacyPreferences(userId)
+          }
+        : {};
+
+      const { archivePath, summary } = await this.buildExportArchive(userId, requestId, {
+        right: this.rights.ACCESS,
+        metadata,
+        ...extraMetadata
+      });
 
       // 記錄審計事件
       if (this.auditService) {
@@ -138,7 +730,7 @@ class GDPRService {
           tenantId,
           action: 'data_access_request',
           resource: 'user_data',
-          details: { format, includeAuditLogs },
+          details: { requestId, summary },
           riskLevel: 'low',
           status: 'success'
         });
@@ -146,8 +738,8 @@ class GDPRService {
 
       return {
         success: true,
-        data: userData,
-        format,
+        archivePath,
+        summary,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -174,25 +766,19 @@ class GDPRService {
 
       // 修正用戶基本信息
       if (this.userService && corrections.personal) {
-        const updateData = {};
-        
-        if (corrections.personal.name) {
-          updateData.name = corrections.personal.name;
-        }
-        if (corrections.personal.email) {
-          updateData.email = corrections.personal.email;
-        }
-
-        if (Object.keys(updateData).length > 0) {
-          await this.userService.updateUser(userId, updateData);
-          results.personal = { updated: true, fields: Object.keys(updateData) };
+        const fields = await this.userService.updateUser(userId, {
+          username: corrections.personal.username,
+          email: corrections.personal.email
+        });
+        if (fields.length > 0) {
+          results.personal = { updated: true, fields };
         }
       }
 
       // 修正用戶設置
       if (this.userService && corrections.settings) {
         await this.userService.updateUserSettings(userId, corrections.settings);
-        results.settings = { updated: true };
+        results.settings = { updated: true, fields: Object.keys(corrections.settings) };
       }
 
       // 記錄審計事件
@@ -203,7 +789,7 @@ class GDPRService {
           tenantId,
           action: 'data_rectification',
           resource: 'user_data',
-          details: { corrections },
+          details: { fields: results },
           riskLevel: 'medium',
           status: 'success'
         });
@@ -218,8 +804,7 @@ class GDPRService {
       this.logger.error('數據修正請求處理失敗', {
         error: error.message,
         userId,
-        tenantId,
-        corrections
+        tenantId
       });
       throw error;
     }
@@ -227,6 +812,8 @@ class GDPRService {
 
   /**
    * 處理數據刪除請求（被遺忘權）
+   * 刪除帳本、AI 用量、工作流程等數據、匯出文件及 WhatsApp 認證資料
+   * Drive 及 Google 工作表屬於用戶自己的雲端硬碟，不會被刪除
    * @param {string} userId - 用戶ID
    * @param {string} tenantId - 租戶ID
    * @param {Object} options - 刪除選項
@@ -241,36 +828,48 @@ class GDPRService {
         reason = 'user_request'
       } = options;
 
+      const database = this.requireDatabase();
       const results = {};
 
+      // 先斷開 WhatsApp，避免刪除期間繼續寫入記錄
+      results.whatsapp = {
+        disconnected: await this.purgeWhatsAppSession(userId),
+        authDataDeleted: true
+      };
+
+      results.tables = await this.purgeDatabaseRows(userId);
+
+      // 刪除匯出文件（包括之前的 GDPR 壓縮檔）
+      const safeUserId = String(userId).replace(/[^a-zA-Z0-9-_]/g, '_');
+      for (const dir of [config.storage.exportDir, config.gdpr.exportDir]) {
+        await fs.promises.rm(path.join(dir, safeUserId), { recursive: true, force: true });
+      }
+      await database.run('UPDATE gdpr_requests SET archivePath = NULL WHERE userId = ?', [userId]);
+      results.exports = { deleted: true };
+
       // 刪除用戶數據
-      if (this.userService) {
-        if (anonymize) {
-          // 匿名化用戶數據
-          const anonymizedData = {
-            email: `deleted_${userId}@deleted.com`,
-            name: 'Deleted User',
-            status: 'deleted',
-            deletedAt: new Date().toISOString(),
-            deletionReason: reason
-          };
-
-          await this.userService.updateUser(userId, anonymizedData);
-          results.userData = { anonymized: true };
-        } else {
-          // 完全刪除用戶數據
-          await this.userService.deleteUser(userId);
-          results.userData = { deleted: true };
-        }
+      if (anonymize) {
+        // 匿名化用戶數據，保留用戶ID以便追蹤請求狀態
+        await database.run(
+          `UPDATE users SET username = ?, email = ?, isAuthenticated = 0, enableAI = 0,
+           ${USER_PERSONAL_COLUMNS.map(column => `${column} = NULL`).join(', ')} WHERE userId = ?`,
+          ['Deleted User', `deleted_${userId}@deleted.com`, userId]
+        );
+        results.userData = { anonymized: true };
+      } else {
+        // 完全刪除用戶數據
+        await database.run('DELETE FROM users WHERE userId = ?', [userId]);
+        results.userData = { deleted: true };
       }
 
-      // 刪除審計日誌
-      if (this.auditService && deleteAuditLogs) {
-        // 這裡應該實現審計日誌的刪除邏輯
-        results.auditLogs = { deleted: true };
+      // 遮蔽審計日誌中的 IP、瀏覽器及詳情；審計日誌以哈希鏈防篡改，刪除記錄會令鏈斷開，
+      // 因此 deleteAuditLogs 只會同時移除其中的用戶ID
+      if (this.auditService) {
+        const redacted = await this.auditService.redactUserEntries(userId, { removeUserId: deleteAuditLogs });
+        results.auditLogs = { redacted, userIdRemoved: deleteAuditLogs };
       }
 
-      // 記錄審計事件（在刪除前）
+      // 記錄審計事件（在刪除後，只保留用戶ID）
       if (this.auditService) {
         await this.auditService.logEvent({
           eventType: 'gdpr_data_erasure',
@@ -278,7 +877,7 @@ class GDPRService {
           tenantId,
           action: 'data_erasure',
           resource: 'user_data',
-          details: { anonymize, reason },
+          details: { anonymize, reason, deletedTables: results.tables },
           riskLevel: 'high',
           status: 'success'
         });
@@ -311,28 +910,24 @@ class GDPRService {
       this.logger.info('處理數據可攜性請求', { userId, tenantId, options });
 
       const {
-        format = 'json',
+        requestId = uuidv4(),
         includeMetadata = true
       } = options;
 
-      // 獲取用戶數據
-      const userData = await this.handleDataAccessRequest(userId, tenantId, {
+      // 獲取用戶數據，並添加可攜性元數據
+      const exported = await this.handleDataAccessRequest(userId, tenantId, {
+        requestId,
         includeMetadata,
-        includeAuditLogs: true,
-        format
-      });
-
-      // 添加可攜性元數據
-      const portableData = {
-        ...userData.data,
-        portability: {
-          exportTimestamp: new Date().toISOString(),
-          format,
-          version: '1.0',
-          schema: 'https://schema.org/Person',
-          instructions: '此數據符合 GDPR 數據可攜性要求'
+        extraMetadata: {
+          right: this.rights.PORTABILITY,
+          portability: {
+            exportTimestamp: new Date().toISOString(),
+            format: 'zip (json, csv)',
+            version: '1.0',
+            instructions: '此數據符合 GDPR 數據可攜性要求：資料表為 JSON，工作表為 CSV，Drive 文件保持原始格式'
+          }
         }
-      };
+      });
 
       // 記錄審計事件
       if (this.auditService) {
@@ -342,7 +937,7 @@ class GDPRService {
           tenantId,
           action: 'data_portability',
           resource: 'user_data',
-          details: { format },
+          details: { requestId },
           riskLevel: 'low',
           status: 'success'
         });
@@ -350,8 +945,8 @@ class GDPRService {
 
       return {
         success: true,
-        data: portableData,
-        format,
+        archivePath: exported.archivePath,
+        summary: exported.summary,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -369,7 +964,7 @@ class GDPRService {
    * 處理處理限制請求
    * @param {string} userId - 用戶ID
    * @param {string} tenantId - 租戶ID
-   * @param {Object} restrictions - 限制條件
+   * @param {Object} restrictions - 限制條件，lift 為 true 時解除限制
    */
   async handleProcessingRestrictionRequest(userId, tenantId, restrictions) {
     try {
@@ -378,16 +973,13 @@ class GDPRService {
       const results = {};
 
       // 應用處理限制
-      if (this.userService) {
-        const updateData = {
-          processingRestricted: true,
-          restrictionDetails: restrictions,
-          restrictionAppliedAt: new Date().toISOString()
-        };
-
-        await this.userService.updateUser(userId, updateData);
-        results.userData = { restricted: true };
-      }
+      const preferences = await this.savePrivacyPreferences(userId, {
+        processingRestricted: !restrictions.lift,
+        restrictionDetails: restrictions.lift
+          ? null
+          : { reason: restrictions.reason, appliedAt: new Date().toISOString() }
+      });
+      results.userData = { restricted: preferences.processingRestricted };
 
       // 記錄審計事件
       if (this.auditService) {
@@ -432,15 +1024,11 @@ class GDPRService {
       const results = {};
 
       // 記錄反對意見
-      if (this.userService) {
-        const updateData = {
-          processingObjections: purposes,
-          objectionRecordedAt: new Date().toISOString()
-        };
-
-        await this.userService.updateUser(userId, updateData);
-        results.userData = { objections: purposes };
-      }
+      const current = await this.getPrivacyPreferences(userId);
+      const preferences = await this.savePrivacyPreferences(userId, {
+        objections: [...new Set([...current.objections, ...purposes])]
+      });
+      results.userData = { objections: preferences.objections };
 
       // 記錄審計事件
       if (this.auditService) {
@@ -474,6 +1062,7 @@ class GDPRService {
 
   /**
    * 處理同意撤回請求
+   * 撤回 AI 處理的同意時同時關閉 AI 識別
    * @param {string} userId - 用戶ID
    * @param {string} tenantId - 租戶ID
    * @param {Array} consents - 要撤回的同意
@@ -485,14 +1074,15 @@ class GDPRService {
       const results = {};
 
       // 撤回同意
-      if (this.userService) {
-        const updateData = {
-          withdrawnConsents: consents,
-          consentWithdrawnAt: new Date().toISOString()
-        };
-
-        await this.userService.updateUser(userId, updateData);
-        results.userData = { consentsWithdrawn: consents };
+      const current = await this.getPrivacyPreferences(userId);
+      const preferences = await this.savePrivacyPreferences(userId, {
+        withdrawnConsents: [...new Set([...current.withdrawnConsents, ...consents])]
+      });
+      results.userData = { consentsWithdrawn: preferences.withdrawnConsents };
+
+      if (this.userService && consents.includes(this.consentTypes.AI_PROCESSING)) {
+        await this.userService.updateUserSettings(userId, { enableAI: false });
+        results.settings = { enableAI: false };
       }
 
       // 記錄審計事件
@@ -569,4 +1159,6 @@ class GDPRService {
   }
 }
 
-module.exports = GDPRService; 
\ No newline at end of file
+module.exports = GDPRService;
+module.exports.GDPRRequestError = GDPRRequestError;
+module.exports.USER_DATA_TABLES = USER_DATA_TABLES;
@@ -25,7 +25,7 @@ class ImageProcessingService {
 
   setupQueueProcessor() {
     this.imageQueue.process(async (job) => {
-      const { chatId, media, defaultDate, userId, msgId } = job.data;
+      const { chatId, media, attachments, defaultDate, userId, msgId } = job.data;
       businessLogger.info(`Bull 佇列處理工作：msgId=${msgId}, userId=${userId}`);
       
       const { getClients } = require('./whatsappConnection');
@@ -88,6 +88,7 @@ class ImageProcessingService {
         await eventBus.emit(EventTypes.IMAGE.PROCESSING, {
           chatId,
           media,
+          attachments,
           defaultDate,
           client: clientData.client,
           driveFolderId: clientData.driveFolderId,
@@ -141,7 +142,7 @@ class ImageProcessingService {
 
     stateManager.setImageProcessingStatus(true);
     const nextImage = stateManager.getNextImage();
-    const { chatId, media, defaultDate, client, driveFolderId, userId, msgId } = nextImage;
+    const { chatId, media, attachments, defaultDate, client, driveFolderId, userId, msgId } = nextImage;
     businessLogger.info(`處理圖片：msgId=${msgId}`);
 
     // 發送佇列處理開始消息
@@ -185,7 +186,7 @@ class ImageProcessingService {
       
       try {
         await Promise.race([
-          this.imageQueue.add({ chatId, media, defaultDate, userId, msgId }),
+          this.imageQueue.add({ chatId, media, attachments, defaultDate, userId, msgId }),
           timeoutPromise
         ]);
         businessLogger.info(`圖片已加入 Bull 佇列：msgId=${msgId}`);
@@ -209,6 +210,7 @@ class ImageProcessingService {
           await eventBus.emit(EventTypes.IMAGE.PROCESSING, {
             chatId,
             media,
+            attachments,
             defaultDate,
             client: clientData.client,
             driveFolderId: clientData.driveFolderId,
@@ -0,0 +1,382 @@
+/**
+ * 收據圖片品質服務
+ * 識別前在本地檢查圖片，不合格的圖片直接請用戶重拍，避免把模糊、過暗或太小的圖片送到 AI：
+ *   解析度 - 原圖短邊不少於 config.imageQuality.minShortSide
+ *   亮度   - 灰階平均值在 minBrightness 與 maxBrightness 之間
+ *   清晰度 - 收據範圍內拉普拉斯的方差不少於 minSharpness
+ *   收據邊緣 - 以 Otsu 閾值分出較亮的紙張，佔畫面的比例不少於 minDocumentRatio
+ *
+ * 合格的圖片按偵測到的收據範圍自動裁剪，並按紙張主軸的角度校正傾斜。
+ * 分析在縮小的灰階圖上進行，計算部分不依賴 sharp，方便測試。
+ */
+
+const sharp = require('sharp');
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+
+// 紙張與背景的平均亮度至少相差此值，才視為偵測到收據邊緣
+const MIN_DOCUMENT_CONTRAST = 40;
+// 投影中少於此比例的行或列視為背景雜點
+const MIN_PROJECTION_RATIO = 0.05;
+// 主軸與副軸的比例低於此值（接近正方形或多張收據）時無法判斷傾斜角度
+const MIN_ELONGATION = 1.5;
+// 紙張填滿其範圍的比例低於此值時不校正傾斜
+const MIN_DESKEW_FILL = 0.5;
+// 計算清晰度時向內收縮的比例，排除紙張與背景交界的邊緣
+const SHARPNESS_INSET = 0.1;
+
+const ISSUE_GUIDANCE = {
+  resolution: '圖片解析度太低，請用相機直接拍攝，不要發送截圖或縮圖',
+  dark: '光線不足，請在光線充足的地方拍攝，或開啟閃光燈',
+  bright: '畫面過曝，請避開強光及反光',
+  blur: '圖片模糊，請保持手機穩定，對焦後再拍',
+  document: '收據在畫面中太小，請靠近拍攝，讓收據填滿大部分畫面'
+};
+
+class ImageQualityError extends Error {
+  constructor(message, assessments, guidance) {
+    super(message);
+    this.name = 'ImageQualityError';
+    this.status = 422;
+    this.assessments = assessments;
+    this.guidance = guidance;
+  }
+}
+
+class ImageQualityService {
+  constructor() {
+    businessLogger.info('圖片品質服務已初始化');
+  }
+
+  /**
+   * 檢查文件中的每一頁圖片（PDF 頁面不檢查），有不合格的圖片時拋出 ImageQualityError
+   * @param {Array<Object>} pages - 每頁的 { buffer, mimetype }
+   * @returns {Promise<Array<Object|null>>} 每頁的檢查結果，未檢查的頁面為 null
+   */
+  async assessPages(pages) {
+    if (!config.imageQuality.enabled) {
+      return pages.map(() => null);
+    }
+
+    const assessments = [];
+    for (const page of pages) {
+      if (!page.mimetype || !page.mimetype.startsWith('image/')) {
+        assessments.push(null);
+        continue;
+      }
+      try {
+        assessments.push(await this.assessImage(page.buffer));
+      } catch (err) {
+        // 無法分析時照常識別，不阻擋用戶
+        businessLogger.warn(`圖片品質檢查失敗，略過檢查：${err.message}`);
+        assessments.push(null);
+      }
+    }
+
+    const rejected = assessments.filter(assessment => assessment && !assessment.usable);
+    if (rejected.length > 0) {
+      const codes = [...new Set(rejected.flatMap(assessment => assessment.issues))];
+      throw new ImageQualityError(
+        `圖片品質不足：${codes.join(', ')}`,
+        assessments,
+        this.formatReshootMessage(assessments)
+      );
+    }
+    return assessments;
+  }
+
+  /**
+   * 檢查一張圖片
+   * @param {Buffer} buffer - 圖片內容
+   * @returns {Promise<Object>} { usable, issues, metrics, crop, skew }
+   */
+  async assessImage(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF 方向 5 至 8 表示圖片需要轉 90 度
+    const [width, height] = metadata.orientation >= 5
+      ? [metadata.height, metadata.width]
+      : [metadata.width, metadata.height];
+
+    const size = config.imageQuality.analysisSize;
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .grayscale()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const assessment = this.evaluate({ pixels: data, width: info.width, height: info.height }, { width, height });
+    if (!assessment.usable) {
+      businessLogger.info(`圖片品質不足（${assessment.issues.join(', ')}）：${JSON.stringify(assessment.metrics)}`);
+    }
+    return assessment;
+  }
+
+  /**
+   * 按灰階像素評估圖片
+   * @param {Object} image - 縮小後的灰階圖 { pixels, width, height }
+   * @param {Object} original - 原圖尺寸 { width, height }
+   * @returns {Object} { usable, issues, metrics, crop, skew }，crop 為原圖座標
+   */
+  evaluate(image, original) {
+    const limits = config.imageQuality;
+    const documentArea = this.detectDocument(image);
+    const brightness = this.measureBrightness(image.pixels);
+    const sharpness = this.measureSharpness(image, documentArea ? this.insetBox(documentArea.box, SHARPNESS_INSET) : null);
+    const documentRatio = documentArea ? documentArea.ratio : 1;
+
+    const issues = [];
+    if (Math.min(original.width, original.height) < limits.minShortSide) issues.push('resolution');
+    if (brightness < limits.minBrightness) issues.push('dark');
+    if (brightness > limits.maxBrightness) issues.push('bright');
+    if (sharpness < limits.minSharpness) issues.push('blur');
+    if (documentRatio < limits.minDocumentRatio) issues.push('document');
+
+    return {
+      usable: issues.length === 0,
+      issues,
+      metrics: {
+        width: original.width,
+        height: original.height,
+        brightness: Math.round(brightness),
+        sharpness: Math.round(sharpness),
+        documentRatio: Math.round(documentRatio * 100) / 100
+      },
+      crop: documentArea ? this.toCrop(documentArea.box, image, original) : null,
+      skew: documentArea ? documentArea.skew : 0
+    };
+  }
+
+  /**
+   * 灰階平均亮度（0-255）
+   */
+  measureBrightness(pixels) {
+    if (pixels.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < pixels.length; i++) {
+      sum += pixels[i];
+    }
+    return sum / pixels.length;
+  }
+
+  /**
+   * 清晰度：拉普拉斯的方差，只計算收據範圍，避免背景虛化拉低數值
+   * @param {Object} image - { pixels, width, height }
+   * @param {Object|null} box - { left, top, width, height }
+   * @returns {number}
+   */
+  measureSharpness(image, box = null) {
+    const { pixels, width } = image;
+    const area = box || { left: 0, top: 0, width: image.width, height: image.height };
+    const right = Math.min(area.left + area.width, image.width) - 1;
+    const bottom = Math.min(area.top + area.height, image.height) - 1;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = Math.max(area.top, 1); y < bottom; y++) {
+      for (let x = Math.max(area.left, 1); x < right; x++) {
+        const index = y * width + x;
+        const laplacian = 4 * pixels[index] - pixels[index - 1] - pixels[index + 1] - pixels[index - width] - pixels[index + width];
+        sum += laplacian;
+        sumSquares += laplacian * laplacian;
+        count++;
+      }
+    }
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
+  // 向內收縮範圍
+  insetBox(box, ratio) {
+    const dx = Math.floor(box.width * ratio);
+    const dy = Math.floor(box.height * ratio);
+    return { left: box.left + dx, top: box.top + dy, width: box.width - 2 * dx, height: box.height - 2 * dy };
+  }
+
+  /**
+   * 偵測收據：Otsu 閾值分出較亮的紙張，按行列投影找出範圍，再以二階矩估計傾斜角度
+   * @param {Object} image - { pixels, width, height }
+   * @returns {Object|null} { box, ratio, skew }，紙張與背景分不開時為 null
+   */
+  detectDocument(image) {
+    const { pixels, width, height } = image;
+    const { threshold, contrast } = this.otsuThreshold(pixels);
+    if (contrast < MIN_DOCUMENT_CONTRAST) return null;
+
+    const rowCounts = new Array(height).fill(0);
+    const colCounts = new Array(width).fill(0);
+    let count = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (pixels[y * width + x] > threshold) {
+          rowCounts[y]++;
+          colCounts[x]++;
+          sumX += x;
+          sumY += y;
+          count++;
+        }
+      }
+    }
+
+    const rows = this.projectionRange(rowCounts, width * MIN_PROJECTION_RATIO);
+    const cols = this.projectionRange(colCounts, height * MIN_PROJECTION_RATIO);
+    if (!rows || !cols) return null;
+
+    const box = { left: cols.start, top: rows.start, width: cols.end - cols.start + 1, height: rows.end - rows.start + 1 };
+
+    // 紙張的中心二階矩
+    const centerX = sumX / count;
+    const centerY = sumY / count;
+    let mu20 = 0;
+    let mu02 = 0;
+    let mu11 = 0;
+    for (let y = box.top; y < box.top + box.height; y++) {
+      for (let x = box.left; x < box.left + box.width; x++) {
+        if (pixels[y * width + x] > threshold) {
+          const dx = x - centerX;
+          const dy = y - centerY;
+          mu20 += dx * dx;
+          mu02 += dy * dy;
+          mu11 += dx * dy;
+        }
+      }
+    }
+
+    return {
+      box,
+      ratio: (box.width * box.height) / (width * height),
+      skew: count / (box.width * box.height) >= MIN_DESKEW_FILL ? this.estimateSkew(mu20, mu02, mu11) : 0
+    };
+  }
+
+  /**
+   * 主軸偏離水平或垂直的角度（度，順時針為正）；接近正方形時返回 0
+   */
+  estimateSkew(mu20, mu02, mu11) {
+    const spread = Math.sqrt((mu20 - mu02) ** 2 + 4 * mu11 * mu11);
+    const major = (mu20 + mu02 + spread) / 2;
+    const minor = (mu20 + mu02 - spread) / 2;
+    if (minor <= 0 || Math.sqrt(major / minor) < MIN_ELONGATION) return 0;
+
+    const angle = (0.5 * Math.atan2(2 * mu11, mu20 - mu02) * 180) / Math.PI;
+    const skew = Math.round((angle - 90 * Math.round(angle / 90)) * 10) / 10;
+    return skew === 0 ? 0 : skew; // 避免 -0
+  }
+
+  /**
+   * Otsu 閾值及兩類的平均亮度差
+   * @returns {Object} { threshold, contrast }
+   */
+  otsuThreshold(pixels) {
+    const histogram = new Array(256).fill(0);
+    let total = 0;
+    for (let i = 0; i < pixels.length; i++) {
+      histogram[pixels[i]]++;
+      total += pixels[i];
+    }
+
+    let best = { threshold: 127, contrast: 0, variance: -1 };
+    let weightBack = 0;
+    let sumBack = 0;
+    for (let t = 0; t < 255; t++) {
+      weightBack += histogram[t];
+      sumBack += t * histogram[t];
+      const weightFore = pixels.length - weightBack;
+      if (weightBack === 0) continue;
+      if (weightFore === 0) break;
+
+      const meanBack = sumBack / weightBack;
+      const meanFore = (total - sumBack) / weightFore;
+      const variance = weightBack * weightFore * (meanFore - meanBack) ** 2;
+      if (variance > best.variance) {
+        best = { threshold: t, contrast: meanFore - meanBack, variance };
+      }
+    }
+    return { threshold: best.threshold, contrast: best.contrast };
+  }
+
+  // 投影值超過 minimum 的第一個及最後一個位置
+  projectionRange(counts, minimum) {
+    const start = counts.findIndex(value => value > minimum);
+    if (start === -1) return null;
+    let end = counts.length - 1;
+    while (end > start && counts[end] <= minimum) end--;
+    return { start, end };
+  }
+
+  /**
+   * 把分析圖上的收據範圍換算為原圖的裁剪範圍（加上邊距）；收據已填滿畫面時不裁剪
+   * @returns {Object|null} { left, top, width, height }
+   */
+  toCrop(box, image, original) {
+    const scaleX = original.width / image.width;
+    const scaleY = original.height / image.height;
+    const marginX = box.width * config.imageQuality.cropMargin;
+    const marginY = box.height * config.imageQuality.cropMargin;
+
+    const left = Math.max(0, Math.floor((box.left - marginX) * scaleX));
+    const top = Math.max(0, Math.floor((box.top - marginY) * scaleY));
+    const right = Math.min(original.width, Math.ceil((box.left + box.width + marginX) * scaleX));
+    const bottom = Math.min(original.height, Math.ceil((box.top + box.height + marginY) * scaleY));
+
+    const crop = { left, top, width: right - left, height: bottom - top };
+    if (crop.width * crop.height >= original.width * original.height * 0.9) return null;
+    return crop;
+  }
+
+  /**
+   * 按檢查結果裁剪及校正傾斜
+   * @param {Buffer} buffer - 原圖
+   * @param {Object} assessment - assessImage 的結果
+   * @returns {Promise<Buffer>}
+   */
+  async prepareImage(buffer, assessment) {
+    const { minDeskewAngle, maxDeskewAngle } = config.imageQuality;
+    const skew = Math.abs(assessment.skew);
+    const deskew = skew >= minDeskewAngle && skew <= maxDeskewAngle;
+    if (!assessment.crop && !deskew) {
+      return buffer;
+    }
+
+    // 檢查時的座標以 EXIF 方向轉正後的圖片為準
+    let pipeline = sharp(buffer).rotate();
+    if (assessment.crop) {
+      pipeline = pipeline.extract(assessment.crop);
+    }
+    let output = await pipeline.toBuffer();
+
+    if (deskew) {
+      output = await sharp(output).rotate(-assessment.skew, { background: '#ffffff' }).toBuffer();
+    }
+
+    businessLogger.info(`圖片已自動處理：裁剪=${assessment.crop ? JSON.stringify(assessment.crop) : '無'}，傾斜校正=${deskew ? assessment.skew : 0} 度`);
+    return output;
+  }
+
+  /**
+   * 請用戶重拍的訊息，列出每頁的問題及拍攝建議
+   * @param {Array<Object|null>} assessments - assessPages 的檢查結果
+   * @returns {string}
+   */
+  formatReshootMessage(assessments) {
+    const lines = assessments
+      .map((assessment, index) => {
+        if (!assessment || assessment.usable) return null;
+        const tips = assessment.issues.map(issue => `• ${ISSUE_GUIDANCE[issue]}`).join('\n');
+        return assessments.length > 1 ? `第 ${index + 1} 張圖片：\n${tips}` : tips;
+      })
+      .filter(Boolean);
+
+    return `📷 **圖片品質不足，未能識別**\n\n${lines.join('\n\n')}\n\n請重新拍攝後再次發送。`;
+  }
+}
+
+// 建立單例實例
+const imageQualityService = new ImageQualityService();
+
+module.exports = imageQualityService;
+module.exports.ImageQualityError = ImageQualityError;
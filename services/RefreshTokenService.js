@@ -0,0 +1,268 @@
+/**
+ * 刷新令牌服務
+ * 每次登入建立一個令牌系列（family），刷新時輪換令牌；已使用的令牌再次出現時撤銷整個系列
+ * 資料庫只保存令牌的 SHA-256 哈希
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+
+class AuthTokenError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class RefreshTokenService {
+  constructor(container) {
+    this.container = container;
+    this.logger = businessLogger;
+    this.database = null;
+    this.auditService = null;
+    this.tablesReady = null;
+
+    // 嘗試從容器獲取服務
+    try {
+      this.database = container.resolve('databaseService');
+    } catch (error) {
+      this.logger.warn('DatabaseService 未註冊，無法保存刷新令牌');
+    }
+
+    try {
+      this.auditService = container.resolve('auditService');
+    } catch (error) {
+      this.logger.warn('AuditService 未註冊，刷新令牌事件不會記錄到審計日誌');
+    }
+
+    // 撤銷原因
+    this.revokeReasons = {
+      LOGOUT: 'logout',
+      PASSWORD_CHANGE: 'password_change',
+      REUSE_DETECTED: 'reuse_detected',
+      ACCOUNT_DELETED: 'account_deleted',
+      MEMBERSHIP_CHANGED: 'membership_changed'
+    };
+  }
+
+  /**
+   * 取得數據庫服務，未註冊時拋出錯誤
+   * @returns {Object} databaseService
+   */
+  requireDatabase() {
+    if (!this.database) {
+      throw new AuthTokenError('數據庫服務未註冊，無法處理刷新令牌', 'TOKEN_STORE_UNAVAILABLE', 503);
+    }
+    return this.database;
+  }
+
+  /**
+   * 建立 refresh_tokens 表（只執行一次），並清理過期的令牌
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      const database = this.requireDatabase();
+      this.tablesReady = (async () => {
+        await database.run(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          familyId TEXT NOT NULL,
+          tokenHash TEXT NOT NULL UNIQUE,
+          expiresAt TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          usedAt TEXT,
+          replacedBy TEXT,
+          revokedAt TEXT,
+          revokedReason TEXT,
+          userAgent TEXT,
+          ipAddress TEXT
+        )`);
+        await database.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (familyId)');
+        await database.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (userId)');
+        await this.cleanupExpired();
+        this.logger.info('refresh_tokens 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  /**
+   * 計算令牌的哈希
+   * @param {string} token - 刷新令牌
+   * @returns {string} SHA-256 十六進制
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * 發出新的刷新令牌
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - familyId（輪換時沿用）、userAgent、ipAddress
+   * @returns {Promise<Object>} { id, token, familyId, expiresAt }
+   */
+  async issue(userId, options = {}) {
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const id = uuidv4();
+    const familyId = options.familyId || uuidv4();
+    const token = crypto.randomBytes(48).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.auth.refreshTokenTtlDays * 86400000).toISOString();
+
+    await database.run(
+      `INSERT INTO refresh_tokens (id, userId, familyId, tokenHash, expiresAt, createdAt, userAgent, ipAddress)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, familyId, this.hashToken(token), expiresAt, now.toISOString(), options.userAgent || null, options.ipAddress || null]
+    );
+
+    return { id, token, familyId, expiresAt };
+  }
+
+  /**
+   * 輪換刷新令牌：舊令牌標記為已使用並發出同一系列的新令牌
+   * 已使用的令牌再次出現代表令牌可能被盜用，整個系列會被撤銷
+   * @param {string} token - 刷新令牌
+   * @param {Object} options - userAgent、ipAddress
+   * @returns {Promise<Object>} { userId, token, familyId, expiresAt }
+   */
+  async rotate(token, options = {}) {
+    if (!token) {
+      throw new AuthTokenError('缺少刷新令牌', 'MISSING_REFRESH_TOKEN', 400);
+    }
+
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const row = await database.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [this.hashToken(token)]);
+    if (!row) {
+      throw new AuthTokenError('無效的刷新令牌', 'INVALID_REFRESH_TOKEN');
+    }
+    if (row.revokedAt) {
+      throw new AuthTokenError('刷新令牌已被撤銷，請重新登入', 'REFRESH_TOKEN_REVOKED');
+    }
+    if (row.usedAt) {
+      await this.handleReuse(row, options);
+    }
+    if (row.expiresAt <= new Date().toISOString()) {
+      throw new AuthTokenError('刷新令牌已過期，請重新登入', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    const next = await this.issue(row.userId, { ...options, familyId: row.familyId });
+
+    // 只有第一個請求能標記為已使用，同時使用同一令牌的其他請求視為重用
+    const { changes } = await database.run(
+      'UPDATE refresh_tokens SET usedAt = ?, replacedBy = ? WHERE id = ? AND usedAt IS NULL AND revokedAt IS NULL',
+      [new Date().toISOString(), next.id, row.id]
+    );
+    if (changes === 0) {
+      await database.run('DELETE FROM refresh_tokens WHERE id = ?', [next.id]);
+      await this.handleReuse(row, options);
+    }
+
+    return { userId: row.userId, token: next.token, familyId: next.familyId, expiresAt: next.expiresAt };
+  }
+
+  /**
+   * 處理已使用令牌的重用：撤銷整個系列並記錄安全事件
+   * @param {Object} row - refresh_tokens 行
+   * @param {Object} options - userAgent、ipAddress
+   */
+  async handleReuse(row, options) {
+    await this.revokeFamily(row.familyId, this.revokeReasons.REUSE_DETECTED);
+    this.logger.warn('偵測到刷新令牌重用，已撤銷整個令牌系列', {
+      userId: row.userId,
+      familyId: row.familyId,
+      ipAddress: options.ipAddress
+    });
+
+    if (this.auditService) {
+      await this.auditService.logSuspiciousActivity(
+        row.userId,
+        row.userId,
+        options.ipAddress,
+        options.userAgent,
+        'refresh_token_reuse',
+        { familyId: row.familyId }
+      ).catch(error => this.logger.error(`記錄刷新令牌重用事件失敗: ${error.message}`));
+    }
+
+    throw new AuthTokenError('刷新令牌已被使用，為安全起見已登出所有使用此令牌的裝置', 'REFRESH_TOKEN_REUSED');
+  }
+
+  /**
+   * 令牌系列是否仍然有效（存取令牌以此判斷是否已登出）
+   * 系列必須屬於令牌的用戶，否則其他用戶的有效系列ID也能通過檢查
+   * @param {string} familyId - 令牌系列ID
+   * @param {string} userId - 存取令牌的用戶ID
+   * @returns {Promise<boolean>}
+   */
+  async isFamilyActive(familyId, userId) {
+    if (!familyId || !userId) {
+      return false;
+    }
+    await this.ensureTables();
+    const row = await this.requireDatabase().get(
+      'SELECT id FROM refresh_tokens WHERE familyId = ? AND userId = ? AND revokedAt IS NULL LIMIT 1',
+      [familyId, userId]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * 撤銷令牌系列（登出）
+   * @param {string} familyId - 令牌系列ID
+   * @param {string} reason - 撤銷原因
+   * @returns {Promise<number>} 撤銷的令牌數量
+   */
+  async revokeFamily(familyId, reason) {
+    await this.ensureTables();
+    const { changes } = await this.requireDatabase().run(
+      'UPDATE refresh_tokens SET revokedAt = ?, revokedReason = ? WHERE familyId = ? AND revokedAt IS NULL',
+      [new Date().toISOString(), reason, familyId]
+    );
+    return changes;
+  }
+
+  /**
+   * 撤銷用戶所有的令牌系列（修改密碼、刪除帳戶）
+   * @param {string} userId - 用戶ID
+   * @param {string} reason - 撤銷原因
+   * @returns {Promise<number>} 撤銷的令牌數量
+   */
+  async revokeAllForUser(userId, reason) {
+    await this.ensureTables();
+    const { changes } = await this.requireDatabase().run(
+      'UPDATE refresh_tokens SET revokedAt = ?, revokedReason = ? WHERE userId = ? AND revokedAt IS NULL',
+      [new Date().toISOString(), reason, userId]
+    );
+    this.logger.info(`已撤銷用戶 ${userId} 的 ${changes} 個刷新令牌（${reason}）`);
+    return changes;
+  }
+
+  /**
+   * 刪除過期超過一天的令牌
+   * 系列中最新的令牌過期後整個系列都無法再使用，保留一天以便偵測重用
+   * @returns {Promise<number>} 刪除的令牌數量
+   */
+  async cleanupExpired() {
+    const cutoff = new Date(Date.now() - 86400000).toISOString();
+    const { changes } = await this.requireDatabase().run('DELETE FROM refresh_tokens WHERE expiresAt < ?', [cutoff]);
+    if (changes > 0) {
+      this.logger.info(`已清理 ${changes} 個過期的刷新令牌`);
+    }
+    return changes;
+  }
+}
+
+module.exports = RefreshTokenService;
+module.exports.AuthTokenError = AuthTokenError;
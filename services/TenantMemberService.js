@@ -0,0 +1,417 @@
+/**
+ * 租戶成員服務
+ * 租戶以擁有者的用戶ID識別，成員共用擁有者的設定、支出及分析數據
+ * 未加入其他租戶的用戶是自己租戶的擁有者；其他用戶經邀請加入並獲指派角色
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+const roles = require('../config/roles');
+
+class MemberError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'MemberError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class TenantMemberService {
+  constructor(container) {
+    this.container = container;
+    this.logger = businessLogger;
+    this.database = null;
+    this.auditService = null;
+    this.refreshTokenService = null;
+    this.tablesReady = null;
+
+    // 嘗試從容器獲取服務
+    try {
+      this.database = container.resolve('databaseService');
+    } catch (error) {
+      this.logger.warn('DatabaseService 未註冊，所有用戶都是自己租戶的擁有者');
+    }
+
+    try {
+      this.auditService = container.resolve('auditService');
+    } catch (error) {
+      this.logger.warn('AuditService 未註冊，成員變更不會記錄到審計日誌');
+    }
+
+    try {
+      this.refreshTokenService = container.resolve('refreshTokenService');
+    } catch (error) {
+      this.logger.warn('RefreshTokenService 未註冊，移除成員後其登入不會被撤銷');
+    }
+  }
+
+  /**
+   * 取得數據庫服務，未註冊時拋出錯誤
+   * @returns {Object} databaseService
+   */
+  requireDatabase() {
+    if (!this.database) {
+      throw new MemberError('數據庫服務未註冊，無法管理租戶成員', 'MEMBER_STORE_UNAVAILABLE', 503);
+    }
+    return this.database;
+  }
+
+  /**
+   * 建立 tenant_members 及 tenant_invitations 表（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      const database = this.requireDatabase();
+      this.tablesReady = (async () => {
+        await database.run(`CREATE TABLE IF NOT EXISTS tenant_members (
+          userId TEXT PRIMARY KEY,
+          tenantId TEXT NOT NULL,
+          role TEXT NOT NULL,
+          invitedBy TEXT,
+          joinedAt TEXT NOT NULL
+        )`);
+        await database.run('CREATE INDEX IF NOT EXISTS idx_tenant_members_tenant ON tenant_members (tenantId)');
+        await database.run(`CREATE TABLE IF NOT EXISTS tenant_invitations (
+          id TEXT PRIMARY KEY,
+          tenantId TEXT NOT NULL,
+          email TEXT NOT NULL,
+          role TEXT NOT NULL,
+          tokenHash TEXT NOT NULL UNIQUE,
+          invitedBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          acceptedAt TEXT,
+          acceptedBy TEXT,
+          revokedAt TEXT
+        )`);
+        await database.run('CREATE INDEX IF NOT EXISTS idx_tenant_invitations_tenant ON tenant_invitations (tenantId)');
+        this.logger.info('tenant_members 及 tenant_invitations 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  /**
+   * 取得用戶所屬的租戶及角色
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Object>} { tenantId, role }
+   */
+  async getMembership(userId) {
+    if (!this.database) {
+      return { tenantId: userId, role: 'owner' };
+    }
+
+    await this.ensureTables();
+    const row = await this.database.get('SELECT tenantId, role FROM tenant_members WHERE userId = ?', [userId]);
+    return row ? { tenantId: row.tenantId, role: row.role } : { tenantId: userId, role: 'owner' };
+  }
+
+  /**
+   * 列出租戶成員（包括擁有者）
+   * @param {string} tenantId - 租戶ID
+   * @returns {Promise<Array>} 成員列表
+   */
+  async listMembers(tenantId) {
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const owner = await database.get('SELECT userId, email, username FROM users WHERE userId = ?', [tenantId]);
+    const members = await database.query(
+      `SELECT m.userId, m.role, m.invitedBy, m.joinedAt, u.email, u.username
+       FROM tenant_members m LEFT JOIN users u ON u.userId = m.userId
+       WHERE m.tenantId = ? ORDER BY m.joinedAt`,
+      [tenantId]
+    );
+
+    const result = members.map(member => ({
+      userId: member.userId,
+      email: member.email,
+      name: member.username,
+      role: member.role,
+      invitedBy: member.invitedBy,
+      joinedAt: member.joinedAt
+    }));
+
+    if (owner) {
+      result.unshift({ userId: owner.userId, email: owner.email, name: owner.username, role: 'owner', invitedBy: null, joinedAt: null });
+    }
+    return result;
+  }
+
+  /**
+   * 確認操作者可以管理指定角色
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {string} role - 目標角色
+   */
+  assertCanManage(actor, role) {
+    if (!roles.hasPermission(actor.role, roles.PERMISSIONS.MEMBERS_MANAGE) || !roles.outranks(actor.role, role)) {
+      throw new MemberError(`${actor.role} 不能管理 ${role} 角色的成員`, 'ROLE_NOT_ALLOWED', 403);
+    }
+  }
+
+  /**
+   * 檢查角色是否可以指派
+   * @param {string} role - 角色
+   */
+  assertAssignable(role) {
+    if (!roles.ASSIGNABLE_ROLES.includes(role)) {
+      throw new MemberError(`角色必須是 ${roles.ASSIGNABLE_ROLES.join('、')} 之一`, 'INVALID_ROLE');
+    }
+  }
+
+  /**
+   * 哈希邀請令牌
+   * @param {string} token - 邀請令牌
+   * @returns {string} SHA-256 十六進制
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * 邀請用戶加入租戶，同一 Email 尚未接受的邀請會被取代
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {Object} invitation - { email, role }
+   * @param {Object} meta - ipAddress、userAgent
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  async createInvitation(actor, { email, role }, meta = {}) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new MemberError('請提供有效的 Email', 'INVALID_EMAIL');
+    }
+    this.assertAssignable(role);
+    this.assertCanManage(actor, role);
+
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const members = await this.listMembers(actor.tenantId);
+    if (members.some(member => (member.email || '').toLowerCase() === normalizedEmail)) {
+      throw new MemberError('此用戶已是租戶成員', 'ALREADY_MEMBER', 409);
+    }
+
+    const now = new Date();
+    await database.run(
+      `UPDATE tenant_invitations SET revokedAt = ?
+       WHERE tenantId = ? AND email = ? AND acceptedAt IS NULL AND revokedAt IS NULL`,
+      [now.toISOString(), actor.tenantId, normalizedEmail]
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = {
+      id: uuidv4(),
+      tenantId: actor.tenantId,
+      email: normalizedEmail,
+      role,
+      invitedBy: actor.userId,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + config.auth.invitationTtlDays * 86400000).toISOString()
+    };
+
+    await database.run(
+      `INSERT INTO tenant_invitations (id, tenantId, email, role, tokenHash, invitedBy, createdAt, expiresAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [invitation.id, invitation.tenantId, invitation.email, role, this.hashToken(token), actor.userId, invitation.createdAt, invitation.expiresAt]
+    );
+
+    this.logger.info('已建立租戶邀請', { tenantId: actor.tenantId, email: normalizedEmail, role });
+    await this.audit('PERMISSION_GRANT', actor, meta, 'invite', { email: normalizedEmail, role, invitationId: invitation.id });
+
+    return { invitation: { ...invitation, status: 'pending' }, token };
+  }
+
+  /**
+   * 列出租戶尚未接受的邀請
+   * @param {string} tenantId - 租戶ID
+   * @returns {Promise<Array>} 邀請列表
+   */
+  async listInvitations(tenantId) {
+    await this.ensureTables();
+    const rows = await this.requireDatabase().query(
+      `SELECT id, email, role, invitedBy, createdAt, expiresAt FROM tenant_invitations
+       WHERE tenantId = ? AND acceptedAt IS NULL AND revokedAt IS NULL AND expiresAt > ?
+       ORDER BY createdAt DESC`,
+      [tenantId, new Date().toISOString()]
+    );
+    return rows.map(row => ({ ...row, status: 'pending' }));
+  }
+
+  /**
+   * 撤銷邀請
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {string} invitationId - 邀請ID
+   * @param {Object} meta - ipAddress、userAgent
+   */
+  async revokeInvitation(actor, invitationId, meta = {}) {
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const invitation = await database.get(
+      'SELECT * FROM tenant_invitations WHERE id = ? AND tenantId = ? AND acceptedAt IS NULL AND revokedAt IS NULL',
+      [invitationId, actor.tenantId]
+    );
+    if (!invitation) {
+      throw new MemberError('邀請不存在或已失效', 'INVITATION_NOT_FOUND', 404);
+    }
+    this.assertCanManage(actor, invitation.role);
+
+    await database.run('UPDATE tenant_invitations SET revokedAt = ? WHERE id = ?', [new Date().toISOString(), invitationId]);
+    await this.audit('PERMISSION_REVOKE', actor, meta, 'revoke_invitation', { email: invitation.email, role: invitation.role, invitationId });
+  }
+
+  /**
+   * 接受邀請：用戶加入邀請的租戶
+   * 邀請的 Email 必須與登入的用戶相同；已是其他租戶成員或自己的租戶有成員時不能加入
+   * @param {string} token - 邀請令牌
+   * @param {Object} user - 登入的用戶 { userId, email }
+   * @param {Object} meta - ipAddress、userAgent
+   * @returns {Promise<Object>} { tenantId, role }
+   */
+  async acceptInvitation(token, user, meta = {}) {
+    if (!token) {
+      throw new MemberError('缺少邀請令牌', 'MISSING_INVITATION_TOKEN');
+    }
+
+    await this.ensureTables();
+    const database = this.requireDatabase();
+
+    const invitation = await database.get('SELECT * FROM tenant_invitations WHERE tokenHash = ?', [this.hashToken(token)]);
+    if (!invitation || invitation.revokedAt || invitation.acceptedAt || invitation.expiresAt <= new Date().toISOString()) {
+      throw new MemberError('邀請不存在或已失效', 'INVITATION_NOT_FOUND', 404);
+    }
+    if ((user.email || '').toLowerCase() !== invitation.email) {
+      throw new MemberError('此邀請是發給其他 Email 的', 'INVITATION_EMAIL_MISMATCH', 403);
+    }
+    if (invitation.tenantId === user.userId) {
+      throw new MemberError('不能加入自己的租戶', 'ALREADY_MEMBER', 409);
+    }
+
+    const current = await this.getMembership(user.userId);
+    if (current.tenantId !== user.userId) {
+      throw new MemberError('已是其他租戶的成員，請先由該租戶移除', 'ALREADY_MEMBER', 409);
+    }
+    const ownMembers = await database.get('SELECT COUNT(*) AS count FROM tenant_members WHERE tenantId = ?', [user.userId]);
+    if (ownMembers && ownMembers.count > 0) {
+      throw new MemberError('你的租戶仍有其他成員，不能加入其他租戶', 'TENANT_HAS_MEMBERS', 409);
+    }
+
+    // 只有第一個請求能接受邀請
+    const now = new Date().toISOString();
+    const { changes } = await database.run(
+      'UPDATE tenant_invitations SET acceptedAt = ?, acceptedBy = ? WHERE id = ? AND acceptedAt IS NULL AND revokedAt IS NULL',
+      [now, user.userId, invitation.id]
+    );
+    if (changes === 0) {
+      throw new MemberError('邀請不存在或已失效', 'INVITATION_NOT_FOUND', 404);
+    }
+
+    await database.run(
+      'INSERT INTO tenant_members (userId, tenantId, role, invitedBy, joinedAt) VALUES (?, ?, ?, ?, ?)',
+      [user.userId, invitation.tenantId, invitation.role, invitation.invitedBy, now]
+    );
+
+    this.logger.info('用戶已加入租戶', { userId: user.userId, tenantId: invitation.tenantId, role: invitation.role });
+    await this.audit('ROLE_ASSIGN', { userId: user.userId, tenantId: invitation.tenantId }, meta, 'accept_invitation', {
+      memberId: user.userId,
+      role: invitation.role,
+      invitationId: invitation.id
+    });
+
+    return { tenantId: invitation.tenantId, role: invitation.role };
+  }
+
+  /**
+   * 取得租戶中的成員，擁有者不能被修改或移除
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {string} userId - 成員的用戶ID
+   * @returns {Promise<Object>} tenant_members 行
+   */
+  async getManagedMember(actor, userId) {
+    if (userId === actor.userId) {
+      throw new MemberError('不能修改或移除自己', 'CANNOT_MODIFY_SELF', 403);
+    }
+
+    await this.ensureTables();
+    const member = await this.requireDatabase().get(
+      'SELECT * FROM tenant_members WHERE userId = ? AND tenantId = ?',
+      [userId, actor.tenantId]
+    );
+    if (!member) {
+      if (userId === actor.tenantId) {
+        throw new MemberError('不能修改或移除租戶擁有者', 'ROLE_NOT_ALLOWED', 403);
+      }
+      throw new MemberError('成員不存在', 'MEMBER_NOT_FOUND', 404);
+    }
+    this.assertCanManage(actor, member.role);
+    return member;
+  }
+
+  /**
+   * 修改成員角色
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {string} userId - 成員的用戶ID
+   * @param {string} role - 新角色
+   * @param {Object} meta - ipAddress、userAgent
+   * @returns {Promise<Object>} { userId, role }
+   */
+  async updateRole(actor, userId, role, meta = {}) {
+    this.assertAssignable(role);
+    this.assertCanManage(actor, role);
+    const member = await this.getManagedMember(actor, userId);
+
+    await this.requireDatabase().run('UPDATE tenant_members SET role = ? WHERE userId = ?', [role, userId]);
+
+    this.logger.info('已修改成員角色', { tenantId: actor.tenantId, userId, from: member.role, to: role });
+    await this.audit('ROLE_ASSIGN', actor, meta, 'change_role', { memberId: userId, from: member.role, to: role });
+    return { userId, role };
+  }
+
+  /**
+   * 移除成員並撤銷其登入，成員回到自己的租戶
+   * @param {Object} actor - 操作者 { userId, tenantId, role }
+   * @param {string} userId - 成員的用戶ID
+   * @param {Object} meta - ipAddress、userAgent
+   */
+  async removeMember(actor, userId, meta = {}) {
+    const member = await this.getManagedMember(actor, userId);
+
+    await this.requireDatabase().run('DELETE FROM tenant_members WHERE userId = ?', [userId]);
+    if (this.refreshTokenService) {
+      await this.refreshTokenService.revokeAllForUser(userId, this.refreshTokenService.revokeReasons.MEMBERSHIP_CHANGED);
+    }
+
+    this.logger.info('已移除租戶成員', { tenantId: actor.tenantId, userId, role: member.role });
+    await this.audit('ROLE_REMOVE', actor, meta, 'remove_member', { memberId: userId, role: member.role });
+  }
+
+  /**
+   * 記錄成員變更的審計事件，失敗時不影響操作
+   */
+  async audit(eventType, actor, meta, action, details) {
+    if (!this.auditService) return;
+    await this.auditService.logEvent({
+      eventType: this.auditService.eventTypes[eventType],
+      userId: actor.userId,
+      tenantId: actor.tenantId,
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent,
+      action,
+      resource: 'tenant_members',
+      details,
+      riskLevel: this.auditService.riskLevels.MEDIUM
+    }).catch(error => this.logger.error(`記錄成員審計事件失敗: ${error.message}`));
+  }
+}
+
+module.exports = TenantMemberService;
+module.exports.MemberError = MemberError;
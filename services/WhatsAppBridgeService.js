@@ -0,0 +1,266 @@
+/**
+ * WhatsApp 橋接服務
+ * 工作流系統是獨立進程，無法直接使用主系統的 Baileys 客戶端；共用模式的機械人經內部 API 呼叫此服務：
+ *   發送 - 以用戶已登入的客戶端發送消息，媒體內容以 base64 傳送
+ *   事件 - 訂閱者以 long polling 取得收到的消息（forwardIncoming）及送達狀態
+ *
+ * 訂閱在第一次輪詢時建立，超過 subscriptionTtl 沒有輪詢時移除監聽器。
+ * 用戶重新登入後客戶端會被替換，每次輪詢都會重新綁定到當前的客戶端。
+ */
+
+const config = require('../config');
+const { businessLogger } = require('../utils/logger');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+class BridgeError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'BridgeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class WhatsAppBridgeService {
+  constructor() {
+    this.logger = businessLogger;
+    this.settings = config.internalApi;
+    // userId → { client, incomingAt, events, seq, waiters, lastPollAt, onUpsert, onUpdate }
+    // 同一用戶可綁定多個機械人，各自以 cursor 讀取；只有要求轉發消息的輪詢會收到 message 事件
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * 取得用戶已連接的客戶端
+   * @param {string} userId - 用戶ID（租戶）
+   * @returns {Object} Baileys 客戶端
+   */
+  getClient(userId) {
+    const { getClients } = require('./whatsappConnection');
+    const clientData = getClients().get(userId);
+    if (!clientData || !clientData.client) {
+      throw new BridgeError(`用戶 ${userId} 的 WhatsApp 未連接，請先在主系統登入`, 'NOT_CONNECTED', 409);
+    }
+    return clientData.client;
+  }
+
+  /**
+   * 查詢用戶的連接狀態
+   * @param {string} userId - 用戶ID
+   * @returns {Object} { connected }
+   */
+  getStatus(userId) {
+    try {
+      const client = this.getClient(userId);
+      return { connected: Boolean(client.ws && client.ws.isOpen) };
+    } catch (error) {
+      if (error instanceof BridgeError) return { connected: false };
+      throw error;
+    }
+  }
+
+  /**
+   * 以用戶的客戶端發送消息
+   * @param {string} userId - 用戶ID
+   * @param {string} jid - 收件人 JID
+   * @param {Object} payload - Baileys 消息內容，媒體只接受 { base64 }（連結會由伺服器請求，由工作流系統下載）
+   * @returns {Promise<Object>} { key }
+   */
+  async sendMessage(userId, jid, payload) {
+    if (!jid || !payload || typeof payload !== 'object') {
+      throw new BridgeError('缺少收件人或消息內容', 'INVALID_MESSAGE');
+    }
+
+    const content = { ...payload };
+    for (const type of MEDIA_TYPES) {
+      if (content[type] === undefined) continue;
+      if (!content[type] || typeof content[type].base64 !== 'string') {
+        throw new BridgeError('媒體內容必須以 base64 傳送', 'INVALID_MEDIA');
+      }
+      content[type] = Buffer.from(content[type].base64, 'base64');
+    }
+
+    const sent = await this.getClient(userId).sendMessage(jid, content);
+    if (!sent || !sent.key || !sent.key.id) {
+      throw new BridgeError('WhatsApp 未返回消息ID，發送可能失敗', 'SEND_FAILED', 502);
+    }
+    return { key: { id: sent.key.id, remoteJid: sent.key.remoteJid, fromMe: true } };
+  }
+
+  /**
+   * 列出用戶參與的群組
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Array>} [{ id, subject }]
+   */
+  async getGroups(userId) {
+    const groups = await this.getClient(userId).groupFetchAllParticipating();
+    return Object.values(groups || {}).map(group => ({ id: group.id, subject: group.subject }));
+  }
+
+  /**
+   * 等待並取得新事件
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - { cursor, incoming, wait }，第一次輪詢不帶 cursor，只接收之後的事件
+   * @returns {Promise<Object>} { cursor, events }
+   */
+  async poll(userId, { cursor = null, incoming = false, wait = this.settings.pollTimeout } = {}) {
+    this.pruneSubscriptions();
+    const subscription = this.subscribe(userId, incoming);
+    subscription.lastPollAt = Date.now();
+
+    // 主系統重啟後序號重新計算，超出當前序號的 cursor 視為新的訂閱
+    const requested = cursor === null || cursor === undefined || cursor === '' ? NaN : Number(cursor);
+    const after = Number.isInteger(requested) && requested >= 0 && requested <= subscription.seq ? requested : subscription.seq;
+    const visible = event => event.seq > after && (incoming || event.type !== 'message');
+    let events = subscription.events.filter(visible);
+
+    if (events.length === 0 && wait > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(done, Math.min(wait, this.settings.pollTimeout));
+        function done() {
+          clearTimeout(timer);
+          subscription.waiters.delete(done);
+          resolve();
+        }
+        subscription.waiters.add(done);
+      });
+      subscription.lastPollAt = Date.now();
+      events = subscription.events.filter(visible);
+    }
+
+    return { cursor: events.length > 0 ? events[events.length - 1].seq : after, events };
+  }
+
+  /**
+   * 建立或更新訂閱，並綁定到用戶當前的客戶端
+   */
+  subscribe(userId, incoming) {
+    const client = this.getClient(userId);
+    let subscription = this.subscriptions.get(userId);
+
+    if (!subscription) {
+      subscription = { client: null, incomingAt: 0, events: [], seq: 0, waiters: new Set(), lastPollAt: Date.now() };
+      subscription.onUpsert = (upsert) => this.handleUpsert(subscription, upsert).catch(error => {
+        this.logger.error(`轉發用戶 ${userId} 的 WhatsApp 消息失敗：${error.message}`);
+      });
+      subscription.onUpdate = (updates) => this.handleUpdate(subscription, updates);
+      this.subscriptions.set(userId, subscription);
+    }
+
+    if (incoming) {
+      subscription.incomingAt = Date.now();
+    }
+    if (subscription.client !== client) {
+      this.detach(subscription);
+      client.ev.on('messages.upsert', subscription.onUpsert);
+      client.ev.on('messages.update', subscription.onUpdate);
+      subscription.client = client;
+      this.logger.info(`工作流系統已訂閱用戶 ${userId} 的 WhatsApp 事件`);
+    }
+    return subscription;
+  }
+
+  detach(subscription) {
+    if (subscription.client) {
+      subscription.client.ev.off('messages.upsert', subscription.onUpsert);
+      subscription.client.ev.off('messages.update', subscription.onUpdate);
+      subscription.client = null;
+    }
+  }
+
+  /**
+   * 移除長時間沒有輪詢的訂閱
+   */
+  pruneSubscriptions() {
+    const expiredBefore = Date.now() - this.settings.subscriptionTtl;
+    for (const [userId, subscription] of this.subscriptions) {
+      if (subscription.lastPollAt < expiredBefore && subscription.waiters.size === 0) {
+        this.detach(subscription);
+        this.subscriptions.delete(userId);
+        this.logger.info(`已移除用戶 ${userId} 的 WhatsApp 事件訂閱`);
+      }
+    }
+  }
+
+  push(subscription, type, data) {
+    subscription.events.push({ seq: ++subscription.seq, type, data });
+    if (subscription.events.length > this.settings.maxBufferedEvents) {
+      subscription.events.splice(0, subscription.events.length - this.settings.maxBufferedEvents);
+    }
+    for (const done of Array.from(subscription.waiters)) {
+      done();
+    }
+  }
+
+  async handleUpsert(subscription, { messages, type }) {
+    // 最近沒有要求轉發消息的輪詢時不下載媒體
+    if (subscription.incomingAt < Date.now() - this.settings.subscriptionTtl || type !== 'notify') return;
+
+    for (const msg of messages || []) {
+      if (!msg.message || msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') {
+        continue;
+      }
+      this.push(subscription, 'message', await this.serializeMessage(msg));
+    }
+  }
+
+  handleUpdate(subscription, updates) {
+    const statuses = (updates || [])
+      .filter(({ key, update }) => key && key.fromMe && update && update.status !== undefined)
+      .map(({ key, update }) => ({ key: { id: key.id, remoteJid: key.remoteJid, fromMe: true }, update: { status: update.status } }));
+    if (statuses.length > 0) {
+      this.push(subscription, 'update', statuses);
+    }
+  }
+
+  /**
+   * 只保留連接器讀取的欄位，媒體在此下載後以 base64 附上
+   */
+  async serializeMessage(msg) {
+    const content = msg.message;
+    const timestamp = msg.messageTimestamp && typeof msg.messageTimestamp.toNumber === 'function'
+      ? msg.messageTimestamp.toNumber()
+      : Number(msg.messageTimestamp || 0);
+    const message = {
+      conversation: content.conversation || undefined,
+      extendedTextMessage: content.extendedTextMessage ? { text: content.extendedTextMessage.text } : undefined
+    };
+
+    let mediaData;
+    const mediaType = content.imageMessage ? 'imageMessage' : content.documentMessage ? 'documentMessage' : null;
+    if (mediaType) {
+      const { mimetype, fileName, caption } = content[mediaType];
+      message[mediaType] = { mimetype, fileName, caption };
+      const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+      mediaData = (await downloadMediaMessage(msg, 'buffer', {})).toString('base64');
+    }
+
+    return {
+      key: { id: msg.key.id, remoteJid: msg.key.remoteJid, participant: msg.key.participant, fromMe: false },
+      pushName: msg.pushName,
+      messageTimestamp: timestamp,
+      message,
+      mediaData
+    };
+  }
+
+  /**
+   * 釋放所有訂閱
+   */
+  cleanup() {
+    for (const subscription of this.subscriptions.values()) {
+      this.detach(subscription);
+      for (const done of Array.from(subscription.waiters)) {
+        done();
+      }
+    }
+    this.subscriptions.clear();
+  }
+}
+
+// 建立單例實例
+const whatsAppBridgeService = new WhatsAppBridgeService();
+
+module.exports = whatsAppBridgeService;
+module.exports.BridgeError = BridgeError;
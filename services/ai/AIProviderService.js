@@ -0,0 +1,304 @@
+/**
+ * AI 提供者服務
+ * 收據識別、數據分析等功能統一經此調用 AI：按租戶設定選擇提供者及模型，
+ * 首選提供者出錯或被限流時，自動依 config.ai.fallbackOrder 切換到其他已配置的提供者。
+ *
+ * AI 提供者需實現：
+ *   name                      - 提供者名稱
+ *   isConfigured()            - 是否已設定 API 金鑰
+ *   supports(request)         - 是否能處理此請求（附件類型等）
+ *   getDefaultModel(request)  - 租戶沒有指定模型時使用的模型
+ *   complete(request, model)  - 發送請求，返回 { text, usage }，失敗時拋出錯誤
+ *
+ * mock 提供者不會作為後備，只有明確選擇時才使用。
+ * 每次成功的請求都經 AIUsageService 記錄用量；租戶超出每月預算時請求會被拒絕。
+ */
+
+const db = require('../../database');
+const { businessLogger } = require('../../utils/logger');
+const config = require('../../config');
+const AnthropicProvider = require('./providers/AnthropicProvider');
+const OpenAIProvider = require('./providers/OpenAIProvider');
+const GeminiProvider = require('./providers/GeminiProvider');
+const MockProvider = require('./providers/MockProvider');
+const aiUsageService = require('./AIUsageService');
+const { AIBudgetExceededError } = require('./AIUsageService');
+
+class AIProviderError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.attempts = attempts;
+  }
+}
+
+class AIProviderService {
+  constructor() {
+    this.providers = new Map([
+      ['anthropic', new AnthropicProvider()],
+      ['openai', new OpenAIProvider()],
+      ['gemini', new GeminiProvider()],
+      ['mock', new MockProvider()]
+    ]);
+    this.cooldowns = new Map();
+    this.settingsCache = new Map();
+    businessLogger.info('AI 提供者服務已初始化');
+  }
+
+  /**
+   * 可用的提供者名稱
+   * @returns {Array<string>}
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * 已設定 API 金鑰、可實際使用的提供者（mock 只在設為預設提供者時計入）
+   * @returns {Array<string>}
+   */
+  getConfiguredProviders() {
+    return this.getAvailableProviders().filter(name =>
+      this.providers.get(name).isConfigured() && (name !== 'mock' || config.ai.defaultProvider === 'mock')
+    );
+  }
+
+  /**
+   * 註冊提供者（同名時取代）；要參與切換需加入 config.ai.fallbackOrder
+   * @param {Object} provider - 實現上述接口的提供者
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  isKnownProvider(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * 發送 AI 請求
+   * @param {Object} request
+   * @param {string} request.prompt - 提示詞
+   * @param {string} [request.system] - 系統提示
+   * @param {Array<Object>} [request.attachments] - 附件 { buffer, mimetype }（圖片或 PDF）
+   * @param {number} [request.maxTokens] - 最大輸出 token 數
+   * @param {number} [request.temperature] - 溫度
+   * @param {Object} options
+   * @param {string} [options.tenantId] - 租戶（用戶）ID，用於讀取提供者設定及計算預算
+   * @param {string} [options.userId] - 發起請求的用戶（預設與租戶相同）
+   * @param {string} [options.provider] - 指定首選提供者，優先於租戶設定
+   * @param {string} [options.model] - 指定首選提供者的模型
+   * @param {string} [options.feature] - 調用的功能，例如 recognition、analytics、workflow
+   * @returns {Promise<Object>} { text, usage, provider, model, attempts }
+   */
+  async complete(request, options = {}) {
+    // 超出預算時拋出 AIBudgetExceededError，不會切換提供者；讀取預算失敗則照常請求
+    try {
+      await aiUsageService.checkBudget(options.tenantId);
+    } catch (err) {
+      if (err instanceof AIBudgetExceededError) throw err;
+      businessLogger.error(`檢查 AI 預算失敗：租戶=${options.tenantId}，${err.message}`);
+    }
+
+    const normalized = {
+      maxTokens: 1024,
+      temperature: 0.1,
+      ...request,
+      attachments: request.attachments || []
+    };
+
+    const route = await this.resolveRoute(normalized, options);
+    if (route.length === 0) {
+      throw new AIProviderError('沒有可用的 AI 提供者，請檢查 API 金鑰設定');
+    }
+
+    const feature = options.feature || 'general';
+    const attempts = [];
+    for (const { provider, model } of route) {
+      try {
+        const result = await provider.complete(normalized, model);
+        if (attempts.length > 0) {
+          businessLogger.warn(`AI 請求（${feature}）已切換到 ${provider.name}（${model}），之前失敗：${attempts.map(attempt => attempt.provider).join(', ')}`);
+        }
+        await this.recordUsage(options, feature, provider.name, model, result.usage);
+        return { ...result, provider: provider.name, model, attempts };
+      } catch (err) {
+        const failure = this.classifyError(err);
+        attempts.push({
+          provider: provider.name,
+          model,
+          status: failure.status,
+          rateLimited: failure.rateLimited,
+          error: err.message
+        });
+
+        if (failure.rateLimited) {
+          this.startCooldown(provider.name, failure.retryAfter);
+        }
+        businessLogger.warn(`AI 提供者 ${provider.name}（${model}）${failure.rateLimited ? '被限流' : '請求失敗'}，功能=${feature}，租戶=${options.tenantId || '-'}：${err.message}`);
+      }
+    }
+
+    throw new AIProviderError(
+      `所有 AI 提供者均請求失敗：${attempts.map(attempt => `${attempt.provider}（${attempt.error}）`).join('；')}`,
+      attempts
+    );
+  }
+
+  /**
+   * 記錄用量，失敗時不影響已完成的請求
+   */
+  async recordUsage(options, feature, provider, model, usage) {
+    try {
+      await aiUsageService.recordUsage({
+        tenantId: options.tenantId,
+        userId: options.userId || options.tenantId,
+        feature,
+        provider,
+        model,
+        usage
+      });
+    } catch (err) {
+      businessLogger.error(`記錄 AI 用量失敗：租戶=${options.tenantId || '-'}，${err.message}`);
+    }
+  }
+
+  /**
+   * 決定本次請求依次嘗試的提供者及模型
+   * 首選提供者：options.provider > 租戶設定 > config.ai.defaultProvider；
+   * 冷卻中（被限流）的提供者排到最後，作為最後手段
+   * @returns {Promise<Array<Object>>} [{ provider, model }]
+   */
+  async resolveRoute(request, options = {}) {
+    let selected;
+    if (options.provider) {
+      selected = { provider: options.provider, model: options.model };
+    } else {
+      const tenant = await this.getTenantSettings(options.tenantId);
+      selected = {
+        provider: tenant.provider || config.ai.defaultProvider,
+        model: options.model || tenant.model
+      };
+    }
+
+    const names = [...new Set([selected.provider, ...config.ai.fallbackOrder])];
+    const ready = [];
+    const coolingDown = [];
+
+    for (const name of names) {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        businessLogger.warn(`未知的 AI 提供者：${name}`);
+        continue;
+      }
+      if (!provider.isConfigured() || !provider.supports(request)) {
+        continue;
+      }
+
+      const model = name === selected.provider && selected.model
+        ? selected.model
+        : provider.getDefaultModel(request);
+      (this.isCoolingDown(name) ? coolingDown : ready).push({ provider, model });
+    }
+
+    return [...ready, ...coolingDown];
+  }
+
+  /**
+   * 讀取租戶的 AI 提供者設定（短暫緩存）
+   * @param {string} tenantId - 租戶（用戶）ID
+   * @returns {Promise<Object>} { provider, model }
+   */
+  async getTenantSettings(tenantId) {
+    if (!tenantId) return {};
+
+    const cached = this.settingsCache.get(tenantId);
+    if (cached && Date.now() - cached.loadedAt < config.ai.settingsCacheTTL) {
+      return cached.settings;
+    }
+
+    const settings = await new Promise(resolve => {
+      db.get('SELECT aiProvider, aiModel FROM users WHERE userId = ?', [tenantId], (err, row) => {
+        if (err) {
+          businessLogger.warn(`讀取租戶 ${tenantId} 的 AI 提供者設定失敗，使用預設值：${err.message}`);
+          return resolve({});
+        }
+        resolve({
+          provider: (row && row.aiProvider) || null,
+          model: (row && row.aiModel) || null
+        });
+      });
+    });
+
+    this.settingsCache.set(tenantId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * 清除租戶設定的緩存（設定變更時調用）
+   * @param {string} tenantId - 租戶（用戶）ID
+   */
+  invalidate(tenantId) {
+    this.settingsCache.delete(tenantId);
+  }
+
+  /**
+   * 判斷錯誤是否為限流，並讀取 retry-after
+   * @param {Error} err - 提供者拋出的錯誤
+   * @returns {Object} { status, rateLimited, retryAfter }
+   */
+  classifyError(err) {
+    const status = err.status || err.response?.status || null;
+    // 529 為 Anthropic 的服務過載
+    const rateLimited = status === 429 || status === 529 ||
+      /rate.?limit|too many requests|resource.?exhausted|overloaded/i.test(err.message || '');
+
+    let retryAfter = null;
+    const headers = err.headers || err.response?.headers;
+    const header = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    if (header && Number.isFinite(Number(header))) {
+      retryAfter = Number(header) * 1000;
+    }
+
+    return { status, rateLimited, retryAfter };
+  }
+
+  startCooldown(name, duration) {
+    this.cooldowns.set(name, Date.now() + (duration || config.ai.rateLimitCooldown));
+  }
+
+  isCoolingDown(name) {
+    const until = this.cooldowns.get(name);
+    if (!until) return false;
+    if (Date.now() >= until) {
+      this.cooldowns.delete(name);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 各提供者的狀態（健康檢查用）
+   * @returns {Object}
+   */
+  getStatus() {
+    const status = {};
+    for (const [name, provider] of this.providers) {
+      status[name] = {
+        configured: provider.isConfigured(),
+        coolingDown: this.isCoolingDown(name)
+      };
+    }
+    return { defaultProvider: config.ai.defaultProvider, providers: status };
+  }
+}
+
+// 建立單例實例
+const aiProviderService = new AIProviderService();
+
+module.exports = aiProviderService;
+module.exports.AIProviderError = AIProviderError;
@@ -0,0 +1,393 @@
+/**
+ * AI 用量及成本服務
+ * 記錄每次 AI 請求的 token 用量及估算成本（按租戶、用戶、功能及模型），
+ * 並按租戶的每月預算發出警告或拒絕請求。
+ *
+ * 成本按 config.ai.pricing 估算，月份以 UTC 計算。
+ * 預算狀態：unlimited（未設預算）、ok、warning（達到 warnRatio）、exceeded（超出預算）
+ */
+
+const { businessLogger } = require('../../utils/logger');
+const config = require('../../config');
+const eventBus = require('../../core/EventBus');
+const { EventTypes, EventSource } = require('../../core/EventTypes');
+
+// 預設使用主系統的 SQLite 數據庫（首次查詢時載入），可由 useDatabase 替換
+let database = null;
+const getDatabase = () => database || (database = require('../../database'));
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+class AIBudgetExceededError extends Error {
+  constructor(message, budget) {
+    super(message);
+    this.name = 'AIBudgetExceededError';
+    this.status = 402;
+    this.budget = budget;
+  }
+}
+
+class AIUsageService {
+  constructor() {
+    this.tablesReady = null;
+    this.spendCache = new Map();
+    this.budgetCache = new Map();
+    this.notified = new Set();
+    businessLogger.info('AI 用量服務已初始化');
+  }
+
+  /**
+   * 改用其他數據庫（sqlite3 的 run、get、all 介面），測試以內存數據庫代替 whatsappBot.db
+   * @param {Object} db - 數據庫
+   */
+  useDatabase(db) {
+    database = db;
+    this.tablesReady = null;
+    this.spendCache.clear();
+    this.budgetCache.clear();
+  }
+
+  async initialize() {
+    await this.ensureTables();
+    businessLogger.info('AI 用量服務初始化完成');
+  }
+
+  /**
+   * 建立用量及預算表（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      this.tablesReady = (async () => {
+        await run(`CREATE TABLE IF NOT EXISTS ai_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tenantId TEXT NOT NULL,
+          userId TEXT,
+          feature TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          inputTokens INTEGER DEFAULT 0,
+          outputTokens INTEGER DEFAULT 0,
+          cost REAL DEFAULT 0,
+          month TEXT NOT NULL,
+          createdAt TEXT NOT NULL
+        )`);
+        await run('CREATE INDEX IF NOT EXISTS idx_ai_usage_tenant_month ON ai_usage (tenantId, month)');
+        await run(`CREATE TABLE IF NOT EXISTS ai_budgets (
+          tenantId TEXT PRIMARY KEY,
+          monthlyLimit REAL NOT NULL,
+          warnRatio REAL NOT NULL,
+          hardStop INTEGER NOT NULL,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        businessLogger.info('ai_usage 及 ai_budgets 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  toMonth(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * 估算一次請求的成本（美元）
+   * @param {string} model - 模型名稱，按 config.ai.pricing 的最長前綴匹配
+   * @param {Object} usage - { inputTokens, outputTokens }
+   * @returns {number}
+   */
+  estimateCost(model, usage = {}) {
+    const key = Object.keys(config.ai.pricing)
+      .filter(prefix => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!key) {
+      businessLogger.warn(`模型 ${model} 沒有定價，成本記為 0`);
+      return 0;
+    }
+
+    const price = config.ai.pricing[key];
+    const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * 記錄一次成功的 AI 請求
+   * @param {Object} params - { tenantId, userId, feature, provider, model, usage }
+   * @returns {Promise<Object>} { cost, budget }
+   */
+  async recordUsage({ tenantId, userId, feature, provider, model, usage = {} }) {
+    await this.ensureTables();
+    const tenant = tenantId || 'system';
+    const now = new Date();
+    const month = this.toMonth(now);
+    const cost = this.estimateCost(model, usage);
+
+    await run(
+      'INSERT INTO ai_usage (tenantId, userId, feature, provider, model, inputTokens, outputTokens, cost, month, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [tenant, userId || null, feature || 'general', provider, model, usage.inputTokens || 0, usage.outputTokens || 0, cost, month, now.toISOString()]
+    );
+
+    const cached = this.spendCache.get(tenant);
+    if (cached && cached.month === month) {
+      cached.spent += cost;
+    }
+
+    if (!tenantId) {
+      return { cost, budget: null };
+    }
+    const budget = this.evaluateBudget(await this.getMonthlySpend(tenant), await this.getBudget(tenant));
+    if (budget.status === 'warning' || budget.status === 'exceeded') {
+      this.notify(tenant, month, budget);
+    }
+    return { cost, budget };
+  }
+
+  /**
+   * 請求前檢查預算，超出且設定為硬性上限時拋出 AIBudgetExceededError
+   * @param {string} tenantId - 租戶ID（沒有租戶時不檢查）
+   * @returns {Promise<Object|null>} 預算狀態
+   */
+  async checkBudget(tenantId) {
+    if (!tenantId) return null;
+
+    await this.ensureTables();
+    const budget = this.evaluateBudget(await this.getMonthlySpend(tenantId), await this.getBudget(tenantId));
+    if (budget.blocked) {
+      this.notify(tenantId, this.toMonth(), budget);
+      throw new AIBudgetExceededError(
+        `本月 AI 預算已用完（${formatUsd(budget.spent)} / ${formatUsd(budget.limit)}）`,
+        budget
+      );
+    }
+    return budget;
+  }
+
+  /**
+   * 計算預算狀態
+   * @param {number} spent - 本月已用金額
+   * @param {Object} budget - { monthlyLimit, warnRatio, hardStop }
+   * @returns {Object} { status, spent, limit, remaining, ratio, warnRatio, hardStop, blocked }
+   */
+  evaluateBudget(spent, budget) {
+    const limit = budget.monthlyLimit || 0;
+    const result = {
+      status: 'unlimited',
+      spent: Math.round(spent * 1e6) / 1e6,
+      limit,
+      remaining: null,
+      ratio: null,
+      warnRatio: budget.warnRatio,
+      hardStop: budget.hardStop,
+      blocked: false
+    };
+    if (limit <= 0) return result;
+
+    result.ratio = spent / limit;
+    result.remaining = Math.max(limit - spent, 0);
+    if (result.ratio >= 1) {
+      result.status = 'exceeded';
+      result.blocked = Boolean(budget.hardStop);
+    } else if (result.ratio >= budget.warnRatio) {
+      result.status = 'warning';
+    } else {
+      result.status = 'ok';
+    }
+    return result;
+  }
+
+  /**
+   * 租戶本月的已用金額（首次讀取後在記錄用量時累加）
+   */
+  async getMonthlySpend(tenantId) {
+    const month = this.toMonth();
+    const cached = this.spendCache.get(tenantId);
+    if (cached && cached.month === month) {
+      return cached.spent;
+    }
+
+    const row = await get('SELECT SUM(cost) AS spent FROM ai_usage WHERE tenantId = ? AND month = ?', [tenantId, month]);
+    const spent = (row && row.spent) || 0;
+    this.spendCache.set(tenantId, { month, spent });
+    return spent;
+  }
+
+  /**
+   * 讀取租戶預算，未設定時使用 config.ai.budget
+   * @param {string} tenantId - 租戶ID
+   * @returns {Promise<Object>} { monthlyLimit, warnRatio, hardStop, custom }
+   */
+  async getBudget(tenantId) {
+    if (this.budgetCache.has(tenantId)) {
+      return this.budgetCache.get(tenantId);
+    }
+
+    await this.ensureTables();
+    const row = await get('SELECT monthlyLimit, warnRatio, hardStop FROM ai_budgets WHERE tenantId = ?', [tenantId]);
+    const defaults = config.ai.budget;
+    const budget = row
+      ? { monthlyLimit: row.monthlyLimit, warnRatio: row.warnRatio, hardStop: Boolean(row.hardStop), custom: true }
+      : { monthlyLimit: Number(defaults.defaultMonthlyLimit) || 0, warnRatio: defaults.warnRatio, hardStop: defaults.hardStop, custom: false };
+
+    this.budgetCache.set(tenantId, budget);
+    return budget;
+  }
+
+  /**
+   * 設定租戶的每月預算
+   * @param {string} tenantId - 租戶ID
+   * @param {Object} settings - { monthlyLimit, warnRatio, hardStop }
+   * @returns {Promise<Object>} 更新後的預算
+   */
+  async setBudget(tenantId, settings = {}) {
+    const current = await this.getBudget(tenantId);
+    const budget = {
+      monthlyLimit: settings.monthlyLimit !== undefined ? Number(settings.monthlyLimit) : current.monthlyLimit,
+      warnRatio: settings.warnRatio !== undefined ? Number(settings.warnRatio) : current.warnRatio,
+      hardStop: settings.hardStop !== undefined ? Boolean(settings.hardStop) : current.hardStop
+    };
+
+    if (!Number.isFinite(budget.monthlyLimit) || budget.monthlyLimit < 0) {
+      throw Object.assign(new Error('每月預算必須是 0 或以上的數字'), { status: 400 });
+    }
+    if (!Number.isFinite(budget.warnRatio) || budget.warnRatio <= 0 || budget.warnRatio > 1) {
+      throw Object.assign(new Error('警告比例必須大於 0 且不超過 1'), { status: 400 });
+    }
+
+    await run(
+      `INSERT INTO ai_budgets (tenantId, monthlyLimit, warnRatio, hardStop, updatedAt) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(tenantId) DO UPDATE SET monthlyLimit = excluded.monthlyLimit, warnRatio = excluded.warnRatio,
+         hardStop = excluded.hardStop, updatedAt = CURRENT_TIMESTAMP`,
+      [tenantId, budget.monthlyLimit, budget.warnRatio, budget.hardStop ? 1 : 0]
+    );
+
+    this.budgetCache.delete(tenantId);
+    // 調整預算後可再次通知
+    for (const key of this.notified) {
+      if (key.startsWith(`${tenantId}:`)) this.notified.delete(key);
+    }
+    businessLogger.info(`租戶 ${tenantId} 的 AI 預算已更新：${JSON.stringify(budget)}`);
+    return { ...budget, custom: true };
+  }
+
+  /**
+   * 租戶某月的用量摘要
+   * @param {string} tenantId - 租戶ID
+   * @param {string} month - YYYY-MM（預設本月）
+   * @returns {Promise<Object>}
+   */
+  async getSummary(tenantId, month = this.toMonth()) {
+    await this.ensureTables();
+    const where = 'WHERE tenantId = ? AND month = ?';
+    const params = [tenantId, month];
+    const columns = 'COUNT(*) AS requests, SUM(inputTokens) AS inputTokens, SUM(outputTokens) AS outputTokens, SUM(cost) AS cost';
+
+    const [totals, byFeature, byModel, byUser, daily] = await Promise.all([
+      get(`SELECT ${columns} FROM ai_usage ${where}`, params),
+      all(`SELECT feature, ${columns} FROM ai_usage ${where} GROUP BY feature ORDER BY cost DESC`, params),
+      all(`SELECT provider, model, ${columns} FROM ai_usage ${where} GROUP BY provider, model ORDER BY cost DESC`, params),
+      all(`SELECT userId, ${columns} FROM ai_usage ${where} GROUP BY userId ORDER BY cost DESC`, params),
+      all(`SELECT substr(createdAt, 1, 10) AS date, ${columns} FROM ai_usage ${where} GROUP BY date ORDER BY date`, params)
+    ]);
+
+    const total = normalizeTotals(totals);
+    return {
+      tenantId,
+      month,
+      totals: total,
+      budget: this.evaluateBudget(total.cost, await this.getBudget(tenantId)),
+      byFeature: byFeature.map(normalizeTotals),
+      byModel: byModel.map(normalizeTotals),
+      byUser: byUser.map(normalizeTotals),
+      daily: daily.map(normalizeTotals)
+    };
+  }
+
+  /**
+   * 所有租戶某月的用量，按成本排序
+   * @param {string} month - YYYY-MM（預設本月）
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTenantOverview(month = this.toMonth()) {
+    await this.ensureTables();
+    const rows = await all(
+      `SELECT tenantId, COUNT(*) AS requests, SUM(inputTokens) AS inputTokens, SUM(outputTokens) AS outputTokens, SUM(cost) AS cost
+       FROM ai_usage WHERE month = ? GROUP BY tenantId ORDER BY cost DESC`,
+      [month]
+    );
+
+    const overview = [];
+    for (const row of rows) {
+      const totals = normalizeTotals(row);
+      overview.push({ ...totals, budget: this.evaluateBudget(totals.cost, await this.getBudget(row.tenantId)) });
+    }
+    return overview;
+  }
+
+  /**
+   * 每個租戶每月每種狀態只通知一次
+   */
+  notify(tenantId, month, budget) {
+    const key = `${tenantId}:${month}:${budget.status}`;
+    if (this.notified.has(key)) return;
+    this.notified.add(key);
+
+    const message = budget.status === 'exceeded'
+      ? `租戶 ${tenantId} 本月 AI 用量已超出預算：${formatUsd(budget.spent)} / ${formatUsd(budget.limit)}${budget.hardStop ? '，已停止新的 AI 請求' : ''}`
+      : `租戶 ${tenantId} 本月 AI 用量已達預算的 ${Math.round(budget.ratio * 100)}%：${formatUsd(budget.spent)} / ${formatUsd(budget.limit)}`;
+    businessLogger.warn(message);
+
+    eventBus.emit(
+      budget.status === 'exceeded' ? EventTypes.AI.BUDGET_EXCEEDED : EventTypes.AI.BUDGET_WARNING,
+      { tenantId, month, message, ...budget },
+      { source: EventSource.AI_SERVICE }
+    ).catch(err => businessLogger.warn(`發送 AI 預算事件失敗：${err.message}`));
+  }
+}
+
+function normalizeTotals(row = {}) {
+  return {
+    ...row,
+    requests: (row && row.requests) || 0,
+    inputTokens: (row && row.inputTokens) || 0,
+    outputTokens: (row && row.outputTokens) || 0,
+    cost: Math.round(((row && row.cost) || 0) * 1e6) / 1e6
+  };
+}
+
+function formatUsd(amount) {
+  return `US$${amount.toFixed(2)}`;
+}
+
+// 建立單例實例
+const aiUsageService = new AIUsageService();
+
+module.exports = aiUsageService;
+module.exports.AIBudgetExceededError = AIBudgetExceededError;
@@ -0,0 +1,79 @@
+/**
+ * Anthropic (Claude) AI 提供者
+ * 圖片以 image 區塊發送，PDF 以 document 區塊發送
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const config = require('../../../config');
+
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.ANTHROPIC_API_KEY);
+  }
+
+  supports() {
+    return true;
+  }
+
+  getDefaultModel(request) {
+    const settings = config.ai.providers.anthropic;
+    return hasDocument(request) ? settings.documentModel : settings.model;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * 發送請求
+   * @param {Object} request - { prompt, system, attachments, maxTokens, temperature }
+   * @param {string} model - 模型名稱
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async complete(request, model) {
+    const content = [
+      { type: 'text', text: request.prompt },
+      ...(request.attachments || []).map(toContentBlock)
+    ];
+
+    const params = {
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages: [{ role: 'user', content }]
+    };
+    if (request.system) {
+      params.system = request.system;
+    }
+
+    const response = await this.getClient().messages.create(params);
+    return {
+      text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+function hasDocument(request) {
+  return (request.attachments || []).some(file => file.mimetype === 'application/pdf');
+}
+
+function toContentBlock(file) {
+  const source = { type: 'base64', media_type: file.mimetype, data: file.buffer.toString('base64') };
+  return file.mimetype === 'application/pdf'
+    ? { type: 'document', source }
+    : { type: 'image', source };
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,71 @@
+/**
+ * Google Gemini AI 提供者
+ * 圖片及 PDF 都以 inlineData 發送
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../../../config');
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  }
+
+  supports() {
+    return true;
+  }
+
+  getDefaultModel(request) {
+    const settings = config.ai.providers.gemini;
+    const hasDocument = (request.attachments || []).some(file => file.mimetype === 'application/pdf');
+    return hasDocument ? settings.documentModel : settings.model;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+    return this.client;
+  }
+
+  /**
+   * 發送請求
+   * @param {Object} request - { prompt, system, attachments, maxTokens, temperature }
+   * @param {string} model - 模型名稱
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async complete(request, model) {
+    const generativeModel = this.getClient().getGenerativeModel({
+      model,
+      systemInstruction: request.system || undefined,
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        temperature: request.temperature
+      }
+    });
+
+    const parts = [
+      { text: request.prompt },
+      ...(request.attachments || []).map(file => ({
+        inlineData: { mimeType: file.mimetype, data: file.buffer.toString('base64') }
+      }))
+    ];
+
+    const result = await generativeModel.generateContent(parts);
+    const usage = result.response.usageMetadata || {};
+    return {
+      text: result.response.text(),
+      usage: {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,93 @@
+/**
+ * 本地模擬 AI 提供者（測試用，不連接網絡）
+ * 相同的請求永遠得到相同的回應；可預設回應或模擬錯誤以測試切換流程
+ * 使用方式：AI_PROVIDER=mock，或在租戶設定中選擇 mock
+ */
+
+const crypto = require('crypto');
+const config = require('../../../config');
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.reset();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports() {
+    return true;
+  }
+
+  getDefaultModel() {
+    return config.ai.providers.mock.model;
+  }
+
+  /**
+   * 設定回應
+   * @param {string|Object|Function} responder - 固定回應，或 (request, model) => 回應
+   */
+  respondWith(responder) {
+    this.responder = responder;
+  }
+
+  /**
+   * 模擬錯誤
+   * @param {Error} error - 要拋出的錯誤（可帶 status，例如 429）
+   * @param {number} times - 連續失敗次數
+   */
+  failWith(error, times = Infinity) {
+    this.failure = { error, remaining: times };
+  }
+
+  reset() {
+    this.responder = null;
+    this.failure = null;
+    this.calls = [];
+  }
+
+  async complete(request, model) {
+    this.calls.push({ request, model });
+
+    if (this.failure && this.failure.remaining > 0) {
+      this.failure.remaining--;
+      throw this.failure.error;
+    }
+
+    let text;
+    if (typeof this.responder === 'function') {
+      text = await this.responder(request, model);
+    } else if (this.responder !== null) {
+      text = this.responder;
+    } else {
+      text = { mock: true, model, digest: this.digest(request) };
+    }
+    if (typeof text !== 'string') {
+      text = JSON.stringify(text);
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: Math.ceil(request.prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  // 請求內容的摘要，用作預設回應
+  digest(request) {
+    const hash = crypto.createHash('sha256');
+    hash.update(request.system || '');
+    hash.update(request.prompt);
+    for (const file of request.attachments || []) {
+      hash.update(file.mimetype);
+      hash.update(file.buffer);
+    }
+    return hash.digest('hex').slice(0, 16);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,83 @@
+/**
+ * OpenAI AI 提供者
+ * 圖片以 data URI 的 image_url 發送，PDF 以 file 內容發送
+ */
+
+const OpenAI = require('openai');
+const config = require('../../../config');
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  supports() {
+    return true;
+  }
+
+  getDefaultModel(request) {
+    const settings = config.ai.providers.openai;
+    return hasDocument(request) ? settings.documentModel : settings.model;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  /**
+   * 發送請求
+   * @param {Object} request - { prompt, system, attachments, maxTokens, temperature }
+   * @param {string} model - 模型名稱
+   * @returns {Promise<Object>} { text, usage }
+   */
+  async complete(request, model) {
+    const attachments = request.attachments || [];
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push({
+      role: 'user',
+      content: attachments.length === 0
+        ? request.prompt
+        : [{ type: 'text', text: request.prompt }, ...attachments.map(toContentPart)]
+    });
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      messages
+    });
+
+    return {
+      text: response.choices[0]?.message?.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+function hasDocument(request) {
+  return (request.attachments || []).some(file => file.mimetype === 'application/pdf');
+}
+
+function toContentPart(file, index) {
+  const dataUri = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+  if (file.mimetype === 'application/pdf') {
+    return { type: 'file', file: { filename: `document-${index + 1}.pdf`, file_data: dataUri } };
+  }
+  return { type: 'image_url', image_url: { url: dataUri } };
+}
+
+module.exports = OpenAIProvider;
@@ -1,14 +1,12 @@
 require('dotenv').config();
-const axios = require('axios');
 const sharp = require('sharp');
 const winston = require('winston');
 const db = require('../database');
 const { businessLogger } = require('../utils/logger');
-
-// 設定 API 密鑰和端點
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const ANTHROPIC_VERSION = '2023-06-01';
+const config = require('../config');
+const aiProviderService = require('./ai/AIProviderService');
+const currencyService = require('./CurrencyService');
+const imageQualityService = require('./ImageQualityService');
 
 class AIService {
   constructor() {
@@ -23,10 +21,11 @@ class AIService {
 
     try {
       // 檢查 API 密鑰
-      if (!ANTHROPIC_API_KEY) {
-        businessLogger.warn('未設定 ANTHROPIC_API_KEY，AI 功能將無法使用');
+      const configured = aiProviderService.getConfiguredProviders();
+      if (configured.length === 0) {
+        businessLogger.warn('未設定任何 AI 提供者的 API 金鑰（ANTHROPIC_API_KEY、OPENAI_API_KEY、GEMINI_API_KEY），AI 功能將無法使用');
       } else {
-        businessLogger.info('AI 服務配置檢查完成');
+        businessLogger.info(`AI 服務配置檢查完成，可用提供者：${configured.join(', ')}`);
       }
 
       this.isInitialized = true;
@@ -48,7 +47,7 @@ class AIService {
       timestamp: new Date().toISOString(),
       details: {
         isInitialized: this.isInitialized,
-        hasApiKey: !!ANTHROPIC_API_KEY
+        ...aiProviderService.getStatus()
       }
     };
   }
@@ -56,40 +55,55 @@ class AIService {
   async recognizeImage(imageBuffer, userId) {
     return recognizeImage(imageBuffer, userId);
   }
+
+  async recognizeDocument(pages, userId) {
+    return recognizeDocument(pages, userId);
+  }
 }
 
 /**
- * 圖片識別主函數，使用 Claude 3 Haiku API
+ * 圖片識別主函數
  * @param {Buffer} imageBuffer - 圖片 buffer
  * @param {string} userId - 用戶 ID，用於讀取 customQuestions
- * @returns {Promise<Object>} - 識別結果，包含原始文字和解析後的資料
+ * @returns {Promise<Object>} - 識別結果，包含原始文字、第一張收據的資料及所有收據
  */
 async function recognizeImage(imageBuffer, userId) {
+  return recognizeDocument([{ buffer: imageBuffer, mimetype: 'image/jpeg' }], userId);
+}
+
+/**
+ * 識別收據文件：一張圖片可能包含多張收據，多頁文件（PDF、相冊）可能是同一張收據或多張收據
+ * 提供者及模型按用戶設定選擇，失敗時自動切換（見 AIProviderService）
+ * @param {Array<Object>} pages - 每頁的 { buffer, mimetype }
+ * @param {string} userId - 用戶 ID，用於讀取 customQuestions
+ * @returns {Promise<Object>} - { rawText, parsedData, receipts, confidences }，parsedData 為第一張收據（沒有收據時為 null），
+ *   confidences 為每張收據的 { fields, document } 信心度（0 到 1）
+ */
+async function recognizeDocument(pages, userId) {
+  const recognition = config.recognition;
+
   try {
-    businessLogger.info(`用戶 ${userId} 開始使用 Claude 3 Haiku 進行圖片識別`);
+    businessLogger.info(`用戶 ${userId} 開始進行收據識別，共 ${pages.length} 頁`);
 
     const customQuestions = await getCustomQuestions(userId);
     if (!customQuestions.length) {
       businessLogger.warn(`用戶 ${userId} 無有效 customQuestions`);
-      return { rawText: '', parsedData: null };
+      return { rawText: '', parsedData: null, receipts: [] };
     }
 
-    // 檢查並預處理圖片
-    const maxSize = 1024 * 1024; // 1MB
-    let processedBuffer = imageBuffer;
-    if (imageBuffer.length > maxSize || true) { // 強制預處理以提高清晰度
-      businessLogger.info(`用戶 ${userId} 圖片大小 ${imageBuffer.length} 字節，進行預處理`);
-      processedBuffer = await sharp(imageBuffer)
-        .resize({ width: 1024, withoutEnlargement: true })
-        .jpeg({ quality: 90 }) // 提高品質
-        .sharpen() // 增強銳度
-        .toBuffer();
-      businessLogger.info(`預處理後圖片大小：${processedBuffer.length} 字節`);
+    if (pages.length === 0) {
+      throw new Error('沒有可識別的頁面');
+    }
+    if (pages.length > recognition.maxPages) {
+      throw new Error(`一次最多識別 ${recognition.maxPages} 頁`);
     }
 
-    const base64Image = processedBuffer.toString('base64');
-    if (!base64Image || base64Image.length === 0) {
-      throw new Error('圖片 base64 編碼失敗');
+    // 本地檢查圖片品質，不合格時拋出 ImageQualityError，不調用 AI
+    const assessments = await imageQualityService.assessPages(pages);
+
+    const attachments = [];
+    for (const [index, page] of pages.entries()) {
+      attachments.push(await prepareAttachment(page, userId, assessments[index]));
     }
 
     // 動態生成提示，包含用戶自訂的 prompts
@@ -99,132 +113,201 @@ async function recognizeImage(imageBuffer, userId) {
       return `  - 欄位 "${q.field}": 負責提取 "${q.question}"。${promptHint}`;
     }).join('\n');
 
+    // 貨幣獨立成一個欄位；用戶沒有自訂貨幣欄位時使用 currency
+    const baseCurrency = await currencyService.getBaseCurrency(userId);
+    const currencyField = currencyService.findCurrencyField(customQuestions.map(q => q.field)) || 'currency';
+    const outputFields = customQuestions.some(q => q.field === currencyField)
+      ? customQuestions.map(q => q.field)
+      : [...customQuestions.map(q => q.field), currencyField];
+
     const prompt = `
 您是一位專業的數據錄入員，專門從收據圖片中提取信息並以JSON格式輸出。
 
-請根據以下定義的欄位和提取指引，分析提供的收據圖片：
+請根據以下定義的欄位和提取指引，分析提供的收據${pages.length > 1 ? `文件（共 ${pages.length} 頁）` : '圖片'}：
 
 ${fieldsDescription}
 
 通用規則：
 -嚴格遵循每個欄位的提取指引。
-- 金額：僅返回數字和小數點 (例如 HK$100.50 應返回 100.50)。
+- 金額：僅返回數字和小數點 (例如 HK$100.50 應返回 100.50)，貨幣另外填寫在欄位 "${currencyField}"。
+- 貨幣：欄位 "${currencyField}" 返回 ISO 4217 代碼 (例如 HK$ → HKD、人民幣/RMB/¥ → CNY、US$ → USD、MOP$ → MOP)，收據上沒有標示貨幣時返回空字符串 ""。
 - 日期：統一為 YYYY-MM-DD 格式 (例如 15/03/2025 應返回 2025-03-15) 如無日期 預設為今天日期。
 - 如果根據指引也無法找到對應內容，請返回空字符串 ""。
 - 請特別注意識別繁體中文。
 
+信心度：
+- 每張收據另外輸出 "_confidence" 對象，為每個欄位給出 0 到 1 的信心度，並以 "_document" 表示整張收據的信心度。
+- 內容清晰、直接印在收據上的欄位接近 1；字跡模糊、被遮擋、需要推測或找不到的欄位應明顯較低。
+
+多張收據：
+- 每一張獨立的收據輸出一個對象，即使多張收據在同一張圖片中。
+- 同一張收據分佈在多頁時，合併為一個對象。
+- 按收據在文件中出現的順序輸出；找不到任何收據時返回空陣列。
+
 輸出要求：
 嚴格只返回一個完整的JSON對象，不要包含任何額外的說明、註釋或非JSON內容。
-JSON結構範例: {${customQuestions.map(q => `"${q.field}": "範例值"`).join(', ')}}
+JSON結構範例: {"receipts": [{${outputFields.map(field => `"${field}": "範例值"`).join(', ')}, "_confidence": {${outputFields.map(field => `"${field}": 0.9`).join(', ')}, "_document": 0.9}}]}
 `;
 
-    // 發送請求到 Claude API
-    businessLogger.info(`發送 Claude 請求，模型=claude-3-haiku-20240307`);
     // 為了方便調試，臨時將 prompt 記錄在 info 級別
-    businessLogger.info(`Claude Prompt: ${prompt}`);
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 1024, // 增加 token 限制以容納更複雜的 prompt
-      messages: [
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: prompt },
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/jpeg',
-                data: base64Image
-              }
-            }
-          ]
-        }
-      ],
-      temperature: 0.1, // 降低 temperature 讓輸出更穩定
-      stop_sequences: ["}"] // 增加 stop sequence 確保返回完整的 JSON
-    }, {
-      headers: {
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': ANTHROPIC_VERSION,
-        'Content-Type': 'application/json'
-      }
-    });
+    businessLogger.info(`AI Prompt: ${prompt}`);
+    const response = await aiProviderService.complete({
+      prompt,
+      attachments,
+      maxTokens: recognition.maxTokens,
+      temperature: 0.1 // 降低 temperature 讓輸出更穩定
+    }, { tenantId: userId, feature: 'recognition' });
+    const model = response.model;
+    businessLogger.info(`用戶 ${userId} 收據由 ${response.provider}（${model}）識別`);
 
-    const result = response.data.content[0].text;
-    let parsedData;
-    try {
-        // 首先嘗試直接解析
-        parsedData = JSON.parse(result.trim());
-    } catch (parseErr) {
-        businessLogger.warn(`用戶 ${userId} 直接解析 Claude 回應失敗，嘗試提取 JSON 部分`);
-        
-        // 修復可能被截斷的JSON
-        let jsonStr = result.trim();
-        if (!jsonStr.endsWith('}')) {
-            jsonStr += '}';
-        }
-        
-        try {
-            parsedData = JSON.parse(jsonStr);
-            businessLogger.info(`用戶 ${userId} 修復並解析JSON成功`);
-        } catch (fixErr) {
-            // 如果修復後還是失敗，嘗試使用正則表達式
-            const jsonMatch = result.match(/\{[\s\S]*?\}/g);
-            if (jsonMatch) {
-                try {
-                    // 取最後一個匹配（通常是最完整的）
-                    const lastMatch = jsonMatch[jsonMatch.length - 1];
-                    parsedData = JSON.parse(lastMatch);
-                    businessLogger.info(`用戶 ${userId} 使用正則提取JSON成功`);
-                } catch (regexErr) {
-                    businessLogger.error(`用戶 ${userId} 提取 JSON 部分失敗: ${regexErr.message}, 原始回應: ${result}`);
-                    throw new Error('Claude 回應格式無效');
-                }
-            } else {
-                businessLogger.error(`用戶 ${userId} 無法提取 JSON 部分，原始回應: ${result}`);
-                throw new Error('Claude 回應格式無效');
-            }
-        }
+    let receipts = parseReceipts(response.text, userId);
+
+    if (receipts.length > recognition.maxReceipts) {
+      businessLogger.warn(`用戶 ${userId} 識別到 ${receipts.length} 張收據，只保留前 ${recognition.maxReceipts} 張`);
+      receipts = receipts.slice(0, recognition.maxReceipts);
     }
 
+    // 信心度與欄位值分開保存，欄位值照常寫入存儲
+    const confidences = receipts.map(receipt => extractConfidence(receipt, outputFields));
+
     // 驗證返回數據
     const expectedFields = new Set(customQuestions.map(q => q.field));
-    const returnedFields = new Set(Object.keys(parsedData));
-    if (![...expectedFields].every(field => returnedFields.has(field))) {
-      businessLogger.warn(`用戶 ${userId} 返回的字段不完整，預期：${[...expectedFields].join(', ')}, 實際：${[...returnedFields].join(', ')}`);
-      const finalData = {};
-      customQuestions.forEach(q => {
-        finalData[q.field] = parsedData[q.field] || '';
-      });
-      parsedData = finalData;
-    }
+    receipts = receipts.map((parsedData, index) => {
+      const returnedFields = new Set(Object.keys(parsedData));
+      if (![...expectedFields].every(field => returnedFields.has(field))) {
+        businessLogger.warn(`用戶 ${userId} 第 ${index + 1} 張收據返回的字段不完整，預期：${[...expectedFields].join(', ')}, 實際：${[...returnedFields].join(', ')}`);
+        const finalData = {};
+        customQuestions.forEach(q => {
+          finalData[q.field] = parsedData[q.field] || '';
+        });
+        parsedData = finalData;
+      }
 
-    // 簡單驗證金額格式
-    if (parsedData.amount && !/^\d+(\.\d{1,2})?$/.test(parsedData.amount)) {
-      businessLogger.warn(`用戶 ${userId} 返回的金額格式無效：${parsedData.amount}`);
-      throw new Error('金額格式無效');
-    }
+      // 無法識別貨幣時視為基礎貨幣；這是預設值而非推測，不需要用戶確認
+      const currency = currencyService.detectCurrency(parsedData[currencyField]);
+      if (!currency) {
+        confidences[index].fields[currencyField] = 1;
+      }
+      parsedData[currencyField] = currency || baseCurrency;
+
+      // 簡單驗證金額格式
+      if (parsedData.amount && !/^\d+(\.\d{1,2})?$/.test(parsedData.amount)) {
+        businessLogger.warn(`用戶 ${userId} 第 ${index + 1} 張收據返回的金額格式無效：${parsedData.amount}`);
+        throw new Error('金額格式無效');
+      }
+      return parsedData;
+    });
 
-    businessLogger.info(`用戶 ${userId} Claude 解析後的資料：${JSON.stringify(parsedData)}`);
-    return { rawText: 'OCR by Claude Haiku', parsedData };
+    businessLogger.info(`用戶 ${userId} AI 解析後的資料：${JSON.stringify(receipts)}，信心度：${JSON.stringify(confidences)}`);
+    return { rawText: `OCR by ${model}`, parsedData: receipts[0] || null, receipts, confidences };
   } catch (err) {
-    businessLogger.error(`用戶 ${userId} Claude 識別失敗: ${err.message} - ${JSON.stringify(err.response?.data || '無回應數據')}`);
-    if (err.response?.status === 400) {
-      businessLogger.warn('400 錯誤，可能因請求格式或圖片數據問題，請檢查 prompt 或 base64 編碼');
-    } else if (err.response?.status === 401) {
-      businessLogger.warn('401 錯誤，請檢查 ANTHROPIC_API_KEY');
-    } else if (err.response?.status === 403) {
-      businessLogger.warn('403 錯誤，API 金鑰無效或無權限，請檢查 ANTHROPIC_API_KEY');
-    } else if (err.response?.status === 404) {
-      businessLogger.warn('404 錯誤，請確認 CLAUDE_API_URL');
-    } else if (err.response?.status === 422) {
-      businessLogger.warn('422 錯誤，模型可能不支持圖片，請確認 claude-3-haiku-20240307');
+    businessLogger.error(`用戶 ${userId} AI 識別失敗: ${err.message}`);
+    for (const attempt of err.attempts || []) {
+      if (attempt.status === 401 || attempt.status === 403) {
+        businessLogger.warn(`${attempt.status} 錯誤，請檢查 ${attempt.provider} 的 API 金鑰`);
+      } else if (attempt.status === 400 || attempt.status === 422) {
+        businessLogger.warn(`${attempt.status} 錯誤，${attempt.provider}（${attempt.model}）可能不支持此請求格式或文件類型`);
+      }
     }
     throw err;
   }
 }
 
+/**
+ * 準備要發送的附件：圖片按品質檢查結果裁剪及校正傾斜，預處理後以 JPEG 發送，PDF 原樣發送
+ * @param {Object} page - { buffer, mimetype }
+ * @param {string} userId - 用戶 ID
+ * @param {Object|null} assessment - 圖片品質檢查結果，未檢查時為 null
+ * @returns {Promise<Object>} { buffer, mimetype }
+ */
+async function prepareAttachment(page, userId, assessment = null) {
+  if (page.mimetype === 'application/pdf') {
+    return page;
+  }
+
+  const imageBuffer = assessment ? await imageQualityService.prepareImage(page.buffer, assessment) : page.buffer;
+
+  // 強制預處理以提高清晰度
+  businessLogger.info(`用戶 ${userId} 圖片大小 ${imageBuffer.length} 字節，進行預處理`);
+  const processedBuffer = await sharp(imageBuffer)
+    .resize({ width: 1024, withoutEnlargement: true })
+    .jpeg({ quality: 90 }) // 提高品質
+    .sharpen() // 增強銳度
+    .toBuffer();
+  businessLogger.info(`預處理後圖片大小：${processedBuffer.length} 字節`);
+
+  if (!processedBuffer || processedBuffer.length === 0) {
+    throw new Error('圖片預處理失敗');
+  }
+  return { buffer: processedBuffer, mimetype: 'image/jpeg' };
+}
+
+/**
+ * 解析 AI 回應中的收據列表
+ * 接受 {"receipts": [...]}、直接返回的陣列，或舊格式的單一對象
+ * @param {string} result - AI 回應文字
+ * @param {string} userId - 用戶 ID
+ * @returns {Array<Object>}
+ */
+function parseReceipts(result, userId) {
+  let parsed;
+  try {
+    // 首先嘗試直接解析
+    parsed = JSON.parse(result.trim());
+  } catch (parseErr) {
+    businessLogger.warn(`用戶 ${userId} 直接解析 AI 回應失敗，嘗試提取 JSON 部分`);
+
+    const start = result.search(/[[{]/);
+    const end = Math.max(result.lastIndexOf('}'), result.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      businessLogger.error(`用戶 ${userId} 無法提取 JSON 部分，原始回應: ${result}`);
+      throw new Error('AI 回應格式無效');
+    }
+    try {
+      parsed = JSON.parse(result.slice(start, end + 1));
+      businessLogger.info(`用戶 ${userId} 提取 JSON 成功`);
+    } catch (extractErr) {
+      businessLogger.error(`用戶 ${userId} 提取 JSON 部分失敗: ${extractErr.message}, 原始回應: ${result}`);
+      throw new Error('AI 回應格式無效');
+    }
+  }
+
+  let receipts;
+  if (Array.isArray(parsed)) {
+    receipts = parsed;
+  } else if (parsed && Array.isArray(parsed.receipts)) {
+    receipts = parsed.receipts;
+  } else {
+    receipts = [parsed];
+  }
+  return receipts.filter(receipt => receipt && typeof receipt === 'object' && !Array.isArray(receipt));
+}
+
+/**
+ * 取出並移除收據中的 _confidence，沒有返回信心度的欄位視為 0（需要用戶確認）
+ * @param {Object} receipt - AI 返回的收據
+ * @param {Array<string>} fields - 輸出欄位
+ * @returns {Object} { fields, document }，沒有整張收據的信心度時取各欄位的最低值
+ */
+function extractConfidence(receipt, fields) {
+  const raw = receipt._confidence && typeof receipt._confidence === 'object' ? receipt._confidence : {};
+  delete receipt._confidence;
+
+  const scores = {};
+  fields.forEach(field => {
+    scores[field] = clampConfidence(raw[field]);
+  });
+  const document = raw._document !== undefined
+    ? clampConfidence(raw._document)
+    : Math.min(...Object.values(scores));
+  return { fields: scores, document };
+}
+
+function clampConfidence(value) {
+  const score = Number(value);
+  return Number.isFinite(score) ? Math.min(Math.max(score, 0), 1) : 0;
+}
+
 /**
  * 從資料庫讀取用戶的 customQuestions
  * @param {string} userId - 用戶 ID
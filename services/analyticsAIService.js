@@ -1,11 +1,12 @@
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
 const { google } = require('googleapis');
 const { businessLogger } = require('../utils/logger');
+const aiProviderService = require('./ai/AIProviderService');
+const currencyService = require('./CurrencyService');
+const config = require('../config');
 
 class AnalyticsAIService {
     constructor() {
-        this.anthropic = null;
         this.isInitialized = false;
         this.sheets = null;
         this.auth = null;
@@ -25,14 +26,10 @@ class AnalyticsAIService {
 
     async initialize() {
         try {
-            if (!process.env.ANTHROPIC_API_KEY) {
-                throw new Error('ANTHROPIC_API_KEY not found in environment variables');
+            if (aiProviderService.getConfiguredProviders().length === 0) {
+                throw new Error('未設定任何 AI 提供者的 API 金鑰');
             }
 
-            this.anthropic = new Anthropic({
-                apiKey: process.env.ANTHROPIC_API_KEY,
-            });
-
             // 初始化Google Sheets API
             await this.initializeGoogleSheets();
             
@@ -193,6 +190,7 @@ class AnalyticsAIService {
                 rawData: dataRows,
                 structuredData,
                 totalRecords: dataRows.length,
+                baseCurrency: user.baseCurrency || config.currency.defaultBase,
                 lastSync: new Date().toISOString()
             };
 
@@ -242,17 +240,13 @@ ${userData.headers.map(header => `${header}: ${record[header] || '空值'}`).joi
 請用繁體中文詳細回答，每個問題都要基於實際數據內容來分析。
 `;
 
-            const response = await this.anthropic.messages.create({
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 3000,
-                temperature: 0.1,
-                messages: [{
-                    role: 'user',
-                    content: readingPrompt
-                }]
-            });
+            const response = await aiProviderService.complete({
+                prompt: readingPrompt,
+                maxTokens: 3000,
+                temperature: 0.1
+            }, { tenantId: userData.userId, feature: 'analytics' });
 
-            const dataReadingResult = response.content[0].text;
+            const dataReadingResult = response.text;
             businessLogger.info(`✅ AI數據閱讀完成，內容長度: ${dataReadingResult.length} 字符`);
             
             return {
@@ -350,17 +344,13 @@ ${userData.structuredData.slice(-20).map((record, index) => {
 - 報告長度至少2000字，充滿專業洞察
 `;
 
-            const response = await this.anthropic.messages.create({
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 4000,
-                temperature: 0.2,
-                messages: [{
-                    role: 'user',
-                    content: analysisPrompt
-                }]
-            });
+            const response = await aiProviderService.complete({
+                prompt: analysisPrompt,
+                maxTokens: 4000,
+                temperature: 0.2
+            }, { tenantId: userData.userId, feature: 'analytics' });
 
-            const analysisReport = response.content[0].text;
+            const analysisReport = response.text;
             businessLogger.info(`✅ AI智能分析完成，報告長度: ${analysisReport.length} 字符`);
             
             return {
@@ -872,12 +862,15 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         }
     }
 
-    // 新增：提取高級財務數據
+    // 新增：提取高級財務數據（金額換算為基礎貨幣，並保留各原始貨幣的金額）
     extractAdvancedFinancialData(userData) {
         const valueFields = this.extractValueFields(userData);
+        const { baseCurrency, currencyField } = this.getCurrencyContext(userData);
         const financialData = {};
+        const byCurrency = {};
         let totalAmount = 0;
         let transactionCount = 0;
+        let unconvertedCount = 0;
         
         // 如果沒有找到明確的金額欄位，嘗試智能識別
         let fieldsToCheck = valueFields;
@@ -898,20 +891,28 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         
         fieldsToCheck.forEach(field => {
             const values = [];
+            const originalTotals = {};
             userData.structuredData.forEach(record => {
-                let value = record[field];
+                const money = this.readRecordAmount(record, field, currencyField, baseCurrency);
+                if (!money) return;
                 
-                // 數據清理：移除貨幣符號和空格
-                if (typeof value === 'string') {
-                    value = value.replace(/[$,\s]/g, '').trim();
+                // 匯率表中沒有的貨幣不計入總額，避免混合不同貨幣
+                if (money.converted === null) {
+                    unconvertedCount++;
+                    return;
                 }
                 
-                const numValue = parseFloat(value);
-                if (!isNaN(numValue) && numValue > 0) {
-                    values.push(numValue);
-                    totalAmount += numValue;
-                    transactionCount++;
+                values.push(money.converted);
+                totalAmount += money.converted;
+                transactionCount++;
+                originalTotals[money.currency] = (originalTotals[money.currency] || 0) + money.amount;
+                
+                if (!byCurrency[money.currency]) {
+                    byCurrency[money.currency] = { originalAmount: 0, convertedAmount: 0, count: 0 };
                 }
+                byCurrency[money.currency].originalAmount += money.amount;
+                byCurrency[money.currency].convertedAmount += money.converted;
+                byCurrency[money.currency].count++;
             });
             
             if (values.length > 0) {
@@ -921,7 +922,9 @@ ${userData.structuredData.slice(-20).map((record, index) => {
                     count: values.length,
                     max: Math.max(...values),
                     min: Math.min(...values),
-                    median: this.calculateMedian(values)
+                    median: this.calculateMedian(values),
+                    currency: baseCurrency,
+                    originalTotals
                 };
             }
         });
@@ -930,12 +933,41 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         financialData._summary = {
             totalAmount,
             transactionCount,
-            averagePerTransaction: transactionCount > 0 ? totalAmount / transactionCount : 0
+            averagePerTransaction: transactionCount > 0 ? totalAmount / transactionCount : 0,
+            baseCurrency,
+            byCurrency,
+            unconvertedCount,
+            ratesUpdatedAt: currencyService.getRates().updatedAt
         };
         
         return financialData;
     }
 
+    // 基礎貨幣及工作表中的貨幣欄位
+    getCurrencyContext(userData) {
+        return {
+            baseCurrency: String(userData.baseCurrency || config.currency.defaultBase).toUpperCase(),
+            currencyField: currencyService.findCurrencyField(userData.headers)
+        };
+    }
+
+    // 讀取記錄的金額及貨幣：貨幣欄位優先，其次為金額中的貨幣符號，都沒有時視為基礎貨幣
+    // 返回 { amount, currency, converted }，沒有匯率時 converted 為 null；沒有金額時返回 null
+    readRecordAmount(record, field, currencyField, baseCurrency) {
+        const money = currencyService.parseMoney(record[field]);
+        if (money.amount === null || money.amount <= 0) return null;
+        
+        // 無法識別的貨幣保留原文，不當作基礎貨幣
+        const columnText = currencyField ? String(record[currencyField] || '').trim() : '';
+        const columnCurrency = columnText ? (currencyService.detectCurrency(columnText) || columnText.toUpperCase()) : null;
+        const currency = columnCurrency || money.currency || baseCurrency;
+        return {
+            amount: money.amount,
+            currency,
+            converted: currencyService.convert(money.amount, currency, baseCurrency)
+        };
+    }
+
     // 新增：提取高級類別數據（按金額）
     extractAdvancedCategoryData(userData) {
         const categoryField = this.extractCategoryFields(userData)[0];
@@ -945,10 +977,12 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         if (!categoryField || valueFields.length === 0) return {};
         
         const primaryValueField = valueFields[0]; // 使用第一個數值欄位
+        const { baseCurrency, currencyField } = this.getCurrencyContext(userData);
         
         userData.structuredData.forEach(record => {
             const category = record[categoryField];
-            const amount = parseFloat(record[primaryValueField]);
+            const money = this.readRecordAmount(record, primaryValueField, currencyField, baseCurrency);
+            const amount = money && money.converted !== null ? money.converted : NaN;
             
             if (category && !isNaN(amount) && amount > 0) {
                 if (!categoryData[category]) {
@@ -978,6 +1012,7 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         
         const primaryDateField = dateFields[0];
         const primaryValueField = valueFields[0] || null;
+        const { baseCurrency, currencyField } = this.getCurrencyContext(userData);
         
         userData.structuredData.forEach(record => {
             if (record[primaryDateField]) {
@@ -996,7 +1031,8 @@ ${userData.structuredData.slice(-20).map((record, index) => {
                     timeData[month].count++;
                     
                     if (primaryValueField) {
-                        const amount = parseFloat(record[primaryValueField]);
+                        const money = this.readRecordAmount(record, primaryValueField, currencyField, baseCurrency);
+                        const amount = money && money.converted !== null ? money.converted : NaN;
                         if (!isNaN(amount) && amount > 0) {
                             timeData[month].totalAmount += amount;
                             timeData[month].averageAmount = timeData[month].totalAmount / timeData[month].count;
@@ -1025,9 +1061,13 @@ ${userData.structuredData.slice(-20).map((record, index) => {
         if (financialData._summary) {
             const summary = financialData._summary;
             
+            const currencies = Object.keys(summary.byCurrency || {});
             stats.push({
-                title: "總支出金額",
-                value: `$${summary.totalAmount.toLocaleString()}`,
+                title: `總支出金額（${summary.baseCurrency}）`,
+                value: `$${Math.round(summary.totalAmount).toLocaleString()}`,
+                subtitle: currencies.length > 1
+                    ? currencies.map(code => `${code} ${Math.round(summary.byCurrency[code].originalAmount).toLocaleString()}`).join('、')
+                    : undefined,
                 icon: "💰",
                 trend: "neutral"
             });
@@ -0,0 +1,557 @@
+/**
+ * 費用記錄存儲服務
+ * 依用戶設置把完成的費用寫入一個或多個存儲提供者，並在提供者恢復後補寫
+ *
+ * 存儲提供者需實現：
+ *   name                      - 提供者名稱
+ *   isConfigured(settings)    - 用戶設置是否足以寫入
+ *   write(record, settings)   - 寫入一筆記錄，失敗時拋出錯誤
+ *   update(record, settings)  - （可選）記錄修改或作廢後更新已寫入的內容
+ *
+ * 本地帳本（ledger）永遠會寫入，它是記錄ID的來源，也是補寫時的數據源。
+ * 需要審批的記錄只寫入帳本（status 為 pending_approval），批准後才寫入其他提供者。
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { businessLogger } = require('../../utils/logger');
+const config = require('../../config');
+const { getDriveFileId, markDriveFileVoid } = require('../../googleService');
+const LedgerStorageProvider = require('./providers/LedgerStorageProvider');
+const SheetsStorageProvider = require('./providers/SheetsStorageProvider');
+const FileExportStorageProvider = require('./providers/FileExportStorageProvider');
+
+// 批准後加入記錄的欄位（工作表中新增為審批人及審批時間兩欄）
+const APPROVAL_FIELDS = ['approvedBy', 'approvedAt'];
+
+class ExpenseStorageService {
+  constructor() {
+    this.ledger = new LedgerStorageProvider();
+    this.providers = new Map([
+      ['ledger', this.ledger],
+      ['sheets', new SheetsStorageProvider()],
+      ['csv', new FileExportStorageProvider('csv', this.ledger)],
+      ['xlsx', new FileExportStorageProvider('xlsx', this.ledger)]
+    ]);
+    this.reconcileTimer = null;
+    this.isReconciling = false;
+    this.isInitialized = false;
+    businessLogger.info('費用記錄存儲服務已初始化');
+  }
+
+  async initialize() {
+    if (this.isInitialized) {
+      businessLogger.warn('費用記錄存儲服務已初始化，跳過重複初始化');
+      return;
+    }
+
+    try {
+      await this.ledger.ensureTables();
+      this.startReconciliation();
+      this.isInitialized = true;
+      businessLogger.info('費用記錄存儲服務初始化完成');
+    } catch (err) {
+      businessLogger.error(`費用記錄存儲服務初始化失敗：${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * 可用的提供者名稱
+   * @returns {Array<string>}
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * 規範化用戶的存儲提供者設置
+   * @param {string|Array} value - JSON 字串或陣列
+   * @returns {Array<string>} 以 ledger 開頭、去重後的提供者列表
+   */
+  normalizeProviders(value) {
+    let list = value;
+    if (typeof list === 'string') {
+      try {
+        list = JSON.parse(list);
+      } catch (err) {
+        list = list.split(',').map(item => item.trim());
+      }
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      list = config.storage.defaultProviders;
+    }
+
+    const names = list.filter(name => this.providers.has(name) && name !== 'ledger');
+    return ['ledger', ...new Set(names)];
+  }
+
+  /**
+   * 驗證存儲提供者設置
+   * @param {Array} value - 提供者列表
+   * @returns {Array<string>} 未知的提供者名稱
+   */
+  findUnknownProviders(value) {
+    if (!Array.isArray(value)) return [];
+    return value.filter(name => !this.providers.has(name));
+  }
+
+  /**
+   * 保存一筆完成的費用
+   * @param {Object} params
+   * @param {string} params.userId - 用戶ID
+   * @param {string} params.chatId - 聊天ID
+   * @param {string} params.msgId - 原始圖片訊息ID
+   * @param {Object} params.data - 欄位值
+   * @param {Array<string>} params.fields - 欄位順序
+   * @param {string} params.imageUrl - 收據圖片連結
+   * @param {string} [params.imageHash] - 收據圖片的感知哈希（重複檢測用）
+   * @param {Object} params.settings - 用戶設置（storageProviders, sheetId, sheetName）
+   * @param {boolean} [params.holdForApproval] - 需要審批：只寫入帳本，批准後再寫入其他提供者
+   * @returns {Promise<Object>} { recordId, success, results, pending, held }
+   */
+  async saveExpense({ userId, chatId, msgId, data, fields, imageUrl, imageHash = null, settings = {}, holdForApproval = false }) {
+    const recordData = { ...data };
+    delete recordData.media;
+    delete recordData.imageUrl;
+
+    const record = {
+      id: uuidv4(),
+      userId,
+      chatId,
+      msgId,
+      data: recordData,
+      fields: (fields || Object.keys(recordData)).filter(field => field !== 'imageUrl'),
+      imageUrl: imageUrl || '',
+      imageHash,
+      status: holdForApproval ? 'pending_approval' : 'recorded'
+    };
+
+    const providerNames = this.normalizeProviders(settings.storageProviders);
+    const results = {};
+
+    let ledgerSaved = false;
+    try {
+      await this.ledger.write(record, settings);
+      ledgerSaved = true;
+      results.ledger = { status: 'synced' };
+    } catch (err) {
+      businessLogger.error(`寫入本地帳本失敗：${err.message}`);
+      results.ledger = { status: 'failed', error: err.message };
+    }
+
+    // 帳本寫入失敗時無法保留待審批的記錄，照常寫入其他提供者
+    const held = holdForApproval && ledgerSaved;
+    if (!held) {
+      for (const name of providerNames.filter(name => name !== 'ledger')) {
+        results[name] = await this.writeToProvider(name, record, settings, ledgerSaved);
+      }
+    }
+
+    const pending = Object.keys(results).filter(name => results[name].status === 'pending');
+    const success = Object.values(results).some(result => result.status === 'synced');
+
+    businessLogger.info(`費用記錄 ${record.id} 存儲結果：${JSON.stringify(results)}${held ? '，等待審批' : ''}`);
+    return { recordId: ledgerSaved ? record.id : null, success, results, pending, held };
+  }
+
+  /**
+   * 批准記錄：加入審批人及審批時間欄位，再寫入用戶選擇的其他提供者
+   * @param {string} recordId - 記錄ID
+   * @param {Object} approval - { approvedBy, approvedAt }
+   * @returns {Promise<Object>} { record, results, pending }
+   */
+  async approveRecord(recordId, { approvedBy, approvedAt }) {
+    const record = await this.ledger.getRecord(recordId);
+    if (!record) {
+      throw new Error('記錄不存在');
+    }
+    if (record.status !== 'pending_approval') {
+      throw new Error('記錄不在等待審批狀態');
+    }
+
+    const updated = {
+      ...record,
+      status: 'recorded',
+      data: { ...record.data, approvedBy, approvedAt },
+      fields: [...record.fields.filter(field => !APPROVAL_FIELDS.includes(field)), ...APPROVAL_FIELDS]
+    };
+    await this.ledger.updateRecord(recordId, { data: updated.data, fields: updated.fields, status: updated.status });
+    await this.ledger.addHistory(recordId, { action: 'approve', actor: approvedBy });
+
+    const settings = await this.ledger.getUserStorageSettings(record.userId) || {};
+    const results = {};
+    for (const name of this.normalizeProviders(settings.storageProviders).filter(name => name !== 'ledger')) {
+      results[name] = await this.writeToProvider(name, updated, settings);
+    }
+    const pending = Object.keys(results).filter(name => results[name].status === 'pending');
+
+    businessLogger.info(`記錄 ${recordId} 已批准，存儲結果：${JSON.stringify(results)}`);
+    return { record: updated, results, pending };
+  }
+
+  /**
+   * 拒絕記錄：帳本標記為 rejected，不寫入其他提供者
+   * @param {string} recordId - 記錄ID
+   * @param {string} actor - 審批人
+   * @param {string} reason - 拒絕原因
+   * @returns {Promise<Object>} { record }
+   */
+  async rejectRecord(recordId, actor, reason = null) {
+    const record = await this.ledger.getRecord(recordId);
+    if (!record) {
+      throw new Error('記錄不存在');
+    }
+    if (record.status !== 'pending_approval') {
+      throw new Error('記錄不在等待審批狀態');
+    }
+
+    await this.ledger.updateRecord(recordId, { status: 'rejected' });
+    await this.ledger.addHistory(recordId, { action: 'reject', newValue: reason || undefined, actor });
+
+    businessLogger.info(`記錄 ${recordId} 已被拒絕`);
+    return { record: { ...record, status: 'rejected' } };
+  }
+
+  /**
+   * 寫入單一提供者並記錄同步狀態
+   */
+  async writeToProvider(name, record, settings, trackSync = true) {
+    const provider = this.providers.get(name);
+    let result;
+
+    if (!provider.isConfigured(settings)) {
+      result = { status: 'skipped', error: '未完成設置' };
+    } else {
+      try {
+        await provider.write(record, settings);
+        result = { status: 'synced' };
+      } catch (err) {
+        businessLogger.warn(`存儲提供者 ${name} 寫入記錄 ${record.id} 失敗，稍後重試：${err.message}`);
+        // 沒有帳本記錄就無法補寫
+        result = { status: trackSync ? 'pending' : 'failed', error: err.message };
+      }
+    }
+
+    if (trackSync) {
+      try {
+        await this.ledger.setSyncStatus(record.id, name, result.status, result.error || null);
+      } catch (err) {
+        businessLogger.error(`更新記錄 ${record.id} 的同步狀態失敗：${err.message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 補寫待同步的記錄
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<Object>} { processed, synced, failed }
+   */
+  async reconcilePending(options = {}) {
+    if (this.isReconciling) {
+      businessLogger.info('對賬正在進行中，跳過');
+      return { processed: 0, synced: 0, failed: 0, skipped: true };
+    }
+
+    this.isReconciling = true;
+    const summary = { processed: 0, synced: 0, failed: 0 };
+    const settingsCache = new Map();
+
+    try {
+      const pendingSyncs = await this.ledger.getPendingSyncs({
+        userId: options.userId,
+        limit: options.limit || config.storage.reconcileBatchSize
+      });
+
+      for (const pendingSync of pendingSyncs) {
+        summary.processed++;
+        const provider = this.providers.get(pendingSync.provider);
+        const record = await this.ledger.getRecord(pendingSync.recordId);
+
+        if (!provider || !record) {
+          await this.ledger.setSyncStatus(pendingSync.recordId, pendingSync.provider, 'failed', '提供者或記錄不存在');
+          summary.failed++;
+          continue;
+        }
+
+        // 寫入前已作廢的記錄不需要補寫
+        if (record.status === 'void') {
+          await this.ledger.setSyncStatus(record.id, provider.name, 'skipped', '記錄已作廢');
+          continue;
+        }
+
+        if (!settingsCache.has(record.userId)) {
+          settingsCache.set(record.userId, await this.ledger.getUserStorageSettings(record.userId) || {});
+        }
+        const settings = settingsCache.get(record.userId);
+
+        try {
+          if (!provider.isConfigured(settings)) {
+            throw new Error('未完成設置');
+          }
+          await provider.write(record, settings);
+          await this.ledger.setSyncStatus(record.id, provider.name, 'synced');
+          summary.synced++;
+        } catch (err) {
+          const exhausted = pendingSync.attempts + 1 >= config.storage.maxSyncAttempts;
+          await this.ledger.setSyncStatus(record.id, provider.name, exhausted ? 'failed' : 'pending', err.message);
+          if (exhausted) summary.failed++;
+          businessLogger.warn(`補寫記錄 ${record.id} 到 ${provider.name} 失敗（第 ${pendingSync.attempts + 1} 次）：${err.message}`);
+        }
+      }
+
+      if (summary.processed > 0) {
+        businessLogger.info(`對賬完成：${JSON.stringify(summary)}`);
+      }
+      return summary;
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * 記錄機械人發出的確認訊息，用戶回覆該訊息即可更正記錄
+   * @param {string} recordId - 記錄ID
+   * @param {string} confirmationMsgId - 確認訊息ID
+   */
+  async attachConfirmationMessage(recordId, confirmationMsgId) {
+    if (!recordId || !confirmationMsgId) return;
+    try {
+      await this.ledger.setConfirmationMessage(recordId, confirmationMsgId);
+    } catch (err) {
+      businessLogger.warn(`保存記錄 ${recordId} 的確認訊息失敗：${err.message}`);
+    }
+  }
+
+  /**
+   * 記錄生成的發票 PDF 連結，作廢記錄時會一併標記
+   * @param {string} recordId - 記錄ID
+   * @param {string} invoiceUrl - 發票連結
+   */
+  async attachInvoice(recordId, invoiceUrl) {
+    await this.ledger.updateRecord(recordId, { invoiceUrl });
+  }
+
+  /**
+   * 查找要更正的記錄：回覆了確認訊息時使用該記錄，否則使用聊天中最近一筆
+   * @param {string} userId - 用戶ID
+   * @param {string} chatId - 聊天ID
+   * @param {string|null} confirmationMsgId - 被回覆的訊息ID
+   * @returns {Promise<Object|null>}
+   */
+  async findRecordForCorrection(userId, chatId, confirmationMsgId = null) {
+    if (confirmationMsgId) {
+      const record = await this.ledger.findByConfirmationMessage(chatId, confirmationMsgId);
+      return record && record.userId === userId ? record : null;
+    }
+    return this.ledger.getLatestRecord(userId, chatId);
+  }
+
+  /**
+   * 修改記錄的一個欄位，並更新已寫入的存儲及發票
+   * @param {string} recordId - 記錄ID
+   * @param {string} field - 欄位名稱
+   * @param {string} value - 新的值
+   * @param {string} actor - 操作者（聊天中的發送者）
+   * @returns {Promise<Object>} { record, oldValue, results }
+   */
+  async updateRecordField(recordId, field, value, actor = null) {
+    const record = await this.ledger.getRecord(recordId);
+    if (!record) {
+      throw new Error('記錄不存在');
+    }
+    if (record.status === 'void') {
+      throw new Error('記錄已作廢，不能修改');
+    }
+    if (!record.fields.includes(field)) {
+      throw new Error(`記錄沒有欄位 ${field}`);
+    }
+
+    const oldValue = record.data[field];
+    const updated = { ...record, data: { ...record.data, [field]: value } };
+    await this.ledger.updateRecord(recordId, { data: updated.data });
+    await this.ledger.addHistory(recordId, { action: 'edit', field, oldValue, newValue: value, actor });
+
+    const results = await this.propagateChange(updated);
+    if (record.invoiceUrl) {
+      results.invoice = await this.reissueInvoice(updated);
+    }
+
+    businessLogger.info(`記錄 ${recordId} 已修改 ${field}：${JSON.stringify(results)}`);
+    return { record: updated, oldValue, results };
+  }
+
+  /**
+   * 作廢記錄：帳本標記為 void，工作表行、收據圖片及發票同時標記作廢
+   * @param {string} recordId - 記錄ID
+   * @param {string} actor - 操作者
+   * @returns {Promise<Object>} { record, results }
+   */
+  async voidRecord(recordId, actor = null) {
+    const record = await this.ledger.getRecord(recordId);
+    if (!record) {
+      throw new Error('記錄不存在');
+    }
+    if (record.status === 'void') {
+      throw new Error('記錄已經作廢');
+    }
+
+    const updated = { ...record, status: 'void' };
+    await this.ledger.updateRecord(recordId, { status: 'void' });
+    await this.ledger.addHistory(recordId, { action: 'void', actor });
+
+    const results = await this.propagateChange(updated);
+    if (record.imageUrl) {
+      results.image = await this.voidDriveFile(record.imageUrl, recordId);
+    }
+    if (record.invoiceUrl) {
+      results.invoice = await this.voidDriveFile(record.invoiceUrl, recordId);
+    }
+
+    businessLogger.info(`記錄 ${recordId} 已作廢：${JSON.stringify(results)}`);
+    return { record: updated, results };
+  }
+
+  /**
+   * 把修改同步到已寫入的存儲提供者
+   * 尚未寫入（pending）的提供者由對賬以帳本的最新內容補寫
+   */
+  async propagateChange(record) {
+    const settings = await this.ledger.getUserStorageSettings(record.userId) || {};
+    const syncStatus = await this.ledger.getSyncStatus(record.id);
+    const results = {};
+
+    for (const { provider: name, status } of syncStatus) {
+      const provider = this.providers.get(name);
+      if (!provider || name === 'ledger') continue;
+
+      if (status !== 'synced') {
+        results[name] = { status };
+        continue;
+      }
+      if (typeof provider.update !== 'function') {
+        results[name] = { status: 'skipped', error: '不支援更新' };
+        continue;
+      }
+
+      try {
+        await provider.update(record, settings);
+        results[name] = { status: 'synced' };
+      } catch (err) {
+        businessLogger.warn(`存儲提供者 ${name} 更新記錄 ${record.id} 失敗：${err.message}`);
+        results[name] = { status: 'failed', error: err.message };
+      }
+    }
+    return results;
+  }
+
+  async voidDriveFile(url, recordId) {
+    const fileId = getDriveFileId(url);
+    if (!fileId) {
+      return { status: 'skipped', error: '無法識別 Drive 文件' };
+    }
+    try {
+      await markDriveFileVoid(fileId, `記錄 ${recordId}`);
+      return { status: 'synced' };
+    } catch (err) {
+      businessLogger.warn(`標記記錄 ${recordId} 的 Drive 文件作廢失敗：${err.message}`);
+      return { status: 'failed', error: err.message };
+    }
+  }
+
+  /**
+   * 記錄修改後重新生成發票，舊發票標記作廢
+   */
+  async reissueInvoice(record) {
+    try {
+      const invoiceService = require('../invoice/invoiceService');
+      const invoiceUrl = await invoiceService.generateAndUploadInvoiceWithCheck({ ...record.data }, record.userId);
+      if (!invoiceUrl) {
+        return { status: 'skipped', error: '發票功能未啟用' };
+      }
+      await this.voidDriveFile(record.invoiceUrl, record.id);
+      await this.ledger.updateRecord(record.id, { invoiceUrl });
+      return { status: 'synced', reference: invoiceUrl };
+    } catch (err) {
+      businessLogger.warn(`重新生成記錄 ${record.id} 的發票失敗：${err.message}`);
+      return { status: 'failed', error: err.message };
+    }
+  }
+
+  /**
+   * 把失敗的同步重新排入佇列
+   * @param {string} recordId - 記錄ID
+   * @param {string} provider - 提供者名稱
+   * @returns {Promise<boolean>}
+   */
+  async retrySync(recordId, provider) {
+    return this.ledger.requeueSync(recordId, provider);
+  }
+
+  startReconciliation() {
+    if (this.reconcileTimer) return;
+    this.reconcileTimer = setInterval(() => {
+      this.reconcilePending().catch(err => {
+        businessLogger.error(`定期對賬失敗：${err.message}`);
+      });
+    }, config.storage.reconcileInterval);
+    businessLogger.info(`費用記錄定期對賬已設置（每 ${config.storage.reconcileInterval / 60000} 分鐘）`);
+  }
+
+  /**
+   * 匯出用戶記錄
+   * @param {string} userId - 用戶ID
+   * @param {string} format - 'csv' 或 'xlsx'
+   * @param {Object} options - 篩選條件
+   * @returns {Promise<string>} 文件路徑
+   */
+  async exportRecords(userId, format, options = {}) {
+    const provider = this.providers.get(format);
+    if (!provider || typeof provider.buildFile !== 'function') {
+      throw new Error(`不支援的匯出格式：${format}`);
+    }
+    // 使用獨立文件名，避免篩選後的匯出覆蓋持續維護的完整文件
+    return provider.buildFile(userId, options, 'export');
+  }
+
+  async listRecords(userId, options = {}) {
+    return this.ledger.listRecords(userId, options);
+  }
+
+  async getRecordWithSync(recordId) {
+    const record = await this.ledger.getRecord(recordId);
+    if (!record) return null;
+    return { ...record, sync: await this.ledger.getSyncStatus(recordId) };
+  }
+
+  async getSyncSummary(userId) {
+    return this.ledger.getSyncSummary(userId);
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      service: 'ExpenseStorage',
+      timestamp: new Date().toISOString(),
+      details: {
+        isInitialized: this.isInitialized,
+        providers: this.getAvailableProviders(),
+        reconciling: this.isReconciling
+      }
+    };
+  }
+
+  async cleanup() {
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer);
+      this.reconcileTimer = null;
+    }
+    this.isInitialized = false;
+    businessLogger.info('費用記錄存儲服務清理完成');
+  }
+}
+
+// 建立單例實例
+const expenseStorageService = new ExpenseStorageService();
+
+module.exports = expenseStorageService;
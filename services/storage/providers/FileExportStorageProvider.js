@@ -0,0 +1,135 @@
+/**
+ * CSV / XLSX 文件存儲提供者
+ * 以本地帳本為數據源，為每個用戶維護一份完整的匯出文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config');
+
+const META_COLUMNS = ['imageUrl', 'recordId', 'status', 'createdAt'];
+
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+class FileExportStorageProvider {
+  /**
+   * @param {string} format - 'csv' 或 'xlsx'
+   * @param {LedgerStorageProvider} ledger - 本地帳本
+   */
+  constructor(format, ledger) {
+    this.name = format;
+    this.format = format;
+    this.ledger = ledger;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 新記錄寫入後重建用戶的匯出文件
+   * @param {Object} record - 費用記錄
+   * @returns {Promise<Object>}
+   */
+  async write(record) {
+    const filePath = await this.buildFile(record.userId);
+    return { success: true, reference: filePath };
+  }
+
+  /**
+   * 記錄修改或作廢後重建匯出文件
+   * @param {Object} record - 費用記錄
+   * @returns {Promise<Object>}
+   */
+  async update(record) {
+    return this.write(record);
+  }
+
+  /**
+   * 取得用戶匯出文件路徑
+   * @param {string} userId - 用戶ID
+   * @param {string} basename - 文件名稱（不含副檔名）
+   * @returns {string}
+   */
+  getFilePath(userId, basename = 'expenses') {
+    const safeUserId = String(userId).replace(/[^a-zA-Z0-9-_]/g, '_');
+    return path.join(config.storage.exportDir, safeUserId, `${basename}.${this.format}`);
+  }
+
+  /**
+   * 由帳本重建用戶的匯出文件
+   * 未指定狀態時只匯出已入帳的記錄，等待審批、已拒絕及已作廢的記錄不會出現
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - 傳給 ledger.listRecords 的篩選條件
+   * @param {string} basename - 文件名稱（不含副檔名）
+   * @returns {Promise<string>} 文件路徑
+   */
+  async buildFile(userId, options = {}, basename = 'expenses') {
+    const filters = { ...options, status: options.status || 'recorded' };
+    const records = (await this.ledger.listRecords(userId, filters)).reverse();
+    const { columns, rows } = this.toTable(records);
+
+    const filePath = this.getFilePath(userId, basename);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (this.format === 'xlsx') {
+      await this.writeXlsx(filePath, columns, rows);
+    } else {
+      await this.writeCsv(filePath, columns, rows);
+    }
+    return filePath;
+  }
+
+  /**
+   * 將記錄轉換成表格，欄位取所有記錄欄位的聯集
+   * @param {Array} records - 帳本記錄
+   * @returns {Object} { columns, rows }
+   */
+  toTable(records) {
+    const fieldColumns = [];
+    for (const record of records) {
+      for (const field of record.fields) {
+        if (!fieldColumns.includes(field) && !META_COLUMNS.includes(field)) {
+          fieldColumns.push(field);
+        }
+      }
+    }
+    const columns = [...fieldColumns, ...META_COLUMNS];
+
+    const rows = records.map(record => columns.map(column => {
+      switch (column) {
+        case 'imageUrl': return record.imageUrl;
+        case 'recordId': return record.id;
+        case 'status': return record.status;
+        case 'createdAt': return record.createdAt;
+        default: return record.data[column] !== undefined ? record.data[column] : '';
+      }
+    }));
+
+    return { columns, rows };
+  }
+
+  async writeCsv(filePath, columns, rows) {
+    const lines = [columns, ...rows].map(row => row.map(escapeCsv).join(','));
+    // 加入 BOM 以便 Excel 正確顯示中文
+    await fs.promises.writeFile(filePath, '\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+  }
+
+  async writeXlsx(filePath, columns, rows) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Expenses');
+    worksheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+    rows.forEach(row => worksheet.addRow(row));
+    worksheet.getRow(1).font = { bold: true };
+    await workbook.xlsx.writeFile(filePath);
+  }
+}
+
+module.exports = FileExportStorageProvider;
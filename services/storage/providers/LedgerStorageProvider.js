@@ -0,0 +1,399 @@
+/**
+ * 本地 SQLite 費用帳本
+ * 每筆費用記錄的本地正本，同時作為其他存儲提供者的同步佇列
+ */
+
+const db = require('../../../database');
+const { businessLogger } = require('../../../utils/logger');
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function get(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+function parseJSON(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+class LedgerStorageProvider {
+  constructor() {
+    this.name = 'ledger';
+    this.tablesReady = null;
+  }
+
+  /**
+   * 建立帳本及同步狀態表（只執行一次）
+   * @returns {Promise<void>}
+   */
+  async ensureTables() {
+    if (!this.tablesReady) {
+      this.tablesReady = (async () => {
+        await run(`CREATE TABLE IF NOT EXISTS expense_records (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL,
+          chatId TEXT,
+          msgId TEXT,
+          fields TEXT NOT NULL,
+          data TEXT NOT NULL,
+          imageUrl TEXT,
+          invoiceUrl TEXT,
+          confirmationMsgId TEXT,
+          imageHash TEXT,
+          status TEXT DEFAULT 'recorded',
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        // 舊版帳本沒有發票連結、確認訊息及圖片哈希欄位
+        for (const column of ['invoiceUrl TEXT', 'confirmationMsgId TEXT', 'imageHash TEXT']) {
+          try {
+            await run(`ALTER TABLE expense_records ADD COLUMN ${column}`);
+          } catch (err) {
+            if (!/duplicate column/i.test(err.message)) throw err;
+          }
+        }
+        await run('CREATE INDEX IF NOT EXISTS idx_expense_records_user ON expense_records (userId, createdAt)');
+        await run('CREATE INDEX IF NOT EXISTS idx_expense_records_confirmation ON expense_records (chatId, confirmationMsgId)');
+        await run(`CREATE TABLE IF NOT EXISTS expense_record_sync (
+          recordId TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          lastError TEXT,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (recordId, provider)
+        )`);
+        await run(`CREATE TABLE IF NOT EXISTS expense_record_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          recordId TEXT NOT NULL,
+          action TEXT NOT NULL,
+          field TEXT,
+          oldValue TEXT,
+          newValue TEXT,
+          actor TEXT,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        businessLogger.info('expense_records、expense_record_sync 及 expense_record_history 表已創建或已存在');
+      })().catch(err => {
+        this.tablesReady = null;
+        throw err;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 寫入帳本（存儲提供者介面）
+   * @param {Object} record - 費用記錄
+   * @returns {Promise<Object>}
+   */
+  async write(record) {
+    await this.ensureTables();
+    await run(
+      'INSERT INTO expense_records (id, userId, chatId, msgId, fields, data, imageUrl, imageHash, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        record.id,
+        record.userId,
+        record.chatId || null,
+        record.msgId || null,
+        JSON.stringify(record.fields || []),
+        JSON.stringify(record.data || {}),
+        record.imageUrl || '',
+        record.imageHash || null,
+        record.status || 'recorded'
+      ]
+    );
+    return { success: true, reference: record.id };
+  }
+
+  /**
+   * 取得單筆記錄
+   * @param {string} recordId - 記錄ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRecord(recordId) {
+    await this.ensureTables();
+    const row = await get('SELECT * FROM expense_records WHERE id = ?', [recordId]);
+    return row ? this.mapRecord(row) : null;
+  }
+
+  /**
+   * 按機械人的確認訊息查找記錄（用戶回覆確認訊息時使用）
+   * @param {string} chatId - 聊天ID
+   * @param {string} confirmationMsgId - 確認訊息ID
+   * @returns {Promise<Object|null>}
+   */
+  async findByConfirmationMessage(chatId, confirmationMsgId) {
+    await this.ensureTables();
+    const row = await get(
+      'SELECT * FROM expense_records WHERE chatId = ? AND confirmationMsgId = ?',
+      [chatId, confirmationMsgId]
+    );
+    return row ? this.mapRecord(row) : null;
+  }
+
+  /**
+   * 取得聊天中最近一筆未作廢的記錄
+   * @param {string} userId - 用戶ID
+   * @param {string} chatId - 聊天ID
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestRecord(userId, chatId) {
+    await this.ensureTables();
+    const row = await get(
+      `SELECT * FROM expense_records
+       WHERE userId = ? AND chatId = ? AND status != 'void'
+       ORDER BY createdAt DESC, rowid DESC LIMIT 1`,
+      [userId, chatId]
+    );
+    return row ? this.mapRecord(row) : null;
+  }
+
+  /**
+   * 記錄機械人發出的確認訊息ID
+   * @param {string} recordId - 記錄ID
+   * @param {string} confirmationMsgId - 確認訊息ID
+   */
+  async setConfirmationMessage(recordId, confirmationMsgId) {
+    await this.ensureTables();
+    await run('UPDATE expense_records SET confirmationMsgId = ? WHERE id = ?', [confirmationMsgId, recordId]);
+  }
+
+  /**
+   * 更新記錄內容
+   * @param {string} recordId - 記錄ID
+   * @param {Object} changes - { data, fields, status, invoiceUrl }
+   */
+  async updateRecord(recordId, changes) {
+    await this.ensureTables();
+    const columns = [];
+    const params = [];
+    if (changes.data !== undefined) {
+      columns.push('data = ?');
+      params.push(JSON.stringify(changes.data));
+    }
+    if (changes.fields !== undefined) {
+      columns.push('fields = ?');
+      params.push(JSON.stringify(changes.fields));
+    }
+    if (changes.status !== undefined) {
+      columns.push('status = ?');
+      params.push(changes.status);
+    }
+    if (changes.invoiceUrl !== undefined) {
+      columns.push('invoiceUrl = ?');
+      params.push(changes.invoiceUrl);
+    }
+    if (columns.length === 0) return;
+
+    params.push(recordId);
+    await run(`UPDATE expense_records SET ${columns.join(', ')}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`, params);
+  }
+
+  /**
+   * 記錄一次修改或作廢
+   * @param {string} recordId - 記錄ID
+   * @param {Object} entry - { action, field, oldValue, newValue, actor }
+   */
+  async addHistory(recordId, entry) {
+    await this.ensureTables();
+    await run(
+      'INSERT INTO expense_record_history (recordId, action, field, oldValue, newValue, actor) VALUES (?, ?, ?, ?, ?, ?)',
+      [
+        recordId,
+        entry.action,
+        entry.field || null,
+        entry.oldValue === undefined ? null : String(entry.oldValue),
+        entry.newValue === undefined ? null : String(entry.newValue),
+        entry.actor || null
+      ]
+    );
+  }
+
+  /**
+   * 取得記錄的修改歷史
+   * @param {string} recordId - 記錄ID
+   * @returns {Promise<Array>}
+   */
+  async getHistory(recordId) {
+    await this.ensureTables();
+    return all('SELECT action, field, oldValue, newValue, actor, createdAt FROM expense_record_history WHERE recordId = ? ORDER BY id', [recordId]);
+  }
+
+  /**
+   * 列出用戶的記錄
+   * @param {string} userId - 用戶ID
+   * @param {Object} options - 查詢選項 { status, from, to, limit, offset }
+   * @returns {Promise<Array>}
+   */
+  async listRecords(userId, options = {}) {
+    await this.ensureTables();
+    const conditions = ['userId = ?'];
+    const params = [userId];
+
+    if (options.status) {
+      conditions.push('status = ?');
+      params.push(options.status);
+    }
+    if (options.from) {
+      conditions.push('createdAt >= ?');
+      params.push(options.from);
+    }
+    if (options.to) {
+      conditions.push('createdAt <= ?');
+      params.push(options.to);
+    }
+
+    let sql = `SELECT * FROM expense_records WHERE ${conditions.join(' AND ')} ORDER BY createdAt DESC, rowid DESC`;
+    if (options.limit) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(parseInt(options.limit), parseInt(options.offset || 0));
+    }
+
+    const rows = await all(sql, params);
+    return rows.map(row => this.mapRecord(row));
+  }
+
+  /**
+   * 更新記錄的同步狀態
+   * @param {string} recordId - 記錄ID
+   * @param {string} provider - 提供者名稱
+   * @param {string} status - synced / pending / failed / skipped
+   * @param {string|null} error - 錯誤訊息
+   */
+  async setSyncStatus(recordId, provider, status, error = null) {
+    await this.ensureTables();
+    await run(`
+      INSERT INTO expense_record_sync (recordId, provider, status, attempts, lastError, updatedAt)
+      VALUES (?, ?, ?, 1, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(recordId, provider) DO UPDATE SET
+        status = excluded.status,
+        attempts = expense_record_sync.attempts + 1,
+        lastError = excluded.lastError,
+        updatedAt = CURRENT_TIMESTAMP
+    `, [recordId, provider, status, error]);
+  }
+
+  /**
+   * 把同步重新排入佇列並重設重試次數
+   * @param {string} recordId - 記錄ID
+   * @param {string} provider - 提供者名稱
+   * @returns {Promise<boolean>} 是否找到該同步記錄
+   */
+  async requeueSync(recordId, provider) {
+    await this.ensureTables();
+    const result = await run(`
+      UPDATE expense_record_sync
+      SET status = 'pending', attempts = 0, lastError = NULL, updatedAt = CURRENT_TIMESTAMP
+      WHERE recordId = ? AND provider = ?
+    `, [recordId, provider]);
+    return result.changes > 0;
+  }
+
+  /**
+   * 取得記錄在各提供者的同步狀態
+   * @param {string} recordId - 記錄ID
+   * @returns {Promise<Array>}
+   */
+  async getSyncStatus(recordId) {
+    await this.ensureTables();
+    return all('SELECT provider, status, attempts, lastError, updatedAt FROM expense_record_sync WHERE recordId = ?', [recordId]);
+  }
+
+  /**
+   * 取得待同步的記錄
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<Array>}
+   */
+  async getPendingSyncs(options = {}) {
+    await this.ensureTables();
+    const params = [];
+    let sql = `
+      SELECT s.recordId, s.provider, s.attempts, r.userId
+      FROM expense_record_sync s
+      JOIN expense_records r ON r.id = s.recordId
+      WHERE s.status = 'pending'
+    `;
+    if (options.userId) {
+      sql += ' AND r.userId = ?';
+      params.push(options.userId);
+    }
+    sql += ' ORDER BY s.updatedAt ASC LIMIT ?';
+    params.push(options.limit || 50);
+    return all(sql, params);
+  }
+
+  /**
+   * 統計用戶的同步狀態
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Array>}
+   */
+  async getSyncSummary(userId) {
+    await this.ensureTables();
+    return all(`
+      SELECT s.provider, s.status, COUNT(*) AS count
+      FROM expense_record_sync s
+      JOIN expense_records r ON r.id = s.recordId
+      WHERE r.userId = ?
+      GROUP BY s.provider, s.status
+    `, [userId]);
+  }
+
+  /**
+   * 讀取用戶的存儲相關設置（對賬時使用）
+   * @param {string} userId - 用戶ID
+   * @returns {Promise<Object|null>}
+   */
+  async getUserStorageSettings(userId) {
+    return get('SELECT userId, sheetId, sheetName, storageProviders FROM users WHERE userId = ?', [userId]);
+  }
+
+  mapRecord(row) {
+    return {
+      id: row.id,
+      userId: row.userId,
+      chatId: row.chatId,
+      msgId: row.msgId,
+      fields: parseJSON(row.fields, []),
+      data: parseJSON(row.data, {}),
+      imageUrl: row.imageUrl || '',
+      invoiceUrl: row.invoiceUrl || '',
+      confirmationMsgId: row.confirmationMsgId || null,
+      imageHash: row.imageHash || null,
+      status: row.status,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+}
+
+module.exports = LedgerStorageProvider;
@@ -0,0 +1,67 @@
+/**
+ * Google Sheets 存儲提供者
+ * 包裝 googleService.writeToSheet，每行帶 recordId 欄以便之後更正或作廢
+ */
+
+const { writeToSheet, updateSheetRowByRecordId } = require('../../../googleService');
+
+// 作廢記錄在工作表中的標記
+const VOID_LABEL = '作廢';
+
+class SheetsStorageProvider {
+  constructor() {
+    this.name = 'sheets';
+  }
+
+  isConfigured(settings = {}) {
+    return Boolean(settings.sheetId && settings.sheetName);
+  }
+
+  /**
+   * 寫入一行到用戶的 Google Sheet
+   * @param {Object} record - 費用記錄
+   * @param {Object} settings - 用戶設置（sheetId, sheetName）
+   * @returns {Promise<Object>}
+   */
+  async write(record, settings) {
+    const rowData = { ...record.data, recordId: record.id };
+    if (record.imageUrl) rowData.imageUrl = record.imageUrl;
+
+    const success = await writeToSheet(
+      settings.sheetId,
+      settings.sheetName,
+      rowData,
+      [...record.fields, 'recordId']
+    );
+    if (!success) {
+      throw new Error('Google Sheet 寫入未成功');
+    }
+    return { success: true };
+  }
+
+  /**
+   * 更新已寫入的行（修改欄位或作廢）
+   * @param {Object} record - 更新後的費用記錄
+   * @param {Object} settings - 用戶設置（sheetId, sheetName）
+   * @returns {Promise<Object>}
+   */
+  async update(record, settings) {
+    const values = {};
+    for (const field of record.fields) {
+      values[field] = record.data[field] !== undefined ? record.data[field] : '';
+    }
+    if (record.status === 'void') {
+      values.recordStatus = VOID_LABEL;
+    }
+
+    const found = await updateSheetRowByRecordId(settings.sheetId, settings.sheetName, record.id, values);
+    if (!found) {
+      throw new Error('Google Sheet 中找不到此記錄');
+    }
+    return { success: true };
+  }
+}
+
+SheetsStorageProvider.VOID_LABEL = VOID_LABEL;
+
+module.exports = SheetsStorageProvider;
@@ -1,4 +1,6 @@
 const { businessLogger } = require('../utils/logger');
+const expenseQueryService = require('./ExpenseQueryService');
+const chatSettingsService = require('./ChatSettingsService');
 
 class UserExperienceService {
   constructor() {
@@ -24,6 +26,7 @@ class UserExperienceService {
 • 發送收據圖片
 • 系統會自動識別並詢問詳細資訊
 • 按步驟回答問題即可
+• 可發送 PDF 或相冊，一張圖片有多張收據時會分開記錄
 
 ⚙️ **功能說明**：
 • 圖片會上傳到 Google Drive
@@ -31,15 +34,26 @@ class UserExperienceService {
 • 支援 AI 智能識別收據資訊
 
 🔍 **圖片要求**：
-• 支援 JPG、PNG 格式
+• 支援 JPG、PNG 圖片及 PDF 文件
 • 建議圖片清晰、光線充足
 • 文件大小小於 10MB
 
 💡 **小提示**：
-• 一次只處理一張圖片
+• 相冊中的圖片會作為同一份文件處理
 • 處理時間約 1-2 分鐘
 • 如遇問題請重新發送圖片
 
+🔎 **查詢記錄**：
+• 「本月支出」或「上個月花了多少」
+• 「本月分類統計」
+• 「最近 5 筆」
+• 「搜尋 店鋪名稱」
+
+↩️ **更正記錄**：
+• 「撤銷」作廢最近一筆記錄
+• 回覆確認訊息「修改 欄位 新值」
+• 回覆確認訊息「作廢」
+
 🛠️ **常用指令**：
 • 輸入「狀態」查看處理進度
 • 輸入「設定」管理配置
@@ -160,6 +174,16 @@ class UserExperienceService {
   // 檢查是否為指令
   isCommand(text) {
     if (!text) return false;
+
+    // 查詢指令的格式較明確，優先於關鍵字匹配
+    if (expenseQueryService.parseQuery(text)) {
+      return 'query';
+    }
+
+    // 設定指令的值可能包含其他關鍵字（例如問題內容中的「說明」）
+    if (chatSettingsService.parseCommand(text)) {
+      return 'settings';
+    }
     
     const commands = {
       help: ['help', '幫助', '說明', '指引', '教學', 'how to', '怎麼用', '使用方法'],
@@ -181,7 +205,7 @@ class UserExperienceService {
   }
 
   // 處理用戶指令
-  async handleCommand(client, chatId, command) {
+  async handleCommand(client, chatId, command, context = {}) {
     switch (command) {
       case 'help':
         return this.sendHelpMessage(client, chatId);
@@ -191,13 +215,31 @@ class UserExperienceService {
         return this.sendStatusMessage(client, chatId, 'idle');
       case 'tip':
         return this.sendRandomTip(client, chatId);
+      case 'query':
+        return this.sendQueryResult(client, chatId, context.userId, context.text);
       case 'settings':
-        return this.sendMessage(client, chatId, '⚙️ 設定功能開發中，敬請期待！\n\n目前您可以聯絡管理員調整設定。');
+        return chatSettingsService.handleCommand(client, chatId, context.userId, context.rawText || context.text, context.sender);
       default:
         return false;
     }
   }
 
+  // 發送費用查詢結果
+  async sendQueryResult(client, chatId, userId, text) {
+    const query = expenseQueryService.parseQuery(text);
+    if (!query || !userId) return false;
+
+    let message;
+    try {
+      message = await expenseQueryService.execute(userId, query);
+      businessLogger.info(`費用查詢完成：userId=${userId}，type=${query.type}`);
+    } catch (err) {
+      businessLogger.error(`費用查詢失敗：userId=${userId}，${err.message}`);
+      message = `❌ 查詢失敗：${err.message}\n\n請確認已設定 Google Sheet 後再試。`;
+    }
+    return this.sendMessage(client, chatId, message);
+  }
+
   // 統一的消息發送方法
   async sendMessage(client, chatId, message) {
     if (!client || !client.ws || !client.ws.isOpen) {
@@ -2,6 +2,14 @@ const db = require('../database');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { businessLogger } = require('../utils/logger');
+const config = require('../config');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+const aiProviderService = require('./ai/AIProviderService');
+const currencyService = require('./CurrencyService');
+const expenseApprovalService = require('./ExpenseApprovalService');
+
+// Email 不分大小寫：管理員以 Email 識別，大小寫不同的地址不能註冊為另一個帳戶
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
 
 class UserService {
   constructor() {
@@ -45,6 +53,7 @@ class UserService {
       throw { status: 400, message: '請輸入 Email 和密碼' };
     }
 
+    email = normalizeEmail(email);
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
       businessLogger.error('註冊失敗：無效的 Email 格式');
@@ -57,7 +66,7 @@ class UserService {
     }
 
     return new Promise((resolve, reject) => {
-      db.get('SELECT email FROM users WHERE email = ?', [email], async (err, row) => {
+      db.get('SELECT email FROM users WHERE email = ? COLLATE NOCASE', [email], async (err, row) => {
         if (err) {
           businessLogger.error(`資料庫查詢錯誤: ${err.message}`);
           return reject({ status: 500, message: '資料庫錯誤' });
@@ -99,7 +108,8 @@ class UserService {
         return reject({ status: 400, message: '請輸入 Email 和密碼' });
       }
 
-      db.get('SELECT userId, password FROM users WHERE email = ?', [email], async (err, row) => {
+      email = normalizeEmail(email);
+      db.get('SELECT userId, password FROM users WHERE email = ? COLLATE NOCASE', [email], async (err, row) => {
         if (err) {
           businessLogger.error(`資料庫查詢錯誤: ${err.message}`);
           return reject({ status: 500, message: '資料庫錯誤' });
@@ -152,8 +162,14 @@ class UserService {
           invoiceTitle: row.invoiceTitle || '',
           invoiceNumberPrefix: row.invoiceNumberPrefix || '',
           invoiceFooter: row.invoiceFooter || '',
+          enablePdf: Boolean(row.enablePdf),
           enableAI: Boolean(row.enableAI),
-          aiConfidenceThreshold: row.aiConfidenceThreshold || 0.8
+          aiConfidenceThreshold: row.aiConfidenceThreshold || 0.8,
+          aiProvider: row.aiProvider || '',
+          aiModel: row.aiModel || '',
+          baseCurrency: row.baseCurrency || config.currency.defaultBase,
+          storageProviders: expenseStorageService.normalizeProviders(row.storageProviders),
+          approvalRules: expenseApprovalService.normalizeRules(row.approvalRules)
         };
 
         businessLogger.info(`返回用戶 ${userId} 的設置`);
@@ -194,6 +210,11 @@ class UserService {
           invoiceFooter: row.invoiceFooter || '',
           enableAI: Boolean(row.enableAI),
           aiConfidenceThreshold: row.aiConfidenceThreshold || 0.8,
+          aiProvider: row.aiProvider || '',
+          aiModel: row.aiModel || '',
+          baseCurrency: row.baseCurrency || config.currency.defaultBase,
+          storageProviders: expenseStorageService.normalizeProviders(row.storageProviders),
+          approvalRules: expenseApprovalService.normalizeRules(row.approvalRules),
           isAuthenticated: Boolean(row.isAuthenticated)
         };
 
@@ -203,6 +224,63 @@ class UserService {
     });
   }
 
+  /**
+   * 更新用戶的個人資料（用戶名稱及 Email）
+   * @param {string} userId - 用戶ID
+   * @param {Object} profile - { username, email }，未提供的欄位保持不變
+   * @returns {Promise<Array>} 已更新的欄位
+   */
+  async updateUser(userId, profile) {
+    const updates = {};
+    if (profile.username !== undefined) {
+      const username = String(profile.username).trim();
+      if (!username) {
+        throw { status: 400, message: '用戶名稱不能為空' };
+      }
+      updates.username = username;
+    }
+    if (profile.email !== undefined) {
+      const email = normalizeEmail(profile.email);
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw { status: 400, message: '無效的 Email 格式' };
+      }
+      updates.email = email;
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT userId FROM users WHERE email = ? COLLATE NOCASE AND userId != ?', [updates.email || null, userId], (err, row) => {
+        if (err) {
+          businessLogger.error(`資料庫查詢錯誤: ${err.message}`);
+          return reject({ status: 500, message: '資料庫錯誤' });
+        }
+        if (row) {
+          return reject({ status: 400, message: '該 Email 已註冊' });
+        }
+
+        db.run(
+          `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE userId = ?`,
+          [...fields.map(field => updates[field]), userId],
+          function(err) {
+            if (err) {
+              businessLogger.error(`資料庫更新錯誤: ${err.message}`);
+              return reject({ status: 500, message: '資料庫錯誤' });
+            }
+            if (this.changes === 0) {
+              return reject({ status: 404, message: '用戶不存在' });
+            }
+            businessLogger.info(`用戶 ${userId} 的個人資料已更新: ${fields.join(', ')}`);
+            resolve(fields);
+          }
+        );
+      });
+    });
+  }
+
   async updateUserSettings(userId, settings) {
     return new Promise((resolve, reject) => {
       // 首先獲取現有的設置
@@ -231,8 +309,14 @@ class UserService {
           invoiceTitle: settings.invoiceTitle !== undefined ? settings.invoiceTitle : row.invoiceTitle,
           invoiceNumberPrefix: settings.invoiceNumberPrefix !== undefined ? settings.invoiceNumberPrefix : row.invoiceNumberPrefix,
           invoiceFooter: settings.invoiceFooter !== undefined ? settings.invoiceFooter : row.invoiceFooter,
+          enablePdf: settings.enablePdf !== undefined ? settings.enablePdf : row.enablePdf,
           enableAI: settings.enableAI !== undefined ? settings.enableAI : row.enableAI,
-          aiConfidenceThreshold: settings.aiConfidenceThreshold !== undefined ? settings.aiConfidenceThreshold : row.aiConfidenceThreshold
+          aiConfidenceThreshold: settings.aiConfidenceThreshold !== undefined ? settings.aiConfidenceThreshold : row.aiConfidenceThreshold,
+          aiProvider: settings.aiProvider !== undefined ? settings.aiProvider : row.aiProvider,
+          aiModel: settings.aiModel !== undefined ? settings.aiModel : row.aiModel,
+          baseCurrency: settings.baseCurrency !== undefined ? settings.baseCurrency : row.baseCurrency,
+          storageProviders: settings.storageProviders !== undefined ? settings.storageProviders : row.storageProviders,
+          approvalRules: settings.approvalRules !== undefined ? settings.approvalRules : row.approvalRules
         };
 
         // 處理 URL 解析 - 從完整 URL 中提取 ID
@@ -287,10 +371,37 @@ class UserService {
           businessLogger.error(`無效的 AI 可信度閾值: ${updatedSettings.aiConfidenceThreshold}`);
           return reject({ status: 400, message: 'AI 可信度閾值必須在 0 到 1 之間' });
         }
+        if (updatedSettings.aiProvider && !aiProviderService.isKnownProvider(updatedSettings.aiProvider)) {
+          businessLogger.error(`無效的 AI 提供者: ${updatedSettings.aiProvider}`);
+          return reject({ status: 400, message: `不支援的 AI 提供者：${updatedSettings.aiProvider}` });
+        }
+        if (updatedSettings.baseCurrency) {
+          updatedSettings.baseCurrency = String(updatedSettings.baseCurrency).trim().toUpperCase();
+          if (!currencyService.isSupported(updatedSettings.baseCurrency)) {
+            businessLogger.error(`無效的基礎貨幣: ${updatedSettings.baseCurrency}`);
+            return reject({ status: 400, message: `匯率表中沒有貨幣：${updatedSettings.baseCurrency}` });
+          }
+        }
+
+        // 驗證存儲提供者
+        const unknownProviders = expenseStorageService.findUnknownProviders(settings.storageProviders);
+        if (unknownProviders.length > 0) {
+          businessLogger.error(`無效的存儲提供者: ${unknownProviders.join(', ')}`);
+          return reject({ status: 400, message: `不支援的存儲方式：${unknownProviders.join(', ')}` });
+        }
+        const storageProviders = expenseStorageService.normalizeProviders(updatedSettings.storageProviders);
+
+        // 驗證審批規則
+        const approvalRules = expenseApprovalService.normalizeRules(updatedSettings.approvalRules);
+        const approvalRulesError = expenseApprovalService.validateRules(approvalRules);
+        if (approvalRulesError) {
+          businessLogger.error(`無效的審批規則: ${approvalRulesError}`);
+          return reject({ status: 400, message: approvalRulesError });
+        }
 
         // 更新資料庫
         db.run(
-          'UPDATE users SET groupName = ?, messageFormat = ?, customQuestions = ?, driveFolderId = ?, sheetId = ?, sheetName = ?, companyName = ?, companyAddress = ?, companyPhone = ?, invoiceTitle = ?, invoiceNumberPrefix = ?, invoiceFooter = ?, enableAI = ?, aiConfidenceThreshold = ? WHERE userId = ?',
+          'UPDATE users SET groupName = ?, messageFormat = ?, customQuestions = ?, driveFolderId = ?, sheetId = ?, sheetName = ?, companyName = ?, companyAddress = ?, companyPhone = ?, invoiceTitle = ?, invoiceNumberPrefix = ?, invoiceFooter = ?, enablePdf = ?, enableAI = ?, aiConfidenceThreshold = ?, aiProvider = ?, aiModel = ?, baseCurrency = ?, storageProviders = ?, approvalRules = ? WHERE userId = ?',
           [
             updatedSettings.groupName || '',
             updatedSettings.messageFormat || '',
@@ -304,8 +415,14 @@ class UserService {
             updatedSettings.invoiceTitle || '',
             updatedSettings.invoiceNumberPrefix || '',
             updatedSettings.invoiceFooter || '',
+            updatedSettings.enablePdf ? 1 : 0,
             updatedSettings.enableAI ? 1 : 0,
             updatedSettings.aiConfidenceThreshold,
+            updatedSettings.aiProvider || null,
+            updatedSettings.aiModel ? String(updatedSettings.aiModel).trim() : null,
+            updatedSettings.baseCurrency || null,
+            JSON.stringify(storageProviders),
+            JSON.stringify(approvalRules),
             userId
           ],
           async (err) => {
@@ -314,6 +431,7 @@ class UserService {
               return reject({ status: 500, message: '資料庫錯誤' });
             }
             businessLogger.info(`用戶 ${userId} 的設置已更新`);
+            aiProviderService.invalidate(userId);
             
             // 觸發設置更新事件，重新載入WhatsApp客戶端設置
             try {
@@ -333,6 +451,55 @@ class UserService {
     });
   }
 
+  /**
+   * 修改密碼，需要驗證當前密碼
+   * @param {string} userId - 用戶ID
+   * @param {string} currentPassword - 當前密碼
+   * @param {string} newPassword - 新密碼
+   * @returns {Promise<void>}
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    if (!currentPassword || !newPassword) {
+      throw { status: 400, message: '請輸入當前密碼和新密碼' };
+    }
+    if (String(newPassword).length < config.auth.minPasswordLength) {
+      throw { status: 400, message: `新密碼需至少 ${config.auth.minPasswordLength} 個字元` };
+    }
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT password FROM users WHERE userId = ?', [userId], async (err, row) => {
+        if (err) {
+          businessLogger.error(`資料庫查詢錯誤: ${err.message}`);
+          return reject({ status: 500, message: '資料庫錯誤' });
+        }
+        if (!row) {
+          return reject({ status: 404, message: '用戶不存在' });
+        }
+
+        try {
+          const match = await bcrypt.compare(currentPassword, row.password || '');
+          if (!match) {
+            businessLogger.error(`修改密碼失敗：用戶 ${userId} 的當前密碼錯誤`);
+            return reject({ status: 401, message: '當前密碼錯誤' });
+          }
+
+          const hashedPassword = await bcrypt.hash(newPassword, 10);
+          db.run('UPDATE users SET password = ? WHERE userId = ?', [hashedPassword, userId], (err) => {
+            if (err) {
+              businessLogger.error(`資料庫更新錯誤: ${err.message}`);
+              return reject({ status: 500, message: '資料庫錯誤' });
+            }
+            businessLogger.info(`用戶 ${userId} 已修改密碼`);
+            resolve();
+          });
+        } catch (err) {
+          businessLogger.error(`修改密碼失敗: ${err.message}`);
+          reject({ status: 500, message: '修改密碼失敗，請重試' });
+        }
+      });
+    });
+  }
+
   async logoutUser(userId, session) {
     return new Promise((resolve, reject) => {
       businessLogger.info(`用戶 ${userId} 登出`);
@@ -1,10 +1,15 @@
 /**
  * AIService V2 - 多租戶 AI 服務
  * 支援租戶級別的 AI 配置、使用配額管理、性能優化
+ * 實際請求經 AIProviderService 發送，提供者出錯或被限流時自動切換
  */
 
 const { businessLogger } = require('../../utils/logger');
 const { TenantContext } = require('../../core/context/TenantContext');
+const aiProviderService = require('../ai/AIProviderService');
+
+// processImage 沒有指定欄位時提取的欄位
+const DEFAULT_IMAGE_FIELDS = ['amount', 'date', 'merchant', 'category'];
 
 class AIServiceV2 {
   constructor() {
@@ -34,7 +39,9 @@ class AIServiceV2 {
       
       // 初始化 AI 配置
       const aiConfig = {
-        model: 'claude-3-sonnet-20240229',
+        // 為 null 時使用租戶在設定中選擇的提供者及模型
+        provider: null,
+        model: null,
         maxTokens: 4096,
         temperature: 0.7,
         maxRequestsPerMinute: 60,
@@ -73,7 +80,7 @@ class AIServiceV2 {
   /**
    * 處理 AI 請求
    * @param {string} prompt - 提示詞
-   * @param {Object} options - 選項
+   * @param {Object} options - 選項 { system, maxTokens, temperature, userId, feature }
    * @param {string} tenantId - 租戶ID
    * @returns {Promise<Object>} AI 響應
    */
@@ -99,15 +106,21 @@ class AIServiceV2 {
       // 更新請求計數
       this.updateRequestCount(tenantId);
 
-      // 這裡應該調用實際的 AI API
-      // 暫時返回模擬響應
+      const result = await aiProviderService.complete({
+        prompt,
+        system: options.system,
+        maxTokens: options.maxTokens || aiConfig.maxTokens,
+        temperature: options.temperature !== undefined ? options.temperature : aiConfig.temperature
+      }, this.getProviderOptions(aiConfig, tenantId, options.feature || 'v2_request', options.userId));
+
       const response = {
-        content: `這是對 "${prompt}" 的 AI 響應`,
-        model: aiConfig.model,
+        content: result.text,
+        provider: result.provider,
+        model: result.model,
         usage: {
-          promptTokens: prompt.length,
-          completionTokens: 100,
-          totalTokens: prompt.length + 100
+          promptTokens: result.usage.inputTokens,
+          completionTokens: result.usage.outputTokens,
+          totalTokens: result.usage.inputTokens + result.usage.outputTokens
         },
         tenantId,
         timestamp: new Date().toISOString()
@@ -131,7 +144,7 @@ class AIServiceV2 {
   /**
    * 處理圖片識別
    * @param {Buffer} imageBuffer - 圖片緩衝區
-   * @param {Object} options - 選項
+   * @param {Object} options - 選項 { fields, mimetype, prompt, userId, feature }
    * @param {string} tenantId - 租戶ID
    * @returns {Promise<Object>} 識別結果
    */
@@ -151,20 +164,40 @@ class AIServiceV2 {
       // 檢查配額
       await this.checkQuota(tenantId);
 
+      const aiConfig = this.aiConfigs.get(tenantId);
+      if (!aiConfig) {
+        throw new Error(`租戶 ${tenantId} 的 AI 配置未找到`);
+      }
+
       // 更新請求計數
       this.updateRequestCount(tenantId);
 
-      // 這裡應該調用實際的圖片識別 API
-      // 暫時返回模擬結果
+      const fieldNames = options.fields || DEFAULT_IMAGE_FIELDS;
+      const prompt = options.prompt || `請從收據圖片中提取以下欄位：${fieldNames.join(', ')}。
+金額只返回數字和小數點，日期使用 YYYY-MM-DD 格式，找不到的欄位返回空字符串。
+另外以 confidence（0 到 1）表示識別的可信度。
+嚴格只返回一個JSON對象，例如：{${fieldNames.map(field => `"${field}": ""`).join(', ')}, "confidence": 0.9}`;
+
+      const response = await aiProviderService.complete({
+        prompt,
+        attachments: [{ buffer: imageBuffer, mimetype: options.mimetype || 'image/jpeg' }],
+        maxTokens: aiConfig.maxTokens,
+        temperature: 0.1
+      }, this.getProviderOptions(aiConfig, tenantId, options.feature || 'v2_image', options.userId));
+
+      const parsed = this.parseJsonResponse(response.text);
+      const fields = {};
+      for (const field of fieldNames) {
+        fields[field] = parsed[field] !== undefined && parsed[field] !== null ? String(parsed[field]) : '';
+      }
+      const confidence = Number(parsed.confidence);
+
       const result = {
-        recognized: true,
-        fields: {
-          amount: '150.00',
-          date: '2025-01-15',
-          merchant: '星巴克咖啡',
-          category: '餐飲'
-        },
-        confidence: 0.95,
+        recognized: Object.values(fields).some(value => value !== ''),
+        fields,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+        provider: response.provider,
+        model: response.model,
         tenantId,
         timestamp: new Date().toISOString()
       };
@@ -184,6 +217,37 @@ class AIServiceV2 {
     }
   }
 
+  /**
+   * AIProviderService 的選項：租戶配置指定的提供者優先，否則使用租戶設定
+   */
+  getProviderOptions(aiConfig, tenantId, feature, userId) {
+    return {
+      tenantId,
+      userId,
+      provider: aiConfig.provider || undefined,
+      model: aiConfig.model || undefined,
+      feature
+    };
+  }
+
+  /**
+   * 解析 AI 回應中的 JSON 對象，回應帶有說明文字時提取其中的 JSON 部分
+   * @param {string} text - AI 回應
+   * @returns {Object}
+   */
+  parseJsonResponse(text) {
+    try {
+      return JSON.parse(text.trim());
+    } catch (parseError) {
+      const start = text.indexOf('{');
+      const end = text.lastIndexOf('}');
+      if (start === -1 || end <= start) {
+        throw new Error('AI 回應格式無效');
+      }
+      return JSON.parse(text.slice(start, end + 1));
+    }
+  }
+
   /**
    * 檢查配額
    * @param {string} tenantId - 租戶ID
@@ -297,6 +361,10 @@ class AIServiceV2 {
         throw new Error(`租戶 ${tenantId} 未初始化`);
       }
 
+      if (config.provider && !aiProviderService.isKnownProvider(config.provider)) {
+        throw new Error(`不支援的 AI 提供者：${config.provider}`);
+      }
+
       // 合併配置
       const currentConfig = this.aiConfigs.get(tenantId) || {};
       const updatedConfig = {
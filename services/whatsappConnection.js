@@ -6,6 +6,8 @@ const db = require('../database');
 const QRCode = require('qrcode');
 const { getRedisInstance } = require('./redisService');
 const { businessLogger } = require('../utils/logger');
+const expenseStorageService = require('./storage/ExpenseStorageService');
+const expenseApprovalService = require('./ExpenseApprovalService');
 
 const logger = businessLogger;
 
@@ -618,7 +620,7 @@ async function initializeAuthenticatedClients() {
 // 在 loadUserSettings 函數中更新 SQL 查詢
 async function loadUserSettings(userId, clientData) {
   return new Promise((resolve, reject) => {
-    db.get('SELECT groupName, messageFormat, customQuestions, driveFolderId, sheetId, sheetName, enableAI, aiConfidenceThreshold FROM users WHERE userId = ?', [userId], (err, row) => {
+    db.get('SELECT groupName, messageFormat, customQuestions, driveFolderId, sheetId, sheetName, enableAI, aiConfidenceThreshold, storageProviders, approvalRules FROM users WHERE userId = ?', [userId], (err, row) => {
       if (err) {
         logger.error(`無法讀取用戶 ${userId} 的設置：${err.message}`);
         return reject(err);
@@ -650,7 +652,9 @@ async function loadUserSettings(userId, clientData) {
         sheetId: row.sheetId || '',
         sheetName: row.sheetName || '',
         enableAI: Boolean(row.enableAI), // 新增
-        aiConfidenceThreshold: row.aiConfidenceThreshold || 0.8 // 新增
+        aiConfidenceThreshold: row.aiConfidenceThreshold || 0.8, // 新增
+        storageProviders: expenseStorageService.normalizeProviders(row.storageProviders),
+        approvalRules: expenseApprovalService.normalizeRules(row.approvalRules)
       };
 
       clients.set(userId, updatedClientData);
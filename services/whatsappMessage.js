@@ -1,13 +1,84 @@
 const { businessLogger: logger } = require('../utils/logger');
 const { EventTypes, EventSource } = require('../core/EventTypes');
 const userExperienceService = require('./userExperienceService');
+const expenseCorrectionService = require('./ExpenseCorrectionService');
+const expenseApprovalService = require('./ExpenseApprovalService');
 const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const config = require('../config');
+
+// 可作為收據處理的媒體：圖片，或圖片/PDF 文件
+function getReceiptMedia(message) {
+  if (message.imageMessage) {
+    return { type: 'image', mimetype: message.imageMessage.mimetype };
+  }
+  const document = message.documentMessage || message.documentWithCaptionMessage?.message?.documentMessage;
+  if (document && (document.mimetype === 'application/pdf' || document.mimetype?.startsWith('image/'))) {
+    return { type: 'document', mimetype: document.mimetype };
+  }
+  return null;
+}
 
 function setupMessageHandler(client, userId, clients, stateManager, eventBus, EventTypes, EventSource) {
   const { formatDate } = require('../utils/dateUtils');
 
   const warningMessageTimestamps = new Map();
 
+  // 相冊的圖片逐張送達：按相冊收集，收齊或等待逾時後作為一份多頁文件處理
+  const pendingAlbums = new Map();
+
+  const queueReceipt = (chatId, msgId, media, attachments, notify) => {
+    if (stateManager.isImageProcessing(msgId)) {
+      logger.warn(`圖片 ${msgId} 已在佇列或處理中，忽略重複`);
+      return;
+    }
+    logger.info(`圖片訊息 ${msgId} 不在佇列或處理中，加入佇列${attachments ? `，共 ${attachments.length} 頁` : ''}`);
+    const defaultDate = formatDate(new Date());
+    stateManager.addImageToQueue({
+      chatId,
+      media,
+      attachments,
+      defaultDate,
+      client,
+      driveFolderId: clients.get(userId)?.driveFolderId,
+      msgId,
+      userId
+    });
+    if (notify) {
+      eventBus.emit(EventTypes.IMAGE.QUEUED, {
+        msgId,
+        userId,
+        chatId
+      }, { source: EventSource.WHATSAPP_MESSAGE });
+    }
+  };
+
+  const flushAlbum = (albumId) => {
+    const album = pendingAlbums.get(albumId);
+    if (!album) return;
+    clearTimeout(album.timer);
+    pendingAlbums.delete(albumId);
+    if (album.pages.length === 0) {
+      logger.warn(`相冊 ${albumId} 沒有收到任何圖片`);
+      return;
+    }
+    logger.info(`相冊 ${albumId} 收集完成，共 ${album.pages.length} 張圖片`);
+    queueReceipt(album.chatId, album.msgId, album.pages[0], album.pages, album.notify);
+  };
+
+  const trackAlbum = (chatId, albumId, update) => {
+    const album = pendingAlbums.get(albumId) || { chatId, msgId: null, pages: [], expected: null, notify: true, timer: null };
+    update(album);
+    clearTimeout(album.timer);
+    pendingAlbums.set(albumId, album);
+
+    const complete = album.expected && album.pages.length >= album.expected;
+    if (complete || album.pages.length >= config.recognition.maxPages) {
+      flushAlbum(albumId);
+    } else {
+      album.timer = setTimeout(() => flushAlbum(albumId), config.recognition.albumWindow);
+    }
+  };
+
   // 檢查是否已經註冊過訊息處理器
   const clientData = clients.get(userId);
   if (clientData && clientData.messageHandler) {
@@ -74,6 +145,18 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
       clientData.lastActive = Date.now();
       clients.set(userId, clientData);
 
+      // 審批人在私訊中回覆「批准」或「拒絕 原因」
+      // 審批人只以聊天對象識別，機械人帳號自己發出的消息不算審批人的決定
+      if (!chatId.endsWith('@g.us') && !msg.key.fromMe) {
+        const text = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
+        const decision = expenseApprovalService.parseDecision(text, msg.message?.extendedTextMessage?.contextInfo?.stanzaId || null);
+        if (decision && await expenseApprovalService.handleReply(clientData.client, userId, chatId, decision)) {
+          logger.info(`已處理費用審批回覆：${decision.action}，userId=${userId}，msgId=${msg.key.id}`);
+          stateManager.completeMessageProcessing(msg.key.id);
+          return;
+        }
+      }
+
       const groupName = clientData.groupName;
       if (!groupName) {
         logger.warn(`用戶 ${userId} 未設置群組名稱，msgId=${msg.key.id}`);
@@ -127,13 +210,39 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
         customQuestions: clientData.customQuestions
       });
 
+      // 撤銷、作廢或修改已保存的記錄（修改需回覆機械人的確認訊息）
+      const messageText = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
+      if (messageText) {
+        const quotedMsgId = msg.message?.extendedTextMessage?.contextInfo?.stanzaId || null;
+        const correction = expenseCorrectionService.parseCommand(messageText, quotedMsgId);
+        if (correction) {
+          const actor = msg.key.participant || chatId;
+          await expenseCorrectionService.handleCommand(clientData.client, chatId, userId, correction, actor);
+          logger.info(`已處理記錄更正指令：${correction.action}, userId=${userId}，msgId=${msg.key.id}`);
+          setTimeout(async () => {
+            try {
+              await client.sendPresenceUpdate('unavailable', chatId);
+            } catch (err) {
+              logger.error(`用戶 ${userId} 恢復 presence 為 unavailable 失敗，msgId=${msg.key.id}：${err.message}`);
+            }
+          }, 5000);
+          stateManager.completeMessageProcessing(msg.key.id);
+          return;
+        }
+      }
+
       // 檢查用戶是否發送了幫助指令
       if (msg.message?.conversation) {
         const text = msg.message.conversation.toLowerCase().trim();
         const command = userExperienceService.isCommand(text);
         
         if (command) {
-          const handled = await userExperienceService.handleCommand(clientData.client, chatId, command);
+          const handled = await userExperienceService.handleCommand(clientData.client, chatId, command, {
+            userId,
+            text,
+            rawText: msg.message.conversation,
+            sender: { id: msg.key.participant, fromMe: msg.key.fromMe, participants: chat.participants }
+          });
           if (handled) {
             logger.info(`已處理用戶指令：${command}, userId=${userId}`);
             setTimeout(async () => {
@@ -162,44 +271,44 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
         }
       }
 
-      if (msg.message?.imageMessage) {
+      // 相冊的父訊息只帶有圖片數量，圖片會逐張送達
+      if (msg.message?.albumMessage) {
+        const expected = msg.message.albumMessage.expectedImageCount || null;
+        logger.info(`檢測到相冊，預期 ${expected || '未知'} 張圖片，msgId=${msg.key.id}`);
+        trackAlbum(chatId, msg.key.id, album => {
+          album.expected = expected;
+        });
+        stateManager.completeMessageProcessing(msg.key.id);
+        return;
+      }
+
+      const receiptMedia = getReceiptMedia(msg.message);
+      if (receiptMedia) {
         try {
           if (!clientData.client.ws?.isOpen) {
             logger.warn(`用戶 ${userId} 的客戶端連線已關閉，忽略圖片 ${msg.key.id}`);
             return;
           }
-          logger.info(`檢測到圖片訊息，msgId=${msg.key.id}`);
+          logger.info(`檢測到${receiptMedia.type === 'document' ? '文件' : '圖片'}訊息，msgId=${msg.key.id}`);
           await client.sendPresenceUpdate('composing', chatId); // 顯示正在輸入
           const mediaData = await downloadMediaMessage(msg, 'buffer', {});
           const media = {
             data: mediaData.toString('base64'),
-            mimetype: msg.message.imageMessage.mimetype
+            mimetype: receiptMedia.mimetype
           };
 
-          logger.info(`確認資料為圖片，mimeType：${media.mimetype}，msgId=${msg.key.id}`);
-          let defaultDate = formatDate(new Date());
-          logger.info(`預設日期：${defaultDate}，msgId=${msg.key.id}`);
-
-          if (!stateManager.isImageProcessing(msg.key.id)) {
-            logger.info(`圖片訊息 ${msg.key.id} 不在佇列或處理中，加入佇列`);
-            stateManager.addImageToQueue({
-              chatId,
-              media,
-              defaultDate,
-              client,
-              driveFolderId: clientData.driveFolderId,
-              msgId: msg.key.id,
-              userId
+          logger.info(`確認資料為收據，mimeType：${media.mimetype}，msgId=${msg.key.id}`);
+
+          const albumId = msg.message.messageContextInfo?.messageAssociation?.parentMessageKey?.id;
+          if (albumId) {
+            logger.info(`圖片屬於相冊 ${albumId}，等待其他圖片，msgId=${msg.key.id}`);
+            trackAlbum(chatId, albumId, album => {
+              album.msgId = album.msgId || msg.key.id;
+              album.notify = album.notify && !targetState;
+              album.pages.push(media);
             });
-            if (!targetState) {
-              eventBus.emit(EventTypes.IMAGE.QUEUED, {
-                msgId: msg.key.id,
-                userId,
-                chatId
-              }, { source: EventSource.WHATSAPP_MESSAGE });
-            }
           } else {
-            logger.warn(`圖片 ${msg.key.id} 已在佇列或處理中，忽略重複`);
+            queueReceipt(chatId, msg.key.id, media, null, !targetState);
           }
           await client.sendPresenceUpdate('paused', chatId);
           logger.info(`用戶 ${userId} 處理圖片後，設置 presence 為 paused，msgId=${msg.key.id}`);
@@ -258,13 +367,17 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
           const expenseChatService = require('./ExpenseChatService');
 
           try {
+            const AIConfirmationService = require('./AIConfirmationService');
+            const aiConfirmationService = new AIConfirmationService();
+            const receipts = activeAIState.receipts || [activeAIState.parsedData];
+
             if (userMessage === '確認' || userMessage.toLowerCase() === 'confirm') {
-              // 用戶確認AI結果，直接上傳
-              logger.info(`用戶確認AI結果，開始上傳：chatId=${chatId}`);
+              // 用戶確認AI結果，直接上傳（多張收據各保存為一筆記錄）
+              logger.info(`用戶確認AI結果，開始上傳 ${receipts.length} 張收據：chatId=${chatId}`);
               await expenseChatService.handleAIConfirmation(
                 chatId, 
                 activeAIState.msgId, 
-                activeAIState.parsedData, 
+                receipts, 
                 client
               );
               
@@ -280,56 +393,97 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
                 });
               }
               
+            } else if (receipts.length > 1 && ['合併', '合并', 'merge'].includes(userMessage.toLowerCase())) {
+              // 多張收據合併為一筆記錄（例如同一張收據被拆成多頁）
+              const merged = aiConfirmationService.mergeReceipts(receipts, activeAIState.customQuestions || []);
+              stateManager.setAIConfirmationState(chatId, activeAIState.msgId, {
+                ...activeAIState,
+                parsedData: merged,
+                receipts: [merged],
+                // 合併後的收據沒有對應的信心度，改為確認所有欄位
+                confidences: null,
+                confidenceThreshold: undefined,
+                originalData: activeAIState.originalData || activeAIState.parsedData,
+                isModified: true
+              });
+
+              if (clientData.ready && clientData.client.ws.isOpen) {
+                await client.sendMessage(chatId, { text: aiConfirmationService.formatReceiptList([merged]) });
+                await client.sendMessage(chatId, { text: aiConfirmationService.formatConfirmationRequest(1) });
+              }
+              logger.info(`已合併 ${receipts.length} 張收據：chatId=${chatId}`);
+
             } else {
               // 用戶修改AI結果 - 使用階段二的解析邏輯
               logger.info(`用戶提供修改內容，開始解析：chatId=${chatId}`);
               
               try {
-                // 使用新的AI確認服務解析修改內容
-                const AIConfirmationService = require('./AIConfirmationService');
-                const aiConfirmationService = new AIConfirmationService();
-                
-                // 解析用戶修改的內容
-                const modifiedData = aiConfirmationService.parseUserModifications(
-                  userMessage,
-                  activeAIState.parsedData,
-                  activeAIState.customQuestions || []
-                );
-                
-                // 檢測是否有實際修改
-                const hasChanges = JSON.stringify(modifiedData) !== JSON.stringify(activeAIState.parsedData);
-                
-                if (hasChanges) {
-                  // 發送修改確認訊息
-                  const confirmationMessage = aiConfirmationService.formatConfirmationMessage(
-                    activeAIState.parsedData,
-                    modifiedData,
-                    activeAIState.customQuestions
-                  );
-                  
+                const { index, input } = aiConfirmationService.parseReceiptSelector(userMessage, receipts.length);
+
+                if (index === null) {
+                  // 多張收據時需要指明修改哪一張
                   if (clientData.ready && clientData.client.ws.isOpen) {
-                    await client.sendMessage(chatId, { text: confirmationMessage });
+                    await client.sendMessage(chatId, {
+                      text: `✏️ 識別到 ${receipts.length} 張收據，請以「收據 N」開頭指明要修改哪一張，例如：\n\n收據 2\n銀碼: 85.50`
+                    });
                   }
-                  
-                  // 更新AI確認狀態中的資料
-                  stateManager.setAIConfirmationState(chatId, activeAIState.msgId, {
-                    ...activeAIState,
-                    parsedData: modifiedData,
-                    originalData: activeAIState.originalData || activeAIState.parsedData,
-                    isModified: true
-                  });
-                  
-                  logger.info(`用戶修改已解析並更新狀態：chatId=${chatId}`);
-                  
                 } else {
-                  // 沒有檢測到修改，直接確認
-                  logger.info(`未檢測到修改，直接使用原始資料：chatId=${chatId}`);
-                  await expenseChatService.handleAIConfirmation(
-                    chatId, 
-                    activeAIState.msgId, 
-                    activeAIState.parsedData, 
-                    client
+                  // 解析用戶修改的內容
+                  const modifiedData = aiConfirmationService.parseUserModifications(
+                    input,
+                    receipts[index],
+                    activeAIState.customQuestions || []
                   );
+                  
+                  // 檢測是否有實際修改
+                  const hasChanges = JSON.stringify(modifiedData) !== JSON.stringify(receipts[index]);
+                  
+                  if (hasChanges) {
+                    // 用戶修改過的欄位視為已確認，其餘信心度低的欄位繼續列出
+                    const changedFields = Object.keys(modifiedData).filter(field => modifiedData[field] !== receipts[index][field]);
+                    const confidences = (activeAIState.confidences || receipts.map(() => null))
+                      .map((confidence, i) => (i === index ? aiConfirmationService.confirmFields(confidence, changedFields) : confidence));
+
+                    // 發送修改確認訊息
+                    const confirmationMessage = aiConfirmationService.formatConfirmationMessage(
+                      receipts[index],
+                      modifiedData,
+                      activeAIState.customQuestions,
+                      {
+                        index,
+                        total: receipts.length,
+                        confidence: confidences[index],
+                        threshold: activeAIState.confidenceThreshold
+                      }
+                    );
+                    
+                    if (clientData.ready && clientData.client.ws.isOpen) {
+                      await client.sendMessage(chatId, { text: confirmationMessage });
+                    }
+                    
+                    // 更新AI確認狀態中的資料
+                    const updatedReceipts = receipts.map((receipt, i) => (i === index ? modifiedData : receipt));
+                    stateManager.setAIConfirmationState(chatId, activeAIState.msgId, {
+                      ...activeAIState,
+                      parsedData: updatedReceipts[0],
+                      receipts: updatedReceipts,
+                      confidences,
+                      originalData: activeAIState.originalData || activeAIState.parsedData,
+                      isModified: true
+                    });
+                    
+                    logger.info(`用戶修改已解析並更新狀態：chatId=${chatId}，收據=${index + 1}/${receipts.length}`);
+                    
+                  } else {
+                    // 沒有檢測到修改，直接確認
+                    logger.info(`未檢測到修改，直接使用原始資料：chatId=${chatId}`);
+                    await expenseChatService.handleAIConfirmation(
+                      chatId, 
+                      activeAIState.msgId, 
+                      receipts, 
+                      client
+                    );
+                  }
                 }
                 
               } catch (parseError) {
@@ -406,6 +560,14 @@ function setupMessageHandler(client, userId, clients, stateManager, eventBus, Ev
         }
         targetState.lastMessageId = msg.key.id;
 
+        // 等待用戶回覆重複收據的提示
+        if (targetState.awaitingDuplicateConfirmation) {
+          const expenseChatService = require('./ExpenseChatService');
+          await expenseChatService.handleDuplicateReply(chatId, targetState, msg.message.conversation, client);
+          stateManager.completeMessageProcessing(msg.key.id);
+          return;
+        }
+
         if (targetState.step > targetState.questions.length) {
           logger.error(`狀態錯誤：當前步驟 (${targetState.step}) 超過問題數量 (${targetState.questions.length})，重複流程，msgId=${msg.key.id}`);
           stateManager.deleteExpenseState(chatId, targetState.msgId);
@@ -77,7 +77,7 @@ async function testAIStatus() {
     
     if (response.data.success && response.data.data.features.includes('自動數據結構識別')) {
       console.log('✅ AI 服務狀態正常');
-      console.log(`   🤖 模型: ${response.data.data.claudeModel}`);
+      console.log(`   🤖 預設 AI 提供者: ${response.data.data.aiProviders.defaultProvider}`);
       console.log(`   ⚡ 功能: ${response.data.data.features.length} 項`);
       testResults.aiStatus = true;
     } else {
@@ -0,0 +1,108 @@
+/**
+ * AI 信心度確認測試
+ * 驗證按信心度找出需要確認的欄位，以及確認訊息只列出需要確認的欄位
+ *
+ * 執行: node test-ai-confidence.js
+ */
+
+const assert = require('assert');
+const AIConfirmationService = require('./services/AIConfirmationService');
+
+const aiConfirmationService = new AIConfirmationService();
+
+const receipt = { '店舖名稱': '大家樂', '日期': '2026-10-01', '銀碼': '88.50', currency: 'HKD' };
+const confidence = {
+    fields: { '店舖名稱': 0.95, '日期': 0.55, '銀碼': 0.92, currency: 1 },
+    document: 0.9
+};
+
+const cases = [
+    {
+        name: '信心度低於閾值的欄位需要確認',
+        run: () => {
+            assert.deepStrictEqual(aiConfirmationService.findLowConfidenceFields(receipt, confidence, 0.8), ['日期']);
+            assert.deepStrictEqual(aiConfirmationService.findLowConfidenceFields(receipt, confidence, 0.5), []);
+        }
+    },
+    {
+        name: '沒有信心度或整張收據信心度低時確認所有欄位',
+        run: () => {
+            assert.deepStrictEqual(aiConfirmationService.findLowConfidenceFields(receipt, null, 0.8), Object.keys(receipt));
+            assert.deepStrictEqual(
+                aiConfirmationService.findLowConfidenceFields(receipt, { ...confidence, document: 0.4 }, 0.8),
+                Object.keys(receipt)
+            );
+            assert.deepStrictEqual(
+                aiConfirmationService.findLowConfidenceFields(receipt, { fields: { '銀碼': 0.99 }, document: 0.9 }, 0.8),
+                ['店舖名稱', '日期', 'currency']
+            );
+        }
+    },
+    {
+        name: '確認訊息只列出信心度低的欄位，其餘自動接受',
+        run: () => {
+            const message = aiConfirmationService.formatConfirmationMessage(receipt, receipt, [], { confidence, threshold: 0.8 });
+            assert.ok(message.includes('請確認 AI 識別結果'));
+            assert.ok(message.includes('• 日期: 2026-10-01（信心度 55%）'));
+            assert.ok(!message.includes('• 店舖名稱'));
+            assert.ok(message.includes('已自動接受 3 個信心度高的欄位：店舖名稱、銀碼、currency'));
+            assert.ok(message.includes('回覆「確認」直接上傳'));
+        }
+    },
+    {
+        name: '用戶修改過的欄位視為已確認',
+        run: () => {
+            const modified = { ...receipt, '日期': '2026-10-02' };
+            const confirmed = aiConfirmationService.confirmFields(confidence, ['日期']);
+            assert.strictEqual(confirmed.fields['日期'], 1);
+            assert.strictEqual(confidence.fields['日期'], 0.55);
+
+            const message = aiConfirmationService.formatConfirmationMessage(receipt, modified, [], {
+                index: 0,
+                total: 2,
+                confidence: confirmed,
+                threshold: 0.8
+            });
+            assert.ok(message.includes('修改確認（收據 1/2）'));
+            assert.ok(message.includes('日期: ~~2026-10-01~~ → **2026-10-02**'));
+            assert.ok(!message.includes('AI 不確定的欄位'));
+        }
+    },
+    {
+        name: '沒有閾值時保留原有的修改確認格式',
+        run: () => {
+            const message = aiConfirmationService.formatConfirmationMessage(receipt, { ...receipt, '銀碼': '90.00' });
+            assert.ok(message.includes('**未修改的欄位：**'));
+            assert.ok(message.includes('• 店舖名稱: 大家樂'));
+            assert.ok(message.includes('回覆「確認」上傳修改後的資料'));
+        }
+    },
+    {
+        name: '多張收據的列表以 ⚠️ 標示需要確認的欄位',
+        run: () => {
+            const list = aiConfirmationService.formatReceiptList([receipt, receipt], {
+                confidences: [confidence, null],
+                threshold: 0.8
+            });
+            const [first, second] = list.split('🧾').slice(1);
+            assert.ok(first.includes('日期: 2026-10-01 ⚠️'));
+            assert.ok(first.includes('銀碼: 88.50\n'));
+            assert.ok(second.includes('銀碼: 88.50 ⚠️'));
+        }
+    }
+];
+
+let failures = 0;
+
+for (const { name, run } of cases) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 AI 信心度確認測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
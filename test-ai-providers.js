@@ -0,0 +1,196 @@
+/**
+ * AI 提供者切換測試
+ * 使用本地 mock 提供者，驗證回應的確定性、出錯及限流時的切換、成本估算及預算上限，以及 AIServiceV2 的接入
+ * 用量記錄寫入內存數據庫，不修改 whatsappBot.db
+ *
+ * 執行: node test-ai-providers.js
+ */
+
+const assert = require('assert');
+const config = require('./config');
+const aiProviderService = require('./services/ai/AIProviderService');
+const { AIProviderError } = require('./services/ai/AIProviderService');
+const MockProvider = require('./services/ai/providers/MockProvider');
+const AIServiceV2 = require('./services/v2/AIServiceV2');
+const aiUsageService = require('./services/ai/AIUsageService');
+const { AIBudgetExceededError } = require('./services/ai/AIUsageService');
+
+/**
+ * 內存中的 ai_usage 及 ai_budgets 表，只支援 AIUsageService 使用的語句（sqlite3 回調介面）
+ */
+const createDatabase = () => {
+    const usage = [];
+    const reply = (callback, error, result) => setImmediate(() => callback.call(result, error, result));
+
+    return {
+        usage,
+        run: (sql, params, callback) => {
+            if (/^CREATE/.test(sql)) return reply(callback, null, { changes: 0 });
+            if (/^INSERT INTO ai_usage/.test(sql)) {
+                const [tenantId, userId, feature, provider, model, inputTokens, outputTokens, cost, month, createdAt] = params;
+                usage.push({ tenantId, userId, feature, provider, model, inputTokens, outputTokens, cost, month, createdAt });
+                return reply(callback, null, { lastID: usage.length, changes: 1 });
+            }
+            reply(callback, new Error(`未支援的語句: ${sql}`));
+        },
+        get: (sql, params, callback) => {
+            if (/SUM\(cost\) AS spent FROM ai_usage WHERE tenantId = \? AND month = \?/.test(sql)) {
+                const rows = usage.filter(row => row.tenantId === params[0] && row.month === params[1]);
+                return reply(callback, null, { spent: rows.reduce((sum, row) => sum + row.cost, 0) });
+            }
+            if (/FROM ai_budgets WHERE tenantId = \?/.test(sql)) return reply(callback, null, null);
+            reply(callback, new Error(`未支援的語句: ${sql}`));
+        },
+        all: (sql, params, callback) => reply(callback, new Error(`未支援的語句: ${sql}`))
+    };
+};
+
+const database = createDatabase();
+aiUsageService.useDatabase(database);
+
+const primary = aiProviderService.getProvider('mock');
+const backup = new MockProvider();
+backup.name = 'mock-backup';
+aiProviderService.registerProvider(backup);
+
+// 只在 mock 提供者之間切換，不連接真實的 API
+config.ai.fallbackOrder = ['mock-backup'];
+const options = { provider: 'mock', feature: 'test' };
+
+const httpError = (status, message, headers = {}) => Object.assign(new Error(message), { status, headers });
+
+const cases = [
+    {
+        name: '相同請求得到相同回應',
+        run: async () => {
+            const first = await aiProviderService.complete({ prompt: '收據', attachments: [{ buffer: Buffer.from('a'), mimetype: 'image/jpeg' }] }, options);
+            const second = await aiProviderService.complete({ prompt: '收據', attachments: [{ buffer: Buffer.from('a'), mimetype: 'image/jpeg' }] }, options);
+            const other = await aiProviderService.complete({ prompt: '收據', attachments: [{ buffer: Buffer.from('b'), mimetype: 'image/jpeg' }] }, options);
+            assert.strictEqual(first.text, second.text);
+            assert.notStrictEqual(first.text, other.text);
+            assert.strictEqual(first.provider, 'mock');
+            assert.strictEqual(first.model, config.ai.providers.mock.model);
+        }
+    },
+    {
+        name: '指定的模型傳給首選提供者',
+        run: async () => {
+            const result = await aiProviderService.complete({ prompt: 'hi' }, { ...options, model: 'mock-large' });
+            assert.strictEqual(result.model, 'mock-large');
+        }
+    },
+    {
+        name: '首選提供者出錯時切換到後備',
+        run: async () => {
+            primary.failWith(httpError(500, 'internal error'), 1);
+            backup.respondWith('{"ok":true}');
+            const result = await aiProviderService.complete({ prompt: 'hi' }, options);
+            assert.strictEqual(result.provider, 'mock-backup');
+            assert.strictEqual(result.text, '{"ok":true}');
+            assert.deepStrictEqual(result.attempts.map(attempt => [attempt.provider, attempt.status, attempt.rateLimited]), [['mock', 500, false]]);
+        }
+    },
+    {
+        name: '被限流的提供者在冷卻期間排到最後',
+        run: async () => {
+            primary.failWith(httpError(429, 'rate limit exceeded', { 'retry-after': '30' }), 1);
+            await aiProviderService.complete({ prompt: 'hi' }, options);
+            assert.ok(aiProviderService.isCoolingDown('mock'));
+
+            const callsBefore = primary.calls.length;
+            const result = await aiProviderService.complete({ prompt: 'hi' }, options);
+            assert.strictEqual(result.provider, 'mock-backup');
+            assert.strictEqual(primary.calls.length, callsBefore);
+        }
+    },
+    {
+        name: '冷卻中的提供者仍作為最後手段',
+        run: async () => {
+            aiProviderService.startCooldown('mock');
+            backup.failWith(httpError(503, 'unavailable'), 1);
+            const result = await aiProviderService.complete({ prompt: 'hi' }, options);
+            assert.strictEqual(result.provider, 'mock');
+        }
+    },
+    {
+        name: '全部失敗時拋出 AIProviderError',
+        run: async () => {
+            primary.failWith(httpError(500, 'down'), 1);
+            backup.failWith(httpError(500, 'down too'), 1);
+            await assert.rejects(
+                aiProviderService.complete({ prompt: 'hi' }, options),
+                error => error instanceof AIProviderError && error.attempts.length === 2
+            );
+        }
+    },
+    {
+        name: '按模型前綴估算成本',
+        run: async () => {
+            const price = config.ai.pricing['claude-3-5-haiku'];
+            assert.strictEqual(aiUsageService.estimateCost('claude-3-5-haiku-20241022', { inputTokens: 1e6, outputTokens: 1e6 }), price.input + price.output);
+            assert.strictEqual(aiUsageService.estimateCost('gpt-4o-mini', { inputTokens: 1e6 }), config.ai.pricing['gpt-4o-mini'].input);
+            assert.strictEqual(aiUsageService.estimateCost('unknown-model', { inputTokens: 1e6 }), 0);
+        }
+    },
+    {
+        name: '預算狀態按已用比例計算',
+        run: async () => {
+            const budget = { monthlyLimit: 10, warnRatio: 0.8, hardStop: true };
+            assert.strictEqual(aiUsageService.evaluateBudget(5, budget).status, 'ok');
+            assert.strictEqual(aiUsageService.evaluateBudget(8, budget).status, 'warning');
+            assert.strictEqual(aiUsageService.evaluateBudget(10, budget).blocked, true);
+            assert.strictEqual(aiUsageService.evaluateBudget(12, { ...budget, hardStop: false }).blocked, false);
+            assert.strictEqual(aiUsageService.evaluateBudget(100, { ...budget, monthlyLimit: 0 }).status, 'unlimited');
+        }
+    },
+    {
+        name: '超出預算時拒絕請求且不切換提供者',
+        run: async () => {
+            aiUsageService.budgetCache.set('tenant-b', { monthlyLimit: 1, warnRatio: 0.8, hardStop: true });
+            aiUsageService.spendCache.set('tenant-b', { month: aiUsageService.toMonth(), spent: 1.5 });
+            await assert.rejects(
+                aiProviderService.complete({ prompt: 'hi' }, { ...options, tenantId: 'tenant-b' }),
+                error => error instanceof AIBudgetExceededError && error.status === 402
+            );
+            assert.strictEqual(primary.calls.length + backup.calls.length, 0);
+        }
+    },
+    {
+        name: 'AIServiceV2 圖片識別經提供者解析欄位',
+        run: async () => {
+            const service = new AIServiceV2();
+            await service.initialize('tenant-a');
+            await service.updateConfig({ provider: 'mock' }, 'tenant-a');
+            primary.respondWith('結果如下：{"amount": 88.5, "date": "2026-10-01", "merchant": "大家樂", "category": "餐飲", "confidence": 0.92}');
+
+            const result = await service.processImage(Buffer.from('image'), {}, 'tenant-a');
+            assert.deepStrictEqual(result.fields, { amount: '88.5', date: '2026-10-01', merchant: '大家樂', category: '餐飲' });
+            assert.strictEqual(result.confidence, 0.92);
+            assert.strictEqual(result.provider, 'mock');
+            assert.ok(database.usage.some(row => row.tenantId === 'tenant-a'));
+            await assert.rejects(service.updateConfig({ provider: 'unknown' }, 'tenant-a'));
+        }
+    }
+];
+
+(async () => {
+    let failures = 0;
+
+    for (const { name, run } of cases) {
+        primary.reset();
+        backup.reset();
+        aiProviderService.cooldowns.clear();
+        aiUsageService.budgetCache.clear();
+        aiUsageService.spendCache.clear();
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures === 0 ? '\n🎉 AI 提供者測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
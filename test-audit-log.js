@@ -0,0 +1,151 @@
+/**
+ * 審計日誌哈希鏈測試
+ * 驗證每條記錄的哈希及簽名、篡改偵測、GDPR 遮蔽後仍可驗證，以及查詢排序及匯出格式
+ *
+ * 執行: node test-audit-log.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 使用臨時簽名密鑰，避免在 credentials 目錄生成文件
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+process.env.AUDIT_SIGNING_KEY_FILE = path.join(keyDir, 'audit-signing-key.pem');
+
+const AuditService = require('./services/AuditService');
+
+// 沒有註冊 databaseService，使用內存存儲
+const createService = () => new AuditService({
+    resolve: (name) => {
+        throw new Error(`${name} 未註冊`);
+    }
+});
+
+const logSample = async (auditService) => {
+    await auditService.logEvent({ eventType: 'auth_login', userId: 'user-1', tenantId: 'tenant-1', ipAddress: '10.0.0.1', details: { method: 'password' } });
+    await auditService.logEvent({ eventType: 'data_export', userId: 'user-2', tenantId: 'tenant-1', details: { rows: 12 } });
+    await auditService.logEvent({ eventType: 'data_read', userId: 'user-1', tenantId: 'tenant-2', riskLevel: 'medium', details: { note: '備註, "引號"' } });
+};
+
+const cases = [
+    {
+        name: '每條記錄連接到上一條記錄並簽名',
+        run: async () => {
+            const auditService = createService();
+            await logSample(auditService);
+
+            const logs = await auditService.queryAuditLogs({}, { sortBy: 'chainSeq', sortOrder: 'ASC' });
+            assert.deepStrictEqual(logs.map(log => log.chainSeq), [1, 2, 3]);
+            assert.strictEqual(logs[0].prevHash, '0'.repeat(64));
+            assert.strictEqual(logs[1].prevHash, logs[0].hash);
+            assert.strictEqual(logs[2].prevHash, logs[1].hash);
+            assert.ok(logs.every(log => /^[0-9a-f]{64}$/.test(log.hash) && log.signature));
+            assert.ok(fs.existsSync(process.env.AUDIT_SIGNING_KEY_FILE));
+
+            const result = await auditService.verifyChain();
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.checked, 3);
+            assert.deepStrictEqual(result.failures, []);
+        }
+    },
+    {
+        name: '修改或刪除記錄會被偵測',
+        run: async () => {
+            const auditService = createService();
+            await logSample(auditService);
+            const [first, second, third] = await auditService.queryAuditLogs({}, { sortBy: 'chainSeq', sortOrder: 'ASC' });
+
+            first.details = { method: 'sso' };
+            let result = await auditService.verifyChain();
+            assert.strictEqual(result.valid, false);
+            assert.deepStrictEqual(result.failures.map(failure => [failure.chainSeq, failure.reason]), [[1, 'hash_mismatch']]);
+
+            // 重新計算哈希也無法通過簽名及下一條記錄的連接
+            first.hash = auditService.hashRow(auditService.toRow(first));
+            result = await auditService.verifyChain();
+            assert.deepStrictEqual(result.failures.map(failure => failure.reason), ['invalid_signature', 'broken_link']);
+
+            const tampered = createService();
+            await logSample(tampered);
+            const removed = (await tampered.queryAuditLogs({}, { sortBy: 'chainSeq', sortOrder: 'ASC' }))[1];
+            tampered.auditLogs.delete(removed.id);
+            result = await tampered.verifyChain();
+            assert.deepStrictEqual(result.failures.map(failure => [failure.chainSeq, failure.reason]), [[3, 'missing_entries']]);
+            assert.ok(second && third);
+        }
+    },
+    {
+        name: 'GDPR 遮蔽後哈希鏈仍然有效',
+        run: async () => {
+            const auditService = createService();
+            await logSample(auditService);
+
+            const count = await auditService.redactUserEntries('user-1', { removeUserId: true });
+            assert.strictEqual(count, 2);
+
+            const logs = await auditService.queryAuditLogs({ userId: 'redacted' });
+            assert.strictEqual(logs.length, 2);
+            assert.ok(logs.every(log => log.redactedAt && log.ipAddress === null && Object.keys(log.details).length === 0));
+
+            const result = await auditService.verifyChain();
+            assert.strictEqual(result.valid, true);
+            assert.strictEqual(result.redacted, 2);
+        }
+    },
+    {
+        name: '查詢只接受已知的排序欄位並支援分頁計數',
+        run: async () => {
+            const auditService = createService();
+            await logSample(auditService);
+
+            const logs = await auditService.queryAuditLogs({ limit: 2 }, { sortBy: 'chainSeq; DROP TABLE audit_logs', sortOrder: 'sideways' });
+            assert.strictEqual(logs.length, 2);
+            assert.strictEqual(await auditService.countAuditLogs({ tenantId: 'tenant-1' }), 2);
+            assert.strictEqual(await auditService.countAuditLogs({ userId: 'user-1', riskLevel: 'medium' }), 1);
+
+            const { whereClause, params } = auditService.buildWhereClause({ startDate: '2026-01-01', eventType: 'auth_login' });
+            assert.strictEqual(whereClause, 'WHERE 1=1 AND timestamp >= ? AND event_type = ?');
+            assert.deepStrictEqual(params, ['2026-01-01', 'auth_login']);
+        }
+    },
+    {
+        name: '匯出 CSV 及附帶公鑰的 JSON',
+        run: async () => {
+            const auditService = createService();
+            await logSample(auditService);
+
+            const csv = await auditService.exportAuditLogs({}, 'csv');
+            const lines = csv.body.split('\r\n');
+            assert.strictEqual(csv.count, 3);
+            assert.ok(lines[0].startsWith('chainSeq,id,timestamp,eventType'));
+            assert.ok(lines[1].startsWith('1,'));
+            assert.ok(lines[3].includes('"{""note"":""備註, \\""引號\\""""}"'));
+
+            const json = JSON.parse((await auditService.exportAuditLogs({ userId: 'user-2' }, 'json')).body);
+            assert.strictEqual(json.count, 1);
+            assert.strictEqual(json.truncated, false);
+            assert.ok(json.signing.publicKey.includes('BEGIN PUBLIC KEY'));
+            assert.strictEqual(json.entries[0].eventType, 'data_export');
+        }
+    }
+];
+
+(async () => {
+    let failures = 0;
+
+    for (const { name, run } of cases) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    fs.rmSync(keyDir, { recursive: true, force: true });
+    console.log(failures === 0 ? '\n🎉 審計日誌哈希鏈測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,166 @@
+/**
+ * 刷新令牌輪換測試
+ * 驗證刷新令牌輪換、重用偵測會撤銷整個令牌系列，以及登出和修改密碼的撤銷範圍
+ *
+ * 執行: node test-auth-tokens.js
+ */
+
+const assert = require('assert');
+const RefreshTokenService = require('./services/RefreshTokenService');
+
+/**
+ * 內存中的 refresh_tokens 表，只支援 RefreshTokenService 使用的語句
+ */
+const createDatabase = () => {
+    const rows = [];
+    const revoke = (match, params) => {
+        const [revokedAt, reason, key] = params;
+        const targets = rows.filter(row => row[match] === key && !row.revokedAt);
+        targets.forEach(row => Object.assign(row, { revokedAt, revokedReason: reason }));
+        return { changes: targets.length };
+    };
+
+    return {
+        rows,
+        run: async (sql, params = []) => {
+            if (/^CREATE/.test(sql)) return { changes: 0 };
+            if (/^INSERT INTO refresh_tokens/.test(sql)) {
+                const [id, userId, familyId, tokenHash, expiresAt, createdAt] = params;
+                rows.push({ id, userId, familyId, tokenHash, expiresAt, createdAt, usedAt: null, revokedAt: null });
+                return { changes: 1 };
+            }
+            if (/SET usedAt/.test(sql)) {
+                const row = rows.find(item => item.id === params[2] && !item.usedAt && !item.revokedAt);
+                if (row) Object.assign(row, { usedAt: params[0], replacedBy: params[1] });
+                return { changes: row ? 1 : 0 };
+            }
+            if (/SET revokedAt.*WHERE familyId/.test(sql)) return revoke('familyId', params);
+            if (/SET revokedAt.*WHERE userId/.test(sql)) return revoke('userId', params);
+            if (/^DELETE FROM refresh_tokens WHERE id/.test(sql)) {
+                rows.splice(rows.findIndex(row => row.id === params[0]), 1);
+                return { changes: 1 };
+            }
+            if (/^DELETE FROM refresh_tokens WHERE expiresAt/.test(sql)) return { changes: 0 };
+            throw new Error(`未支援的語句: ${sql}`);
+        },
+        get: async (sql, params = []) => {
+            if (/WHERE tokenHash/.test(sql)) return rows.find(row => row.tokenHash === params[0]);
+            if (/WHERE familyId = \? AND userId = \? AND revokedAt IS NULL/.test(sql)) {
+                return rows.find(row => row.familyId === params[0] && row.userId === params[1] && !row.revokedAt);
+            }
+            throw new Error(`未支援的語句: ${sql}`);
+        }
+    };
+};
+
+const createService = () => {
+    const database = createDatabase();
+    const suspicious = [];
+    const auditService = {
+        logSuspiciousActivity: async (...args) => suspicious.push(args)
+    };
+    const service = new RefreshTokenService({
+        resolve: (name) => {
+            if (name === 'databaseService') return database;
+            if (name === 'auditService') return auditService;
+            throw new Error(`${name} 未註冊`);
+        }
+    });
+    return { service, database, suspicious };
+};
+
+const cases = [
+    {
+        name: '資料庫只保存令牌的哈希',
+        run: async () => {
+            const { service, database } = createService();
+            const issued = await service.issue('user-1', { ipAddress: '10.0.0.1' });
+
+            assert.ok(issued.token.length >= 64);
+            assert.strictEqual(database.rows.length, 1);
+            assert.ok(!JSON.stringify(database.rows).includes(issued.token));
+            assert.strictEqual(database.rows[0].tokenHash, service.hashToken(issued.token));
+        }
+    },
+    {
+        name: '刷新時輪換令牌並保留同一系列',
+        run: async () => {
+            const { service } = createService();
+            const first = await service.issue('user-1');
+            const second = await service.rotate(first.token);
+
+            assert.strictEqual(second.userId, 'user-1');
+            assert.strictEqual(second.familyId, first.familyId);
+            assert.notStrictEqual(second.token, first.token);
+            assert.strictEqual(await service.isFamilyActive(first.familyId, 'user-1'), true);
+
+            const third = await service.rotate(second.token);
+            assert.strictEqual(third.familyId, first.familyId);
+        }
+    },
+    {
+        name: '已使用的令牌再次出現時撤銷整個系列',
+        run: async () => {
+            const { service, suspicious } = createService();
+            const first = await service.issue('user-1');
+            const second = await service.rotate(first.token);
+
+            await assert.rejects(service.rotate(first.token, { ipAddress: '203.0.113.9' }), { code: 'REFRESH_TOKEN_REUSED', status: 401 });
+            assert.strictEqual(await service.isFamilyActive(first.familyId, 'user-1'), false);
+            await assert.rejects(service.rotate(second.token), { code: 'REFRESH_TOKEN_REVOKED' });
+
+            assert.strictEqual(suspicious.length, 1);
+            assert.strictEqual(suspicious[0][0], 'user-1');
+            assert.strictEqual(suspicious[0][4], 'refresh_token_reuse');
+        }
+    },
+    {
+        name: '無效或過期的令牌被拒絕',
+        run: async () => {
+            const { service, database } = createService();
+            await assert.rejects(service.rotate(''), { code: 'MISSING_REFRESH_TOKEN', status: 400 });
+            await assert.rejects(service.rotate('not-a-token'), { code: 'INVALID_REFRESH_TOKEN' });
+
+            const issued = await service.issue('user-1');
+            database.rows[0].expiresAt = '2020-01-01T00:00:00.000Z';
+            await assert.rejects(service.rotate(issued.token), { code: 'REFRESH_TOKEN_EXPIRED' });
+        }
+    },
+    {
+        name: '登出只撤銷目前的系列，修改密碼撤銷所有系列',
+        run: async () => {
+            const { service } = createService();
+            const phone = await service.issue('user-1');
+            const laptop = await service.issue('user-1');
+            const other = await service.issue('user-2');
+
+            await service.revokeFamily(phone.familyId, service.revokeReasons.LOGOUT);
+            assert.strictEqual(await service.isFamilyActive(phone.familyId, 'user-1'), false);
+            assert.strictEqual(await service.isFamilyActive(laptop.familyId, 'user-1'), true);
+            assert.strictEqual(await service.isFamilyActive(laptop.familyId, 'user-2'), false);
+            await assert.rejects(service.rotate(phone.token), { code: 'REFRESH_TOKEN_REVOKED' });
+
+            await service.revokeAllForUser('user-1', service.revokeReasons.PASSWORD_CHANGE);
+            assert.strictEqual(await service.isFamilyActive(laptop.familyId, 'user-1'), false);
+            assert.strictEqual(await service.isFamilyActive(other.familyId, 'user-2'), true);
+            assert.strictEqual(await service.isFamilyActive(undefined, 'user-1'), false);
+        }
+    }
+];
+
+(async () => {
+    let failures = 0;
+
+    for (const { name, run } of cases) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures === 0 ? '\n🎉 刷新令牌輪換測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,77 @@
+/**
+ * 定時觸發器 cron 表達式測試
+ * 驗證欄位解析、時區及夏令時處理
+ *
+ * 執行: node test-cron-expression.js
+ */
+
+const assert = require('assert');
+const { nextRun, nextRuns, validate } = require('./workflow/core/CronExpression');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+const cases = [
+    {
+        name: '每週一早上9點（香港時間）',
+        run: () => iso(nextRuns('0 9 * * MON', new Date('2026-10-18T03:00:00Z'), 'Asia/Hong_Kong', 2)),
+        expected: ['2026-10-19T01:00:00.000Z', '2026-10-26T01:00:00.000Z']
+    },
+    {
+        name: '每15分鐘',
+        run: () => iso(nextRuns('*/15 * * * *', new Date('2026-10-18T03:07:30Z'), 'UTC', 3)),
+        expected: ['2026-10-18T03:15:00.000Z', '2026-10-18T03:30:00.000Z', '2026-10-18T03:45:00.000Z']
+    },
+    {
+        name: '不包括起始的同一分鐘',
+        run: () => nextRun('0 9 * * *', new Date('2026-10-19T01:00:00Z'), 'Asia/Hong_Kong').toISOString(),
+        expected: '2026-10-20T01:00:00.000Z'
+    },
+    {
+        name: '日期與星期同時限制時符合其中一個即可',
+        run: () => iso(nextRuns('0 0 1,15 * FRI', new Date('2026-10-18T00:00:00Z'), 'UTC', 3)),
+        expected: ['2026-10-23T00:00:00.000Z', '2026-10-30T00:00:00.000Z', '2026-11-01T00:00:00.000Z']
+    },
+    {
+        name: '夏令時開始當日被跳過的時間不執行',
+        run: () => iso(nextRuns('30 2 * * *', new Date('2026-03-07T00:00:00Z'), 'America/New_York', 2)),
+        expected: ['2026-03-07T07:30:00.000Z', '2026-03-09T06:30:00.000Z']
+    },
+    {
+        name: '@monthly',
+        run: () => nextRun('@monthly', new Date('2026-10-18T00:00:00Z'), 'Asia/Hong_Kong').toISOString(),
+        expected: '2026-10-31T16:00:00.000Z'
+    }
+];
+
+const invalid = [
+    ['61 * * * *', null],
+    ['* * * *', null],
+    ['0 9 * * FUNDAY', null],
+    ['0 0 30 2 *', null],
+    ['0 9 * * MON', 'Mars/Olympus']
+];
+
+let failures = 0;
+
+for (const { name, run, expected } of cases) {
+    try {
+        assert.deepStrictEqual(run(), expected);
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+for (const [expression, timeZone] of invalid) {
+    const result = validate(expression, timeZone);
+    if (!result.valid) {
+        console.log(`✅ 已拒絕: ${expression}${timeZone ? ` (${timeZone})` : ''} - ${result.error}`);
+    } else {
+        failures++;
+        console.log(`❌ 未拒絕: ${expression}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 cron 表達式測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,97 @@
+/**
+ * 多貨幣測試
+ * 驗證貨幣識別、金額解析、按匯率表換算及分析數據中的原始與換算金額
+ *
+ * 執行: node test-currency.js
+ */
+
+const assert = require('assert');
+const currencyService = require('./services/CurrencyService');
+const AnalyticsAIService = require('./services/analyticsAIService');
+
+const cases = [
+    {
+        name: '從符號、代碼及名稱識別貨幣',
+        run: () => {
+            assert.strictEqual(currencyService.detectCurrency('HK$100.50'), 'HKD');
+            assert.strictEqual(currencyService.detectCurrency('US$12'), 'USD');
+            assert.strictEqual(currencyService.detectCurrency('S$12'), 'SGD');
+            assert.strictEqual(currencyService.detectCurrency('100 RMB'), 'CNY');
+            assert.strictEqual(currencyService.detectCurrency('人民幣'), 'CNY');
+            assert.strictEqual(currencyService.detectCurrency('jpy'), 'JPY');
+            assert.strictEqual(currencyService.detectCurrency('$100'), null);
+            assert.strictEqual(currencyService.detectCurrency(''), null);
+        }
+    },
+    {
+        name: '解析帶貨幣及千位分隔符的金額',
+        run: () => {
+            assert.deepStrictEqual(currencyService.parseMoney('HK$1,200.50'), { amount: 1200.5, currency: 'HKD' });
+            assert.deepStrictEqual(currencyService.parseMoney('88'), { amount: 88, currency: null });
+            assert.deepStrictEqual(currencyService.parseMoney(''), { amount: null, currency: null });
+        }
+    },
+    {
+        name: '按匯率表換算，沒有匯率時返回 null',
+        run: () => {
+            assert.strictEqual(currencyService.convert(100, 'USD', 'HKD'), 778);
+            assert.strictEqual(currencyService.convert(712, 'CNY', 'HKD'), 778);
+            assert.strictEqual(currencyService.convert(50, 'HKD', 'HKD'), 50);
+            assert.strictEqual(currencyService.convert(50, 'XYZ', 'HKD'), null);
+        }
+    },
+    {
+        name: '匯率表缺少基準貨幣時拒絕載入',
+        run: () => {
+            assert.throws(() => currencyService.parseRates({ base: 'USD', rates: { HKD: 7.8 } }), /基準貨幣/);
+            assert.throws(() => currencyService.parseRates({ base: 'USD', rates: { USD: 1, HKD: -1 } }), /無效的匯率/);
+        }
+    },
+    {
+        name: '找出工作表中的貨幣欄位',
+        run: () => {
+            assert.strictEqual(currencyService.findCurrencyField(['日期', '銀碼', '貨幣']), '貨幣');
+            assert.strictEqual(currencyService.findCurrencyField(['date', 'amount']), null);
+        }
+    },
+    {
+        name: '財務數據同時列出原始金額及換算後的金額',
+        run: () => {
+            const userData = {
+                baseCurrency: 'HKD',
+                headers: ['日期', '金額', '貨幣'],
+                structuredData: [
+                    { '日期': '2026-10-01', '金額': '100', '貨幣': 'HKD' },
+                    { '日期': '2026-10-02', '金額': '712', '貨幣': 'CNY' },
+                    { '日期': '2026-10-03', '金額': 'US$10', '貨幣': '' },
+                    { '日期': '2026-10-04', '金額': '20', '貨幣': 'XYZ' }
+                ]
+            };
+            const { _summary: summary, '金額': field } = new AnalyticsAIService().extractAdvancedFinancialData(userData);
+
+            assert.strictEqual(summary.baseCurrency, 'HKD');
+            assert.strictEqual(summary.transactionCount, 3);
+            assert.strictEqual(summary.totalAmount, 100 + 778 + 77.8);
+            assert.strictEqual(summary.unconvertedCount, 1);
+            assert.deepStrictEqual(summary.byCurrency.CNY, { originalAmount: 712, convertedAmount: 778, count: 1 });
+            assert.strictEqual(summary.byCurrency.USD.originalAmount, 10);
+            assert.strictEqual(field.currency, 'HKD');
+            assert.deepStrictEqual(field.originalTotals, { HKD: 100, CNY: 712, USD: 10 });
+        }
+    }
+];
+
+let failures = 0;
+
+for (const { name, run } of cases) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 多貨幣測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
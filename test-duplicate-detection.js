@@ -0,0 +1,99 @@
+/**
+ * 重複收據檢測測試
+ * 驗證圖片哈希距離、金額/日期/店鋪比對及重複提示的內容
+ *
+ * 執行: node test-duplicate-detection.js
+ */
+
+const assert = require('assert');
+const duplicateDetectionService = require('./services/DuplicateDetectionService');
+
+const record = (id, data, imageHash = null, createdAt = '2026-05-03 04:10:00') => ({
+    id,
+    data,
+    imageHash,
+    createdAt,
+    status: 'recorded'
+});
+
+const records = [
+    record('rec-lunch-0001', { '店舖名稱': '大家樂', '日期': '2026-05-03', '銀碼': '88.50' }, 'ffd8a0c0e0f0f8fc'),
+    record('rec-taxi-0002', { shop: 'Uber', date: '03/05/2026', amount: '120' }),
+    record('rec-nodate-003', { '店舖名稱': '7-Eleven', '銀碼': '15' }, '0123456789abcdef')
+];
+
+const cases = [
+    {
+        name: '漢明距離按不同的位元計算',
+        run: () => {
+            assert.strictEqual(duplicateDetectionService.hammingDistance('ffd8a0c0e0f0f8fc', 'ffd8a0c0e0f0f8fc'), 0);
+            assert.strictEqual(duplicateDetectionService.hammingDistance('ffd8a0c0e0f0f8fc', 'ffd8a0c0e0f0f8fd'), 1);
+            assert.strictEqual(duplicateDetectionService.hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+            assert.strictEqual(duplicateDetectionService.hammingDistance(null, 'ffffffffffffffff'), Infinity);
+        }
+    },
+    {
+        name: '相近的圖片哈希視為重複',
+        run: () => {
+            const match = duplicateDetectionService.findDuplicate({ data: { '銀碼': '10' }, imageHash: 'aaaa,ffd8a0c0e0f0f0fc' }, records);
+            assert.strictEqual(match.record.id, 'rec-lunch-0001');
+            assert.deepStrictEqual(match.reasons, ['image']);
+            assert.strictEqual(duplicateDetectionService.findDuplicate({ data: {}, imageHash: '00270f1f3f7f0000' }, records), null);
+        }
+    },
+    {
+        name: '金額、日期及店鋪相同時視為重複（欄位名稱及日期格式不同）',
+        run: () => {
+            const match = duplicateDetectionService.findDuplicate({ data: { merchant: 'UBER ', date: '2026-05-03', total: '$120.00' } }, records);
+            assert.strictEqual(match.record.id, 'rec-taxi-0002');
+            assert.deepStrictEqual(match.reasons, ['fields']);
+        }
+    },
+    {
+        name: '店鋪或日期不同時不視為重複',
+        run: () => {
+            assert.strictEqual(duplicateDetectionService.findDuplicate({ data: { shop: '的士', date: '2026-05-03', amount: '120' } }, records), null);
+            assert.strictEqual(duplicateDetectionService.findDuplicate({ data: { shop: 'Uber', date: '2026-05-04', amount: '120' } }, records), null);
+            assert.strictEqual(duplicateDetectionService.findDuplicate({ data: { '店舖名稱': '7-Eleven', '銀碼': '15' } }, records), null);
+        }
+    },
+    {
+        name: '圖片及欄位都相符的記錄優先',
+        run: () => {
+            const match = duplicateDetectionService.findDuplicate(
+                { data: { '店舖名稱': '大家樂 (尖沙咀)', '日期': '2026/05/03', '銀碼': '88.5' }, imageHash: 'ffd8a0c0e0f0f8fc' },
+                [records[2], records[0]]
+            );
+            assert.strictEqual(match.record.id, 'rec-lunch-0001');
+            assert.deepStrictEqual(match.reasons, ['image', 'fields']);
+        }
+    },
+    {
+        name: '重複提示列出記錄的日期及內容',
+        run: () => {
+            const match = duplicateDetectionService.findDuplicate({ data: { '店舖名稱': '大家樂', '日期': '2026-05-03', '銀碼': '88.50' } }, records);
+            const single = duplicateDetectionService.formatDuplicateWarning([match]);
+            assert.ok(single.includes('這張收據看來與 5月3日 的記錄重複：大家樂｜88.50'));
+            assert.ok(single.includes('「確認」'));
+
+            const batch = duplicateDetectionService.formatDuplicateWarning([null, match]);
+            assert.ok(batch.includes('收據 2 看來與 5月3日'));
+            assert.ok(!batch.includes('收據 1'));
+        }
+    }
+];
+
+let failures = 0;
+
+for (const { name, run } of cases) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 重複收據檢測測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,100 @@
+/**
+ * 費用審批測試
+ * 驗證審批規則的規範化及驗證、按基礎貨幣比較金額、類別規則及審批人回覆的解析
+ *
+ * 執行: node test-expense-approval.js
+ */
+
+const assert = require('assert');
+const expenseApprovalService = require('./services/ExpenseApprovalService');
+
+const rules = [
+    { minAmount: 1000, category: '', approver: '85291234567' },
+    { minAmount: null, category: 'Entertainment', approver: '85298765432' }
+];
+
+const cases = [
+    {
+        name: '規範化審批規則並拒絕無效設置',
+        run: () => {
+            const normalized = expenseApprovalService.normalizeRules(JSON.stringify([
+                { minAmount: '500', approver: '+852 9123-4567' },
+                { minAmount: '', category: ' Travel ', approver: '(852) 98765432' },
+                null
+            ]));
+            assert.deepStrictEqual(normalized, [
+                { minAmount: 500, category: '', approver: '85291234567' },
+                { minAmount: null, category: 'Travel', approver: '85298765432' }
+            ]);
+            assert.deepStrictEqual(expenseApprovalService.normalizeRules('not json'), []);
+            assert.strictEqual(expenseApprovalService.validateRules(normalized), null);
+
+            const invalid = (rule) => expenseApprovalService.validateRules(expenseApprovalService.normalizeRules([rule]));
+            assert.match(invalid({ approver: '85291234567' }), /金額或類別/);
+            assert.match(invalid({ minAmount: -1, approver: '85291234567' }), /金額無效/);
+            assert.match(invalid({ minAmount: 100, approver: '1234' }), /審批人/);
+        }
+    },
+    {
+        name: '金額換算為基礎貨幣後超過門檻才需要審批',
+        run: () => {
+            const over = expenseApprovalService.evaluate({ '日期': '2026-10-01', '金額': 'HK$1,200' }, rules, 'HKD');
+            assert.strictEqual(over.rule.approver, '85291234567');
+            assert.match(over.reasons[0], /1200 HKD 超過 1000 HKD/);
+
+            assert.strictEqual(expenseApprovalService.evaluate({ '金額': '1000' }, rules, 'HKD'), null);
+
+            const converted = expenseApprovalService.evaluate({ amount: '150', currency: 'USD' }, rules, 'HKD');
+            assert.match(converted.reasons[0], /1167 HKD/);
+            assert.strictEqual(expenseApprovalService.evaluate({ amount: 'US$100' }, rules, 'HKD'), null);
+        }
+    },
+    {
+        name: '匯率表沒有基礎貨幣時無法換算，交由審批人決定',
+        run: () => {
+            const match = expenseApprovalService.evaluate({ amount: 'US$20' }, rules, 'XYZ');
+            assert.strictEqual(match.rule.approver, '85291234567');
+            assert.match(match.reasons[0], /無法換算/);
+        }
+    },
+    {
+        name: '類別規則不分大小寫，同時設定金額及類別時兩者都要符合',
+        run: () => {
+            const match = expenseApprovalService.evaluate({ '金額': '50', '類別': 'entertainment' }, rules, 'HKD');
+            assert.strictEqual(match.rule.approver, '85298765432');
+            assert.deepStrictEqual(match.reasons, ['類別為「entertainment」']);
+            assert.strictEqual(expenseApprovalService.evaluate({ '金額': '50', '類別': 'meals' }, rules, 'HKD'), null);
+
+            const combined = [{ minAmount: 300, category: 'travel', approver: '85291234567' }];
+            assert.strictEqual(expenseApprovalService.evaluate({ amount: '500', category: 'meals' }, combined, 'HKD'), null);
+            assert.strictEqual(expenseApprovalService.evaluate({ amount: '200', category: 'travel' }, combined, 'HKD'), null);
+            assert.strictEqual(expenseApprovalService.evaluate({ amount: '500', category: 'Travel' }, combined, 'HKD').reasons.length, 2);
+        }
+    },
+    {
+        name: '解析審批人的批准及拒絕回覆',
+        run: () => {
+            assert.deepStrictEqual(expenseApprovalService.parseDecision(' 批准 ', 'MSG1'), { action: 'approve', note: null, quotedMsgId: 'MSG1' });
+            assert.deepStrictEqual(expenseApprovalService.parseDecision('Approve'), { action: 'approve', note: null, quotedMsgId: null });
+            assert.deepStrictEqual(expenseApprovalService.parseDecision('拒絕：超出預算'), { action: 'reject', note: '超出預算', quotedMsgId: null });
+            assert.deepStrictEqual(expenseApprovalService.parseDecision('reject'), { action: 'reject', note: null, quotedMsgId: null });
+            assert.strictEqual(expenseApprovalService.parseDecision('批准了嗎？'), null);
+            assert.strictEqual(expenseApprovalService.parseDecision(''), null);
+        }
+    }
+];
+
+let failures = 0;
+
+for (const { name, run } of cases) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 費用審批測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
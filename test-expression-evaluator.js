@@ -0,0 +1,86 @@
+/**
+ * 工作流條件表達式測試
+ * 驗證求值結果，以及任意代碼無法通過表達式執行
+ *
+ * 執行: node test-expression-evaluator.js
+ */
+
+const assert = require('assert');
+const { evaluate, validate } = require('./workflow/core/ExpressionEvaluator');
+
+const context = {
+    amount: '620.50',
+    category: 'travel',
+    date: '2026-10-01',
+    receipt: { vendor: 'MTR Corporation', items: [{ price: 12 }, { price: 8 }] },
+    triggerData: { alert_level: 7 },
+    tags: ['urgent', 'overseas'],
+    rawData: [1, 2],
+    longText: `${'a'.repeat(5000)}!`
+};
+
+const cases = [
+    ['amount > 500 && category == "travel"', true],
+    ['amount > 500 and category == "meals"', false],
+    ['not (amount < 100) || false', true],
+    ['receipt.items[1].price + receipt.items[0].price', 20],
+    ['{{triggerData.alert_level}} > 5', true],
+    ['rawData && rawData.length > 0', true],
+    ['"urgent" in tags', true],
+    ['"MTR" in receipt.vendor', true],
+    ['contains(receipt.vendor, "mtr")', true],
+    ['upper(category) == "TRAVEL"', true],
+    ['round(amount) == 621', true],
+    ['dateDiff("2026-10-18", date)', 17],
+    ['month(date) == 10', true],
+    ['missing.field == null', true],
+    ['amount >= 1000 ? "manager" : "auto"', 'auto'],
+    ['matches(receipt.vendor, "^mtr\\\\s")', true],
+    ['matches(receipt.vendor, "corp(oration)?$")', true],
+    // 災難性回溯的模式亦以線性時間完成
+    ['matches(longText, "^(a+)+$")', false]
+];
+
+const rejected = [
+    'constructor',
+    'receipt.__proto__',
+    'receipt["constructor"]',
+    'process.exit(1)',
+    'require("fs")',
+    'amount = 1',
+    'this',
+    'amount >',
+    '"unterminated',
+    'matches(category, "(t)\\\\1")',
+    'matches(category, "(?=t)")'
+];
+
+let failures = 0;
+
+for (const [expression, expected] of cases) {
+    try {
+        assert.deepStrictEqual(evaluate(expression, context), expected);
+        console.log(`✅ ${expression}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${expression}: ${error.message}`);
+    }
+}
+
+for (const expression of rejected) {
+    const result = validate(expression);
+    let blocked = !result.valid;
+    if (!blocked) {
+        // 語法合法但只能讀 context（例如 this 只是一個欄位名稱）
+        blocked = evaluate(expression, context) === undefined;
+    }
+    if (blocked) {
+        console.log(`✅ 已攔截: ${expression}${result.error ? ` (${result.error})` : ''}`);
+    } else {
+        failures++;
+        console.log(`❌ 未攔截: ${expression}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 表達式測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
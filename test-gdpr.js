@@ -0,0 +1,131 @@
+/**
+ * GDPR 自助請求測試
+ * 驗證匯出壓縮檔格式、請求內容驗證及返回給用戶的請求格式
+ *
+ * 執行: node test-gdpr.js
+ */
+
+const assert = require('assert');
+const { crc32, createZip, readZip } = require('./utils/zipArchive');
+const GDPRService = require('./services/GDPRService');
+
+const userService = {
+    getUserById: async () => ({ userId: 'user-1', email: 'Owner@Example.com' })
+};
+const gdprService = new GDPRService({
+    resolve: (name) => {
+        if (name === 'userService') return userService;
+        throw new Error(`${name} 未註冊`);
+    }
+});
+
+const cases = [
+    {
+        name: 'CRC-32 與標準值一致',
+        run: async () => {
+            assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+            assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+        }
+    },
+    {
+        name: '壓縮檔可以還原中文文件名稱及內容',
+        run: async () => {
+            const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+            const json = JSON.stringify([{ '店舖名稱': '大家樂', '銀碼': '88.50' }], null, 2).repeat(20);
+            const zip = createZip([
+                { name: 'database/expense_records.json', data: json },
+                { name: 'drive/rec-1_收據.jpg', data: image },
+                { name: 'sheets/費用.csv', data: '' }
+            ]);
+
+            assert.strictEqual(zip.readUInt32LE(0), 0x04034b50);
+            const files = readZip(zip);
+            assert.deepStrictEqual(Object.keys(files), ['database/expense_records.json', 'drive/rec-1_收據.jpg', 'sheets/費用.csv']);
+            assert.strictEqual(files['database/expense_records.json'].toString('utf8'), json);
+            assert.ok(files['drive/rec-1_收據.jpg'].equals(image));
+            assert.strictEqual(files['sheets/費用.csv'].length, 0);
+        }
+    },
+    {
+        name: '壓縮檔拒絕重複的文件名稱',
+        run: async () => {
+            assert.throws(() => createZip([{ name: 'a.json', data: '1' }, { name: '/a.json', data: '2' }]), /重複/);
+        }
+    },
+    {
+        name: '刪除請求需要輸入帳戶 Email 確認',
+        run: async () => {
+            await assert.rejects(gdprService.validateRequest('user-1', 'erasure', {}), { status: 400 });
+            await assert.rejects(gdprService.validateRequest('user-1', 'erasure', { confirmEmail: 'other@example.com' }), /Email/);
+            const details = await gdprService.validateRequest('user-1', 'erasure', { confirmEmail: ' owner@example.com ' });
+            assert.deepStrictEqual(details, { reason: 'user_request' });
+        }
+    },
+    {
+        name: '反對及撤回請求只接受已知的用途',
+        run: async () => {
+            await assert.rejects(gdprService.validateRequest('user-1', 'objection', { purposes: [] }), /至少一個/);
+            await assert.rejects(gdprService.validateRequest('user-1', 'objection', { purposes: ['selling'] }), /selling/);
+            const objection = await gdprService.validateRequest('user-1', 'objection', { purposes: ['analytics', 'analytics'] });
+            assert.deepStrictEqual(objection.purposes, ['analytics']);
+
+            const withdrawal = await gdprService.validateRequest('user-1', 'withdrawal', { consents: ['ai_processing'] });
+            assert.deepStrictEqual(withdrawal, { consents: ['ai_processing'] });
+            await assert.rejects(gdprService.validateRequest('user-1', 'rectification', { corrections: {} }), /需要修正/);
+        }
+    },
+    {
+        name: '返回的請求不包含文件路徑，過期後不可下載',
+        run: async () => {
+            const row = {
+                id: 'req-1',
+                userId: 'user-1',
+                type: 'access',
+                status: 'completed',
+                details: '{}',
+                result: '{"driveFiles":2}',
+                archivePath: '/srv/exports/gdpr/user-1/req-1.zip',
+                expiresAt: new Date(Date.now() + 86400000).toISOString(),
+                createdAt: '2026-10-01T00:00:00.000Z',
+                updatedAt: '2026-10-01T00:01:00.000Z'
+            };
+            const request = gdprService.formatRequest(row);
+            assert.strictEqual(request.downloadable, true);
+            assert.strictEqual(request.right, 'right_of_access');
+            assert.deepStrictEqual(request.result, { driveFiles: 2 });
+            assert.ok(!JSON.stringify(request).includes('/srv/exports'));
+
+            const expired = gdprService.formatRequest({ ...row, expiresAt: '2026-01-01T00:00:00.000Z' });
+            assert.strictEqual(expired.downloadable, false);
+        }
+    },
+    {
+        name: '用戶數據表的條件為每個參數代入用戶ID',
+        run: async () => {
+            const aiUsage = GDPRService.USER_DATA_TABLES.find(({ table }) => table === 'ai_usage');
+            assert.deepStrictEqual(gdprService.whereParams(aiUsage.where, 'user-1'), ['user-1', 'user-1']);
+
+            // 子表必須排在父表之前，刪除時才能找到對應的記錄
+            const order = GDPRService.USER_DATA_TABLES.map(({ table }) => table);
+            assert.ok(order.indexOf('expense_record_sync') < order.indexOf('expense_records'));
+            assert.ok(order.indexOf('workflow_execution_steps') < order.indexOf('workflow_executions'));
+        }
+    }
+];
+
+(async () => {
+    let failures = 0;
+
+    for (const { name, run } of cases) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures === 0 ? '\n🎉 GDPR 自助請求測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
@@ -0,0 +1,121 @@
+/**
+ * 收據圖片品質測試
+ * 以合成的灰階圖驗證清晰度、亮度、收據範圍、傾斜角度及重拍提示
+ *
+ * 執行: node test-image-quality.js
+ */
+
+const assert = require('assert');
+const imageQualityService = require('./services/ImageQualityService');
+
+const WIDTH = 240;
+const HEIGHT = 320;
+
+/**
+ * 合成收據照片：深色背景上的白色紙張，紙上有深色的文字行
+ * @param {Object} options - paper: { left, top, width, height }，angle: 順時針傾斜角度，blur: 文字是否模糊，shift: 整體亮度偏移
+ */
+const makeImage = ({ paper = { left: 40, top: 30, width: 160, height: 260 }, angle = 0, blur = false, shift = 0 } = {}) => {
+    const pixels = new Uint8Array(WIDTH * HEIGHT);
+    const centerX = paper.left + paper.width / 2;
+    const centerY = paper.top + paper.height / 2;
+    const radians = (angle * Math.PI) / 180;
+
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            // 反向旋轉回紙張的座標
+            const dx = x - centerX;
+            const dy = y - centerY;
+            const px = dx * Math.cos(radians) + dy * Math.sin(radians) + paper.width / 2;
+            const py = -dx * Math.sin(radians) + dy * Math.cos(radians) + paper.height / 2;
+
+            let value = 40;
+            if (px >= 0 && px < paper.width && py >= 0 && py < paper.height) {
+                value = 230;
+                const line = Math.floor(py) % 12;
+                if (px > 10 && px < paper.width - 10 && line < 4) {
+                    value = blur ? 222 : (Math.floor(px) % 3 === 0 ? 230 : 30);
+                }
+            }
+            pixels[y * WIDTH + x] = Math.max(0, Math.min(255, value + shift));
+        }
+    }
+    return { pixels, width: WIDTH, height: HEIGHT };
+};
+
+const original = { width: 1200, height: 1600 };
+
+const cases = [
+    {
+        name: '清晰、光線正常的收據可以識別，並裁剪到收據範圍',
+        run: () => {
+            const assessment = imageQualityService.evaluate(makeImage(), original);
+            assert.strictEqual(assessment.usable, true, JSON.stringify(assessment.metrics));
+            assert.deepStrictEqual(assessment.issues, []);
+            assert.ok(assessment.crop);
+            assert.ok(Math.abs(assessment.crop.left - 200) <= 25, JSON.stringify(assessment.crop));
+            assert.ok(Math.abs(assessment.crop.width - 800) <= 50, JSON.stringify(assessment.crop));
+            assert.strictEqual(assessment.skew, 0);
+        }
+    },
+    {
+        name: '模糊的圖片要求重拍',
+        run: () => {
+            const assessment = imageQualityService.evaluate(makeImage({ blur: true }), original);
+            assert.strictEqual(assessment.usable, false);
+            assert.ok(assessment.issues.includes('blur'));
+        }
+    },
+    {
+        name: '過暗的圖片及解析度太低的圖片要求重拍',
+        run: () => {
+            assert.ok(imageQualityService.evaluate(makeImage({ shift: -200 }), original).issues.includes('dark'));
+            assert.ok(imageQualityService.evaluate(makeImage(), { width: 320, height: 240 }).issues.includes('resolution'));
+        }
+    },
+    {
+        name: '收據在畫面中太小時要求靠近拍攝',
+        run: () => {
+            const assessment = imageQualityService.evaluate(makeImage({ paper: { left: 90, top: 100, width: 60, height: 100 } }), original);
+            assert.ok(assessment.issues.includes('document'), JSON.stringify(assessment.metrics));
+        }
+    },
+    {
+        name: '估計紙張的傾斜角度',
+        run: () => {
+            const clockwise = imageQualityService.evaluate(makeImage({ angle: 8 }), original);
+            assert.ok(Math.abs(clockwise.skew - 8) <= 1, `skew=${clockwise.skew}`);
+
+            const counterClockwise = imageQualityService.evaluate(makeImage({ angle: -6 }), original);
+            assert.ok(Math.abs(counterClockwise.skew + 6) <= 1, `skew=${counterClockwise.skew}`);
+        }
+    },
+    {
+        name: '重拍提示按圖片列出具體建議',
+        run: () => {
+            const blurry = imageQualityService.evaluate(makeImage({ blur: true }), original);
+            const single = imageQualityService.formatReshootMessage([blurry]);
+            assert.ok(single.includes('對焦'));
+            assert.ok(!single.includes('第 1 張'));
+
+            const album = imageQualityService.formatReshootMessage([imageQualityService.evaluate(makeImage(), original), blurry]);
+            assert.ok(album.includes('第 2 張圖片'));
+            assert.ok(!album.includes('第 1 張圖片'));
+        }
+    }
+];
+
+let failures = 0;
+
+for (const { name, run } of cases) {
+    try {
+        run();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log(failures === 0 ? '\n🎉 圖片品質測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+process.exit(failures === 0 ? 0 : 1);
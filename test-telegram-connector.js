@@ -0,0 +1,213 @@
+/**
+ * Telegram 連接器測試
+ * 在本地啟動模擬的 Bot API 伺服器，驗證輪詢、圖片下載及發送
+ *
+ * 執行: node test-telegram-connector.js
+ */
+
+const http = require('http');
+const assert = require('assert');
+
+const config = require('./workflow/config');
+const TelegramBotConnector = require('./workflow/services/connectors/TelegramBotConnector');
+
+const TOKEN = '123456:TEST';
+const PHOTO_BYTES = Buffer.from('fake-receipt-image');
+
+class MockTelegramServer {
+    constructor() {
+        this.sent = [];
+        this.pendingUpdates = [
+            {
+                update_id: 100,
+                message: {
+                    message_id: 1,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: { id: 555, type: 'private' },
+                    from: { id: 777, first_name: 'Overseas', last_name: 'Staff', is_bot: false },
+                    caption: '出差午餐',
+                    photo: [
+                        { file_id: 'small', width: 90, height: 90 },
+                        { file_id: 'large', width: 1280, height: 960 }
+                    ]
+                }
+            },
+            {
+                update_id: 101,
+                message: {
+                    message_id: 2,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: { id: 555, type: 'private' },
+                    from: { id: 777, first_name: 'Overseas', is_bot: false },
+                    text: '本月支出'
+                }
+            }
+        ];
+        this.lastOffset = null;
+        this.webhook = null;
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    reply(res, result, ok = true) {
+        res.writeHead(ok ? 200 : 400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? { ok: true, result } : { ok: false, description: result }));
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === `/file/bot${TOKEN}/photos/large.jpg`) {
+                res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+                return res.end(PHOTO_BYTES);
+            }
+
+            const method = req.url.replace(`/bot${TOKEN}/`, '');
+            const isJson = (req.headers['content-type'] || '').includes('application/json');
+            const params = isJson && body ? JSON.parse(body) : {};
+
+            switch (method) {
+                case 'getMe':
+                    return this.reply(res, { id: 1, is_bot: true, username: 'expense_test_bot' });
+                case 'setWebhook':
+                    this.webhook = params;
+                    return this.reply(res, true);
+                case 'deleteWebhook':
+                    this.webhook = null;
+                    return this.reply(res, true);
+                case 'getUpdates': {
+                    this.lastOffset = params.offset;
+                    const updates = this.pendingUpdates.filter(update => update.update_id >= (params.offset || 0));
+                    this.pendingUpdates = [];
+                    // 沒有新消息時模擬 long polling 的短暫等待
+                    return setTimeout(() => this.reply(res, updates), updates.length ? 0 : 50);
+                }
+                case 'getFile':
+                    return this.reply(res, { file_id: params.file_id, file_path: `photos/${params.file_id}.jpg` });
+                case 'sendMessage':
+                    if (params.chat_id === 'invalid') {
+                        return this.reply(res, 'Bad Request: chat not found', false);
+                    }
+                    this.sent.push({ method, params });
+                    return this.reply(res, { message_id: 900 + this.sent.length, chat: { id: params.chat_id } });
+                case 'sendPhoto':
+                case 'sendDocument':
+                    this.sent.push({ method, contentType: req.headers['content-type'], params });
+                    return this.reply(res, { message_id: 900 + this.sent.length, chat: { id: 555 } });
+                default:
+                    return this.reply(res, `Not Found: method ${method}`, false);
+            }
+        });
+    }
+}
+
+function log(message, status = 'INFO') {
+    const statusIcon = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔧';
+    console.log(`${statusIcon} ${message}`);
+}
+
+async function waitFor(check, timeout = 3000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('等待超時');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+async function main() {
+    const mock = new MockTelegramServer();
+    const baseUrl = await mock.start();
+    config.bots.telegram.pollTimeout = 1;
+    config.bots.telegram.apiBaseUrl = baseUrl;
+
+    const received = [];
+    const connector = new TelegramBotConnector({
+        id: 1,
+        name: 'test-telegram',
+        config: { botToken: TOKEN, apiBaseUrl: 'http://attacker.invalid' }
+    }, {
+        onMessage: async (message) => received.push(message)
+    });
+
+    try {
+        const status = await connector.connect();
+        assert.strictEqual(status.status, 'connected');
+        assert.strictEqual(status.username, 'expense_test_bot');
+        log('連接模擬 Bot API 成功', 'SUCCESS');
+
+        await waitFor(() => received.length === 2);
+        const [photo, text] = received;
+        assert.strictEqual(photo.media.type, 'image');
+        assert.strictEqual(Buffer.from(photo.media.data, 'base64').toString(), PHOTO_BYTES.toString());
+        assert.strictEqual(photo.text, '出差午餐');
+        assert.strictEqual(photo.chatId, '555');
+        assert.strictEqual(text.text, '本月支出');
+        assert.strictEqual(text.media, undefined);
+        log('輪詢收到圖片及文字消息，並下載最大尺寸的圖片', 'SUCCESS');
+
+        await waitFor(() => mock.lastOffset === 102);
+        log('offset 已前移，不會重複處理', 'SUCCESS');
+
+        const textResult = await connector.sendMessage('555', '已記錄 ✅');
+        assert.strictEqual(textResult.messageId, '901');
+        const photoResult = await connector.sendMessage('555', '收據', {
+            type: 'image',
+            base64: PHOTO_BYTES.toString('base64')
+        });
+        assert.strictEqual(photoResult.messageId, '902');
+        assert.ok(mock.sent[1].contentType.startsWith('multipart/form-data'));
+        log('發送文字及圖片成功，返回真實消息ID', 'SUCCESS');
+
+        await assert.rejects(connector.sendMessage('invalid', 'hi'), /chat not found/);
+        log('發送失敗時拋出 Bot API 錯誤', 'SUCCESS');
+
+        await connector.disconnect();
+        assert.strictEqual(connector.getStatus().status, 'disconnected');
+        log('斷開連接並停止輪詢', 'SUCCESS');
+
+        const webhook = new TelegramBotConnector({
+            id: 2,
+            name: 'test-telegram-webhook',
+            config: { botToken: TOKEN, receiveMode: 'webhook', webhookUrl: 'https://example.com/hook' }
+        });
+        await webhook.connect();
+        assert.match(mock.webhook.secret_token, /^[0-9a-f]{64}$/);
+        assert.strictEqual(webhook.verifyWebhookSecret(mock.webhook.secret_token), true);
+        assert.strictEqual(webhook.verifyWebhookSecret(undefined), false);
+        assert.strictEqual(webhook.verifyWebhookSecret('wrong'), false);
+        await webhook.disconnect();
+        assert.strictEqual(mock.webhook, null);
+        log('webhook 未設置 secret 時自動生成，缺少或錯誤的 secret 被拒絕', 'SUCCESS');
+
+        const invalidSecret = new TelegramBotConnector({
+            id: 3,
+            config: { botToken: TOKEN, receiveMode: 'webhook', webhookUrl: 'https://example.com/hook', webhookSecret: 'has space' }
+        });
+        await assert.rejects(invalidSecret.connect(), /webhookSecret/);
+        log('拒絕 Telegram 不接受的 webhookSecret', 'SUCCESS');
+
+        console.log('\n🎉 Telegram 連接器測試全部通過');
+    } finally {
+        await connector.disconnect();
+        await mock.stop();
+    }
+}
+
+if (require.main === module) {
+    main().then(() => process.exit(0)).catch(error => {
+        log(`測試失敗: ${error.message}`, 'ERROR');
+        process.exit(1);
+    });
+}
@@ -0,0 +1,241 @@
+/**
+ * 租戶成員角色測試
+ * 驗證角色權限、權限檢查中間件，以及邀請、接受、修改角色和移除成員的規則
+ *
+ * 執行: node test-tenant-roles.js
+ */
+
+const assert = require('assert');
+const roles = require('./config/roles');
+const AuthMiddleware = require('./middleware/authMiddleware');
+const TenantMemberService = require('./services/TenantMemberService');
+
+const { PERMISSIONS } = roles;
+
+/**
+ * 內存中的 users、tenant_members 及 tenant_invitations 表，只支援 TenantMemberService 使用的語句
+ */
+const createDatabase = () => {
+    const users = [
+        { userId: 'owner-1', email: 'owner@example.com', username: 'Owner' },
+        { userId: 'user-2', email: 'amy@example.com', username: 'Amy' },
+        { userId: 'user-3', email: 'ben@example.com', username: 'Ben' }
+    ];
+    const members = [];
+    const invitations = [];
+
+    return {
+        members,
+        invitations,
+        run: async (sql, params = []) => {
+            if (/^CREATE/.test(sql)) return { changes: 0 };
+            if (/^INSERT INTO tenant_invitations/.test(sql)) {
+                const [id, tenantId, email, role, tokenHash, invitedBy, createdAt, expiresAt] = params;
+                invitations.push({ id, tenantId, email, role, tokenHash, invitedBy, createdAt, expiresAt, acceptedAt: null, revokedAt: null });
+                return { changes: 1 };
+            }
+            if (/^UPDATE tenant_invitations SET revokedAt = \?\s+WHERE tenantId/.test(sql)) {
+                const targets = invitations.filter(row => row.tenantId === params[1] && row.email === params[2] && !row.acceptedAt && !row.revokedAt);
+                targets.forEach(row => { row.revokedAt = params[0]; });
+                return { changes: targets.length };
+            }
+            if (/^UPDATE tenant_invitations SET revokedAt = \? WHERE id/.test(sql)) {
+                invitations.find(row => row.id === params[1]).revokedAt = params[0];
+                return { changes: 1 };
+            }
+            if (/^UPDATE tenant_invitations SET acceptedAt/.test(sql)) {
+                const row = invitations.find(item => item.id === params[2] && !item.acceptedAt && !item.revokedAt);
+                if (row) Object.assign(row, { acceptedAt: params[0], acceptedBy: params[1] });
+                return { changes: row ? 1 : 0 };
+            }
+            if (/^INSERT INTO tenant_members/.test(sql)) {
+                const [userId, tenantId, role, invitedBy, joinedAt] = params;
+                members.push({ userId, tenantId, role, invitedBy, joinedAt });
+                return { changes: 1 };
+            }
+            if (/^UPDATE tenant_members SET role/.test(sql)) {
+                members.find(row => row.userId === params[1]).role = params[0];
+                return { changes: 1 };
+            }
+            if (/^DELETE FROM tenant_members/.test(sql)) {
+                members.splice(members.findIndex(row => row.userId === params[0]), 1);
+                return { changes: 1 };
+            }
+            throw new Error(`未支援的語句: ${sql}`);
+        },
+        get: async (sql, params = []) => {
+            if (/FROM tenant_members WHERE userId = \? AND tenantId/.test(sql)) {
+                return members.find(row => row.userId === params[0] && row.tenantId === params[1]);
+            }
+            if (/FROM tenant_members WHERE userId/.test(sql)) return members.find(row => row.userId === params[0]);
+            if (/COUNT\(\*\) AS count FROM tenant_members/.test(sql)) {
+                return { count: members.filter(row => row.tenantId === params[0]).length };
+            }
+            if (/FROM users WHERE userId/.test(sql)) return users.find(row => row.userId === params[0]);
+            if (/FROM tenant_invitations WHERE tokenHash/.test(sql)) return invitations.find(row => row.tokenHash === params[0]);
+            if (/FROM tenant_invitations WHERE id/.test(sql)) {
+                return invitations.find(row => row.id === params[0] && row.tenantId === params[1] && !row.acceptedAt && !row.revokedAt);
+            }
+            throw new Error(`未支援的語句: ${sql}`);
+        },
+        query: async (sql, params = []) => {
+            if (/FROM tenant_members m LEFT JOIN users/.test(sql)) {
+                return members
+                    .filter(row => row.tenantId === params[0])
+                    .map(row => ({ ...row, ...users.find(user => user.userId === row.userId) }));
+            }
+            if (/FROM tenant_invitations/.test(sql)) {
+                return invitations.filter(row => row.tenantId === params[0] && !row.acceptedAt && !row.revokedAt && row.expiresAt > params[1]);
+            }
+            throw new Error(`未支援的語句: ${sql}`);
+        }
+    };
+};
+
+const createService = () => {
+    const database = createDatabase();
+    const revoked = [];
+    const services = {
+        databaseService: database,
+        refreshTokenService: {
+            revokeReasons: { MEMBERSHIP_CHANGED: 'membership_changed' },
+            revokeAllForUser: async (userId, reason) => revoked.push({ userId, reason })
+        }
+    };
+    const service = new TenantMemberService({
+        resolve: (name) => {
+            if (services[name]) return services[name];
+            throw new Error(`${name} 未註冊`);
+        }
+    });
+    return { service, database, revoked };
+};
+
+/**
+ * 執行中間件，返回回應狀態（通過時為 'next'）
+ */
+const runMiddleware = (middleware, req) => new Promise(resolve => {
+    const res = {
+        status: (code) => ({ json: () => resolve(code) })
+    };
+    middleware({ path: '/test', headers: {}, ...req }, res, () => resolve('next'));
+});
+
+const owner = { userId: 'owner-1', tenantId: 'owner-1', role: 'owner' };
+
+const cases = [
+    {
+        name: '角色權限：檢視者只能查看儀表板，提交者只能提交收據',
+        run: async () => {
+            assert.deepStrictEqual(roles.getPermissions('viewer'), [PERMISSIONS.ANALYTICS_READ]);
+            assert.ok(roles.hasPermission('submitter', PERMISSIONS.RECEIPTS_SUBMIT));
+            assert.ok(!roles.hasPermission('submitter', PERMISSIONS.ANALYTICS_READ));
+            assert.ok(!roles.hasPermission('submitter', PERMISSIONS.SETTINGS_READ));
+            assert.ok(roles.hasPermission('accountant', PERMISSIONS.EXPENSES_EXPORT));
+            assert.ok(!roles.hasPermission('accountant', PERMISSIONS.SETTINGS_WRITE));
+            assert.ok(!roles.hasPermission('accountant', PERMISSIONS.MEMBERS_MANAGE));
+            assert.ok(Object.values(PERMISSIONS).every(permission => roles.hasPermission('admin', permission)));
+            assert.ok(!roles.hasPermission('unknown', PERMISSIONS.ANALYTICS_READ));
+            assert.ok(roles.outranks('owner', 'admin') && roles.outranks('admin', 'accountant'));
+            assert.ok(!roles.outranks('admin', 'admin') && !roles.outranks('viewer', 'submitter'));
+        }
+    },
+    {
+        name: '權限檢查中間件按角色及請求方法放行',
+        run: async () => {
+            const auth = new AuthMiddleware({ resolve: (name) => { throw new Error(`${name} 未註冊`); } });
+            const viewer = { userId: 'user-2', tenantId: 'owner-1', role: 'viewer' };
+            const accountant = { userId: 'user-3', tenantId: 'owner-1', role: 'accountant' };
+
+            assert.strictEqual(await runMiddleware(auth.requirePermission(PERMISSIONS.ANALYTICS_READ), { user: viewer }), 'next');
+            assert.strictEqual(await runMiddleware(auth.requirePermission(PERMISSIONS.SETTINGS_READ), { user: viewer }), 403);
+            assert.strictEqual(await runMiddleware(auth.requirePermission(PERMISSIONS.SETTINGS_READ), {}), 401);
+            assert.strictEqual(await runMiddleware(auth.requirePermission(PERMISSIONS.SETTINGS_READ), { user: { userId: 'x', tenantId: 'x' } }), 403);
+
+            const bots = auth.requirePermissionByMethod(PERMISSIONS.BOTS_READ, PERMISSIONS.BOTS_MANAGE);
+            assert.strictEqual(await runMiddleware(bots, { user: accountant, method: 'GET' }), 'next');
+            assert.strictEqual(await runMiddleware(bots, { user: accountant, method: 'POST' }), 403);
+            assert.strictEqual(await runMiddleware(bots, { user: owner, method: 'DELETE' }), 'next');
+        }
+    },
+    {
+        name: '邀請只能由相同 Email 的用戶接受一次',
+        run: async () => {
+            const { service, database } = createService();
+            assert.deepStrictEqual(await service.getMembership('user-2'), { tenantId: 'user-2', role: 'owner' });
+
+            const { invitation, token } = await service.createInvitation(owner, { email: ' Amy@Example.com ', role: 'accountant' });
+            assert.strictEqual(invitation.email, 'amy@example.com');
+            assert.ok(!JSON.stringify(database.invitations).includes(token));
+            assert.strictEqual((await service.listInvitations('owner-1')).length, 1);
+
+            await assert.rejects(service.acceptInvitation(token, { userId: 'user-3', email: 'ben@example.com' }), { code: 'INVITATION_EMAIL_MISMATCH', status: 403 });
+            const membership = await service.acceptInvitation(token, { userId: 'user-2', email: 'amy@example.com' });
+            assert.deepStrictEqual(membership, { tenantId: 'owner-1', role: 'accountant' });
+            assert.deepStrictEqual(await service.getMembership('user-2'), membership);
+            await assert.rejects(service.acceptInvitation(token, { userId: 'user-2', email: 'amy@example.com' }), { code: 'INVITATION_NOT_FOUND' });
+
+            const members = await service.listMembers('owner-1');
+            assert.deepStrictEqual(members.map(member => [member.userId, member.role]), [['owner-1', 'owner'], ['user-2', 'accountant']]);
+            await assert.rejects(service.createInvitation(owner, { email: 'amy@example.com', role: 'viewer' }), { code: 'ALREADY_MEMBER' });
+        }
+    },
+    {
+        name: '只能邀請及管理比自己低的角色',
+        run: async () => {
+            const { service } = createService();
+            const admin = { userId: 'admin-9', tenantId: 'owner-1', role: 'admin' };
+            const accountant = { userId: 'acct-9', tenantId: 'owner-1', role: 'accountant' };
+
+            await assert.rejects(service.createInvitation(owner, { email: 'x@example.com', role: 'owner' }), { code: 'INVALID_ROLE' });
+            await assert.rejects(service.createInvitation(admin, { email: 'x@example.com', role: 'admin' }), { code: 'ROLE_NOT_ALLOWED', status: 403 });
+            await assert.rejects(service.createInvitation(accountant, { email: 'x@example.com', role: 'viewer' }), { code: 'ROLE_NOT_ALLOWED' });
+            await assert.rejects(service.createInvitation(owner, { email: 'not-an-email', role: 'viewer' }), { code: 'INVALID_EMAIL' });
+
+            const { token } = await service.createInvitation(admin, { email: 'ben@example.com', role: 'submitter' });
+            await service.acceptInvitation(token, { userId: 'user-3', email: 'ben@example.com' });
+
+            await service.updateRole(admin, 'user-3', 'viewer');
+            assert.strictEqual((await service.getMembership('user-3')).role, 'viewer');
+            await assert.rejects(service.updateRole(admin, 'user-3', 'admin'), { code: 'ROLE_NOT_ALLOWED' });
+            await assert.rejects(service.updateRole(admin, 'owner-1', 'viewer'), { code: 'ROLE_NOT_ALLOWED' });
+            await assert.rejects(service.updateRole(owner, 'owner-1', 'viewer'), { code: 'CANNOT_MODIFY_SELF' });
+            await assert.rejects(service.updateRole(owner, 'user-9', 'viewer'), { code: 'MEMBER_NOT_FOUND', status: 404 });
+        }
+    },
+    {
+        name: '移除成員後撤銷其登入並回到自己的租戶',
+        run: async () => {
+            const { service, revoked } = createService();
+            const { token } = await service.createInvitation(owner, { email: 'amy@example.com', role: 'viewer' });
+            await service.acceptInvitation(token, { userId: 'user-2', email: 'amy@example.com' });
+
+            // 租戶有成員時，擁有者不能加入其他租戶
+            const other = { userId: 'user-3', tenantId: 'user-3', role: 'owner' };
+            const invite = await service.createInvitation(other, { email: 'owner@example.com', role: 'viewer' });
+            await assert.rejects(service.acceptInvitation(invite.token, { userId: 'owner-1', email: 'owner@example.com' }), { code: 'TENANT_HAS_MEMBERS', status: 409 });
+
+            await service.removeMember(owner, 'user-2');
+            assert.deepStrictEqual(await service.getMembership('user-2'), { tenantId: 'user-2', role: 'owner' });
+            assert.deepStrictEqual(revoked, [{ userId: 'user-2', reason: 'membership_changed' }]);
+            assert.strictEqual((await service.listMembers('owner-1')).length, 1);
+        }
+    }
+];
+
+(async () => {
+    let failures = 0;
+
+    for (const { name, run } of cases) {
+        try {
+            await run();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`❌ ${name}: ${error.message}`);
+        }
+    }
+
+    console.log(failures === 0 ? '\n🎉 租戶成員角色測試全部通過' : `\n⚠️ ${failures} 個測試失敗`);
+    process.exit(failures === 0 ? 0 : 1);
+})();
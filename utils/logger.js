@@ -2,8 +2,8 @@ const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
 
-// 確保 logs 目錄存在
-const logsDir = path.join(__dirname, '..', 'logs');
+// 確保 logs 目錄存在（LOG_DIR 可指定其他目錄，測試時寫到臨時目錄）
+const logsDir = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, '..', 'logs');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
@@ -0,0 +1,151 @@
+/**
+ * ZIP 壓縮檔工具
+ * 把多個文件打包成一個 ZIP 壓縮檔（不支援 ZIP64，單一壓縮檔需小於 4GB）
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 計算 CRC-32 校驗碼
+ * @param {Buffer} buffer - 數據
+ * @returns {number} 無符號 32 位校驗碼
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 轉換為 ZIP 使用的 DOS 日期及時間
+ * @param {Date} date - 日期物件
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * 建立 ZIP 壓縮檔
+ * 壓縮後沒有變小的文件（例如 JPEG 圖片）直接存放
+ * @param {Array} entries - [{ name, data, date }]，data 為 Buffer 或字串，name 使用 / 分隔目錄
+ * @returns {Buffer} 壓縮檔內容
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  const names = new Set();
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = String(entry.name).replace(/\\/g, '/').replace(/^\/+/, '');
+    if (!name || names.has(name)) {
+      throw new Error(`無效或重複的文件名稱：${entry.name}`);
+    }
+    names.add(name);
+
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const content = stored ? data : deflated;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(entry.date || new Date());
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // 解壓所需版本
+    local.writeUInt16LE(0x0800, 6); // 文件名稱使用 UTF-8
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(content.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, content);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + content.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(names.size, 8);
+  end.writeUInt16LE(names.size, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * 讀取 ZIP 壓縮檔中的文件（只支援本工具建立的壓縮檔格式）
+ * @param {Buffer} buffer - 壓縮檔內容
+ * @returns {Object} 文件名稱 → Buffer
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error('不是有效的 ZIP 壓縮檔');
+  }
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const content = buffer.subarray(dataStart, dataStart + compressedSize);
+    files[name] = method === 8 ? zlib.inflateRawSync(content) : Buffer.from(content);
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip
+};
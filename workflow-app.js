@@ -10,6 +10,8 @@ const path = require('path');
 const { businessLogger } = require('./utils/logger');
 const WorkflowServiceContainer = require('./workflow/core/WorkflowServiceContainer');
 const config = require('./workflow/config');
+const { authenticate, requirePermissionByMethod } = require('./workflow/core/WorkflowAuth');
+const { PERMISSIONS } = require('./config/roles');
 
 class WorkflowApplication {
   constructor() {
@@ -73,8 +75,12 @@ class WorkflowApplication {
     });
 
     // 解析JSON
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    // 保留原始請求內容，供 webhook 觸發器驗證 HMAC 簽名
+    const keepRawBody = (req, res, buf) => {
+      req.rawBody = buf;
+    };
+    this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
     // 安全中間件
     this.app.use((req, res, next) => {
@@ -116,6 +122,14 @@ class WorkflowApplication {
       }
     });
 
+    // 以主系統的存取令牌認證，並按角色檢查權限（webhook 除外）
+    const workflowPermissions = requirePermissionByMethod(PERMISSIONS.WORKFLOWS_READ, PERMISSIONS.WORKFLOWS_MANAGE);
+    this.app.use('/workflow/api', authenticate);
+    this.app.use('/workflow/api/workflows', workflowPermissions);
+    this.app.use('/workflow/api/designer', workflowPermissions);
+    this.app.use('/workflow/api/triggers', workflowPermissions);
+    this.app.use('/workflow/api/bots', requirePermissionByMethod(PERMISSIONS.BOTS_READ, PERMISSIONS.BOTS_MANAGE));
+
     // 工作流API
     this.app.use('/workflow/api', require('./workflow/routes/workflowRoutes'));
 
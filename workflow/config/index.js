@@ -74,7 +74,70 @@ const config = {
     maxStepsPerWorkflow: 100,
     maxBotsPerUser: 20,
     executionTimeout: 30000, // 30秒
-    retryAttempts: 3
+    retryAttempts: 3,
+    // 步驟失敗重試的等待時間（可在步驟的 retry 中覆蓋）
+    retryDelay: 1000,
+    retryBackoff: 'exponential', // fixed / exponential
+    maxRetryDelay: 30000,
+    // 重啟後恢復同一執行的次數上限，超過則標記為失敗
+    maxResumeAttempts: 3,
+    // 執行歷史中每個步驟的輸入/輸出最多保存的字元數
+    historyPayloadLimit: 20000,
+    // 等待回覆步驟的默認超時及無效回覆次數上限
+    replyTimeout: 24 * 60 * 60 * 1000, // 24小時
+    maxInvalidReplies: 3,
+    // HTTP 請求步驟
+    http: {
+      timeout: 15000,
+      maxResponseSize: 5 * 1024 * 1024, // 5MB
+      // 默認禁止請求內網地址，避免工作流被用來訪問內部服務
+      allowPrivateNetworks: process.env.WORKFLOW_HTTP_ALLOW_PRIVATE === 'true'
+    },
+    // 單次執行最多執行的步驟數（防止 goto 造成無限循環）
+    maxStepExecutions: 1000
+  },
+
+  // 定時觸發器排程
+  scheduler: {
+    enabled: process.env.WORKFLOW_SCHEDULER_ENABLED !== 'false',
+    tickInterval: 30000, // 30秒
+    // 租戶未設置時區時使用
+    defaultTimezone: process.env.WORKFLOW_DEFAULT_TIMEZONE || 'Asia/Hong_Kong',
+    // 鎖定期間其他實例不會觸發同一個觸發器；執行超過此時間視為已中斷
+    lockTimeout: 10 * 60 * 1000,
+    // 停機期間錯過的執行：none（跳過）/ once（補執行最近一次）/ all（逐次補執行）
+    catchUp: 'once',
+    catchUpWindow: 24 * 60 * 60 * 1000, // 只補執行24小時內錯過的
+    maxCatchUpRuns: 10
+  },
+
+  // Webhook 觸發器
+  webhooks: {
+    // 用於生成完整的 webhook URL，例如 https://bots.example.com
+    publicBaseUrl: process.env.WORKFLOW_PUBLIC_URL || '',
+    // HMAC 簽名的時間戳與伺服器時間最多相差多少（防止重放）
+    timestampTolerance: 5 * 60 * 1000
+  },
+
+  // 機械人連接配置
+  bots: {
+    whatsapp: {
+      // 獨立會話的認證資料目錄（每個機械人一個子目錄）
+      authDir: process.env.WORKFLOW_WHATSAPP_AUTH_DIR || './auth',
+      maxReconnectAttempts: 5,
+      reconnectDelay: 5000,
+      // 每個機械人保留的送達狀態數量
+      deliveryCacheSize: 500,
+      // 以連結發送媒體時下載的大小上限
+      maxMediaSize: 16 * 1024 * 1024 // 16MB
+    },
+    telegram: {
+      // 可指向本地模擬伺服器進行測試
+      apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org',
+      pollTimeout: 30, // 秒（long polling）
+      retryDelay: 5000,
+      maxRetryDelay: 60000
+    }
   },
 
   // 監控配置
@@ -0,0 +1,253 @@
+/**
+ * Cron 表達式
+ * 標準五欄位格式：分 時 日 月 星期，支援 * , - / 及英文月份/星期名稱（JAN、MON 等）
+ * 以及 @hourly、@daily、@weekly、@monthly、@yearly
+ *
+ * 時間按指定時區計算；夏令時開始時被跳過的時間不會執行，結束時重複的時間會執行兩次
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', label: '分鐘', min: 0, max: 59 },
+  { name: 'hour', label: '小時', min: 0, max: 23 },
+  { name: 'dayOfMonth', label: '日期', min: 1, max: 31 },
+  { name: 'month', label: '月份', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'dayOfWeek', label: '星期', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 搜尋下次執行時間的上限（約五年的小時數）
+const MAX_ITERATIONS = 5 * 366 * 24;
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+function toValue(text, field) {
+  const upper = text.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new CronError(`${field.label}欄位包含無效的值: ${text}`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.label}必須介乎 ${field.min} 至 ${field.max}: ${text}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step === 0)) {
+      throw new CronError(`${field.label}欄位的間隔無效: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = toValue(from, field);
+      end = toValue(to, field);
+      if (start > end) {
+        throw new CronError(`${field.label}欄位的範圍無效: ${range}`);
+      }
+    } else {
+      start = toValue(range, field);
+      // 「5/15」表示由 5 開始每 15
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 星期的 7 與 0 都是星期日
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 解析 cron 表達式
+ * @param {string} expression - cron 表達式
+ * @returns {Object} 各欄位允許的值
+ * @throws {CronError}
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new CronError('cron 表達式不能為空');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronError(`cron 表達式必須有 ${FIELDS.length} 個欄位（分 時 日 月 星期）: ${expression}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+  // 日期和星期同時限制時，符合其中一個即可（與標準 cron 相同）
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+  return schedule;
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * 取得某時間在指定時區的日期時間欄位
+ * @param {Date} date - 時間
+ * @param {string} timeZone - IANA 時區
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function matchesDay(schedule, parts) {
+  const dayOfMonth = schedule.dayOfMonth.has(parts.day);
+  const dayOfWeek = schedule.dayOfWeek.has(parts.weekday);
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * 計算 after 之後（不包括 after 當分鐘）的下一次執行時間
+ * @param {string|Object} expression - cron 表達式或 parse() 的結果
+ * @param {Date|number} after - 起始時間
+ * @param {string} timeZone - IANA 時區
+ * @returns {Date|null} 五年內沒有符合的時間時返回 null（例如 2 月 30 日）
+ */
+function nextRun(expression, after, timeZone = 'UTC') {
+  const schedule = typeof expression === 'string' ? parse(expression) : expression;
+  let time = Math.floor(new Date(after).getTime() / 60000) * 60000 + 60000;
+
+  for (let i = 0; i < MAX_ITERATIONS * 2; i++) {
+    const parts = getZonedParts(new Date(time), timeZone);
+
+    if (!schedule.month.has(parts.month) || !matchesDay(schedule, parts) || !schedule.hour.has(parts.hour)) {
+      // 跳到下一個整點（按小時前進可正確處理夏令時）
+      time += (60 - parts.minute) * 60000;
+      continue;
+    }
+
+    const minute = [...schedule.minute].sort((a, b) => a - b).find(value => value >= parts.minute);
+    if (minute === undefined) {
+      time += (60 - parts.minute) * 60000;
+      continue;
+    }
+    return new Date(time + (minute - parts.minute) * 60000);
+  }
+
+  return null;
+}
+
+/**
+ * 列出 after 之後的 N 次執行時間
+ */
+function nextRuns(expression, after, timeZone = 'UTC', count = 5) {
+  const schedule = typeof expression === 'string' ? parse(expression) : expression;
+  const runs = [];
+  let cursor = after;
+  while (runs.length < count) {
+    const next = nextRun(schedule, cursor, timeZone);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 驗證 cron 表達式及時區（保存觸發器時使用）
+ * @returns {Object} { valid, error }
+ */
+function validate(expression, timeZone = null) {
+  try {
+    const schedule = parse(expression);
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      throw new CronError(`無效的時區: ${timeZone}`);
+    }
+    if (!nextRun(schedule, Date.now(), timeZone || 'UTC')) {
+      throw new CronError(`cron 表達式永遠不會執行: ${expression}`);
+    }
+    return { valid: true, error: null };
+  } catch (error) {
+    if (!(error instanceof CronError)) throw error;
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  CronError,
+  parse,
+  nextRun,
+  nextRuns,
+  validate,
+  isValidTimeZone,
+  getZonedParts
+};
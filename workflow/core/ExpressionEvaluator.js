@@ -0,0 +1,604 @@
+/**
+ * 安全表達式求值器
+ * 取代 eval，只能讀取步驟 context 中的欄位並呼叫白名單函數
+ *
+ * 支援語法：
+ *   欄位路徑      amount、receipt.vendor、items[0].price、{{triggerData.alert_level}}
+ *   字面值        123、1.5、"travel"、'travel'、true、false、null、[1, 2, 3]
+ *   比較          == != > >= < <=、in（陣列或字串包含）
+ *   布爾邏輯      && || !（亦可寫作 and or not）、條件 ? 甲 : 乙
+ *   運算          + - * / %
+ *   函數          lower(category) == "travel"、dateDiff(now(), date) <= 30
+ *
+ * 不支援賦值、方法呼叫、原型屬性（__proto__、constructor、prototype）。
+ * matches() 的正則語法見 SafeRegex（不支援反向引用及前後查找）。
+ */
+
+const SafeRegex = require('./SafeRegex');
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 40;
+const CACHE_SIZE = 500;
+
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined
+};
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!', in: 'in' };
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message}（位置 ${position}）`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+// ---------- 函數白名單 ----------
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value.replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+  }
+  return null;
+}
+
+const FUNCTIONS = {
+  // 字串
+  lower: (value) => String(value ?? '').toLowerCase(),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  trim: (value) => String(value ?? '').trim(),
+  length: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  contains: (haystack, needle) => {
+    if (Array.isArray(haystack)) return haystack.some(item => looseEquals(item, needle));
+    return String(haystack ?? '').toLowerCase().includes(String(needle ?? '').toLowerCase());
+  },
+  startsWith: (value, prefix) => String(value ?? '').startsWith(String(prefix ?? '')),
+  endsWith: (value, suffix) => String(value ?? '').endsWith(String(suffix ?? '')),
+  matches: (value, pattern) => {
+    // 以線性時間匹配，避免災難性回溯
+    let regex;
+    try {
+      regex = SafeRegex.compile(pattern, 'i');
+    } catch (error) {
+      if (!(error instanceof SafeRegex.SafeRegexError)) throw error;
+      throw new ExpressionError(`無效的正則表達式: ${error.message}`);
+    }
+    return SafeRegex.test(regex, String(value ?? '').slice(0, MAX_EXPRESSION_LENGTH * 10));
+  },
+  isEmpty: (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0),
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined && value !== ''),
+
+  // 數字
+  number: (value) => toNumber(value),
+  string: (value) => (value === null || value === undefined ? '' : String(value)),
+  round: (value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round((toNumber(value) || 0) * factor) / factor;
+  },
+  floor: (value) => Math.floor(toNumber(value) || 0),
+  ceil: (value) => Math.ceil(toNumber(value) || 0),
+  abs: (value) => Math.abs(toNumber(value) || 0),
+  min: (...values) => Math.min(...values.flat().map(toNumber).filter(value => value !== null)),
+  max: (...values) => Math.max(...values.flat().map(toNumber).filter(value => value !== null)),
+  sum: (values) => (Array.isArray(values) ? values : []).reduce((total, value) => total + (toNumber(value) || 0), 0),
+
+  // 日期
+  now: () => new Date(),
+  today: () => new Date().toISOString().slice(0, 10),
+  date: (value) => toDate(value),
+  year: (value) => (toDate(value) ? toDate(value).getFullYear() : null),
+  month: (value) => (toDate(value) ? toDate(value).getMonth() + 1 : null),
+  day: (value) => (toDate(value) ? toDate(value).getDate() : null),
+  weekday: (value) => (toDate(value) ? toDate(value).getDay() : null),
+  // 兩個日期相差的天數（a - b）
+  dateDiff: (a, b) => {
+    const first = toDate(a);
+    const second = toDate(b);
+    if (!first || !second) return null;
+    return Math.floor((first.getTime() - second.getTime()) / 86400000);
+  }
+};
+
+// ---------- 詞法分析 ----------
+
+function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // {{path}} 模板寫法，等同欄位路徑
+    if (expression.startsWith('{{', i)) {
+      const end = expression.indexOf('}}', i + 2);
+      if (end === -1) {
+        throw new ExpressionError('缺少 }}', i);
+      }
+      const inner = expression.slice(i + 2, end).trim();
+      if (!/^[A-Za-z_$\u4e00-\u9fff][\w$\u4e00-\u9fff]*(\.[A-Za-z_$\u4e00-\u9fff][\w$\u4e00-\u9fff]*|\[\d+\])*$/.test(inner)) {
+        throw new ExpressionError(`無效的欄位路徑: {{${inner}}}`, i);
+      }
+      tokens.push({ type: 'template', value: inner, position: i });
+      i = end + 2;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < expression.length && expression[j] !== char) {
+        if (expression[j] === '\\' && j + 1 < expression.length) {
+          const next = expression[j + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+          j += 2;
+        } else {
+          value += expression[j++];
+        }
+      }
+      if (j >= expression.length) {
+        throw new ExpressionError('字串缺少結束引號', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_$\u4e00-\u9fff][\w$\u4e00-\u9fff]*/.exec(expression.slice(i));
+    if (identifier) {
+      const word = identifier[0];
+      if (Object.prototype.hasOwnProperty.call(WORD_OPERATORS, word)) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[word], position: i });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (!operator) {
+      throw new ExpressionError(`無法識別的字元 "${char}"`, i);
+    }
+    // === / !== 與 == / != 語義相同
+    tokens.push({ type: 'operator', value: operator.length === 3 ? operator.slice(0, 2) : operator, position: i });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'end', position: expression.length });
+  return tokens;
+}
+
+// ---------- 語法分析 ----------
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw new ExpressionError(`預期 "${value}"`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    const ast = this.parseExpression();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new ExpressionError('表達式有多餘的內容', token.position);
+    }
+    return ast;
+  }
+
+  parseExpression() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new ExpressionError(`表達式嵌套過深（上限 ${MAX_DEPTH} 層）`, this.peek().position);
+    }
+    const node = this.parseTernary();
+    this.depth--;
+    return node;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+    if (!this.isOperator('?')) return test;
+
+    this.next();
+    const consequent = this.parseExpression();
+    this.expect(':');
+    const alternate = this.parseExpression();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  parseBinary(level) {
+    const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>=', 'in'], ['+', '-'], ['*', '/', '%']];
+    if (level >= levels.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    while (this.peek().type === 'operator' && levels[level].includes(this.peek().value)) {
+      const operator = this.next().value;
+      const right = this.parseBinary(level + 1);
+      left = operator === '&&' || operator === '||'
+        ? { type: 'logical', operator, left, right }
+        : { type: 'binary', operator, left, right };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('!') || this.isOperator('-')) {
+      const operator = this.next().value;
+      if (++this.depth > MAX_DEPTH) {
+        throw new ExpressionError(`表達式嵌套過深（上限 ${MAX_DEPTH} 層）`, this.peek().position);
+      }
+      const argument = this.parseUnary();
+      this.depth--;
+      return { type: 'unary', operator, argument };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.isOperator('.')) {
+        this.next();
+        const token = this.next();
+        if (token.type !== 'identifier') {
+          throw new ExpressionError('"." 之後需要屬性名稱', token.position);
+        }
+        node = this.member(node, { type: 'literal', value: token.value }, token.position);
+      } else if (this.isOperator('[')) {
+        const token = this.next();
+        const property = this.parseExpression();
+        this.expect(']');
+        node = this.member(node, property, token.position);
+      } else if (this.isOperator('(')) {
+        throw new ExpressionError('只能呼叫內建函數', this.peek().position);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  member(object, property, position) {
+    if (property.type === 'literal' && FORBIDDEN_PROPERTIES.has(property.value)) {
+      throw new ExpressionError(`不允許存取屬性: ${property.value}`, position);
+    }
+    return { type: 'member', object, property };
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      case 'template':
+        return parse(token.value);
+      case 'identifier':
+        if (this.isOperator('(')) {
+          return this.parseCall(token);
+        }
+        if (FORBIDDEN_PROPERTIES.has(token.value)) {
+          throw new ExpressionError(`不允許存取屬性: ${token.value}`, token.position);
+        }
+        return { type: 'identifier', name: token.value };
+      case 'operator':
+        if (token.value === '(') {
+          const node = this.parseExpression();
+          this.expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          return { type: 'array', elements: this.parseList(']') };
+        }
+        break;
+      default:
+        break;
+    }
+
+    throw new ExpressionError(token.type === 'end' ? '表達式不完整' : `無效的語法 "${token.value}"`, token.position);
+  }
+
+  parseCall(token) {
+    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+      throw new ExpressionError(`未知的函數: ${token.value}`, token.position);
+    }
+    this.expect('(');
+    const args = this.parseList(')');
+
+    // 固定的正則在保存時驗證
+    const pattern = args[1];
+    if (token.value === 'matches' && pattern && pattern.type === 'literal' && typeof pattern.value === 'string') {
+      const result = SafeRegex.validate(pattern.value, 'i');
+      if (!result.valid) {
+        throw new ExpressionError(`無效的正則表達式: ${result.error}`);
+      }
+    }
+    return { type: 'call', name: token.value, args };
+  }
+
+  parseList(closing) {
+    const items = [];
+    if (this.isOperator(closing)) {
+      this.next();
+      return items;
+    }
+    for (;;) {
+      items.push(this.parseExpression());
+      if (this.isOperator(',')) {
+        this.next();
+        continue;
+      }
+      this.expect(closing);
+      return items;
+    }
+  }
+}
+
+// ---------- 求值 ----------
+
+function looseEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    const first = toDate(a);
+    const second = toDate(b);
+    return Boolean(first && second) && first.getTime() === second.getTime();
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    const first = toNumber(a);
+    const second = toNumber(b);
+    return first !== null && first === second;
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    const first = toDate(a);
+    const second = toDate(b);
+    return first && second ? first.getTime() - second.getTime() : NaN;
+  }
+  const first = toNumber(a);
+  const second = toNumber(b);
+  if (first !== null && second !== null) {
+    return first - second;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return NaN;
+}
+
+function readProperty(object, key) {
+  if (object === null || object === undefined) return undefined;
+  if (FORBIDDEN_PROPERTIES.has(key)) {
+    throw new ExpressionError(`不允許存取屬性: ${key}`);
+  }
+  if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') {
+    return object.length;
+  }
+  if (typeof object !== 'object' && typeof object !== 'string') return undefined;
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return readProperty(context, node.name);
+    case 'member':
+      return readProperty(evaluateNode(node.object, context), evaluateNode(node.property, context));
+    case 'array':
+      return node.elements.map(element => evaluateNode(element, context));
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+    case 'conditional':
+      return evaluateNode(node.test, context)
+        ? evaluateNode(node.consequent, context)
+        : evaluateNode(node.alternate, context);
+    case 'unary': {
+      const value = evaluateNode(node.argument, context);
+      return node.operator === '!' ? !value : -(toNumber(value) || 0);
+    }
+    case 'logical': {
+      const left = evaluateNode(node.left, context);
+      if (node.operator === '&&') return left ? evaluateNode(node.right, context) : left;
+      return left ? left : evaluateNode(node.right, context);
+    }
+    case 'binary':
+      return evaluateBinary(node.operator, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    default:
+      throw new ExpressionError(`未知的節點類型: ${node.type}`);
+  }
+}
+
+function evaluateBinary(operator, left, right) {
+  switch (operator) {
+    case '==': return looseEquals(left, right);
+    case '!=': return !looseEquals(left, right);
+    case '<': return compare(left, right) < 0;
+    case '<=': return compare(left, right) <= 0;
+    case '>': return compare(left, right) > 0;
+    case '>=': return compare(left, right) >= 0;
+    case 'in':
+      if (Array.isArray(right)) return right.some(item => looseEquals(item, left));
+      if (typeof right === 'string') return right.includes(String(left ?? ''));
+      return false;
+    case '+':
+      if (typeof left === 'string' || typeof right === 'string') {
+        return `${left ?? ''}${right ?? ''}`;
+      }
+      return (toNumber(left) || 0) + (toNumber(right) || 0);
+    case '-': return (toNumber(left) || 0) - (toNumber(right) || 0);
+    case '*': return (toNumber(left) || 0) * (toNumber(right) || 0);
+    case '/': {
+      const divisor = toNumber(right);
+      return divisor ? (toNumber(left) || 0) / divisor : null;
+    }
+    case '%': {
+      const divisor = toNumber(right);
+      return divisor ? (toNumber(left) || 0) % divisor : null;
+    }
+    default:
+      throw new ExpressionError(`未知的運算符: ${operator}`);
+  }
+}
+
+// ---------- 公開介面 ----------
+
+const cache = new Map();
+
+/**
+ * 解析表達式為語法樹（有快取）
+ * @param {string} expression - 表達式
+ * @returns {Object} 語法樹
+ * @throws {ExpressionError}
+ */
+function parse(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new ExpressionError('表達式不能為空');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new ExpressionError(`表達式過長（上限 ${MAX_EXPRESSION_LENGTH} 字元）`);
+  }
+
+  if (cache.has(expression)) {
+    return cache.get(expression);
+  }
+
+  const ast = new Parser(tokenize(expression)).parse();
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(expression, ast);
+  return ast;
+}
+
+/**
+ * 對 context 求值
+ * @param {string} expression - 表達式
+ * @param {Object} context - 步驟 context
+ * @returns {any}
+ * @throws {ExpressionError}
+ */
+function evaluate(expression, context = {}) {
+  return evaluateNode(parse(expression), context || {});
+}
+
+/**
+ * 驗證表達式語法（保存工作流時使用）
+ * @param {string} expression - 表達式
+ * @returns {Object} { valid, error, position }
+ */
+function validate(expression) {
+  try {
+    parse(expression);
+    return { valid: true, error: null, position: null };
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+    return { valid: false, error: error.message, position: error.position };
+  }
+}
+
+/**
+ * 替換字串中的 {{表達式}}（消息內容、聊天ID、HTTP 請求等）
+ * 整個字串只有一個 {{...}} 時返回表達式的原始值，保留數字、陣列等類型；
+ * 陣列及物件會逐個值替換
+ * @param {any} template - 模板
+ * @param {Object} context - 步驟 context
+ * @returns {any}
+ * @throws {ExpressionError}
+ */
+function interpolate(template, context = {}) {
+  if (Array.isArray(template)) {
+    return template.map(item => interpolate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(template)) {
+      result[key] = interpolate(value, context);
+    }
+    return result;
+  }
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  const whole = template.match(/^\{\{([^{}]+)\}\}$/);
+  if (whole) {
+    return evaluate(whole[1].trim(), context);
+  }
+
+  return template.replace(/\{\{([^{}]+)\}\}/g, (match, expression) => {
+    const value = evaluate(expression.trim(), context);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+module.exports = {
+  ExpressionError,
+  parse,
+  evaluate,
+  validate,
+  interpolate,
+  getFunctionNames: () => Object.keys(FUNCTIONS)
+};
@@ -0,0 +1,121 @@
+/**
+ * 公共網絡請求
+ * 工作流會按用戶提供的 URL 從伺服器發出請求（HTTP 請求步驟、發送媒體），不可用來訪問內部服務：
+ *   assertPublicUrl - 檢查協議，並拒絕內網的 IP 地址
+ *   agents          - 連接時以 lookupPublicAddress 解析域名，拒絕解析到內網的地址
+ * config.workflow.http.allowPrivateNetworks 為 true 時不限制地址
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config');
+
+// 不可請求的地址：私有網絡、本機、保留、文件示例、基準測試、組播及內嵌 IPv4 的轉換前綴
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 32],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 連接時使用的 DNS 解析：檢查所有地址後直接連接已檢查的地址，
+ * 避免檢查與連接之間重新解析得到內網地址（DNS rebinding）
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!config.workflow.http.allowPrivateNetworks &&
+        addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`不允許請求內網地址: ${hostname}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  http: new http.Agent({ lookup: lookupPublicAddress }),
+  https: new https.Agent({ lookup: lookupPublicAddress })
+};
+
+/**
+ * 檢查 URL 協議，並拒絕內網的 IP 地址（除非配置允許）
+ * @param {string} value - URL
+ * @returns {URL}
+ */
+function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`無效的URL: ${value}`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`不支援的協議: ${url.protocol}`);
+  }
+  if (config.workflow.http.allowPrivateNetworks) {
+    return url;
+  }
+
+  // 域名在連接時由 lookupPublicAddress 檢查
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new Error(`不允許請求內網地址: ${url.hostname}`);
+  }
+  return url;
+}
+
+/**
+ * 以 axios 發出請求，只連接公共網絡的地址
+ * 重定向可能指向內網地址，不自動跟隨；經代理連接時無法檢查目標地址，不使用代理
+ * @param {Object} options - axios 請求選項，url 必須已通過 assertPublicUrl
+ * @returns {Promise<Object>} axios 回應
+ */
+function request(options) {
+  return axios.request({
+    ...options,
+    maxRedirects: 0,
+    proxy: false,
+    httpAgent: agents.http,
+    httpsAgent: agents.https
+  });
+}
+
+/**
+ * 下載文件
+ * @param {string} value - URL
+ * @param {Object} options - { maxSize, timeout }
+ * @returns {Promise<Buffer>}
+ */
+async function download(value, { maxSize, timeout }) {
+  const url = assertPublicUrl(value);
+  const response = await request({
+    method: 'GET',
+    url: url.href,
+    responseType: 'arraybuffer',
+    maxContentLength: maxSize,
+    timeout
+  });
+  return Buffer.from(response.data);
+}
+
+module.exports = {
+  isPrivateAddress,
+  lookupPublicAddress,
+  assertPublicUrl,
+  request,
+  download
+};
@@ -0,0 +1,504 @@
+/**
+ * 線性時間正則表達式
+ * 工作流的正則來自用戶輸入，原生 RegExp 以回溯匹配，(a+)+$ 之類的模式可令進程長時間停頓。
+ * 這裡把模式編譯為 NFA 並同步模擬所有狀態（Thompson），匹配時間與「輸入長度 × 程式大小」成正比。
+ *
+ * 支援語法（與 JavaScript 相同）：
+ *   字元          a、.、\n \r \t \v \f \0、\xHH、\uHHHH、\. 等標點轉義
+ *   字元類        [abc]、[^a-z]、\d \D \w \W \s \S
+ *   位置          ^ $ \b \B
+ *   分組及選擇    (...)、(?:...)、a|b
+ *   量詞          * + ? {n} {n,} {n,m}，以及非貪婪形式（只判斷是否匹配，兩者結果相同）
+ *   旗標          i
+ *
+ * 不支援反向引用（\1）、前後查找（(?= (?! (?<= (?<!）及命名分組。
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REPEAT = 100;
+const MAX_PROGRAM_SIZE = 2000;
+const CACHE_SIZE = 200;
+const SUPPORTED_FLAGS = 'i';
+
+class SafeRegexError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message}（位置 ${position}）`);
+    this.name = 'SafeRegexError';
+    this.position = position;
+  }
+}
+
+// ---------- 字元判斷 ----------
+
+const isDigit = (code) => code >= 48 && code <= 57;
+const isWord = (code) => isDigit(code) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122) || code === 95;
+const isSpace = (code) => /\s/.test(String.fromCharCode(code));
+const isLineTerminator = (code) => code === 10 || code === 13 || code === 0x2028 || code === 0x2029;
+
+const CLASS_ESCAPES = {
+  d: isDigit,
+  D: (code) => !isDigit(code),
+  w: isWord,
+  W: (code) => !isWord(code),
+  s: isSpace,
+  S: (code) => !isSpace(code)
+};
+
+const CONTROL_ESCAPES = { n: 10, r: 13, t: 9, v: 11, f: 12, 0: 0 };
+
+const single = (value) => (code) => code === value;
+const range = (from, to) => (code) => code >= from && code <= to;
+
+// ---------- 語法分析 ----------
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  error(message, position = this.pos) {
+    return new SafeRegexError(message, position);
+  }
+
+  peek(offset = 0) {
+    return this.source[this.pos + offset];
+  }
+
+  eof() {
+    return this.pos >= this.source.length;
+  }
+
+  parse() {
+    const node = this.parseAlternation();
+    if (!this.eof()) {
+      throw this.error('多餘的 )');
+    }
+    return node;
+  }
+
+  parseAlternation() {
+    const branches = [this.parseSequence()];
+    while (this.peek() === '|') {
+      this.pos++;
+      branches.push(this.parseSequence());
+    }
+    return branches.length === 1 ? branches[0] : { type: 'alt', branches };
+  }
+
+  parseSequence() {
+    const items = [];
+    while (!this.eof() && this.peek() !== '|' && this.peek() !== ')') {
+      const start = this.pos;
+      const atom = this.parseAtom();
+      const quantified = this.parseQuantifier(atom, start);
+      items.push(quantified);
+    }
+    return { type: 'seq', items };
+  }
+
+  parseAtom() {
+    const ch = this.peek();
+    const start = this.pos;
+
+    if (ch === '(') {
+      this.pos++;
+      if (this.peek() === '?') {
+        if (this.peek(1) !== ':') {
+          throw this.error('不支援前後查找及命名分組', start);
+        }
+        this.pos += 2;
+      }
+      const body = this.parseAlternation();
+      if (this.peek() !== ')') {
+        throw this.error('缺少 )', start);
+      }
+      this.pos++;
+      return { type: 'group', body };
+    }
+    if (ch === '[') {
+      return this.parseClass();
+    }
+    if (ch === '.') {
+      this.pos++;
+      return { type: 'char', items: [isLineTerminator], negated: true };
+    }
+    if (ch === '^' || ch === '$') {
+      this.pos++;
+      return { type: 'assert', kind: ch };
+    }
+    if (ch === '*' || ch === '+' || ch === '?' || this.isBraceQuantifier()) {
+      throw this.error('量詞前沒有可重複的內容');
+    }
+    if (ch === '\\') {
+      if (this.peek(1) === 'b' || this.peek(1) === 'B') {
+        this.pos += 2;
+        return { type: 'assert', kind: `\\${this.source[this.pos - 1]}` };
+      }
+      const item = this.parseEscape(false);
+      return { type: 'char', items: [item], negated: false };
+    }
+
+    this.pos++;
+    return { type: 'char', items: [single(ch.charCodeAt(0))], negated: false };
+  }
+
+  /**
+   * 解析轉義字元，返回字元判斷函數
+   * @param {boolean} inClass - 是否在 [] 內（\b 代表退格）
+   */
+  parseEscape(inClass) {
+    const start = this.pos;
+    this.pos++;
+    const ch = this.peek();
+    if (ch === undefined) {
+      throw this.error('模式不能以 \\ 結尾', start);
+    }
+    this.pos++;
+
+    if (CLASS_ESCAPES[ch]) return CLASS_ESCAPES[ch];
+    if (ch in CONTROL_ESCAPES && !(ch === '0' && isDigit(this.source.charCodeAt(this.pos)))) {
+      return single(CONTROL_ESCAPES[ch]);
+    }
+    if (inClass && ch === 'b') return single(8);
+    if (ch === 'x' || ch === 'u') {
+      const length = ch === 'x' ? 2 : 4;
+      const hex = this.source.substr(this.pos, length);
+      if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+        throw this.error(`無效的 \\${ch} 轉義`, start);
+      }
+      this.pos += length;
+      return single(parseInt(hex, 16));
+    }
+    if (isDigit(ch.charCodeAt(0))) {
+      throw this.error('不支援反向引用', start);
+    }
+    if (/[A-Za-z]/.test(ch)) {
+      throw this.error(`不支援的轉義 \\${ch}`, start);
+    }
+    return single(ch.charCodeAt(0));
+  }
+
+  parseClass() {
+    const start = this.pos;
+    this.pos++;
+    const negated = this.peek() === '^';
+    if (negated) this.pos++;
+
+    const items = [];
+    while (this.peek() !== ']') {
+      if (this.eof()) {
+        throw this.error('缺少 ]', start);
+      }
+      const from = this.parseClassAtom();
+      if (this.peek() === '-' && this.peek(1) !== ']' && this.peek(1) !== undefined) {
+        this.pos++;
+        const to = this.parseClassAtom();
+        if (from.code === null || to.code === null) {
+          throw this.error('字元類範圍不能使用 \\d、\\w 等', start);
+        }
+        if (from.code > to.code) {
+          throw this.error('字元類範圍順序錯誤', start);
+        }
+        items.push(range(from.code, to.code));
+      } else {
+        items.push(from.test);
+      }
+    }
+    this.pos++;
+    return { type: 'char', items, negated };
+  }
+
+  parseClassAtom() {
+    if (this.peek() === '\\') {
+      const escapeStart = this.pos;
+      const test = this.parseEscape(true);
+      const text = this.source.slice(escapeStart, this.pos);
+      const code = CLASS_ESCAPES[text[1]] ? null : literalCode(text);
+      return { test, code };
+    }
+    const code = this.source.charCodeAt(this.pos);
+    this.pos++;
+    return { test: single(code), code };
+  }
+
+  isBraceQuantifier() {
+    return this.peek() === '{' && /^\{\d+(,\d*)?\}/.test(this.source.slice(this.pos));
+  }
+
+  parseQuantifier(atom, start) {
+    let min;
+    let max;
+    const ch = this.peek();
+
+    if (ch === '*') {
+      [min, max] = [0, Infinity];
+      this.pos++;
+    } else if (ch === '+') {
+      [min, max] = [1, Infinity];
+      this.pos++;
+    } else if (ch === '?') {
+      [min, max] = [0, 1];
+      this.pos++;
+    } else if (this.isBraceQuantifier()) {
+      const [text, minText, rest] = this.source.slice(this.pos).match(/^\{(\d+)(,\d*)?\}/);
+      min = parseInt(minText, 10);
+      max = rest === undefined ? min : rest === ',' ? Infinity : parseInt(rest.slice(1), 10);
+      if (min > max) {
+        throw this.error('量詞範圍順序錯誤');
+      }
+      if (min > MAX_REPEAT || (max !== Infinity && max > MAX_REPEAT)) {
+        throw this.error(`重複次數上限為 ${MAX_REPEAT}`);
+      }
+      this.pos += text.length;
+    } else {
+      return atom;
+    }
+
+    if (atom.type === 'assert') {
+      throw this.error('位置斷言不能重複', start);
+    }
+    // 非貪婪只影響匹配位置，是否匹配的結果相同
+    if (this.peek() === '?') this.pos++;
+    return { type: 'repeat', body: atom, min, max };
+  }
+}
+
+function literalCode(escapeText) {
+  const ch = escapeText[1];
+  if (ch in CONTROL_ESCAPES) return CONTROL_ESCAPES[ch];
+  if (ch === 'b') return 8;
+  if (ch === 'x' || ch === 'u') return parseInt(escapeText.slice(2), 16);
+  return ch.charCodeAt(0);
+}
+
+// ---------- 編譯 ----------
+
+/**
+ * 把語法樹編譯為 NFA 指令
+ *   char   - 消耗一個符合的字元
+ *   assert - 檢查位置（^ $ \b \B）
+ *   split  - 同時嘗試 next 及 alt
+ *   jump   - 跳到 next
+ *   match  - 匹配成功
+ */
+function compileProgram(ast) {
+  const program = [];
+
+  const emit = (instruction) => {
+    if (program.length >= MAX_PROGRAM_SIZE) {
+      throw new SafeRegexError('正則表達式過於複雜');
+    }
+    program.push(instruction);
+    return program.length - 1;
+  };
+
+  const compileNode = (node) => {
+    switch (node.type) {
+      case 'char':
+        emit({ op: 'char', items: node.items, negated: node.negated });
+        break;
+      case 'assert':
+        emit({ op: 'assert', kind: node.kind });
+        break;
+      case 'group':
+        compileNode(node.body);
+        break;
+      case 'seq':
+        node.items.forEach(compileNode);
+        break;
+      case 'alt': {
+        const jumps = [];
+        node.branches.forEach((branch, index) => {
+          if (index < node.branches.length - 1) {
+            const split = emit({ op: 'split', next: program.length + 1, alt: null });
+            compileNode(branch);
+            jumps.push(emit({ op: 'jump', next: null }));
+            program[split].alt = program.length;
+          } else {
+            compileNode(branch);
+          }
+        });
+        jumps.forEach(index => { program[index].next = program.length; });
+        break;
+      }
+      case 'repeat': {
+        for (let i = 0; i < node.min; i++) {
+          compileNode(node.body);
+        }
+        if (node.max === Infinity) {
+          const split = emit({ op: 'split', next: program.length + 1, alt: null });
+          compileNode(node.body);
+          emit({ op: 'jump', next: split });
+          program[split].alt = program.length;
+        } else {
+          const splits = [];
+          for (let i = node.min; i < node.max; i++) {
+            splits.push(emit({ op: 'split', next: program.length + 1, alt: null }));
+            compileNode(node.body);
+          }
+          splits.forEach(index => { program[index].alt = program.length; });
+        }
+        break;
+      }
+      default:
+        throw new SafeRegexError(`未知的節點類型: ${node.type}`);
+    }
+  };
+
+  compileNode(ast);
+  emit({ op: 'match' });
+  return program;
+}
+
+// ---------- 匹配 ----------
+
+function charMatches(instruction, variants) {
+  const found = variants.some(code => instruction.items.some(test => test(code)));
+  return instruction.negated ? !found : found;
+}
+
+function assertionHolds(kind, text, pos) {
+  switch (kind) {
+    case '^':
+      return pos === 0;
+    case '$':
+      return pos === text.length;
+    default: {
+      const before = pos > 0 && isWord(text.charCodeAt(pos - 1));
+      const after = pos < text.length && isWord(text.charCodeAt(pos));
+      return kind === '\\b' ? before !== after : before === after;
+    }
+  }
+}
+
+/**
+ * 把 pc 及經由 split/jump/assert 可到達的狀態加入列表
+ * @returns {boolean} 是否到達 match
+ */
+function addState(program, list, seen, pc, text, pos) {
+  const stack = [pc];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (seen[current] === pos) continue;
+    seen[current] = pos;
+
+    const instruction = program[current];
+    switch (instruction.op) {
+      case 'match':
+        return true;
+      case 'jump':
+        stack.push(instruction.next);
+        break;
+      case 'split':
+        stack.push(instruction.alt, instruction.next);
+        break;
+      case 'assert':
+        if (assertionHolds(instruction.kind, text, pos)) stack.push(current + 1);
+        break;
+      default:
+        list.push(current);
+    }
+  }
+  return false;
+}
+
+function run(compiled, text) {
+  const { program, ignoreCase } = compiled;
+  const seen = new Array(program.length).fill(-1);
+  let current = [];
+
+  for (let pos = 0; pos <= text.length; pos++) {
+    // 未錨定的搜尋：每個位置都可以開始匹配
+    if (addState(program, current, seen, 0, text, pos)) return true;
+    if (pos === text.length) break;
+
+    const code = text.charCodeAt(pos);
+    const ch = text[pos];
+    const variants = ignoreCase
+      ? [...new Set([code, ch.toLowerCase().charCodeAt(0), ch.toUpperCase().charCodeAt(0)])]
+      : [code];
+
+    const next = [];
+    for (const pc of current) {
+      if (charMatches(program[pc], variants) && addState(program, next, seen, pc + 1, text, pos + 1)) {
+        return true;
+      }
+    }
+    current = next;
+  }
+  return false;
+}
+
+// ---------- 公開介面 ----------
+
+const cache = new Map();
+
+/**
+ * 編譯正則表達式（有快取）
+ * @param {string} source - 模式
+ * @param {string} flags - 旗標，只支援 i
+ * @returns {Object} 編譯結果，傳給 test()
+ * @throws {SafeRegexError}
+ */
+function compile(source, flags = '') {
+  source = String(source ?? '');
+  flags = String(flags ?? '');
+  const key = `${flags}/${source}`;
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new SafeRegexError(`正則表達式過長（上限 ${MAX_PATTERN_LENGTH} 字元）`);
+  }
+  const invalidFlag = [...flags].find(flag => !SUPPORTED_FLAGS.includes(flag));
+  if (invalidFlag) {
+    throw new SafeRegexError(`不支援的旗標: ${invalidFlag}`);
+  }
+
+  const compiled = {
+    source,
+    ignoreCase: flags.includes('i'),
+    program: compileProgram(new Parser(source).parse())
+  };
+  if (cache.size >= CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, compiled);
+  return compiled;
+}
+
+/**
+ * 檢查文字中是否有符合模式的部分（與 RegExp.prototype.test 相同）
+ * @param {string|Object} pattern - 模式或 compile() 的結果
+ * @param {string} text - 文字
+ * @param {string} flags - 旗標
+ * @returns {boolean}
+ * @throws {SafeRegexError}
+ */
+function test(pattern, text, flags = '') {
+  const compiled = typeof pattern === 'object' && pattern !== null && pattern.program ? pattern : compile(pattern, flags);
+  return run(compiled, String(text ?? ''));
+}
+
+/**
+ * 驗證模式
+ * @returns {Object} { valid, error, position }
+ */
+function validate(source, flags = '') {
+  try {
+    compile(source, flags);
+    return { valid: true, error: null, position: null };
+  } catch (error) {
+    if (!(error instanceof SafeRegexError)) throw error;
+    return { valid: false, error: error.message, position: error.position };
+  }
+}
+
+module.exports = {
+  SafeRegexError,
+  compile,
+  test,
+  validate
+};
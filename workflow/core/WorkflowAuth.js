@@ -0,0 +1,80 @@
+/**
+ * 工作流系統認證
+ * 工作流系統獨立運行，以主系統發出的存取令牌識別用戶
+ * 與主系統共用數據庫：已撤銷的令牌即時失效，租戶及角色以當前的成員資料為準，不採用令牌內容
+ * 機械人、工作流及觸發器屬於租戶，以租戶擁有者的用戶ID保存，成員共用
+ */
+
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const { businessLogger } = require('../../utils/logger');
+const DatabaseService = require('../../services/databaseService');
+const RefreshTokenService = require('../../services/RefreshTokenService');
+const TenantMemberService = require('../../services/TenantMemberService');
+
+// 由外部服務呼叫的 webhook，以各自的密鑰驗證
+const PUBLIC_PATHS = [
+  /^\/workflow\/api\/bots\/\d+\/telegram\/webhook$/,
+  /^\/workflow\/api\/triggers\/hooks\/[^/]+$/
+];
+
+// 只提供認證需要的服務，不載入主系統的 userService（會初始化存儲及 AI 服務）
+const database = new DatabaseService();
+const services = {
+  databaseService: database,
+  userService: {
+    getUserById: (userId) => database.get('SELECT userId, username, email FROM users WHERE userId = ?', [userId])
+  }
+};
+const container = {
+  resolve: (name) => {
+    if (!services[name]) {
+      throw new Error(`工作流系統不提供 ${name}`);
+    }
+    return services[name];
+  }
+};
+services.refreshTokenService = new RefreshTokenService(container);
+services.tenantMemberService = new TenantMemberService(container);
+
+const authMiddleware = new AuthMiddleware(container);
+const authenticateToken = authMiddleware.authenticateToken();
+let databaseReady = null;
+
+const isPublicPath = (req) => PUBLIC_PATHS.some(pattern => pattern.test(req.baseUrl + req.path));
+
+/**
+ * 驗證存取令牌，設置 req.user、req.userId 及 req.tenantId
+ */
+const authenticate = (req, res, next) => {
+  if (isPublicPath(req)) {
+    return next();
+  }
+
+  databaseReady = databaseReady || database.initialize();
+  databaseReady.then(() => {
+    authenticateToken(req, res, () => {
+      req.userId = req.user.tenantId;
+      req.tenantId = req.user.tenantId;
+      next();
+    });
+  }).catch(error => {
+    databaseReady = null;
+    businessLogger.error(`工作流系統認證無法連接數據庫: ${error.message}`);
+    res.status(500).json({ error: '用戶驗證失敗', code: 'USER_VALIDATION_ERROR' });
+  });
+};
+
+/**
+ * 按請求方法檢查權限，webhook 除外
+ * @param {string} readPermission - GET、HEAD 需要的權限
+ * @param {string} writePermission - 其他方法需要的權限
+ */
+const requirePermissionByMethod = (readPermission, writePermission) => {
+  const check = authMiddleware.requirePermissionByMethod(readPermission, writePermission);
+  return (req, res, next) => (isPublicPath(req) ? next() : check(req, res, next));
+};
+
+module.exports = {
+  authenticate,
+  requirePermissionByMethod
+};
@@ -133,6 +133,12 @@ class WorkflowServiceContainer {
       const WorkflowEngine = require('../services/WorkflowEngine');
       const workflowEngine = new WorkflowEngine(this);
       this.services.set('workflowEngine', workflowEngine);
+      try {
+        // 載入工作流並恢復重啟前未完成的執行
+        await workflowEngine.initialize();
+      } catch (error) {
+        this.logger.warn('工作流引擎初始化失敗，未完成的執行不會自動恢復:', error.message);
+      }
 
       // 機械人管理器
       const BotManagerService = require('../services/BotManagerService');
@@ -20,16 +20,8 @@ const getServiceContainer = (req, res, next) => {
   }
 };
 
-// 中間件：驗證用戶
-const validateUser = (req, res, next) => {
-  req.userId = req.headers['x-user-id'] || 'demo-user';
-  req.tenantId = req.headers['x-tenant-id'] || 'demo-tenant';
-  next();
-};
-
-// 應用中間件
+// 應用中間件（req.userId 及 req.tenantId 由 WorkflowAuth 設置）
 router.use(getServiceContainer);
-router.use(validateUser);
 
 /**
  * 獲取機械人列表
@@ -136,9 +128,10 @@ router.post('/bots/:id/connect', async (req, res) => {
 router.post('/bots/:id/send', async (req, res) => {
   try {
     const botId = parseInt(req.params.id);
-    const { message, options } = req.body;
+    const { message, options = {} } = req.body;
+    const isMedia = options.type && options.type !== 'text';
 
-    if (!message) {
+    if (!message && !isMedia) {
       return res.status(400).json({
         success: false,
         error: '消息內容不能為空'
@@ -146,6 +139,15 @@ router.post('/bots/:id/send', async (req, res) => {
     }
 
     const botManager = req.container.resolve('botManager');
+    const bot = await botManager.validateBotOwnership(botId, req.userId, req.tenantId);
+
+    if (!bot) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到機械人'
+      });
+    }
+
     const result = await botManager.sendMessage(botId, message, options);
 
     res.json({
@@ -161,6 +163,75 @@ router.post('/bots/:id/send', async (req, res) => {
   }
 });
 
+/**
+ * Telegram webhook 接收端點
+ * POST /workflow/api/bots/:id/telegram/webhook
+ */
+router.post('/bots/:id/telegram/webhook', async (req, res) => {
+  try {
+    const botId = parseInt(req.params.id);
+    const botManager = req.container.resolve('botManager');
+    const accepted = await botManager.handleTelegramWebhook(
+      botId,
+      req.body,
+      req.headers['x-telegram-bot-api-secret-token']
+    );
+
+    if (!accepted) {
+      return res.status(401).json({
+        success: false,
+        error: 'webhook 驗證失敗'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    businessLogger.error('處理 Telegram webhook 失敗:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 查詢已發送消息的送達狀態
+ * GET /workflow/api/bots/:id/messages/:messageId/status
+ */
+router.get('/bots/:id/messages/:messageId/status', async (req, res) => {
+  try {
+    const botId = parseInt(req.params.id);
+    const botManager = req.container.resolve('botManager');
+    const bot = await botManager.validateBotOwnership(botId, req.userId, req.tenantId);
+
+    if (!bot) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到機械人'
+      });
+    }
+
+    const status = botManager.getMessageStatus(botId, req.params.messageId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到消息的送達記錄'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    businessLogger.error('查詢消息狀態失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * 獲取機械人詳情
  * GET /workflow/api/bots/:id
@@ -207,6 +278,15 @@ router.put('/bots/:id', async (req, res) => {
     const botId = parseInt(req.params.id);
     const { name, config } = req.body;
 
+    try {
+      req.container.resolve('botManager').validateLinkedUser(config, req.userId, req.tenantId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     const dbAdapter = req.container.getAdapter('databaseService');
     const result = await dbAdapter.safeRead('run', `
       UPDATE bots 
@@ -286,7 +366,10 @@ router.get('/bots/types', (req, res) => {
       icon: '📱',
       configSchema: {
         phoneNumber: { type: 'string', required: true },
-        sessionName: { type: 'string', required: false }
+        sessionName: { type: 'string', required: false },
+        linkedUserId: { type: 'string', required: false },
+        defaultChatId: { type: 'string', required: false },
+        forwardIncoming: { type: 'boolean', required: false }
       }
     },
     {
@@ -296,7 +379,10 @@ router.get('/bots/types', (req, res) => {
       icon: '📡',
       configSchema: {
         botToken: { type: 'string', required: true },
-        chatId: { type: 'string', required: false }
+        chatId: { type: 'string', required: false },
+        receiveMode: { type: 'string', required: false, enum: ['polling', 'webhook'] },
+        webhookUrl: { type: 'string', required: false },
+        webhookSecret: { type: 'string', required: false }
       }
     },
     {
@@ -423,6 +509,8 @@ router.get('/bots/:id/status', async (req, res) => {
       });
     }
 
+    const botManager = req.container.resolve('botManager');
+
     res.json({
       success: true,
       data: {
@@ -430,6 +518,7 @@ router.get('/bots/:id/status', async (req, res) => {
         name: bot.name,
         type: bot.type,
         status: bot.status,
+        connection: botManager.getConnectionStatus(botId),
         isEnabled: bot.status === 'enabled',
         lastUpdated: bot.updated_at,
         createdAt: bot.created_at
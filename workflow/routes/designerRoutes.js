@@ -20,16 +20,8 @@ const getServiceContainer = (req, res, next) => {
   }
 };
 
-// 中間件：驗證用戶
-const validateUser = (req, res, next) => {
-  req.userId = req.headers['x-user-id'] || 'demo-user';
-  req.tenantId = req.headers['x-tenant-id'] || 'demo-tenant';
-  next();
-};
-
-// 應用中間件
+// 應用中間件（req.userId 及 req.tenantId 由 WorkflowAuth 設置）
 router.use(getServiceContainer);
-router.use(validateUser);
 
 /**
  * 獲取模板列表
@@ -174,14 +166,18 @@ router.post('/designer/preview', async (req, res) => {
       });
     }
 
-    // 模擬執行（不保存到數據庫）
-    const previewResult = await simulateWorkflowExecution(workflowDesign.steps, input);
+    // 模擬執行（不保存到數據庫），控制流程使用工作流引擎的實際邏輯
+    const workflowEngine = req.container.resolve('workflowEngine');
+    const previewResult = await simulateWorkflowExecution(workflowEngine, workflowDesign.steps, input, req.userId, req.tenantId);
+    const graph = designerService.buildWorkflowGraph(workflowDesign.steps);
     
     res.json({
       success: true,
       data: {
         preview: true,
         result: previewResult,
+        graph,
+        warnings: validation.warnings,
         executionTime: Date.now()
       }
     });
@@ -196,65 +192,54 @@ router.post('/designer/preview', async (req, res) => {
 
 /**
  * 模擬工作流執行
+ * @param {WorkflowEngine} workflowEngine - 工作流引擎
  * @param {Array} steps - 步驟列表
  * @param {Object} input - 輸入數據
+ * @param {string} userId - 用戶ID
+ * @param {string} tenantId - 租戶ID
  * @returns {Object} - 執行結果
  */
-async function simulateWorkflowExecution(steps, input) {
+async function simulateWorkflowExecution(workflowEngine, steps, input, userId, tenantId) {
+  const state = workflowEngine.createRunState({ executeStep: simulateStep });
   let context = { ...input };
-  const executionLog = [];
-
-  for (const step of steps) {
-    const stepStart = Date.now();
-    
-    try {
-      // 模擬步驟執行
-      switch (step.type) {
-        case 'ai_process':
-          context = await simulateAIStep(step, context);
-          break;
-        case 'data_collect':
-          context = await simulateDataCollectionStep(step, context);
-          break;
-        case 'condition':
-          context = await simulateConditionStep(step, context);
-          break;
-        case 'loop':
-          context = await simulateLoopStep(step, context);
-          break;
-        default:
-          context[step.output] = `模擬 ${step.type} 步驟執行`;
-      }
+  let error = null;
 
-      const stepEnd = Date.now();
-      executionLog.push({
-        stepId: step.id,
-        stepName: step.name,
-        stepType: step.type,
-        status: 'success',
-        duration: stepEnd - stepStart,
-        output: context[step.output]
-      });
-    } catch (error) {
-      executionLog.push({
-        stepId: step.id,
-        stepName: step.name,
-        stepType: step.type,
-        status: 'error',
-        error: error.message
-      });
-      break;
-    }
+  try {
+    context = await workflowEngine.executeSteps(steps, input, userId, tenantId, state);
+  } catch (executionError) {
+    error = executionError.message;
   }
 
   return {
     context,
-    executionLog,
+    executionLog: state.trace,
     totalSteps: steps.length,
-    successfulSteps: executionLog.filter(log => log.status === 'success').length
+    executedSteps: state.trace.length,
+    successfulSteps: state.trace.filter(log => log.status === 'success').length,
+    termination: state.termination,
+    error
   };
 }
 
+/**
+ * 模擬一般步驟（控制流程步驟由引擎處理）
+ */
+async function simulateStep(step, context) {
+  switch (step.type) {
+    case 'ai_process':
+      return simulateAIStep(step, context);
+    case 'data_collect':
+      return simulateDataCollectionStep(step, context);
+    case 'wait_reply':
+      return simulateWaitReplyStep(step, context);
+    default:
+      return {
+        ...context,
+        [step.output]: `模擬 ${step.type} 步驟執行`
+      };
+  }
+}
+
 /**
  * 模擬AI步驟
  */
@@ -279,25 +264,15 @@ async function simulateDataCollectionStep(step, context) {
 }
 
 /**
- * 模擬條件步驟
+ * 模擬等待回覆步驟：使用 input.replies[步驟ID]，否則使用默認值
  */
-async function simulateConditionStep(step, context) {
-  return {
-    ...context,
-    [step.output]: Math.random() > 0.5
-  };
-}
+async function simulateWaitReplyStep(step, context) {
+  const replies = context.replies || {};
+  const reply = replies[step.id] !== undefined ? replies[step.id] : step.config.defaultValue;
 
-/**
- * 模擬循環步驟
- */
-async function simulateLoopStep(step, context) {
-  const items = ['項目1', '項目2', '項目3'];
-  const results = items.map(item => `處理: ${item}`);
-  
   return {
     ...context,
-    [step.output]: results
+    [step.output]: reply !== undefined ? reply : `模擬回覆: ${step.config.question}`
   };
 }
 
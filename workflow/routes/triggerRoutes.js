@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { businessLogger } = require('../../utils/logger');
+const cron = require('../core/CronExpression');
 
 /**
  * 創建觸發器
@@ -14,8 +15,8 @@ const { businessLogger } = require('../../utils/logger');
 router.post('/', async (req, res) => {
   try {
     const { name, type, config, workflowId } = req.body;
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     // 獲取觸發器系統服務
     const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
@@ -56,8 +57,8 @@ router.post('/', async (req, res) => {
  */
 router.get('/', async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     // 獲取觸發器系統服務
     const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
@@ -99,8 +100,8 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const triggerId = parseInt(req.params.id);
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     const dbAdapter = req.app.locals.workflowContainer.getAdapter('databaseService');
 
@@ -143,8 +144,8 @@ router.put('/:id', async (req, res) => {
   try {
     const triggerId = parseInt(req.params.id);
     const { name, type, config, workflowId, status } = req.body;
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     const dbAdapter = req.app.locals.workflowContainer.getAdapter('databaseService');
 
@@ -161,6 +162,24 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    let nextConfig = config || JSON.parse(existingTrigger.config);
+    if (config && (type || existingTrigger.type) === 'webhook') {
+      // 保留原有的 URL 及密鑰，密鑰只能通過 rotate 接口更新
+      const { webhookKey, secret } = JSON.parse(existingTrigger.config);
+      nextConfig = triggerSystem.prepareWebhookConfig({ ...config, webhookKey, secret });
+    }
+
+    triggerSystem.validateTriggerData({
+      name: name || existingTrigger.name,
+      type: type || existingTrigger.type,
+      config: nextConfig,
+      workflowId: workflowId || existingTrigger.workflow_id
+    });
+    if (workflowId) {
+      await triggerSystem.assertWorkflowOwnership(workflowId, userId, tenantId);
+    }
+
     // 更新觸發器
     await dbAdapter.safeRead('run', `
       UPDATE triggers 
@@ -169,7 +188,7 @@ router.put('/:id', async (req, res) => {
     `, [
       name || existingTrigger.name,
       type || existingTrigger.type,
-      JSON.stringify(config || JSON.parse(existingTrigger.config)),
+      JSON.stringify(nextConfig),
       workflowId || existingTrigger.workflow_id,
       status || existingTrigger.status,
       triggerId,
@@ -177,6 +196,9 @@ router.put('/:id', async (req, res) => {
       tenantId
     ]);
 
+    // 更新記憶體中的觸發器及排程
+    await triggerSystem.reloadTrigger(triggerId);
+
     businessLogger.info(`更新觸發器成功: ${name || existingTrigger.name}`, { 
       triggerId, 
       userId, 
@@ -204,8 +226,8 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const triggerId = parseInt(req.params.id);
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     const dbAdapter = req.app.locals.workflowContainer.getAdapter('databaseService');
 
@@ -223,6 +245,9 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    await triggerSystem.reloadTrigger(triggerId);
+
     businessLogger.info(`刪除觸發器成功`, { 
       triggerId, 
       userId, 
@@ -243,6 +268,74 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * 接收 webhook 請求（不需要登入，以 HMAC 簽名或 token 驗證）
+ * POST /api/triggers/hooks/:key
+ */
+router.post('/hooks/:key', async (req, res) => {
+  try {
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+
+    const result = await triggerSystem.handleWebhook(req.params.key, {
+      body: req.body,
+      rawBody: req.rawBody,
+      query: req.query,
+      headers: req.headers,
+      ip: req.ip
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    businessLogger.error('處理 webhook 請求失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '處理 webhook 請求失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 重新生成 webhook 驗證密鑰
+ * POST /api/triggers/:id/webhook/rotate
+ */
+router.post('/:id/webhook/rotate', async (req, res) => {
+  try {
+    const triggerId = parseInt(req.params.id);
+    const userId = req.userId;
+    const tenantId = req.tenantId;
+
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    const webhook = await triggerSystem.rotateWebhookSecret(triggerId, userId, tenantId);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook 觸發器不存在'
+      });
+    }
+
+    businessLogger.info(`更新 webhook 密鑰成功`, { 
+      triggerId, 
+      userId, 
+      tenantId 
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook 密鑰已更新',
+      data: webhook
+    });
+  } catch (error) {
+    businessLogger.error('更新 webhook 密鑰失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '更新 webhook 密鑰失敗',
+      error: error.message
+    });
+  }
+});
+
 /**
  * 手動執行觸發器
  * POST /api/triggers/:id/execute
@@ -251,8 +344,8 @@ router.post('/:id/execute', async (req, res) => {
   try {
     const triggerId = parseInt(req.params.id);
     const { testData } = req.body;
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
     const dbAdapter = req.app.locals.workflowContainer.getAdapter('databaseService');
@@ -314,8 +407,8 @@ router.post('/:id/execute', async (req, res) => {
 router.get('/:id/executions', async (req, res) => {
   try {
     const triggerId = parseInt(req.params.id);
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
     const limit = parseInt(req.query.limit) || 20;
     const offset = parseInt(req.query.offset) || 0;
 
@@ -352,14 +445,118 @@ router.get('/:id/executions', async (req, res) => {
   }
 });
 
+/**
+ * 獲取定時觸發器的排程狀態及接下來的執行時間
+ * GET /api/triggers/:id/schedule
+ */
+router.get('/:id/schedule', async (req, res) => {
+  try {
+    const triggerId = parseInt(req.params.id);
+    const userId = req.userId;
+    const tenantId = req.tenantId;
+
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    const trigger = triggerSystem.triggers.get(triggerId);
+
+    if (!trigger || trigger.user_id !== userId || trigger.tenant_id !== tenantId) {
+      return res.status(404).json({
+        success: false,
+        message: '觸發器不存在或已停用'
+      });
+    }
+    if (trigger.type !== 'schedule' || !trigger.config.cron || !triggerSystem.scheduler) {
+      return res.status(400).json({
+        success: false,
+        message: '該觸發器沒有 cron 排程'
+      });
+    }
+
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    res.json({
+      success: true,
+      data: await triggerSystem.scheduler.getScheduleStatus(trigger, count)
+    });
+  } catch (error) {
+    businessLogger.error('獲取觸發器排程失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '獲取排程失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 獲取租戶時區（定時觸發器未指定時區時使用）
+ * GET /api/triggers/schedule/timezone
+ */
+router.get('/schedule/timezone', async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    if (!triggerSystem.scheduler) {
+      throw new Error('定時觸發器排程未啟動');
+    }
+
+    res.json({
+      success: true,
+      data: { timezone: await triggerSystem.scheduler.getTenantTimezone(tenantId) }
+    });
+  } catch (error) {
+    businessLogger.error('獲取租戶時區失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '獲取時區失敗',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 設置租戶時區
+ * PUT /api/triggers/schedule/timezone
+ */
+router.put('/schedule/timezone', async (req, res) => {
+  try {
+    const { timezone } = req.body;
+    const tenantId = req.tenantId;
+    const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
+    if (!triggerSystem.scheduler) {
+      throw new Error('定時觸發器排程未啟動');
+    }
+
+    if (!cron.isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `無效的時區: ${timezone}`
+      });
+    }
+
+    await triggerSystem.scheduler.setTenantTimezone(tenantId, timezone);
+
+    res.json({
+      success: true,
+      message: '時區已更新',
+      data: { timezone }
+    });
+  } catch (error) {
+    businessLogger.error('設置租戶時區失敗:', error);
+    res.status(500).json({
+      success: false,
+      message: '設置時區失敗',
+      error: error.message
+    });
+  }
+});
+
 /**
  * 獲取觸發器統計
  * GET /api/triggers/stats
  */
 router.get('/stats/summary', async (req, res) => {
   try {
-    const userId = req.user?.id || 'default_user';
-    const tenantId = req.tenant?.id || 'default_tenant';
+    const userId = req.userId;
+    const tenantId = req.tenantId;
 
     const triggerSystem = req.app.locals.workflowContainer.getService('triggerSystem');
     const stats = await triggerSystem.getTriggerStats(userId, tenantId);
@@ -420,6 +617,10 @@ router.get('/types/list', async (req, res) => {
         name: '定時觸發器',
         description: '在特定時間或週期性觸發',
         configSchema: {
+          cron: { type: 'string', description: 'cron 表達式（分 時 日 月 星期），例如每週一早上9點: 0 9 * * MON' },
+          timezone: { type: 'string', description: 'IANA 時區，默認使用租戶時區' },
+          catchUp: { type: 'string', description: '停機期間錯過的執行: none / once / all' },
+          input: { type: 'object', description: '傳給工作流的輸入數據' },
           timeRange: { type: 'object', description: '時間範圍' },
           weekdays: { type: 'array', description: '星期列表' },
           dates: { type: 'array', description: '特定日期列表' }
@@ -434,6 +635,17 @@ router.get('/types/list', async (req, res) => {
           aiModel: { type: 'string', description: 'AI模型選擇' },
           confidenceThreshold: { type: 'number', description: '信心度閾值' }
         }
+      },
+      {
+        type: 'webhook',
+        name: 'Webhook 觸發器',
+        description: '外部系統（會計系統、表單等）向專屬 URL 發送 JSON 時觸發',
+        configSchema: {
+          auth: { type: 'string', description: '驗證方式: hmac（默認，X-Webhook-Signature: sha256=HMAC(secret, "時間戳.內容") 及 X-Webhook-Timestamp）/ token（X-Webhook-Token 或 Bearer）；同一簽名只接受一次' },
+          secret: { type: 'string', description: '驗證密鑰，不填則自動生成' },
+          mapping: { type: 'object', description: '輸入映射 { 欄位: 表達式 }，可使用 body、query、headers，例如 { amount: "body.total" }' },
+          required: { type: 'array', description: '映射後必須有值的欄位' }
+        }
       }
     ];
 
@@ -20,18 +20,8 @@ const getServiceContainer = (req, res, next) => {
   }
 };
 
-// 中間件：驗證用戶
-const validateUser = (req, res, next) => {
-  // 這裡可以添加用戶驗證邏輯
-  // 暫時使用模擬用戶ID
-  req.userId = req.headers['x-user-id'] || 'demo-user';
-  req.tenantId = req.headers['x-tenant-id'] || 'demo-tenant';
-  next();
-};
-
-// 應用中間件
+// 應用中間件（req.userId 及 req.tenantId 由 WorkflowAuth 設置）
 router.use(getServiceContainer);
-router.use(validateUser);
 
 /**
  * 獲取工作流列表
@@ -71,6 +61,17 @@ router.post('/workflows', async (req, res) => {
       });
     }
 
+    // 保存前驗證設計（包括條件表達式），避免到執行時才出錯
+    const designerService = req.container.resolve('workflowDesigner');
+    const validation = designerService.validateWorkflowDesign({ name, steps });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: '工作流設計無效',
+        details: validation.errors
+      });
+    }
+
     const workflowEngine = req.container.resolve('workflowEngine');
     const workflow = await workflowEngine.createWorkflow(
       { name, description, steps, triggers },
@@ -100,6 +101,19 @@ router.post('/workflows/:id/execute', async (req, res) => {
     const workflowId = parseInt(req.params.id);
     const input = req.body.input || {};
 
+    const dbAdapter = req.container.getAdapter('databaseService');
+    const workflow = await dbAdapter.safeRead('get', 
+      'SELECT id FROM workflows WHERE id = ? AND user_id = ? AND tenant_id = ?',
+      [workflowId, req.userId, req.tenantId]
+    );
+
+    if (!workflow) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到工作流'
+      });
+    }
+
     const workflowEngine = req.container.resolve('workflowEngine');
     const result = await workflowEngine.executeWorkflow(
       workflowId,
@@ -168,6 +182,16 @@ router.put('/workflows/:id', async (req, res) => {
     const workflowId = parseInt(req.params.id);
     const { name, description, steps, triggers } = req.body;
 
+    const designerService = req.container.resolve('workflowDesigner');
+    const validation = designerService.validateWorkflowDesign({ name, steps });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: '工作流設計無效',
+        details: validation.errors
+      });
+    }
+
     const dbAdapter = req.container.getAdapter('databaseService');
     const result = await dbAdapter.safeRead('run', `
       UPDATE workflows 
@@ -237,7 +261,18 @@ router.delete('/workflows/:id', async (req, res) => {
 });
 
 /**
- * 獲取執行歷史
+ * 附加步驟時間線；檢查點及原始輸入只供恢復執行使用，不返回
+ */
+async function withTimelines(workflowEngine, executions) {
+  const timelines = await workflowEngine.getExecutionTimelines(executions.map(execution => execution.id));
+  return executions.map(({ checkpoint, input, ...execution }) => ({
+    ...execution,
+    steps: timelines.get(execution.id) || []
+  }));
+}
+
+/**
+ * 獲取執行歷史（包括每個步驟的輸入、輸出、耗時及錯誤）
  * GET /workflow/api/workflows/:id/executions
  */
 router.get('/workflows/:id/executions', async (req, res) => {
@@ -254,10 +289,13 @@ router.get('/workflows/:id/executions', async (req, res) => {
       LIMIT ? OFFSET ?
     `, [workflowId, req.userId, req.tenantId, limit, offset]);
 
+    const workflowEngine = req.container.resolve('workflowEngine');
+    const data = await withTimelines(workflowEngine, executions);
+
     res.json({
       success: true,
-      data: executions,
-      count: executions.length
+      data,
+      count: data.length
     });
   } catch (error) {
     businessLogger.error('獲取執行歷史失敗:', error);
@@ -268,4 +306,42 @@ router.get('/workflows/:id/executions', async (req, res) => {
   }
 });
 
+/**
+ * 獲取單次執行的詳情及步驟時間線
+ * GET /workflow/api/workflows/:id/executions/:executionId
+ */
+router.get('/workflows/:id/executions/:executionId', async (req, res) => {
+  try {
+    const workflowId = parseInt(req.params.id);
+    const executionId = parseInt(req.params.executionId);
+
+    const dbAdapter = req.container.getAdapter('databaseService');
+    const execution = await dbAdapter.safeRead('get', `
+      SELECT * FROM workflow_executions
+      WHERE id = ? AND workflow_id = ? AND user_id = ? AND tenant_id = ?
+    `, [executionId, workflowId, req.userId, req.tenantId]);
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        error: '執行記錄不存在'
+      });
+    }
+
+    const workflowEngine = req.container.resolve('workflowEngine');
+    const [data] = await withTimelines(workflowEngine, [execution]);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    businessLogger.error('獲取執行詳情失敗:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
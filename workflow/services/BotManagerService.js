@@ -5,12 +5,15 @@
 
 const { businessLogger } = require('../../utils/logger');
 const config = require('../config');
+const WhatsAppBotConnector = require('./connectors/WhatsAppBotConnector');
+const TelegramBotConnector = require('./connectors/TelegramBotConnector');
 
 class BotManagerService {
   constructor(container) {
     this.container = container;
     this.logger = businessLogger;
     this.bots = new Map();
+    this.connectors = new Map();
     this.isInitialized = false;
   }
 
@@ -104,6 +107,7 @@ class BotManagerService {
 
       // 驗證機械人數據
       this.validateBotData(botData);
+      this.validateLinkedUser(config, userId, tenantId);
 
       const dbAdapter = this.container.getAdapter('databaseService');
       
@@ -146,6 +150,9 @@ class BotManagerService {
    */
   async connectBot(botId, bot) {
     try {
+      // 經路由連接的機械人可能尚未載入記憶體，或帶有更新過的配置
+      this.bots.set(botId, { ...this.bots.get(botId), ...bot, id: botId });
+
       switch (bot.type) {
         case 'whatsapp':
           await this.connectWhatsAppBot(botId, bot);
@@ -172,18 +179,21 @@ class BotManagerService {
 
   /**
    * 連接WhatsApp機械人
+   * config.linkedUserId 有值時綁定主系統該用戶的客戶端，否則使用機械人自己的認證會話
    */
   async connectWhatsAppBot(botId, bot) {
     try {
-      // 使用現有WhatsApp服務的適配器
-      const whatsappAdapter = this.container.getAdapter('WhatsAppServiceV2');
-      
-      // 這裡可以實現WhatsApp機械人的連接邏輯
-      // 由於是適配器模式，只能讀取，不能修改現有連接
-      this.logger.info(`WhatsApp機械人準備連接: ${bot.name}`);
-      
-      // 模擬連接成功
-      return true;
+      // 重新連接前先釋放舊的連接器
+      await this.releaseConnector(botId);
+
+      const connector = new WhatsAppBotConnector({ ...bot, id: botId }, {
+        onMessage: (message) => this.handleIncomingMessage(botId, message)
+      });
+      const status = await connector.connect();
+      this.connectors.set(botId, connector);
+
+      this.logger.info(`WhatsApp機械人連接器已啟動: ${bot.name} (${status.mode}, ${status.status})`);
+      return status;
     } catch (error) {
       this.logger.error('WhatsApp機械人連接失敗:', error);
       throw error;
@@ -192,14 +202,20 @@ class BotManagerService {
 
   /**
    * 連接Telegram機械人
+   * config.receiveMode 為 webhook 時由 /bots/:id/telegram/webhook 接收更新，否則使用 long polling
    */
   async connectTelegramBot(botId, bot) {
     try {
-      // 這裡實現Telegram機械人的連接邏輯
-      this.logger.info(`Telegram機械人準備連接: ${bot.name}`);
-      
-      // 模擬連接成功
-      return true;
+      await this.releaseConnector(botId);
+
+      const connector = new TelegramBotConnector({ ...bot, id: botId }, {
+        onMessage: (message) => this.handleIncomingMessage(botId, message)
+      });
+      const status = await connector.connect();
+      this.connectors.set(botId, connector);
+
+      this.logger.info(`Telegram機械人連接器已啟動: ${bot.name} (${status.mode}, @${status.username})`);
+      return status;
     } catch (error) {
       this.logger.error('Telegram機械人連接失敗:', error);
       throw error;
@@ -257,20 +273,21 @@ class BotManagerService {
 
   /**
    * 發送WhatsApp消息
+   * @param {Object} options - { to, type, url, base64, mimetype, fileName }，未指定 to 時使用 config.defaultChatId
    */
-  async sendWhatsAppMessage(botId, message, options) {
+  async sendWhatsAppMessage(botId, message, options = {}) {
     try {
-      // 使用現有WhatsApp服務的適配器
-      const whatsappAdapter = this.container.getAdapter('WhatsAppServiceV2');
-      
-      // 由於適配器只能讀取，這裡模擬發送
-      this.logger.info(`WhatsApp消息準備發送: ${message.substring(0, 50)}...`);
-      
-      return {
-        success: true,
-        messageId: `msg_${Date.now()}`,
-        timestamp: new Date().toISOString()
-      };
+      const connector = this.connectors.get(botId);
+      if (!connector) {
+        throw new Error(`WhatsApp機械人未建立連接: ${botId}`);
+      }
+
+      const bot = this.bots.get(botId);
+      const to = options.to || options.chatId || bot.config.defaultChatId;
+      const result = await connector.sendMessage(to, message, options);
+
+      this.logger.info(`WhatsApp消息已發送: 機械人 ${botId} -> ${result.chatId} (${result.messageId})`);
+      return result;
     } catch (error) {
       this.logger.error('WhatsApp消息發送失敗:', error);
       throw error;
@@ -279,17 +296,21 @@ class BotManagerService {
 
   /**
    * 發送Telegram消息
+   * @param {Object} options - { to, type, url, base64, mimetype, fileName, replyTo }，未指定 to 時使用 config.chatId
    */
-  async sendTelegramMessage(botId, message, options) {
+  async sendTelegramMessage(botId, message, options = {}) {
     try {
-      // 這裡實現Telegram消息發送邏輯
-      this.logger.info(`Telegram消息準備發送: ${message.substring(0, 50)}...`);
-      
-      return {
-        success: true,
-        messageId: `tg_${Date.now()}`,
-        timestamp: new Date().toISOString()
-      };
+      const connector = this.connectors.get(botId);
+      if (!connector) {
+        throw new Error(`Telegram機械人未建立連接: ${botId}`);
+      }
+
+      const bot = this.bots.get(botId);
+      const to = options.to || options.chatId || bot.config.chatId;
+      const result = await connector.sendMessage(to, message, options);
+
+      this.logger.info(`Telegram消息已發送: 機械人 ${botId} -> ${result.chatId} (${result.messageId})`);
+      return result;
     } catch (error) {
       this.logger.error('Telegram消息發送失敗:', error);
       throw error;
@@ -315,6 +336,133 @@ class BotManagerService {
     }
   }
 
+  /**
+   * 斷開並移除機械人的連接器
+   * @param {number} botId - 機械人ID
+   */
+  async releaseConnector(botId) {
+    const connector = this.connectors.get(botId);
+    if (!connector) return;
+
+    this.connectors.delete(botId);
+    try {
+      await connector.disconnect();
+    } catch (error) {
+      this.logger.warn(`釋放機械人連接器失敗: ${botId} - ${error.message}`);
+    }
+  }
+
+  /**
+   * 找出工作流步驟應使用的機械人
+   * 優先使用觸發工作流的機械人（類型相符時），否則使用用戶第一個已啟用的同類型機械人
+   * @returns {number} 機械人ID
+   */
+  findActiveBot({ preferredId, type, userId, tenantId }) {
+    const candidates = Array.from(this.bots.entries()).filter(([, bot]) =>
+      bot.status === 'active' &&
+      bot.user_id === userId &&
+      bot.tenant_id === tenantId &&
+      (!type || bot.type === type)
+    );
+
+    const match = candidates.find(([id]) => id === preferredId) || candidates[0];
+    if (!match) {
+      throw new Error(`找不到已啟用的${type || ''}機械人`);
+    }
+    return match[0];
+  }
+
+  /**
+   * 處理機械人收到的消息
+   * 正在等待該聊天回覆的工作流步驟優先接收，否則轉交觸發器系統
+   * @param {number} botId - 機械人ID
+   * @param {Object} message - 連接器轉換後的消息
+   */
+  async handleIncomingMessage(botId, message) {
+    const bot = this.bots.get(botId);
+    if (!bot || bot.status !== 'active') {
+      return;
+    }
+
+    const workflowEngine = this.container.resolve('workflowEngine');
+    if (workflowEngine.deliverReply(botId, message)) {
+      return;
+    }
+
+    const data = {
+      userId: bot.user_id,
+      tenantId: bot.tenant_id,
+      botId,
+      platform: message.platform,
+      messageId: message.messageId,
+      chatId: message.chatId,
+      phoneNumber: message.phoneNumber,
+      senderName: message.senderName,
+      message: message.text
+    };
+
+    let triggerType = 'text';
+    if (message.media) {
+      data.imageType = message.media.mimetype;
+      data.imageSize = message.media.size;
+      data.imageContent = message.media.data;
+      data.fileName = message.media.fileName;
+      if (message.media.type === 'image') {
+        triggerType = 'image';
+      }
+    }
+
+    const triggerSystem = this.container.resolve('triggerSystem');
+    await triggerSystem.processTrigger(triggerType, data);
+  }
+
+  /**
+   * 處理 Telegram webhook 推送的更新
+   * @param {number} botId - 機械人ID
+   * @param {Object} update - Telegram Update 物件
+   * @param {string} secret - X-Telegram-Bot-Api-Secret-Token 標頭
+   * @returns {boolean} 是否接受該更新
+   */
+  async handleTelegramWebhook(botId, update, secret) {
+    const connector = this.connectors.get(botId);
+    if (!(connector instanceof TelegramBotConnector) || connector.mode !== 'webhook') {
+      throw new Error(`Telegram機械人未以 webhook 模式連接: ${botId}`);
+    }
+    if (!connector.verifyWebhookSecret(secret)) {
+      return false;
+    }
+
+    // 立即回應 Telegram，背景處理消息
+    connector.handleUpdate(update).catch(error => {
+      this.logger.error(`處理 Telegram webhook 更新失敗: ${botId}`, error);
+    });
+    return true;
+  }
+
+  /**
+   * 獲取機械人的連接狀態
+   * @param {number} botId - 機械人ID
+   * @returns {Object|null}
+   */
+  getConnectionStatus(botId) {
+    const connector = this.connectors.get(botId);
+    return connector ? connector.getStatus() : null;
+  }
+
+  /**
+   * 查詢已發送消息的送達狀態
+   * @param {number} botId - 機械人ID
+   * @param {string} messageId - 消息ID
+   * @returns {Object|null}
+   */
+  getMessageStatus(botId, messageId) {
+    const connector = this.connectors.get(botId);
+    if (!connector || typeof connector.getMessageStatus !== 'function') {
+      return null;
+    }
+    return connector.getMessageStatus(messageId);
+  }
+
   /**
    * 更新機械人狀態
    */
@@ -467,9 +615,8 @@ class BotManagerService {
    */
   async disconnectWhatsAppBot(botId, bot) {
     try {
+      await this.releaseConnector(botId);
       this.logger.info(`WhatsApp機械人斷開連接: ${bot.name}`);
-      // 這裡實現WhatsApp機械人的斷開邏輯
-      // 由於是適配器模式，只能執行安全的斷開操作
       return true;
     } catch (error) {
       this.logger.error('WhatsApp機械人斷開失敗:', error);
@@ -482,8 +629,8 @@ class BotManagerService {
    */
   async disconnectTelegramBot(botId, bot) {
     try {
+      await this.releaseConnector(botId);
       this.logger.info(`Telegram機械人斷開連接: ${bot.name}`);
-      // 這裡實現Telegram機械人的斷開邏輯
       return true;
     } catch (error) {
       this.logger.error('Telegram機械人斷開失敗:', error);
@@ -548,6 +695,17 @@ class BotManagerService {
     }
   }
 
+  /**
+   * 驗證共用模式綁定的主系統用戶
+   * 機械人以租戶擁有者的用戶ID保存，只能綁定所屬租戶的 WhatsApp 會話
+   */
+  validateLinkedUser(config, userId, tenantId) {
+    const linkedUserId = config && config.linkedUserId;
+    if (linkedUserId && ![userId, tenantId].map(String).includes(String(linkedUserId))) {
+      throw new Error('只能綁定所屬租戶的 WhatsApp 會話');
+    }
+  }
+
   /**
    * 獲取機械人列表
    * @param {string} userId - 用戶ID
@@ -585,6 +743,7 @@ class BotManagerService {
         service: 'BotManagerService',
         botsCount: this.bots.size,
         activeBotsCount: activeBots.length,
+        connectorsCount: this.connectors.size,
         isInitialized: this.isInitialized,
         timestamp: new Date().toISOString()
       };
@@ -603,6 +762,9 @@ class BotManagerService {
    */
   async cleanup() {
     try {
+      for (const botId of Array.from(this.connectors.keys())) {
+        await this.releaseConnector(botId);
+      }
       this.bots.clear();
       this.isInitialized = false;
       this.logger.info('機械人管理器清理完成');
@@ -0,0 +1,356 @@
+/**
+ * 定時觸發器排程器
+ * 按 cron 表達式及租戶時區觸發 schedule 類型的觸發器（config.cron）
+ *
+ * 每個觸發器的下次執行時間保存在 trigger_schedules。觸發前以條件更新搶佔該次執行，
+ * 多個實例共用數據庫時只有成功更新的實例會觸發；執行期間持有鎖，避免同一觸發器重疊執行。
+ * 停機期間錯過的執行按 catchUp 策略補執行
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { businessLogger } = require('../../utils/logger');
+const config = require('../config');
+const cron = require('../core/CronExpression');
+
+class TriggerScheduler {
+  /**
+   * @param {TriggerSystem} triggerSystem - 觸發器系統（提供 triggers 及 executeTrigger）
+   * @param {WorkflowServiceContainer} container - 服務容器
+   */
+  constructor(triggerSystem, container) {
+    this.triggerSystem = triggerSystem;
+    this.container = container;
+    this.logger = businessLogger;
+    this.settings = config.scheduler;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.timer = null;
+    this.ticking = null;
+    this.running = new Set();
+    this.tenantTimezones = new Map();
+    this.lastTickAt = null;
+  }
+
+  /**
+   * 建立排程表並開始定時檢查；啟動時立即處理停機期間錯過的執行
+   */
+  async start() {
+    await this.initializeDatabase();
+
+    if (!this.settings.enabled) {
+      this.logger.info('定時觸發器排程已停用');
+      return;
+    }
+
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.settings.tickInterval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(`定時觸發器排程已啟動 (實例: ${this.instanceId})`);
+  }
+
+  /**
+   * 停止排程；執行中的工作流不會被中斷，其鎖會在完成或超時後釋放
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.ticking) {
+      await this.ticking;
+    }
+  }
+
+  async initializeDatabase() {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const createTablesSQL = [
+      // 時間欄位為毫秒時間戳，方便比較及跨時區計算
+      `CREATE TABLE IF NOT EXISTS trigger_schedules (
+        trigger_id INTEGER PRIMARY KEY,
+        next_run_at INTEGER,
+        last_run_at INTEGER,
+        last_status TEXT,
+        locked_by TEXT,
+        locked_until INTEGER,
+        updated_at INTEGER,
+        FOREIGN KEY (trigger_id) REFERENCES triggers (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tenant_settings (
+        tenant_id TEXT PRIMARY KEY,
+        timezone TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ];
+
+    for (const sql of createTablesSQL) {
+      await dbAdapter.safeRead('query', sql);
+    }
+  }
+
+  /**
+   * 檢查並觸發到期的觸發器（同一時間只有一個檢查在進行）
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.runDueTriggers()
+        .catch(error => this.logger.error('定時觸發器檢查失敗:', error))
+        .finally(() => {
+          this.ticking = null;
+        });
+    }
+    return this.ticking;
+  }
+
+  async runDueTriggers() {
+    const now = Date.now();
+    this.lastTickAt = now;
+
+    for (const trigger of this.getScheduledTriggers()) {
+      try {
+        await this.processTrigger(trigger, now);
+      } catch (error) {
+        this.logger.error(`處理定時觸發器失敗: ${trigger.name} (ID: ${trigger.id})`, error);
+      }
+    }
+  }
+
+  getScheduledTriggers() {
+    return Array.from(this.triggerSystem.triggers.values()).filter(trigger =>
+      trigger.type === 'schedule' &&
+      trigger.status === 'active' &&
+      trigger.config &&
+      trigger.config.cron
+    );
+  }
+
+  /**
+   * 處理單個觸發器：計算到期（包括錯過）的執行，搶佔後觸發
+   */
+  async processTrigger(trigger, now) {
+    const timezone = await this.getTimezone(trigger);
+    const state = await this.getState(trigger.id);
+
+    if (!state || !state.next_run_at) {
+      // 新觸發器從現在開始計算，不補執行
+      await this.reschedule(trigger.id, now);
+      return;
+    }
+    if (state.next_run_at > now) {
+      return;
+    }
+
+    const schedule = cron.parse(trigger.config.cron);
+    const due = [state.next_run_at];
+    let next = cron.nextRun(schedule, state.next_run_at, timezone);
+    while (next && next.getTime() <= now && due.length < 1000) {
+      due.push(next.getTime());
+      next = cron.nextRun(schedule, next, timezone);
+    }
+    if (next && next.getTime() <= now) {
+      next = cron.nextRun(schedule, now, timezone);
+    }
+
+    const runs = this.selectRuns(trigger, due, now);
+    const claimed = await this.claim(trigger.id, state.next_run_at, next ? next.getTime() : null, now);
+    if (!claimed) {
+      // 其他實例已觸發，或上一次執行仍未完成
+      return;
+    }
+
+    if (due.length > runs.length) {
+      this.logger.warn(`定時觸發器 ${trigger.name} 錯過 ${due.length} 次執行，補執行 ${runs.length} 次`);
+    }
+    if (runs.length === 0) {
+      await this.release(trigger.id, null, 'skipped');
+      return;
+    }
+
+    const run = this.execute(trigger, runs, timezone, now);
+    this.running.add(run);
+    run.finally(() => this.running.delete(run));
+  }
+
+  /**
+   * 按 catchUp 策略選出要執行的時間
+   * 在一個檢查週期內的視為準時，其餘視為錯過
+   */
+  selectRuns(trigger, due, now) {
+    const policy = trigger.config.catchUp || this.settings.catchUp;
+    const onTime = due.filter(time => now - time <= this.settings.tickInterval * 2);
+    if (policy === 'none') {
+      return onTime.slice(-1);
+    }
+
+    const recent = due.filter(time => now - time <= this.settings.catchUpWindow);
+    if (policy === 'all') {
+      return recent.slice(-this.settings.maxCatchUpRuns);
+    }
+    return recent.slice(-1);
+  }
+
+  async execute(trigger, runs, timezone, now) {
+    let status = 'completed';
+    try {
+      for (const scheduledAt of runs) {
+        const local = cron.getZonedParts(new Date(scheduledAt), timezone);
+        const data = {
+          ...(trigger.config.input || {}),
+          userId: trigger.user_id,
+          tenantId: trigger.tenant_id,
+          triggerType: 'schedule',
+          scheduledAt: new Date(scheduledAt).toISOString(),
+          scheduledLocalTime: `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')} ` +
+            `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+          timezone,
+          isCatchUp: now - scheduledAt > this.settings.tickInterval * 2
+        };
+
+        this.logger.info(`定時觸發器觸發: ${trigger.name} (${data.scheduledLocalTime} ${timezone})`);
+        const success = await this.triggerSystem.executeTrigger(trigger, data);
+        if (!success) {
+          status = 'failed';
+        }
+      }
+    } catch (error) {
+      status = 'failed';
+      this.logger.error(`定時觸發器執行失敗: ${trigger.name}`, error);
+    } finally {
+      await this.release(trigger.id, runs[runs.length - 1], status).catch(error =>
+        this.logger.error(`釋放定時觸發器鎖失敗: ${trigger.id}`, error)
+      );
+    }
+  }
+
+  /**
+   * 搶佔一次執行：只有 next_run_at 未被其他實例更新且未被鎖定時才成功
+   * @returns {boolean}
+   */
+  async claim(triggerId, expectedNextRun, nextRunAt, now) {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const result = await dbAdapter.safeRead('run', `
+      UPDATE trigger_schedules
+      SET next_run_at = ?, locked_by = ?, locked_until = ?, updated_at = ?
+      WHERE trigger_id = ? AND next_run_at = ? AND (locked_until IS NULL OR locked_until < ?)
+    `, [nextRunAt, this.instanceId, now + this.settings.lockTimeout, now, triggerId, expectedNextRun, now]);
+
+    return Boolean(result && result.changes === 1);
+  }
+
+  async release(triggerId, lastRunAt, status) {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    await dbAdapter.safeRead('run', `
+      UPDATE trigger_schedules
+      SET locked_by = NULL, locked_until = NULL, last_run_at = COALESCE(?, last_run_at), last_status = ?, updated_at = ?
+      WHERE trigger_id = ? AND locked_by = ?
+    `, [lastRunAt, status, Date.now(), triggerId, this.instanceId]);
+  }
+
+  async getState(triggerId) {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    return dbAdapter.safeRead('get', 'SELECT * FROM trigger_schedules WHERE trigger_id = ?', [triggerId]);
+  }
+
+  /**
+   * 從現在重新計算下次執行時間（觸發器新建、修改或時區改變時）
+   * 觸發器已刪除或不再是 cron 觸發器時移除排程
+   * @param {number} triggerId - 觸發器ID
+   * @param {number} now - 計算起點
+   */
+  async reschedule(triggerId, now = Date.now()) {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const trigger = this.triggerSystem.triggers.get(triggerId);
+
+    if (!trigger || trigger.type !== 'schedule' || trigger.status !== 'active' || !trigger.config || !trigger.config.cron) {
+      await dbAdapter.safeRead('run', 'DELETE FROM trigger_schedules WHERE trigger_id = ?', [triggerId]);
+      return null;
+    }
+
+    const next = cron.nextRun(trigger.config.cron, now, await this.getTimezone(trigger));
+    const nextRunAt = next ? next.getTime() : null;
+    await dbAdapter.safeRead('run', `
+      INSERT INTO trigger_schedules (trigger_id, next_run_at, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(trigger_id) DO UPDATE SET next_run_at = excluded.next_run_at, updated_at = excluded.updated_at
+    `, [triggerId, nextRunAt, now]);
+
+    return nextRunAt;
+  }
+
+  /**
+   * 觸發器使用的時區：觸發器配置 > 租戶設置 > 系統默認
+   */
+  async getTimezone(trigger) {
+    if (trigger.config && trigger.config.timezone) {
+      return trigger.config.timezone;
+    }
+    return this.getTenantTimezone(trigger.tenant_id);
+  }
+
+  async getTenantTimezone(tenantId) {
+    if (!this.tenantTimezones.has(tenantId)) {
+      const dbAdapter = this.container.getAdapter('databaseService');
+      const row = await dbAdapter.safeRead('get', 'SELECT timezone FROM tenant_settings WHERE tenant_id = ?', [tenantId]);
+      this.tenantTimezones.set(tenantId, row && row.timezone ? row.timezone : null);
+    }
+    return this.tenantTimezones.get(tenantId) || this.settings.defaultTimezone;
+  }
+
+  /**
+   * 設置租戶時區，並重新計算該租戶未指定時區的觸發器
+   * @param {string} tenantId - 租戶ID
+   * @param {string} timezone - IANA 時區，例如 Asia/Hong_Kong
+   */
+  async setTenantTimezone(tenantId, timezone) {
+    if (!cron.isValidTimeZone(timezone)) {
+      throw new Error(`無效的時區: ${timezone}`);
+    }
+
+    const dbAdapter = this.container.getAdapter('databaseService');
+    await dbAdapter.safeRead('run', `
+      INSERT INTO tenant_settings (tenant_id, timezone, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(tenant_id) DO UPDATE SET timezone = excluded.timezone, updated_at = CURRENT_TIMESTAMP
+    `, [tenantId, timezone]);
+    this.tenantTimezones.set(tenantId, timezone);
+
+    for (const trigger of this.getScheduledTriggers()) {
+      if (trigger.tenant_id === tenantId && !trigger.config.timezone) {
+        await this.reschedule(trigger.id);
+      }
+    }
+  }
+
+  /**
+   * 獲取觸發器的排程狀態及接下來的執行時間
+   */
+  async getScheduleStatus(trigger, count = 5) {
+    const timezone = await this.getTimezone(trigger);
+    const state = await this.getState(trigger.id);
+    const toISO = (time) => (time ? new Date(time).toISOString() : null);
+
+    return {
+      cron: trigger.config.cron,
+      timezone,
+      catchUp: trigger.config.catchUp || this.settings.catchUp,
+      nextRunAt: toISO(state && state.next_run_at),
+      lastRunAt: toISO(state && state.last_run_at),
+      lastStatus: state ? state.last_status : null,
+      running: Boolean(state && state.locked_until && state.locked_until > Date.now()),
+      upcoming: cron.nextRuns(trigger.config.cron, Date.now(), timezone, count).map(date => date.toISOString())
+    };
+  }
+
+  getHealth() {
+    return {
+      enabled: this.settings.enabled,
+      instanceId: this.instanceId,
+      scheduledTriggers: this.getScheduledTriggers().length,
+      runningCount: this.running.size,
+      lastTickAt: this.lastTickAt ? new Date(this.lastTickAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = TriggerScheduler;
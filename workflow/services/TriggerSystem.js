@@ -6,6 +6,11 @@
 const { businessLogger } = require('../../utils/logger');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const cron = require('../core/CronExpression');
+const { evaluate, validate: validateExpression } = require('../core/ExpressionEvaluator');
+const config = require('../config');
+const TriggerScheduler = require('./TriggerScheduler');
 
 class TriggerSystem {
   constructor(container) {
@@ -14,6 +19,7 @@ class TriggerSystem {
     this.triggers = new Map();
     this.activeTriggers = new Map();
     this.triggerHandlers = new Map();
+    this.scheduler = null;
     this.isInitialized = false;
     
     // 初始化觸發器處理器
@@ -85,6 +91,14 @@ class TriggerSystem {
         tenant_id: { type: 'TEXT', notNull: true }
       });
       
+      // 已使用的 webhook 簽名（防止重放），過期後刪除
+      await dbService.run(`CREATE TABLE IF NOT EXISTS webhook_signatures (
+        trigger_id INTEGER NOT NULL,
+        signature TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (trigger_id, signature)
+      )`);
+
       this.logger.info('觸發器數據庫表創建完成');
     } catch (error) {
       this.logger.error('初始化觸發器數據庫失敗:', error);
@@ -110,6 +124,9 @@ class TriggerSystem {
     
     // 智能路由觸發器
     this.triggerHandlers.set('smart_routing', this.handleSmartRoutingTrigger.bind(this));
+
+    // Webhook 觸發器
+    this.triggerHandlers.set('webhook', this.handleWebhookTrigger.bind(this));
   }
 
   /**
@@ -215,6 +232,11 @@ class TriggerSystem {
     try {
       // 簡化版觸發器監聽 - 暫時不依賴事件總線
       // TODO: 當事件總線服務準備好後，再恢復完整的事件監聽
+
+      // 定時觸發器由排程器按 cron 表達式主動觸發
+      this.scheduler = new TriggerScheduler(this, this.container);
+      await this.scheduler.start();
+
       this.logger.info('觸發器監聽啟動完成 (簡化版)');
     } catch (error) {
       this.logger.error('啟動觸發器監聽失敗:', error);
@@ -301,14 +323,17 @@ class TriggerSystem {
    * 執行觸發器
    * @param {Object} trigger - 觸發器對象
    * @param {Object} data - 觸發數據
+   * @param {number} executionId - 已創建的執行記錄ID（可選）
+   * @returns {boolean} - 工作流是否執行成功
    */
-  async executeTrigger(trigger, data) {
-    let executionId = null;
+  async executeTrigger(trigger, data, executionId = null) {
     try {
       const { userId, tenantId } = data;
       
       // 記錄觸發器執行
-      executionId = await this.createTriggerExecution(trigger, data);
+      if (!executionId) {
+        executionId = await this.createTriggerExecution(trigger, data);
+      }
       
       // 獲取工作流引擎
       const workflowEngine = this.container.getService('workflowEngine');
@@ -325,11 +350,13 @@ class TriggerSystem {
       await this.updateTriggerExecution(executionId, 'completed', result);
       
       this.logger.info(`觸發器執行成功: ${trigger.name} (ID: ${trigger.id})`);
+      return true;
     } catch (error) {
       this.logger.error(`觸發器執行失敗: ${trigger.name}`, error);
       if (executionId) {
         await this.updateTriggerExecution(executionId, 'failed', null, error.message);
       }
+      return false;
     }
   }
 
@@ -491,6 +518,11 @@ class TriggerSystem {
       const { config } = trigger;
       const now = new Date();
 
+      // 設置了 cron 的觸發器由排程器觸發，不由其他事件觸發
+      if (config.cron) {
+        return false;
+      }
+
       // 檢查時間範圍
       if (config.timeRange) {
         const { start, end } = config.timeRange;
@@ -581,6 +613,285 @@ class TriggerSystem {
     }
   }
 
+  /**
+   * Webhook 觸發器處理器
+   * @param {Object} trigger - 觸發器配置
+   * @param {Object} data - 觸發數據
+   * @returns {boolean} - 是否匹配
+   */
+  async handleWebhookTrigger(trigger, data) {
+    // Webhook 觸發器只由其專屬 URL 觸發（見 handleWebhook）
+    return false;
+  }
+
+  /**
+   * 處理 webhook 請求：驗證簽名或 token，映射 payload 後執行工作流
+   * 每次請求（包括被拒絕的）都會記錄在 trigger_executions
+   * @param {string} webhookKey - URL 中的觸發器密鑰
+   * @param {Object} request - { body, rawBody, query, headers, ip }
+   * @returns {Object} - { status, body } HTTP 回應
+   */
+  async handleWebhook(webhookKey, request) {
+    const trigger = this.findWebhookTrigger(webhookKey);
+    if (!trigger) {
+      return { status: 404, body: { success: false, message: 'Webhook 不存在' } };
+    }
+
+    const webhook = {
+      receivedAt: new Date().toISOString(),
+      ip: request.ip || null
+    };
+    const baseData = {
+      userId: trigger.user_id,
+      tenantId: trigger.tenant_id,
+      triggerType: 'webhook',
+      webhook
+    };
+
+    const verification = this.verifyWebhookRequest(trigger, request);
+    if (verification.valid && verification.signature &&
+        !(await this.claimWebhookSignature(trigger, verification.signature, verification.expiresAt))) {
+      verification.valid = false;
+      verification.error = '重複的請求（簽名已使用）';
+    }
+    if (!verification.valid) {
+      this.logger.warn(`Webhook 驗證失敗: ${trigger.name} (ID: ${trigger.id}) - ${verification.error}`, { ip: webhook.ip });
+      await this.recordRejectedWebhook(trigger, { ...baseData, payload: request.body }, verification.error);
+      return { status: 401, body: { success: false, message: verification.error } };
+    }
+
+    let input;
+    try {
+      input = this.mapWebhookPayload(trigger.config, request);
+    } catch (error) {
+      await this.recordRejectedWebhook(trigger, { ...baseData, payload: request.body }, error.message);
+      return { status: 400, body: { success: false, message: error.message } };
+    }
+
+    const data = { ...input, ...baseData };
+    const executionId = await this.createTriggerExecution(trigger, data);
+
+    // 調用方只需要知道請求已被接收，工作流在背景執行
+    this.executeTrigger(trigger, data, executionId).catch(error => {
+      this.logger.error(`Webhook 觸發器執行失敗: ${trigger.name}`, error);
+    });
+
+    this.logger.info(`Webhook 觸發器已接收: ${trigger.name} (ID: ${trigger.id})`);
+    return {
+      status: 202,
+      body: { success: true, message: '請求已接收', data: { executionId } }
+    };
+  }
+
+  /**
+   * 按 URL 密鑰查找啟用中的 webhook 觸發器
+   * @param {string} webhookKey - URL 中的觸發器密鑰
+   * @returns {Object|null} - 觸發器
+   */
+  findWebhookTrigger(webhookKey) {
+    if (!webhookKey || typeof webhookKey !== 'string') {
+      return null;
+    }
+    for (const trigger of this.triggers.values()) {
+      if (trigger.type === 'webhook' &&
+          trigger.status !== 'inactive' &&
+          trigger.config.webhookKey &&
+          this.safeEqual(trigger.config.webhookKey, webhookKey)) {
+        return trigger;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 驗證 webhook 請求
+   * hmac：X-Webhook-Signature = sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${原始請求內容}`)，時間戳為 Unix 秒
+   *       同一簽名只接受一次（見 claimWebhookSignature）
+   * token：X-Webhook-Token 或 Authorization: Bearer（不接受查詢字串，避免 token 出現在訪問日誌）
+   * @param {Object} trigger - 觸發器
+   * @param {Object} request - 請求
+   * @returns {Object} - { valid, error, signature, expiresAt }，signature 及 expiresAt 只在 hmac 驗證通過時返回
+   */
+  verifyWebhookRequest(trigger, request) {
+    const { auth = 'hmac', secret } = trigger.config;
+    const headers = request.headers || {};
+
+    if (!secret) {
+      return { valid: false, error: 'Webhook 未設置密鑰' };
+    }
+
+    if (auth === 'token') {
+      const bearer = String(headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const token = headers['x-webhook-token'] || bearer;
+      return this.safeEqual(token, secret)
+        ? { valid: true, error: null }
+        : { valid: false, error: 'Token 無效' };
+    }
+
+    const timestamp = headers['x-webhook-timestamp'];
+    const signature = String(headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+    if (!timestamp || !signature) {
+      return { valid: false, error: '缺少簽名或時間戳' };
+    }
+
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds) ||
+        Math.abs(Date.now() - seconds * 1000) > config.webhooks.timestampTolerance) {
+      return { valid: false, error: '時間戳無效或已過期' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(request.rawBody || '')
+      .digest('hex');
+
+    return this.safeEqual(signature.toLowerCase(), expected)
+      ? { valid: true, error: null, signature: expected, expiresAt: seconds * 1000 + config.webhooks.timestampTolerance }
+      : { valid: false, error: '簽名無效' };
+  }
+
+  /**
+   * 記錄已使用的簽名，時間戳過期前重複的簽名視為重放
+   * @param {Object} trigger - 觸發器
+   * @param {string} signature - 簽名
+   * @param {number} expiresAt - 時間戳過期的時間（毫秒）
+   * @returns {boolean} - 是否首次使用
+   */
+  async claimWebhookSignature(trigger, signature, expiresAt) {
+    const dbService = this.container.getService('databaseService');
+    await dbService.run('DELETE FROM webhook_signatures WHERE expires_at < ?', [Date.now()]);
+    const result = await dbService.run(
+      'INSERT OR IGNORE INTO webhook_signatures (trigger_id, signature, expires_at) VALUES (?, ?, ?)',
+      [trigger.id, signature, expiresAt]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * 以固定時間比較字符串，避免通過響應時間猜測密鑰
+   */
+  safeEqual(actual, expected) {
+    if (typeof actual !== 'string' || typeof expected !== 'string') {
+      return false;
+    }
+    const actualBuffer = Buffer.from(actual);
+    const expectedBuffer = Buffer.from(expected);
+    return actualBuffer.length === expectedBuffer.length &&
+      crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+  }
+
+  /**
+   * 將 webhook payload 映射為工作流輸入
+   * mapping 為 { 欄位: 表達式 }，表達式可使用 body、query、headers，例如 { amount: 'body.invoice.total' }
+   * 未設置 mapping 時直接使用請求內容
+   * @param {Object} triggerConfig - 觸發器配置
+   * @param {Object} request - 請求
+   * @returns {Object} - 工作流輸入
+   */
+  mapWebhookPayload(triggerConfig, request) {
+    const { mapping, required = [] } = triggerConfig;
+    const body = request.body === undefined ? {} : request.body;
+
+    let input;
+    if (mapping && Object.keys(mapping).length > 0) {
+      const source = { body, query: request.query || {}, headers: request.headers || {} };
+      input = {};
+      for (const [field, expression] of Object.entries(mapping)) {
+        input[field] = evaluate(expression, source);
+      }
+    } else if (body && typeof body === 'object' && !Array.isArray(body)) {
+      input = { ...body };
+    } else {
+      input = { payload: body };
+    }
+
+    const missing = required.filter(field => input[field] === undefined || input[field] === null || input[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`缺少必要欄位: ${missing.join(', ')}`);
+    }
+
+    return input;
+  }
+
+  /**
+   * 記錄被拒絕的 webhook 請求
+   */
+  async recordRejectedWebhook(trigger, data, reason) {
+    try {
+      const dbService = this.container.getService('databaseService');
+      await dbService.insert('trigger_executions', {
+        trigger_id: trigger.id,
+        workflow_id: trigger.workflow_id,
+        input_data: JSON.stringify(data),
+        status: 'rejected',
+        error: reason,
+        completed_at: new Date().toISOString(),
+        user_id: trigger.user_id,
+        tenant_id: trigger.tenant_id
+      });
+    } catch (error) {
+      this.logger.error(`記錄被拒絕的 webhook 請求失敗 (ID: ${trigger.id}):`, error);
+    }
+  }
+
+  /**
+   * 補全 webhook 觸發器的 URL 密鑰及驗證密鑰
+   * @param {Object} triggerConfig - 觸發器配置
+   * @returns {Object} - 新的觸發器配置
+   */
+  prepareWebhookConfig(triggerConfig) {
+    return {
+      ...triggerConfig,
+      auth: triggerConfig.auth || 'hmac',
+      webhookKey: triggerConfig.webhookKey || crypto.randomBytes(18).toString('base64url'),
+      secret: triggerConfig.secret || crypto.randomBytes(32).toString('hex')
+    };
+  }
+
+  /**
+   * 獲取 webhook 觸發器的 URL
+   * @param {Object} trigger - 觸發器
+   * @returns {string} - URL
+   */
+  getWebhookUrl(trigger) {
+    return `${config.webhooks.publicBaseUrl}/workflow/api/triggers/hooks/${trigger.config.webhookKey}`;
+  }
+
+  /**
+   * 重新生成 webhook 驗證密鑰（舊密鑰立即失效）
+   * @param {number} triggerId - 觸發器ID
+   * @param {string} userId - 用戶ID
+   * @param {string} tenantId - 租戶ID
+   * @returns {Object|null} - { url, secret }，觸發器不存在時返回 null
+   */
+  async rotateWebhookSecret(triggerId, userId, tenantId) {
+    const dbService = this.container.getService('databaseService');
+    const [trigger] = await dbService.query(
+      'SELECT * FROM triggers WHERE id = ? AND type = ? AND user_id = ? AND tenant_id = ?',
+      [triggerId, 'webhook', userId, tenantId]
+    );
+    if (!trigger) {
+      return null;
+    }
+
+    const triggerConfig = {
+      ...JSON.parse(trigger.config),
+      secret: crypto.randomBytes(32).toString('hex')
+    };
+    await dbService.update('triggers', { id: triggerId }, {
+      config: JSON.stringify(triggerConfig),
+      updated_at: new Date().toISOString()
+    });
+    await this.reloadTrigger(triggerId);
+
+    this.logger.info(`Webhook 密鑰已更新 (ID: ${triggerId})`);
+    return {
+      url: this.getWebhookUrl({ config: triggerConfig }),
+      secret: triggerConfig.secret
+    };
+  }
+
   /**
    * 創建觸發器執行記錄
    * @param {Object} trigger - 觸發器對象
@@ -639,10 +950,15 @@ class TriggerSystem {
    */
   async createTrigger(triggerData, userId, tenantId) {
     try {
-      const { name, type, config, workflowId } = triggerData;
+      const { name, type, workflowId } = triggerData;
 
       // 驗證觸發器數據
       this.validateTriggerData(triggerData);
+      await this.assertWorkflowOwnership(workflowId, userId, tenantId);
+
+      const config = type === 'webhook'
+        ? this.prepareWebhookConfig(triggerData.config)
+        : triggerData.config;
 
       // 使用數據庫服務而不是適配器
       const dbService = this.container.getService('databaseService');
@@ -669,8 +985,14 @@ class TriggerSystem {
       };
 
       this.triggers.set(triggerId, trigger);
+      if (type === 'schedule' && this.scheduler) {
+        await this.scheduler.reschedule(triggerId);
+      }
 
       this.logger.info(`創建觸發器成功: ${name} (ID: ${triggerId})`);
+      if (type === 'webhook') {
+        return { ...trigger, webhookUrl: this.getWebhookUrl(trigger) };
+      }
       return trigger;
     } catch (error) {
       this.logger.error('創建觸發器失敗:', error);
@@ -678,6 +1000,23 @@ class TriggerSystem {
     }
   }
 
+  /**
+   * 確認工作流屬於同一用戶及租戶，避免以觸發器執行其他租戶的工作流
+   * @param {number} workflowId - 工作流ID
+   * @param {string} userId - 用戶ID
+   * @param {string} tenantId - 租戶ID
+   */
+  async assertWorkflowOwnership(workflowId, userId, tenantId) {
+    const dbService = this.container.getService('databaseService');
+    const [workflow] = await dbService.query(
+      'SELECT id FROM workflows WHERE id = ? AND user_id = ? AND tenant_id = ?',
+      [workflowId, userId, tenantId]
+    );
+    if (!workflow) {
+      throw new Error(`找不到工作流: ${workflowId}`);
+    }
+  }
+
   /**
    * 驗證觸發器數據
    * @param {Object} triggerData - 觸發器數據
@@ -704,6 +1043,82 @@ class TriggerSystem {
     if (!this.triggerHandlers.has(type)) {
       throw new Error(`不支持的觸發器類型: ${type}`);
     }
+
+    if (type === 'schedule' && config.cron) {
+      const validation = cron.validate(config.cron, config.timezone);
+      if (!validation.valid) {
+        throw new Error(`定時觸發器配置無效: ${validation.error}`);
+      }
+      if (config.catchUp && !['none', 'once', 'all'].includes(config.catchUp)) {
+        throw new Error(`不支持的補執行策略: ${config.catchUp}`);
+      }
+    }
+
+    if (type === 'webhook') {
+      this.validateWebhookConfig(config);
+    }
+  }
+
+  /**
+   * 驗證 webhook 觸發器配置
+   * @param {Object} webhookConfig - 觸發器配置
+   */
+  validateWebhookConfig(webhookConfig) {
+    const { auth, secret, mapping, required } = webhookConfig;
+
+    if (auth && !['hmac', 'token'].includes(auth)) {
+      throw new Error(`不支持的 webhook 驗證方式: ${auth}`);
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new Error('Webhook 密鑰至少需要16個字符');
+    }
+
+    if (mapping !== undefined) {
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Webhook 映射必須是對象');
+      }
+      for (const [field, expression] of Object.entries(mapping)) {
+        if (field.startsWith('__') || field.startsWith('$') || field === 'constructor' || field === 'prototype') {
+          throw new Error(`不安全的映射欄位名稱: ${field}`);
+        }
+        const validation = validateExpression(expression);
+        if (!validation.valid) {
+          throw new Error(`Webhook 映射 ${field} 的表達式無效: ${validation.error}`);
+        }
+      }
+    }
+
+    if (required !== undefined && (!Array.isArray(required) || required.some(field => typeof field !== 'string'))) {
+      throw new Error('Webhook 必要欄位必須是字符串數組');
+    }
+  }
+
+  /**
+   * 從數據庫重新載入觸發器（路由修改或刪除觸發器後調用），並更新排程
+   * @param {number} triggerId - 觸發器ID
+   */
+  async reloadTrigger(triggerId) {
+    try {
+      const dbService = this.container.getService('databaseService');
+      const [trigger] = await dbService.query('SELECT * FROM triggers WHERE id = ?', [triggerId]);
+
+      if (!trigger || trigger.status !== 'active') {
+        this.triggers.delete(triggerId);
+      } else {
+        this.triggers.set(triggerId, {
+          ...trigger,
+          config: JSON.parse(trigger.config)
+        });
+      }
+
+      if (this.scheduler) {
+        await this.scheduler.reschedule(triggerId);
+      }
+    } catch (error) {
+      this.logger.error(`重新載入觸發器失敗 (ID: ${triggerId}):`, error);
+      throw error;
+    }
   }
 
   /**
@@ -759,6 +1174,7 @@ class TriggerSystem {
         status: 'healthy',
         triggersCount: this.triggers.size,
         activeTriggersCount: this.activeTriggers.size,
+        scheduler: this.scheduler ? this.scheduler.getHealth() : null,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -775,7 +1191,11 @@ class TriggerSystem {
    */
   async cleanup() {
     try {
-      // 停止所有活動的觸發器
+      // 停止排程及所有活動的觸發器
+      if (this.scheduler) {
+        await this.scheduler.stop();
+        this.scheduler = null;
+      }
       this.activeTriggers.clear();
       
       // 清理觸發器集合
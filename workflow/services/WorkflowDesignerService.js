@@ -5,6 +5,8 @@
 
 const { businessLogger } = require('../../utils/logger');
 const config = require('../config');
+const expressionEvaluator = require('../core/ExpressionEvaluator');
+const SafeRegex = require('../core/SafeRegex');
 
 class WorkflowDesignerService {
   constructor(container) {
@@ -186,6 +188,88 @@ class WorkflowDesignerService {
               }
             }
           ]
+        },
+        {
+          id: 'expense-questions',
+          name: '費用對話問答',
+          description: '收到收據圖片後逐一詢問店鋪、金額及日期，取代固定的 customQuestions 對話',
+          category: 'expense',
+          steps: [
+            {
+              id: 'ask-shop',
+              type: 'wait_reply',
+              name: '詢問店鋪',
+              config: {
+                question: '請輸入店鋪名稱',
+                reminderAfter: 10 * 60 * 1000,
+                timeout: 60 * 60 * 1000
+              },
+              output: 'shop'
+            },
+            {
+              id: 'ask-amount',
+              type: 'wait_reply',
+              name: '詢問金額',
+              config: {
+                question: '請輸入金額',
+                validation: { type: 'number', min: 0 },
+                timeout: 60 * 60 * 1000
+              },
+              output: 'amount'
+            },
+            {
+              id: 'ask-date',
+              type: 'wait_reply',
+              name: '詢問日期',
+              config: {
+                question: '請輸入日期（YYYY-MM-DD，或回覆「今天」）',
+                validation: { type: 'date' },
+                timeout: 60 * 60 * 1000
+              },
+              output: 'date'
+            },
+            {
+              id: 'confirm',
+              type: 'wait_reply',
+              name: '確認記錄',
+              config: {
+                question: '店鋪：{{shop}}\n金額：{{amount}}\n日期：{{date}}\n確認記錄？（是/否）',
+                validation: { type: 'confirm' },
+                timeout: 60 * 60 * 1000,
+                onTimeout: 'default',
+                defaultValue: false
+              },
+              output: 'confirmed'
+            },
+            {
+              id: 'check-confirmed',
+              type: 'condition',
+              name: '是否確認',
+              config: {
+                condition: 'confirmed',
+                else: 'cancelled'
+              }
+            },
+            {
+              id: 'send-summary',
+              type: 'bot_action',
+              name: '發送確認',
+              config: {
+                botType: 'whatsapp',
+                message: '✅ 已記錄 {{shop}} {{amount}}'
+              },
+              next: 'end'
+            },
+            {
+              id: 'cancelled',
+              type: 'end',
+              name: '已取消',
+              config: {
+                status: 'cancelled',
+                message: '用戶取消記錄'
+              }
+            }
+          ]
         }
       ];
 
@@ -338,6 +422,13 @@ class WorkflowDesignerService {
         errors.push(`檢測到循環依賴: ${circularDependency}`);
       }
 
+      // 檢查跳轉目標及步驟ID
+      if (Array.isArray(workflowDesign.steps)) {
+        const controlFlow = this.validateControlFlow(workflowDesign.steps);
+        errors.push(...controlFlow.errors);
+        warnings.push(...controlFlow.warnings);
+      }
+
       return {
         isValid: errors.length === 0,
         errors,
@@ -373,7 +464,7 @@ class WorkflowDesignerService {
     }
 
     // 檢查步驟類型
-    const validTypes = ['ai_process', 'data_collect', 'condition', 'loop', 'bot_action', 'data_action'];
+    const validTypes = ['ai_process', 'data_collect', 'condition', 'loop', 'bot_action', 'data_action', 'goto', 'end', 'parallel', 'wait_reply', 'http_request', 'sheets_append'];
     if (step.type && !validTypes.includes(step.type)) {
       errors.push(`步驟 ${index + 1}: 不支援的類型 ${step.type}`);
     }
@@ -387,6 +478,95 @@ class WorkflowDesignerService {
       errors.push(`步驟 ${index + 1}: 機械人動作步驟缺少機械人類型`);
     }
 
+    if (step.type === 'condition') {
+      const validation = expressionEvaluator.validate(step.config && step.config.condition);
+      if (!validation.valid) {
+        errors.push(`步驟 ${index + 1}: 條件表達式無效 - ${validation.error}`);
+      }
+    }
+
+    if (step.type === 'goto' && (!step.config || !step.config.target)) {
+      errors.push(`步驟 ${index + 1}: 跳轉步驟缺少目標`);
+    }
+
+    if (step.type === 'end' && step.config && step.config.status &&
+        !['completed', 'cancelled', 'failed'].includes(step.config.status)) {
+      errors.push(`步驟 ${index + 1}: 不支援的結束狀態 ${step.config.status}`);
+    }
+
+    if (step.type === 'wait_reply') {
+      errors.push(...this.validateWaitReplyStep(step, index));
+    }
+
+    if (step.type === 'http_request') {
+      const stepConfig = step.config || {};
+      if (!stepConfig.url) {
+        errors.push(`步驟 ${index + 1}: HTTP請求步驟缺少URL`);
+      }
+      if (stepConfig.method && !['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(String(stepConfig.method).toUpperCase())) {
+        errors.push(`步驟 ${index + 1}: 不支援的HTTP方法 ${stepConfig.method}`);
+      }
+      for (const [field, expression] of Object.entries(stepConfig.response || {})) {
+        const validation = expressionEvaluator.validate(expression);
+        if (!validation.valid) {
+          errors.push(`步驟 ${index + 1}: 回應映射 ${field} 的表達式無效 - ${validation.error}`);
+        }
+      }
+    }
+
+    if (step.type === 'sheets_append') {
+      const stepConfig = step.config || {};
+      // 未填寫 sheetId 時寫入租戶設定的 Sheet；執行時只接受該 Sheet
+      if (!stepConfig.values || Object.keys(stepConfig.values).length === 0) {
+        errors.push(`步驟 ${index + 1}: Sheets寫入步驟缺少要寫入的欄位`);
+      }
+    }
+
+    if (step.retry) {
+      const { attempts, delay, maxDelay, backoff } = step.retry;
+      if (attempts !== undefined && (!Number.isInteger(attempts) || attempts < 0 || attempts > 10)) {
+        errors.push(`步驟 ${index + 1}: 重試次數必須是 0 至 10 的整數`);
+      }
+      if ([delay, maxDelay].some(value => value !== undefined && !(Number.isFinite(value) && value >= 0))) {
+        errors.push(`步驟 ${index + 1}: 重試等待時間必須是非負數（毫秒）`);
+      }
+      if (backoff && !['fixed', 'exponential'].includes(backoff)) {
+        errors.push(`步驟 ${index + 1}: 不支援的重試策略 ${backoff}`);
+      }
+    }
+
+    // 循環內的子步驟
+    const validateChildren = (childSteps, prefix) => {
+      childSteps.forEach((childStep, childIndex) => {
+        const childResult = this.validateStep(childStep, childIndex);
+        errors.push(...childResult.errors.map(error => `${prefix} > ${error}`));
+        warnings.push(...childResult.warnings.map(warning => `${prefix} > ${warning}`));
+      });
+    };
+
+    if (step.type === 'loop' && step.config && Array.isArray(step.config.steps)) {
+      validateChildren(step.config.steps, `步驟 ${index + 1}`);
+    }
+
+    // 並行分支
+    if (step.type === 'parallel') {
+      const branches = step.config && step.config.branches;
+      if (!Array.isArray(branches) || branches.length === 0) {
+        errors.push(`步驟 ${index + 1}: 並行步驟至少需要一個分支`);
+      } else {
+        branches.forEach((branch, branchIndex) => {
+          if (!branch.id) {
+            errors.push(`步驟 ${index + 1}: 分支 ${branchIndex + 1} 缺少ID`);
+          }
+          if (!Array.isArray(branch.steps) || branch.steps.length === 0) {
+            errors.push(`步驟 ${index + 1}: 分支 ${branch.id || branchIndex + 1} 沒有步驟`);
+            return;
+          }
+          validateChildren(branch.steps, `步驟 ${index + 1} 分支 ${branch.id || branchIndex + 1}`);
+        });
+      }
+    }
+
     return { errors, warnings };
   }
 
@@ -440,6 +620,218 @@ class WorkflowDesignerService {
     }
   }
 
+  /**
+   * 驗證等待回覆步驟的配置
+   * @returns {Array<string>} 錯誤列表
+   */
+  validateWaitReplyStep(step, index) {
+    const errors = [];
+    const stepConfig = step.config || {};
+    const validation = stepConfig.validation || {};
+    const validationTypes = ['text', 'number', 'choice', 'date', 'confirm', 'regex', 'image'];
+
+    if (!stepConfig.question) {
+      errors.push(`步驟 ${index + 1}: 等待回覆步驟缺少問題`);
+    }
+    if (!step.output) {
+      errors.push(`步驟 ${index + 1}: 等待回覆步驟缺少輸出欄位`);
+    }
+    if (validation.type && !validationTypes.includes(validation.type)) {
+      errors.push(`步驟 ${index + 1}: 不支援的回覆驗證類型 ${validation.type}`);
+    }
+    if (validation.type === 'choice' && (!Array.isArray(validation.options) || validation.options.length === 0)) {
+      errors.push(`步驟 ${index + 1}: 選項驗證需要至少一個選項`);
+    }
+    if (validation.type === 'regex') {
+      // 執行時以 SafeRegex 匹配，不支援反向引用及前後查找
+      const result = validation.pattern ? SafeRegex.validate(validation.pattern) : { error: '不能為空' };
+      if (result.error) {
+        errors.push(`步驟 ${index + 1}: 回覆驗證的正則表達式無效 - ${result.error}`);
+      }
+    }
+    if (stepConfig.onTimeout && !['fail', 'default'].includes(stepConfig.onTimeout)) {
+      errors.push(`步驟 ${index + 1}: 不支援的超時處理 ${stepConfig.onTimeout}`);
+    }
+    if (stepConfig.timeout && stepConfig.reminderAfter && stepConfig.reminderAfter >= stepConfig.timeout) {
+      errors.push(`步驟 ${index + 1}: 提醒時間必須早於超時時間`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 取得步驟的跳轉目標
+   * @param {Object} step - 步驟
+   * @returns {Array<Object>} [{ target, label }]
+   */
+  getJumpTargets(step) {
+    const targets = [];
+    const config = step.config || {};
+
+    if (step.type === 'condition') {
+      if (config.then) targets.push({ target: config.then, label: 'true' });
+      if (config.else) targets.push({ target: config.else, label: 'false' });
+    }
+    if (step.type === 'goto' && config.target) {
+      targets.push({ target: config.target, label: 'goto' });
+    }
+    if (step.next) {
+      targets.push({ target: step.next, label: 'next' });
+    }
+    return targets;
+  }
+
+  /**
+   * 檢查控制流程：步驟ID唯一、跳轉目標在同一層存在
+   * 跳轉只能在同一個步驟列表內（頂層、循環體或同一分支），'end' 表示結束該列表
+   * @param {Array} steps - 步驟列表
+   * @returns {Object} { errors, warnings }
+   */
+  validateControlFlow(steps) {
+    const errors = [];
+    const warnings = [];
+    const seenIds = new Set();
+
+    const checkScope = (scopeSteps, scopeName) => {
+      const ids = new Map(scopeSteps.map((step, index) => [step.id, index]));
+
+      scopeSteps.forEach((step, index) => {
+        if (!step || !step.id) return;
+
+        if (seenIds.has(step.id)) {
+          errors.push(`步驟ID重複: ${step.id}`);
+        }
+        seenIds.add(step.id);
+
+        for (const { target } of this.getJumpTargets(step)) {
+          if (target === 'end') continue;
+          if (!ids.has(target)) {
+            errors.push(`${scopeName}步驟 ${step.id} 的跳轉目標不存在: ${target}`);
+          } else if (ids.get(target) <= index) {
+            warnings.push(`${scopeName}步驟 ${step.id} 跳回 ${target} 會形成循環，執行時受步驟上限保護`);
+          }
+        }
+
+        const config = step.config || {};
+        if (step.type === 'loop' && Array.isArray(config.steps)) {
+          checkScope(config.steps, `循環 ${step.id} 內的`);
+        }
+        if (step.type === 'parallel' && Array.isArray(config.branches)) {
+          config.branches.forEach(branch => {
+            if (Array.isArray(branch.steps)) {
+              checkScope(branch.steps, `分支 ${branch.id} 內的`);
+            }
+          });
+        }
+      });
+    };
+
+    checkScope(steps, '');
+    return { errors, warnings };
+  }
+
+  /**
+   * 構建工作流流程圖
+   * @param {Array} steps - 步驟列表
+   * @returns {Object} { nodes, edges, mermaid }
+   */
+  buildWorkflowGraph(steps) {
+    const nodes = [
+      { id: 'start', type: 'start', name: '開始' },
+      { id: 'end', type: 'end', name: '結束' }
+    ];
+    const edges = [];
+
+    const addEdge = (from, to, label = null) => {
+      edges.push({ from, to, label });
+    };
+
+    // 把一個步驟列表加入圖中，返回入口節點；exit 為列表結束後的去向
+    const addScope = (scopeSteps, exit) => {
+      const ids = new Set(scopeSteps.map(step => step.id));
+      const resolve = (target) => (target === 'end' || !ids.has(target) ? exit : target);
+
+      scopeSteps.forEach((step, index) => {
+        const config = step.config || {};
+        const following = index + 1 < scopeSteps.length ? scopeSteps[index + 1].id : exit;
+        const after = step.next ? resolve(step.next) : following;
+        nodes.push({ id: step.id, type: step.type, name: step.name || step.id });
+
+        switch (step.type) {
+          case 'condition':
+            addEdge(step.id, config.then ? resolve(config.then) : after, 'true');
+            addEdge(step.id, config.else ? resolve(config.else) : after, 'false');
+            break;
+          case 'goto':
+            addEdge(step.id, resolve(config.target), 'goto');
+            break;
+          case 'end':
+            addEdge(step.id, 'end', config.status || 'completed');
+            break;
+          case 'parallel': {
+            const joinId = `${step.id}__join`;
+            nodes.push({ id: joinId, type: 'join', name: '匯合' });
+            (config.branches || []).forEach(branch => {
+              const entry = addScope(branch.steps || [], joinId);
+              addEdge(step.id, entry, branch.name || branch.id);
+            });
+            addEdge(joinId, after);
+            break;
+          }
+          case 'loop': {
+            const entry = addScope(config.steps || [], step.id);
+            addEdge(step.id, entry, '每個項目');
+            addEdge(step.id, after, '完成');
+            break;
+          }
+          default:
+            addEdge(step.id, after);
+        }
+      });
+
+      return scopeSteps.length > 0 ? scopeSteps[0].id : exit;
+    };
+
+    addEdge('start', addScope(steps, 'end'));
+
+    return { nodes, edges, mermaid: this.toMermaid(nodes, edges) };
+  }
+
+  /**
+   * 轉換成 Mermaid flowchart 語法，方便前端直接渲染
+   */
+  toMermaid(nodes, edges) {
+    const aliases = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+    const escape = (text) => String(text).replace(/"/g, '#quot;');
+    const lines = ['flowchart TD'];
+
+    for (const node of nodes) {
+      const alias = aliases.get(node.id);
+      const label = escape(node.name);
+      switch (node.type) {
+        case 'start':
+        case 'end':
+          lines.push(`  ${alias}(["${label}"])`);
+          break;
+        case 'condition':
+          lines.push(`  ${alias}{"${label}"}`);
+          break;
+        case 'parallel':
+        case 'join':
+          lines.push(`  ${alias}[["${label}"]]`);
+          break;
+        default:
+          lines.push(`  ${alias}["${label}"]`);
+      }
+    }
+
+    for (const edge of edges) {
+      const arrow = edge.label ? `-->|"${escape(edge.label)}"|` : '-->';
+      lines.push(`  ${aliases.get(edge.from)} ${arrow} ${aliases.get(edge.to)}`);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * 獲取步驟類型列表
    * @returns {Array} - 步驟類型列表
@@ -472,7 +864,116 @@ class WorkflowDesignerService {
         description: '根據條件進行分支',
         icon: '🔀',
         configSchema: {
-          condition: { type: 'string', required: true }
+          condition: {
+            type: 'expression',
+            required: true,
+            example: 'amount > 500 && category == "travel"',
+            functions: expressionEvaluator.getFunctionNames()
+          },
+          then: { type: 'string', required: false },
+          else: { type: 'string', required: false }
+        }
+      },
+      {
+        type: 'goto',
+        name: '跳轉',
+        description: '跳到同一層的指定步驟',
+        icon: '↪️',
+        configSchema: {
+          target: { type: 'string', required: true }
+        }
+      },
+      {
+        type: 'parallel',
+        name: '並行處理',
+        description: '同時執行多個分支，全部完成後合併結果',
+        icon: '⏸️',
+        configSchema: {
+          branches: { type: 'array', required: true },
+          failFast: { type: 'boolean', required: false }
+        }
+      },
+      {
+        type: 'http_request',
+        name: 'HTTP請求',
+        description: '呼叫外部 API 或 webhook，並把回應映射到工作流數據',
+        icon: '🌐',
+        configSchema: {
+          url: { type: 'string', required: true },
+          method: { type: 'string', required: false, enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], default: 'GET' },
+          headers: { type: 'object', required: false },
+          query: { type: 'object', required: false },
+          body: { type: 'any', required: false },
+          timeout: { type: 'number', required: false },
+          expectStatus: { type: 'array', required: false },
+          response: { type: 'object', required: false, example: { orderId: 'data.id' } }
+        }
+      },
+      {
+        type: 'bot_action',
+        name: '發送消息',
+        description: '透過機械人發送文字或媒體消息',
+        icon: '📨',
+        configSchema: {
+          botType: { type: 'string', required: true, enum: ['whatsapp', 'telegram', 'discord'] },
+          botId: { type: 'string', required: false },
+          message: { type: 'string', required: true },
+          recipients: { type: 'string', required: false, default: '{{chatId}}' },
+          type: { type: 'string', required: false, enum: ['text', 'image', 'video', 'audio', 'document'] },
+          url: { type: 'string', required: false },
+          base64: { type: 'string', required: false }
+        }
+      },
+      {
+        type: 'sheets_append',
+        name: '寫入Google Sheets',
+        description: '在租戶設定的 Google Sheet 追加一行',
+        icon: '📗',
+        configSchema: {
+          sheetId: { type: 'string', required: false },
+          sheetName: { type: 'string', required: false, default: 'Sheet1' },
+          values: { type: 'object', required: true, example: { shop: '{{shop}}', amount: '{{amount}}' } },
+          fields: { type: 'array', required: false }
+        }
+      },
+      {
+        type: 'wait_reply',
+        name: '等待回覆',
+        description: '透過機械人發問，暫停工作流直至用戶在聊天中回覆',
+        icon: '💬',
+        configSchema: {
+          question: { type: 'string', required: true },
+          botId: { type: 'string', required: false, default: '{{botId}}' },
+          chatId: { type: 'string', required: false, default: '{{chatId}}' },
+          senderId: { type: 'string', required: false },
+          validation: {
+            type: 'object',
+            required: false,
+            properties: {
+              type: { type: 'string', enum: ['text', 'number', 'choice', 'date', 'confirm', 'regex', 'image'] },
+              options: { type: 'array' },
+              min: { type: 'number' },
+              max: { type: 'number' },
+              pattern: { type: 'string' }
+            }
+          },
+          invalidMessage: { type: 'string', required: false },
+          maxInvalidReplies: { type: 'number', required: false, default: 3 },
+          timeout: { type: 'number', required: false, description: '毫秒，默認24小時' },
+          reminderAfter: { type: 'number', required: false, description: '毫秒' },
+          reminderMessage: { type: 'string', required: false },
+          onTimeout: { type: 'string', required: false, enum: ['fail', 'default'] },
+          defaultValue: { type: 'any', required: false }
+        }
+      },
+      {
+        type: 'end',
+        name: '結束',
+        description: '提前結束工作流',
+        icon: '⏹️',
+        configSchema: {
+          status: { type: 'string', required: false, enum: ['completed', 'cancelled', 'failed'] },
+          message: { type: 'string', required: false }
         }
       },
       {
@@ -5,6 +5,22 @@
 
 const { businessLogger } = require('../../utils/logger');
 const config = require('../config');
+const expressionEvaluator = require('../core/ExpressionEvaluator');
+const SafeRegex = require('../core/SafeRegex');
+const PublicNetwork = require('../core/PublicNetwork');
+
+// 控制流程步驟只做判斷或調度；等待回覆步驟重試會重複發問。兩者失敗時都不重試
+const NON_RETRYABLE_STEP_TYPES = new Set(['condition', 'goto', 'end', 'parallel', 'loop', 'wait_reply']);
+
+// 有副作用的步驟重試可能重複發送或寫入，只在步驟設置 retry.attempts 時重試
+const NON_IDEMPOTENT_STEP_TYPES = new Set(['bot_action', 'sheets_append']);
+const IDEMPOTENT_HTTP_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// setTimeout 可接受的最大延遲
+const MAX_TIMER_DELAY = 2147483647;
+
+const YES_WORDS = ['y', 'yes', 'ok', '是', '好', '確認', '對'];
+const NO_WORDS = ['n', 'no', '否', '不', '不是', '取消'];
 
 class WorkflowEngine {
   constructor(container) {
@@ -12,6 +28,8 @@ class WorkflowEngine {
     this.logger = businessLogger;
     this.workflows = new Map();
     this.executions = new Map();
+    // 等待回覆的步驟：`${botId}:${chatId}` → 等待者列表（先到先得）
+    this.pendingReplies = new Map();
     this.isInitialized = false;
   }
 
@@ -33,6 +51,11 @@ class WorkflowEngine {
       // 載入現有工作流
       await this.loadWorkflows();
 
+      // 恢復重啟前未完成的執行（背景進行，不阻塞啟動）
+      this.resumeInterruptedExecutions().catch(error => {
+        this.logger.error('恢復未完成的執行失敗:', error);
+      });
+
       this.isInitialized = true;
       this.logger.info('工作流引擎初始化完成');
     } catch (error) {
@@ -73,8 +96,49 @@ class WorkflowEngine {
           error TEXT,
           user_id TEXT NOT NULL,
           tenant_id TEXT NOT NULL,
+          input TEXT,
+          checkpoint TEXT,
+          resume_count INTEGER DEFAULT 0,
           FOREIGN KEY (workflow_id) REFERENCES workflows (id)
         )`,
+        `CREATE TABLE IF NOT EXISTS workflow_execution_steps (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          execution_id INTEGER NOT NULL,
+          step_id TEXT NOT NULL,
+          step_name TEXT,
+          step_type TEXT NOT NULL,
+          branch TEXT,
+          attempt INTEGER DEFAULT 1,
+          status TEXT NOT NULL,
+          input TEXT,
+          output TEXT,
+          error TEXT,
+          next_step TEXT,
+          started_at DATETIME,
+          completed_at DATETIME,
+          duration_ms INTEGER,
+          FOREIGN KEY (execution_id) REFERENCES workflow_executions (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_workflow_execution_steps_execution
+          ON workflow_execution_steps (execution_id)`,
+        `CREATE TABLE IF NOT EXISTS workflow_reply_waits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          execution_id INTEGER NOT NULL,
+          step_id TEXT NOT NULL,
+          bot_id INTEGER NOT NULL,
+          chat_id TEXT NOT NULL,
+          status TEXT DEFAULT 'waiting',
+          reply TEXT,
+          invalid_count INTEGER DEFAULT 0,
+          reminder_sent INTEGER DEFAULT 0,
+          remind_at DATETIME,
+          expires_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          answered_at DATETIME,
+          user_id TEXT NOT NULL,
+          tenant_id TEXT NOT NULL,
+          FOREIGN KEY (execution_id) REFERENCES workflow_executions (id)
+        )`,
         `CREATE TABLE IF NOT EXISTS bots (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           name TEXT NOT NULL,
@@ -92,6 +156,17 @@ class WorkflowEngine {
       for (const sql of createTablesSQL) {
         await dbAdapter.safeRead('query', sql);
       }
+
+      // 舊數據庫的 workflow_executions 缺少恢復執行所需的欄位
+      for (const column of ['input TEXT', 'checkpoint TEXT', 'resume_count INTEGER DEFAULT 0']) {
+        try {
+          await dbAdapter.safeRead('query', `ALTER TABLE workflow_executions ADD COLUMN ${column}`);
+        } catch (error) {
+          if (!/duplicate column/i.test(error.message)) {
+            throw error;
+          }
+        }
+      }
       
       this.logger.info('工作流數據庫表創建完成');
     } catch (error) {
@@ -210,71 +285,406 @@ class WorkflowEngine {
   async executeWorkflow(workflowId, input, userId, tenantId) {
     try {
       const workflow = this.workflows.get(workflowId);
-      if (!workflow) {
+      // 只執行同一用戶及租戶的工作流：步驟可能保存了 HTTP 標頭等憑證，執行結果會返回給呼叫者
+      if (!workflow || workflow.user_id !== userId || workflow.tenant_id !== tenantId) {
         throw new Error(`找不到工作流: ${workflowId}`);
       }
 
-      // 創建執行記錄
-      const executionId = await this.createExecutionRecord(workflowId, userId, tenantId);
+      // 創建執行記錄（保存輸入以便重啟後恢復）
+      const executionId = await this.createExecutionRecord(workflowId, userId, tenantId, input);
+      return await this.runExecution(executionId, workflow, input, userId, tenantId);
+    } catch (error) {
+      this.logger.error(`執行工作流失敗: ${workflowId}`, error);
+      throw error;
+    }
+  }
 
-      try {
-        // 執行工作流步驟
-        const result = await this.executeSteps(workflow.steps, input, userId, tenantId);
+  /**
+   * 執行或恢復一次工作流執行
+   * 每完成一個頂層步驟保存檢查點；恢復時從檢查點的下一個步驟繼續，
+   * 中斷時正在執行的步驟會重新執行一次
+   * @param {number} executionId - 執行ID
+   * @param {Object} workflow - 工作流
+   * @param {Object} input - 輸入數據
+   * @param {string} userId - 用戶ID
+   * @param {string} tenantId - 租戶ID
+   * @param {Object|null} checkpoint - { index, context, stepCount, termination }
+   * @returns {Object} - 執行結果
+   */
+  async runExecution(executionId, workflow, input, userId, tenantId, checkpoint = null) {
+    const state = this.createRunState({ executionId, rootSteps: workflow.steps, checkpoint });
+    this.executions.set(executionId, {
+      workflowId: workflow.id,
+      userId,
+      tenantId,
+      state,
+      startedAt: new Date().toISOString()
+    });
+
+    try {
+      // 執行工作流步驟
+      const context = checkpoint ? checkpoint.context : input;
+      const result = await this.executeSteps(workflow.steps, context, userId, tenantId, state);
 
-        // 更新執行記錄為成功
-        await this.updateExecutionRecord(executionId, 'completed', result);
+      // 更新執行記錄；end 步驟可把結果標記為 cancelled
+      const status = state.termination && state.termination.status === 'cancelled' ? 'cancelled' : 'completed';
+      await this.updateExecutionRecord(executionId, status, result);
 
-        this.logger.info(`工作流執行成功: ${workflowId} (執行ID: ${executionId})`);
-        return result;
-      } catch (error) {
-        // 更新執行記錄為失敗
-        await this.updateExecutionRecord(executionId, 'failed', null, error.message);
-        throw error;
+      if (state.termination) {
+        this.logger.info(`工作流提前結束: ${workflow.id} 於步驟 ${state.termination.stepId} (${status})`);
       }
+      this.logger.info(`工作流執行成功: ${workflow.id} (執行ID: ${executionId})`);
+      return result;
     } catch (error) {
-      this.logger.error(`執行工作流失敗: ${workflowId}`, error);
+      // 更新執行記錄為失敗
+      await this.updateExecutionRecord(executionId, 'failed', null, error.message);
       throw error;
+    } finally {
+      this.executions.delete(executionId);
     }
   }
 
+  /**
+   * 恢復服務重啟前仍在執行或等待回覆的工作流
+   * 等待回覆的步驟恢復後不會重新發問，只會繼續等待
+   * @returns {number} - 找到的未完成執行數量
+   */
+  async resumeInterruptedExecutions() {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const executions = await dbAdapter.safeRead('all', `
+      SELECT * FROM workflow_executions WHERE status IN (?, ?)
+    `, ['running', 'waiting']);
+
+    for (const execution of executions) {
+      if (this.executions.has(execution.id)) {
+        continue;
+      }
+
+      const workflow = this.workflows.get(execution.workflow_id);
+      const resumeCount = (execution.resume_count || 0) + 1;
+      let reason = null;
+      if (!workflow) {
+        reason = '工作流已不存在，無法恢復執行';
+      } else if (!execution.input) {
+        reason = '執行在服務重啟時中斷，缺少輸入數據無法恢復';
+      } else if (resumeCount > config.workflow.maxResumeAttempts) {
+        reason = `恢復執行次數超過上限 (${config.workflow.maxResumeAttempts})`;
+      }
+
+      if (reason) {
+        await this.updateExecutionRecord(execution.id, 'failed', null, reason);
+        this.logger.warn(`無法恢復執行 ${execution.id}: ${reason}`);
+        continue;
+      }
+
+      await dbAdapter.safeRead('run', `
+        UPDATE workflow_executions SET resume_count = ? WHERE id = ?
+      `, [resumeCount, execution.id]);
+
+      const checkpoint = execution.checkpoint ? JSON.parse(execution.checkpoint) : null;
+      this.logger.info(`恢復執行 ${execution.id}（工作流 ${workflow.id}），從步驟 ${checkpoint ? checkpoint.index + 1 : 1} 繼續`);
+
+      this.runExecution(execution.id, workflow, JSON.parse(execution.input), execution.user_id, execution.tenant_id, checkpoint)
+        .catch(error => this.logger.error(`恢復的執行失敗: ${execution.id}`, error));
+    }
+
+    return executions.length;
+  }
+
+  /**
+   * 建立單次執行的狀態
+   * @param {Object} options
+   * @param {Function} options.executeStep - 替代一般步驟的執行函數（設計器預覽使用）
+   * @param {number} options.executionId - 執行ID；設置後會保存步驟歷史及檢查點
+   * @param {Array} options.rootSteps - 頂層步驟列表（只有頂層步驟保存檢查點）
+   * @param {Object} options.checkpoint - 恢復執行時的檢查點
+   * @returns {Object}
+   */
+  createRunState(options = {}) {
+    const checkpoint = options.checkpoint || null;
+    return {
+      stepCount: checkpoint ? checkpoint.stepCount : 0,
+      maxSteps: options.maxSteps || config.workflow.maxStepExecutions,
+      termination: checkpoint ? checkpoint.termination : null,
+      trace: [],
+      executeStep: options.executeStep || null,
+      executionId: options.executionId || null,
+      rootSteps: options.rootSteps || null,
+      startIndex: checkpoint ? checkpoint.index : 0
+    };
+  }
+
   /**
    * 執行工作流步驟
+   * 預設按順序執行；condition 的 then/else、goto 及步驟的 next 可跳到同一層的其他步驟，
+   * 目標為 'end' 時結束當前步驟列表
    * @param {Array} steps - 步驟列表
    * @param {Object} input - 輸入數據
    * @param {string} userId - 用戶ID
    * @param {string} tenantId - 租戶ID
+   * @param {Object} state - 執行狀態（見 createRunState）
+   * @param {string|null} branch - 所屬的並行分支ID
    * @returns {Object} - 執行結果
    */
-  async executeSteps(steps, input, userId, tenantId) {
+  async executeSteps(steps, input, userId, tenantId, state = this.createRunState(), branch = null) {
     let context = { ...input };
+    const indexById = new Map(steps.map((step, index) => [step.id, index]));
+    const isRoot = steps === state.rootSteps;
+    let index = isRoot ? state.startIndex : 0;
 
-    for (const step of steps) {
+    while (index < steps.length && !state.termination) {
+      const step = steps[index];
+      if (++state.stepCount > state.maxSteps) {
+        throw new Error(`執行步驟數超過上限 (${state.maxSteps})，請檢查是否存在無限循環`);
+      }
+
+      let next;
+      ({ context, next } = await this.executeStepWithRetry(step, context, userId, tenantId, state, branch));
+
+      if (!next) {
+        index++;
+      } else if (next === 'end') {
+        index = steps.length;
+      } else if (indexById.has(next)) {
+        index = indexById.get(next);
+      } else {
+        throw new Error(`步驟 ${step.id} 的跳轉目標不存在: ${next}`);
+      }
+
+      if (isRoot) {
+        await this.saveCheckpoint(state, index, context);
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * 執行步驟，失敗時按重試策略重試
+   * 每次嘗試都寫入 state.trace 及執行歷史
+   * @returns {Object} { context, next }
+   */
+  async executeStepWithRetry(step, context, userId, tenantId, state, branch) {
+    const policy = this.getRetryPolicy(step, state);
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = new Date();
       try {
-        this.logger.info(`執行步驟: ${step.type}`, { stepId: step.id, userId, tenantId });
-
-        switch (step.type) {
-          case 'ai_process':
-            context = await this.executeAIStep(step, context, userId, tenantId);
-            break;
-          case 'data_collect':
-            context = await this.executeDataCollectionStep(step, context, userId, tenantId);
-            break;
-          case 'condition':
-            context = await this.executeConditionStep(step, context, userId, tenantId);
-            break;
-          case 'loop':
-            context = await this.executeLoopStep(step, context, userId, tenantId);
-            break;
-          default:
-            throw new Error(`不支援的步驟類型: ${step.type}`);
-        }
+        this.logger.info(`執行步驟: ${step.type}`, { stepId: step.id, attempt, userId, tenantId });
+        const result = await this.executeStep(step, context, userId, tenantId, state);
+        await this.recordStep(state, {
+          stepId: step.id,
+          stepName: step.name,
+          stepType: step.type,
+          branch,
+          attempt,
+          status: 'success',
+          duration: Date.now() - startedAt.getTime(),
+          output: step.output ? result.context[step.output] : undefined,
+          next: result.next || null
+        }, context, startedAt);
+        return result;
       } catch (error) {
-        this.logger.error(`步驟執行失敗: ${step.type}`, { stepId: step.id, error: error.message });
-        throw error;
+        const willRetry = attempt <= policy.attempts && !state.termination;
+        await this.recordStep(state, {
+          stepId: step.id,
+          stepName: step.name,
+          stepType: step.type,
+          branch,
+          attempt,
+          status: willRetry ? 'retrying' : 'error',
+          duration: Date.now() - startedAt.getTime(),
+          error: error.message
+        }, context, startedAt);
+
+        if (!willRetry) {
+          this.logger.error(`步驟執行失敗: ${step.type}`, { stepId: step.id, attempt, error: error.message });
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(policy, attempt);
+        this.logger.warn(`步驟 ${step.id} 第 ${attempt} 次執行失敗，${delay}ms 後重試: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
+  }
 
-    return context;
+  /**
+   * 獲取步驟的重試策略
+   * step.retry: { attempts, delay, backoff: fixed|exponential, maxDelay }，未設置的欄位使用全局配置
+   * 控制流程步驟及設計器預覽不重試；非冪等的步驟默認不重試
+   */
+  getRetryPolicy(step, state) {
+    if (NON_RETRYABLE_STEP_TYPES.has(step.type) || state.executeStep) {
+      return { attempts: 0 };
+    }
+
+    const retry = step.retry || {};
+    const defaultAttempts = this.isIdempotentStep(step) ? config.workflow.retryAttempts : 0;
+    return {
+      attempts: retry.attempts !== undefined ? retry.attempts : defaultAttempts,
+      delay: retry.delay !== undefined ? retry.delay : config.workflow.retryDelay,
+      backoff: retry.backoff || config.workflow.retryBackoff,
+      maxDelay: retry.maxDelay !== undefined ? retry.maxDelay : config.workflow.maxRetryDelay
+    };
+  }
+
+  /**
+   * 步驟重複執行是否安全（發送消息、追加資料及非 GET 的 HTTP 請求都不安全）
+   */
+  isIdempotentStep(step) {
+    if (NON_IDEMPOTENT_STEP_TYPES.has(step.type)) {
+      return false;
+    }
+    if (step.type === 'http_request') {
+      return IDEMPOTENT_HTTP_METHODS.has(String((step.config && step.config.method) || 'GET').toUpperCase());
+    }
+    return true;
+  }
+
+  /**
+   * 計算第 N 次失敗後的等待時間
+   */
+  getRetryDelay(policy, attempt) {
+    const delay = policy.backoff === 'exponential'
+      ? policy.delay * Math.pow(2, attempt - 1)
+      : policy.delay;
+    return Math.min(delay, policy.maxDelay);
+  }
+
+  /**
+   * 記錄一次步驟嘗試
+   * 執行記錄存在時同時寫入 workflow_execution_steps；寫入失敗不影響工作流執行
+   */
+  async recordStep(state, entry, input, startedAt) {
+    state.trace.push(entry);
+    if (!state.executionId) {
+      return;
+    }
+
+    try {
+      const dbAdapter = this.container.getAdapter('databaseService');
+      await dbAdapter.safeRead('run', `
+        INSERT INTO workflow_execution_steps
+          (execution_id, step_id, step_name, step_type, branch, attempt, status,
+           input, output, error, next_step, started_at, completed_at, duration_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        state.executionId,
+        entry.stepId,
+        entry.stepName || null,
+        entry.stepType,
+        entry.branch,
+        entry.attempt,
+        entry.status,
+        this.serializePayload(input),
+        this.serializePayload(entry.output),
+        entry.error || null,
+        entry.next || null,
+        startedAt.toISOString(),
+        new Date().toISOString(),
+        entry.duration
+      ]);
+    } catch (error) {
+      this.logger.warn(`保存步驟歷史失敗: ${entry.stepId}`, { executionId: state.executionId, error: error.message });
+    }
+  }
+
+  /**
+   * 保存頂層步驟的檢查點
+   * @param {Object} state - 執行狀態
+   * @param {number} index - 下一個要執行的頂層步驟索引
+   * @param {Object} context - 當前 context
+   */
+  async saveCheckpoint(state, index, context) {
+    if (!state.executionId) {
+      return;
+    }
+
+    try {
+      const dbAdapter = this.container.getAdapter('databaseService');
+      await dbAdapter.safeRead('run', `
+        UPDATE workflow_executions SET checkpoint = ? WHERE id = ?
+      `, [JSON.stringify({
+        index,
+        context,
+        stepCount: state.stepCount,
+        termination: state.termination
+      }), state.executionId]);
+    } catch (error) {
+      this.logger.warn(`保存執行檢查點失敗: ${state.executionId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * 序列化步驟輸入/輸出，超過長度上限時只保存開頭部分
+   */
+  serializePayload(value) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const json = JSON.stringify(value);
+    const limit = config.workflow.historyPayloadLimit;
+    if (json.length <= limit) {
+      return json;
+    }
+    return JSON.stringify({ truncated: true, size: json.length, preview: json.slice(0, limit) });
+  }
+
+  /**
+   * 執行單一步驟
+   * @returns {Object} { context, next } - next 為下一個步驟ID（未指定時按順序）
+   */
+  async executeStep(step, context, userId, tenantId, state) {
+    switch (step.type) {
+      case 'condition':
+        return this.executeConditionStep(step, context, userId, tenantId);
+      case 'goto':
+        return { context, next: step.config.target };
+      case 'end':
+        return this.executeEndStep(step, context, state);
+      case 'parallel':
+        return {
+          context: await this.executeParallelStep(step, context, userId, tenantId, state),
+          next: step.next
+        };
+      case 'loop':
+        return {
+          context: await this.executeLoopStep(step, context, userId, tenantId, state),
+          next: step.next
+        };
+      default:
+        break;
+    }
+
+    if (state.executeStep) {
+      return { context: await state.executeStep(step, context, userId, tenantId), next: step.next };
+    }
+
+    switch (step.type) {
+      case 'ai_process':
+        context = await this.executeAIStep(step, context, userId, tenantId);
+        break;
+      case 'wait_reply':
+        context = await this.executeWaitReplyStep(step, context, userId, tenantId, state);
+        break;
+      case 'http_request':
+        context = await this.executeHttpStep(step, context);
+        break;
+      case 'bot_action':
+        context = await this.executeBotActionStep(step, context, userId, tenantId);
+        break;
+      case 'sheets_append':
+        context = await this.executeSheetsAppendStep(step, context, tenantId);
+        break;
+      case 'data_collect':
+        context = await this.executeDataCollectionStep(step, context, userId, tenantId);
+        break;
+      default:
+        throw new Error(`不支援的步驟類型: ${step.type}`);
+    }
+    return { context, next: step.next };
   }
 
   /**
@@ -283,7 +693,8 @@ class WorkflowEngine {
   async executeAIStep(step, context, userId, tenantId) {
     try {
       const aiAdapter = this.container.getAdapter('AIServiceV2');
-      const result = await aiAdapter.safeRead('processRequest', step.config.prompt, step.config.options, tenantId);
+      const options = { ...step.config.options, userId, feature: 'workflow' };
+      const result = await aiAdapter.safeRead('processRequest', step.config.prompt, options, tenantId);
       
       return {
         ...context,
@@ -306,29 +717,194 @@ class WorkflowEngine {
     };
   }
 
+  /**
+   * 執行 HTTP 請求步驟
+   * config: { method, url, headers, query, body, timeout, expectStatus, response: { 欄位: 表達式 } }
+   * url、headers、query、body 支援 {{表達式}}；response 的表達式以 { status, headers, data } 求值後寫入 context
+   */
+  async executeHttpStep(step, context) {
+    const stepConfig = step.config || {};
+    const settings = config.workflow.http;
+    const method = (stepConfig.method || 'GET').toUpperCase();
+    // 只請求公共網絡的地址，不跟隨重定向
+    const url = PublicNetwork.assertPublicUrl(expressionEvaluator.interpolate(stepConfig.url, context));
+
+    const response = await PublicNetwork.request({
+      method,
+      url: url.href,
+      headers: expressionEvaluator.interpolate(stepConfig.headers || {}, context),
+      params: stepConfig.query ? expressionEvaluator.interpolate(stepConfig.query, context) : undefined,
+      data: stepConfig.body !== undefined ? expressionEvaluator.interpolate(stepConfig.body, context) : undefined,
+      timeout: stepConfig.timeout || settings.timeout,
+      maxContentLength: settings.maxResponseSize,
+      maxBodyLength: settings.maxResponseSize,
+      validateStatus: () => true
+    });
+
+    const expected = stepConfig.expectStatus ? [].concat(stepConfig.expectStatus) : null;
+    const ok = expected ? expected.includes(response.status) : response.status >= 200 && response.status < 300;
+    if (!ok) {
+      // 不記錄查詢字串，避免洩露 token
+      throw new Error(`HTTP 請求失敗: ${method} ${url.origin}${url.pathname} 返回 ${response.status}`);
+    }
+
+    const result = { status: response.status, headers: { ...response.headers }, data: response.data };
+    const mapped = {};
+    for (const [field, expression] of Object.entries(stepConfig.response || {})) {
+      mapped[field] = expressionEvaluator.evaluate(expression, result);
+    }
+
+    return {
+      ...context,
+      ...mapped,
+      ...(step.output ? { [step.output]: { status: result.status, data: result.data } } : {})
+    };
+  }
+
+  /**
+   * 執行機械人動作步驟：發送消息
+   * config: { botId, botType, recipients, message, type, url, base64, mimetype, fileName }
+   * 未指定 botId 時優先使用觸發工作流的機械人；未指定 recipients 時回覆 context.chatId
+   * 指定的 botId 必須屬於工作流的用戶及租戶
+   */
+  async executeBotActionStep(step, context, userId, tenantId) {
+    const stepConfig = step.config || {};
+    const botManager = this.container.resolve('botManager');
+    const botId = stepConfig.botId
+      ? await this.resolveOwnedBot(stepConfig.botId, context, userId, tenantId)
+      : botManager.findActiveBot({ preferredId: context.botId, type: stepConfig.botType, userId, tenantId });
+
+    const message = expressionEvaluator.interpolate(stepConfig.message || '', context);
+    const mediaOptions = expressionEvaluator.interpolate({
+      type: stepConfig.type,
+      url: stepConfig.url,
+      base64: stepConfig.base64,
+      mimetype: stepConfig.mimetype,
+      fileName: stepConfig.fileName
+    }, context);
+
+    // 沒有收件人時由機械人使用自己的默認聊天
+    const recipients = [].concat(expressionEvaluator.interpolate(stepConfig.recipients || '{{chatId}}', context))
+      .filter(recipient => recipient !== undefined && recipient !== null && recipient !== '');
+    const targets = recipients.length > 0 ? recipients.map(String) : [undefined];
+
+    const results = [];
+    for (const to of targets) {
+      results.push(await botManager.sendMessage(botId, typeof message === 'string' ? message : JSON.stringify(message), {
+        ...mediaOptions,
+        to
+      }));
+    }
+
+    return step.output ? { ...context, [step.output]: results } : context;
+  }
+
+  /**
+   * 執行 Google Sheets 追加步驟（googleService.writeToSheet）
+   * config: { sheetId, sheetName, values: { 欄位: 模板 }, fields }
+   * fields 決定需要的欄位，默認為 values 的所有欄位；sheetId 未指定時使用租戶設定的 Sheet
+   */
+  async executeSheetsAppendStep(step, context, tenantId) {
+    // googleService 載入時會建立 Google 認證，只在使用時載入
+    const { writeToSheet } = require('../../googleService');
+    const stepConfig = step.config || {};
+    const sheetId = await this.resolveTenantSheet(
+      stepConfig.sheetId ? expressionEvaluator.interpolate(stepConfig.sheetId, context) : null,
+      tenantId
+    );
+    const sheetName = expressionEvaluator.interpolate(stepConfig.sheetName || 'Sheet1', context);
+    const values = expressionEvaluator.interpolate(stepConfig.values || {}, context);
+    const fields = stepConfig.fields || Object.keys(values);
+
+    const success = await writeToSheet(sheetId, sheetName, values, fields);
+    if (!success) {
+      throw new Error('Google Sheet 寫入未成功');
+    }
+
+    return step.output ? { ...context, [step.output]: { sheetId, sheetName, row: values } } : context;
+  }
+
   /**
    * 執行條件步驟
+   * 結果寫入 step.output；config.then / config.else 指定分支目標
    */
   async executeConditionStep(step, context, userId, tenantId) {
     const condition = step.config.condition;
-    const result = eval(condition); // 注意：在生產環境中應該使用更安全的表達式解析器
-    
+    // 表達式只能讀取 context，不會執行任意代碼；語法錯誤在保存時已由設計器攔截
+    const result = Boolean(expressionEvaluator.evaluate(condition, context));
+
     return {
-      ...context,
-      [step.output]: result
+      context: step.output ? { ...context, [step.output]: result } : context,
+      next: (result ? step.config.then : step.config.else) || step.next
     };
   }
 
+  /**
+   * 執行結束步驟
+   * config.status: completed（默認）/ cancelled / failed
+   */
+  executeEndStep(step, context, state) {
+    const { status = 'completed', message = null } = step.config || {};
+    if (status === 'failed') {
+      throw new Error(message || `工作流於步驟 ${step.id} 終止`);
+    }
+
+    state.termination = { stepId: step.id, status, message };
+    return { context, next: 'end' };
+  }
+
+  /**
+   * 執行並行步驟
+   * 每個分支以當前 context 的副本並行執行，完成後按分支順序合併各分支修改過的欄位
+   */
+  async executeParallelStep(step, context, userId, tenantId, state) {
+    const branches = step.config.branches || [];
+    const failFast = step.config.failFast !== false;
+
+    const runs = branches.map(branch =>
+      this.executeSteps(branch.steps, context, userId, tenantId, state, branch.id)
+    );
+    const settled = failFast
+      ? (await Promise.all(runs)).map(value => ({ status: 'fulfilled', value }))
+      : await Promise.allSettled(runs);
+
+    const merged = { ...context };
+    const branchResults = {};
+
+    settled.forEach((result, index) => {
+      const branch = branches[index];
+      if (result.status === 'rejected') {
+        branchResults[branch.id] = { status: 'failed', error: result.reason.message };
+        return;
+      }
+
+      const changes = {};
+      for (const [key, value] of Object.entries(result.value)) {
+        if (value !== context[key]) {
+          changes[key] = value;
+        }
+      }
+      Object.assign(merged, changes);
+      branchResults[branch.id] = { status: 'completed', output: changes };
+    });
+
+    return step.output ? { ...merged, [step.output]: branchResults } : merged;
+  }
+
   /**
    * 執行循環步驟
    */
-  async executeLoopStep(step, context, userId, tenantId) {
+  async executeLoopStep(step, context, userId, tenantId, state = this.createRunState()) {
     const items = context[step.config.items];
+    if (!Array.isArray(items)) {
+      throw new Error(`循環步驟 ${step.id} 的 ${step.config.items} 不是陣列`);
+    }
     const results = [];
 
     for (const item of items) {
+      if (state.termination) break;
       const itemContext = { ...context, item };
-      const result = await this.executeSteps(step.config.steps, itemContext, userId, tenantId);
+      const result = await this.executeSteps(step.config.steps, itemContext, userId, tenantId, state);
       results.push(result);
     }
 
@@ -338,15 +914,357 @@ class WorkflowEngine {
     };
   }
 
+  /**
+   * 執行等待回覆步驟
+   * 透過機械人發問，暫停執行直至該聊天回覆（或超時），驗證回覆後寫入 step.output
+   * config: {
+   *   botId, chatId, senderId,      // 默認取 context 的 botId / chatId（消息觸發時由機械人提供）
+   *   question, validation: { type, options, min, max, pattern },
+   *   invalidMessage, maxInvalidReplies,
+   *   timeout, reminderAfter, reminderMessage,
+   *   onTimeout: fail|default, defaultValue
+   * }
+   */
+  async executeWaitReplyStep(step, context, userId, tenantId, state) {
+    const stepConfig = step.config || {};
+    const botTemplate = stepConfig.botId || '{{botId}}';
+    const chatId = expressionEvaluator.interpolate(stepConfig.chatId || '{{chatId}}', context);
+    if (!expressionEvaluator.interpolate(botTemplate, context) || !chatId) {
+      throw new Error(`等待回覆步驟 ${step.id} 缺少機械人或聊天ID`);
+    }
+    const botId = await this.resolveOwnedBot(botTemplate, context, userId, tenantId);
+
+    const botManager = this.container.resolve('botManager');
+    const send = (text) => botManager.sendMessage(botId, text, { to: String(chatId) });
+
+    // 恢復的執行已發問過，不重複發送
+    let wait = await this.findOpenReplyWait(state.executionId, step.id);
+    if (!wait) {
+      wait = await this.createReplyWait(step, botId, chatId, state.executionId, userId, tenantId);
+      await send(expressionEvaluator.interpolate(stepConfig.question, context));
+    }
+
+    const senderId = stepConfig.senderId ? String(expressionEvaluator.interpolate(stepConfig.senderId, context)) : null;
+    const waiter = {
+      senderId,
+      queue: [],
+      notify: null,
+      receive: (message) => {
+        waiter.queue.push(message);
+        if (waiter.notify) waiter.notify();
+      }
+    };
+    const key = `${botId}:${chatId}`;
+    this.pendingReplies.set(key, [...(this.pendingReplies.get(key) || []), waiter]);
+
+    await this.setExecutionStatus(state.executionId, 'waiting');
+    try {
+      const maxInvalid = stepConfig.maxInvalidReplies || config.workflow.maxInvalidReplies;
+
+      for (;;) {
+        const message = await this.nextReply(waiter, wait, () => send(
+          expressionEvaluator.interpolate(stepConfig.reminderMessage || `⏰ 提醒：${stepConfig.question}`, context)
+        ));
+
+        if (!message) {
+          await this.closeReplyWait(wait, 'timeout');
+          if (stepConfig.onTimeout === 'default') {
+            this.logger.info(`等待回覆超時，使用默認值: ${step.id}`);
+            return { ...context, [step.output]: stepConfig.defaultValue !== undefined ? stepConfig.defaultValue : null };
+          }
+          throw new Error(`等待回覆超時: ${step.id}`);
+        }
+
+        const result = this.validateReply(message, stepConfig.validation);
+        if (result.valid) {
+          await this.closeReplyWait(wait, 'answered', result.value);
+          return { ...context, [step.output]: result.value };
+        }
+
+        wait.invalidCount++;
+        await this.updateReplyWait(wait.id, 'invalid_count = ?', [wait.invalidCount]);
+        if (wait.invalidCount >= maxInvalid) {
+          await this.closeReplyWait(wait, 'invalid');
+          throw new Error(`無效回覆次數超過上限 (${maxInvalid}): ${step.id}`);
+        }
+        await send(stepConfig.invalidMessage
+          ? expressionEvaluator.interpolate(stepConfig.invalidMessage, context)
+          : `❌ ${result.error}，請重新回覆。\n${stepConfig.question}`);
+      }
+    } finally {
+      const remaining = (this.pendingReplies.get(key) || []).filter(item => item !== waiter);
+      if (remaining.length > 0) {
+        this.pendingReplies.set(key, remaining);
+      } else {
+        this.pendingReplies.delete(key);
+      }
+      await this.setExecutionStatus(state.executionId, 'running');
+    }
+  }
+
+  /**
+   * 等待下一條回覆
+   * @returns {Promise<Object|null>} 消息；超時返回 null
+   */
+  nextReply(waiter, wait, sendReminder) {
+    if (waiter.queue.length > 0) {
+      return Promise.resolve(waiter.queue.shift());
+    }
+
+    return new Promise(resolve => {
+      const timers = [];
+      const finish = (message) => {
+        timers.forEach(clearTimeout);
+        waiter.notify = null;
+        resolve(message);
+      };
+
+      waiter.notify = () => finish(waiter.queue.shift());
+      timers.push(setTimeout(() => finish(null), Math.min(Math.max(0, wait.expiresAt - Date.now()), MAX_TIMER_DELAY)));
+
+      if (wait.remindAt && !wait.reminderSent) {
+        timers.push(setTimeout(async () => {
+          wait.reminderSent = true;
+          try {
+            await sendReminder();
+            await this.updateReplyWait(wait.id, 'reminder_sent = 1');
+          } catch (error) {
+            this.logger.warn(`發送回覆提醒失敗: ${wait.stepId}`, { error: error.message });
+          }
+        }, Math.min(Math.max(0, wait.remindAt - Date.now()), MAX_TIMER_DELAY)));
+      }
+    });
+  }
+
+  /**
+   * 把機械人收到的消息交給正在等待該聊天回覆的步驟
+   * @param {number} botId - 機械人ID
+   * @param {Object} message - 連接器轉換後的消息
+   * @returns {boolean} - 消息是否已被等待中的步驟接收（接收後不再觸發其他工作流）
+   */
+  deliverReply(botId, message) {
+    const waiters = this.pendingReplies.get(`${botId}:${message.chatId}`) || [];
+    const waiter = waiters.find(item => !item.senderId || item.senderId === String(message.senderId));
+    if (!waiter) {
+      return false;
+    }
+
+    waiter.receive(message);
+    return true;
+  }
+
+  /**
+   * 驗證回覆並轉換為要保存的值
+   * validation.type: text（默認）/ number / choice / date / confirm / regex / image
+   * @returns {Object} { valid, value, error }
+   */
+  validateReply(message, validation = {}) {
+    const text = (message.text || '').trim();
+    const type = validation.type || 'text';
+
+    switch (type) {
+      case 'image':
+        if (!message.media || message.media.type !== 'image') {
+          return { valid: false, error: '請發送圖片' };
+        }
+        return {
+          valid: true,
+          value: { mimetype: message.media.mimetype, fileName: message.media.fileName, size: message.media.size, data: message.media.data }
+        };
+      case 'number': {
+        const value = Number(text.replace(/[,\s$＄]/g, '').replace(/^(HK|US|NT)/i, ''));
+        if (text === '' || !Number.isFinite(value)) {
+          return { valid: false, error: '請輸入數字' };
+        }
+        if ((validation.min !== undefined && value < validation.min) ||
+            (validation.max !== undefined && value > validation.max)) {
+          return { valid: false, error: `數字必須介乎 ${validation.min ?? '-∞'} 至 ${validation.max ?? '∞'}` };
+        }
+        return { valid: true, value };
+      }
+      case 'choice': {
+        const options = validation.options || [];
+        const index = /^\d+$/.test(text) ? parseInt(text, 10) - 1 : -1;
+        const value = options[index] !== undefined
+          ? options[index]
+          : options.find(option => String(option).toLowerCase() === text.toLowerCase());
+        if (value === undefined) {
+          return { valid: false, error: `請從以下選項選擇：${options.map((option, i) => `${i + 1}. ${option}`).join(' ')}` };
+        }
+        return { valid: true, value };
+      }
+      case 'date': {
+        const today = new Date();
+        if (text === '今天' || text.toLowerCase() === 'today') {
+          return { valid: true, value: today.toISOString().slice(0, 10) };
+        }
+        const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+        const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+        if (!date || date.getUTCMonth() !== +match[2] - 1) {
+          return { valid: false, error: '請輸入日期，格式為 YYYY-MM-DD' };
+        }
+        return { valid: true, value: date.toISOString().slice(0, 10) };
+      }
+      case 'confirm': {
+        const answer = text.toLowerCase();
+        if (YES_WORDS.includes(answer)) return { valid: true, value: true };
+        if (NO_WORDS.includes(answer)) return { valid: true, value: false };
+        return { valid: false, error: '請回覆「是」或「否」' };
+      }
+      case 'regex': {
+        // 保存時已驗證；以線性時間匹配，避免災難性回溯
+        if (!SafeRegex.test(validation.pattern, text)) {
+          return { valid: false, error: validation.error || '格式不正確' };
+        }
+        return { valid: true, value: text };
+      }
+      default:
+        if (text === '') {
+          return { valid: false, error: '回覆不能為空' };
+        }
+        return { valid: true, value: text };
+    }
+  }
+
+  toBotId(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : value;
+  }
+
+  /**
+   * 確認 Sheet 是租戶在設定中綁定的 Sheet
+   * 服務帳戶可寫入所有與它共享的 Sheet，不能讓工作流寫入其他租戶的 Sheet
+   * @param {string|null} sheetId - 步驟指定的 Sheet ID
+   * @param {string} tenantId - 租戶ID
+   * @returns {Promise<string>} Sheet ID
+   */
+  async resolveTenantSheet(sheetId, tenantId) {
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const row = await dbAdapter.safeRead('get', 'SELECT sheetId FROM users WHERE userId = ?', [tenantId]);
+    const tenantSheetId = row && row.sheetId;
+    if (!tenantSheetId) {
+      throw new Error('租戶未在設定中綁定 Google Sheet');
+    }
+    if (sheetId && String(sheetId) !== tenantSheetId) {
+      throw new Error(`只能寫入租戶設定的 Google Sheet: ${sheetId}`);
+    }
+    return tenantSheetId;
+  }
+
+  /**
+   * 解析步驟指定的機械人，並確認屬於工作流的用戶及租戶
+   * @param {string|number} value - botId 或模板
+   * @returns {Promise<number>} 機械人ID
+   */
+  async resolveOwnedBot(value, context, userId, tenantId) {
+    const botId = this.toBotId(expressionEvaluator.interpolate(value, context));
+    const bot = await this.container.resolve('botManager').validateBotOwnership(botId, userId, tenantId);
+    if (!bot) {
+      throw new Error(`找不到機械人或無權使用: ${botId}`);
+    }
+    return botId;
+  }
+
+  /**
+   * 查找執行中尚未完成的等待（恢復執行時使用）
+   */
+  async findOpenReplyWait(executionId, stepId) {
+    if (!executionId) {
+      return null;
+    }
+
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const row = await dbAdapter.safeRead('get', `
+      SELECT * FROM workflow_reply_waits
+      WHERE execution_id = ? AND step_id = ? AND status = 'waiting'
+      ORDER BY id DESC LIMIT 1
+    `, [executionId, stepId]);
+
+    return row ? {
+      id: row.id,
+      stepId: row.step_id,
+      invalidCount: row.invalid_count || 0,
+      reminderSent: Boolean(row.reminder_sent),
+      remindAt: row.remind_at ? new Date(row.remind_at).getTime() : null,
+      expiresAt: new Date(row.expires_at).getTime()
+    } : null;
+  }
+
+  async createReplyWait(step, botId, chatId, executionId, userId, tenantId) {
+    const stepConfig = step.config || {};
+    const now = Date.now();
+    const wait = {
+      id: null,
+      stepId: step.id,
+      invalidCount: 0,
+      reminderSent: false,
+      remindAt: stepConfig.reminderAfter ? now + stepConfig.reminderAfter : null,
+      expiresAt: now + (stepConfig.timeout || config.workflow.replyTimeout)
+    };
+
+    // 設計器預覽等沒有執行記錄的情況只在記憶體中等待
+    if (executionId) {
+      const dbAdapter = this.container.getAdapter('databaseService');
+      const result = await dbAdapter.safeRead('run', `
+        INSERT INTO workflow_reply_waits
+          (execution_id, step_id, bot_id, chat_id, remind_at, expires_at, user_id, tenant_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        executionId,
+        step.id,
+        botId,
+        String(chatId),
+        wait.remindAt ? new Date(wait.remindAt).toISOString() : null,
+        new Date(wait.expiresAt).toISOString(),
+        userId,
+        tenantId
+      ]);
+      wait.id = result.lastID;
+    }
+
+    return wait;
+  }
+
+  async closeReplyWait(wait, status, reply = null) {
+    await this.updateReplyWait(wait.id, 'status = ?, reply = ?, answered_at = CURRENT_TIMESTAMP', [
+      status,
+      reply === null ? null : this.serializePayload(reply)
+    ]);
+  }
+
+  async updateReplyWait(waitId, assignments, params = []) {
+    if (!waitId) {
+      return;
+    }
+
+    const dbAdapter = this.container.getAdapter('databaseService');
+    await dbAdapter.safeRead('run', `
+      UPDATE workflow_reply_waits SET ${assignments} WHERE id = ?
+    `, [...params, waitId]);
+  }
+
+  /**
+   * 更新執行狀態（running / waiting）
+   */
+  async setExecutionStatus(executionId, status) {
+    if (!executionId) {
+      return;
+    }
+
+    const dbAdapter = this.container.getAdapter('databaseService');
+    await dbAdapter.safeRead('run', `
+      UPDATE workflow_executions SET status = ? WHERE id = ?
+    `, [status, executionId]);
+  }
+
   /**
    * 創建執行記錄
    */
-  async createExecutionRecord(workflowId, userId, tenantId) {
+  async createExecutionRecord(workflowId, userId, tenantId, input = {}) {
     const dbAdapter = this.container.getAdapter('databaseService');
     const result = await dbAdapter.safeRead('run', `
-      INSERT INTO workflow_executions (workflow_id, user_id, tenant_id)
-      VALUES (?, ?, ?)
-    `, [workflowId, userId, tenantId]);
+      INSERT INTO workflow_executions (workflow_id, user_id, tenant_id, input)
+      VALUES (?, ?, ?, ?)
+    `, [workflowId, userId, tenantId, JSON.stringify(input)]);
 
     return result.lastID;
   }
@@ -363,6 +1281,45 @@ class WorkflowEngine {
     `, [status, JSON.stringify(result), error, executionId]);
   }
 
+  /**
+   * 獲取執行的步驟時間線
+   * @param {Array<number>} executionIds - 執行ID列表
+   * @returns {Map<number, Array>} - 執行ID → 按執行順序排列的步驟嘗試
+   */
+  async getExecutionTimelines(executionIds) {
+    const timelines = new Map(executionIds.map(id => [id, []]));
+    if (executionIds.length === 0) {
+      return timelines;
+    }
+
+    const dbAdapter = this.container.getAdapter('databaseService');
+    const rows = await dbAdapter.safeRead('all', `
+      SELECT * FROM workflow_execution_steps
+      WHERE execution_id IN (${executionIds.map(() => '?').join(', ')})
+      ORDER BY id ASC
+    `, executionIds);
+
+    for (const row of rows) {
+      timelines.get(row.execution_id).push({
+        stepId: row.step_id,
+        stepName: row.step_name,
+        stepType: row.step_type,
+        branch: row.branch,
+        attempt: row.attempt,
+        status: row.status,
+        input: row.input ? JSON.parse(row.input) : null,
+        output: row.output ? JSON.parse(row.output) : null,
+        error: row.error,
+        next: row.next_step,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+        duration: row.duration_ms
+      });
+    }
+
+    return timelines;
+  }
+
   /**
    * 驗證工作流數據
    */
@@ -378,10 +1335,44 @@ class WorkflowEngine {
     }
 
     // 驗證每個步驟
+    this.validateSteps(steps);
+  }
+
+  /**
+   * 驗證步驟（包括循環內的子步驟）、條件表達式及回覆驗證的正則
+   */
+  validateSteps(steps) {
     for (const step of steps) {
       if (!step.type || !step.id) {
         throw new Error('每個步驟必須有 type 和 id');
       }
+
+      if (step.type === 'condition') {
+        const validation = expressionEvaluator.validate(step.config && step.config.condition);
+        if (!validation.valid) {
+          throw new Error(`步驟 ${step.id} 的條件表達式無效: ${validation.error}`);
+        }
+      }
+
+      const validation = step.type === 'wait_reply' && step.config && step.config.validation;
+      if (validation && validation.type === 'regex') {
+        const result = SafeRegex.validate(validation.pattern || '');
+        if (!validation.pattern || !result.valid) {
+          throw new Error(`步驟 ${step.id} 的回覆驗證正則表達式無效: ${result.error || '不能為空'}`);
+        }
+      }
+
+      if (step.type === 'loop' && step.config && Array.isArray(step.config.steps)) {
+        this.validateSteps(step.config.steps);
+      }
+
+      if (step.type === 'parallel') {
+        const branches = (step.config && step.config.branches) || [];
+        if (branches.length === 0) {
+          throw new Error(`並行步驟 ${step.id} 至少需要一個分支`);
+        }
+        branches.forEach(branch => this.validateSteps(branch.steps || []));
+      }
     }
   }
 
@@ -395,6 +1386,7 @@ class WorkflowEngine {
         service: 'WorkflowEngine',
         workflowsCount: this.workflows.size,
         executionsCount: this.executions.size,
+        pendingRepliesCount: this.pendingReplies.size,
         isInitialized: this.isInitialized,
         timestamp: new Date().toISOString()
       };
@@ -415,6 +1407,7 @@ class WorkflowEngine {
     try {
       this.workflows.clear();
       this.executions.clear();
+      this.pendingReplies.clear();
       this.isInitialized = false;
       this.logger.info('工作流引擎清理完成');
     } catch (error) {
@@ -0,0 +1,335 @@
+/**
+ * Telegram 機械人連接器
+ * 透過 Bot API 以 long polling 或 webhook 接收消息，並發送文字、圖片及文件
+ *
+ * 介面與 WhatsAppBotConnector 相同；webhook 模式下由路由呼叫 handleUpdate()
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { businessLogger } = require('../../../utils/logger');
+const config = require('../../config');
+
+const SEND_METHODS = {
+  text: 'sendMessage',
+  image: 'sendPhoto',
+  document: 'sendDocument'
+};
+
+// Telegram 接受的 secret_token 格式
+const WEBHOOK_SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+class TelegramBotConnector {
+  /**
+   * @param {Object} bot - 機械人記錄（config 已解析）
+   * @param {Object} options
+   * @param {Function} options.onMessage - 收到消息時的回調 (message) => Promise
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.botConfig = bot.config || {};
+    this.onMessage = options.onMessage || null;
+    this.logger = businessLogger;
+    this.settings = config.bots.telegram;
+
+    this.token = this.botConfig.botToken;
+    // 請求 URL 含 bot token，只使用系統配置的地址，不接受機械人配置覆蓋
+    this.apiBaseUrl = this.settings.apiBaseUrl.replace(/\/$/, '');
+    this.webhookSecret = this.botConfig.webhookSecret || null;
+    this.mode = this.botConfig.receiveMode === 'webhook' ? 'webhook' : 'polling';
+    this.status = 'disconnected';
+    this.botInfo = null;
+    this.lastError = null;
+    this.offset = 0;
+    this.polling = false;
+    this.pollPromise = null;
+    this.abortController = null;
+    this.retryTimer = null;
+    this.wakeUp = null;
+  }
+
+  /**
+   * 建立連接：驗證 token，然後設置 webhook 或開始 long polling
+   * @returns {Promise<Object>} 連接狀態
+   */
+  async connect() {
+    if (!this.token) {
+      throw new Error('Telegram機械人缺少 botToken');
+    }
+
+    this.status = 'connecting';
+    this.botInfo = await this.callApi('getMe');
+
+    if (this.mode === 'webhook') {
+      if (!this.botConfig.webhookUrl) {
+        throw new Error('webhook 模式需要設置 webhookUrl');
+      }
+      // webhook 端點是公開的，必須以 secret token 驗證來源；未設置時自動生成，每次連接都會重新登記
+      if (!this.webhookSecret) {
+        this.webhookSecret = crypto.randomBytes(32).toString('hex');
+      } else if (!WEBHOOK_SECRET_PATTERN.test(this.webhookSecret)) {
+        throw new Error('webhookSecret 只能包含英文字母、數字、_ 及 -，長度不超過 256');
+      }
+      await this.callApi('setWebhook', {
+        url: this.botConfig.webhookUrl,
+        allowed_updates: ['message'],
+        secret_token: this.webhookSecret
+      });
+    } else {
+      // getUpdates 與 webhook 不能同時使用
+      await this.callApi('deleteWebhook');
+      this.startPolling();
+    }
+
+    this.status = 'connected';
+    this.logger.info(`Telegram機械人 ${this.bot.id} 已連接: @${this.botInfo.username} (${this.mode})`);
+    return this.getStatus();
+  }
+
+  async disconnect() {
+    this.polling = false;
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.wakeUp();
+    }
+    if (this.pollPromise) {
+      await this.pollPromise;
+      this.pollPromise = null;
+    }
+    if (this.mode === 'webhook' && this.status === 'connected') {
+      try {
+        await this.callApi('deleteWebhook');
+      } catch (err) {
+        this.logger.warn(`Telegram機械人 ${this.bot.id} 移除 webhook 失敗：${err.message}`);
+      }
+    }
+    this.status = 'disconnected';
+  }
+
+  /**
+   * 呼叫 Bot API
+   * @param {string} method - API 方法
+   * @param {Object|FormData} params - 參數
+   * @param {Object} requestOptions - 額外的 axios 選項
+   * @returns {Promise<any>} result 欄位
+   */
+  async callApi(method, params = {}, requestOptions = {}) {
+    const url = `${this.apiBaseUrl}/bot${this.token}/${method}`;
+    let response;
+    try {
+      response = await axios.post(url, params, { timeout: 30000, ...requestOptions });
+    } catch (err) {
+      const description = err.response?.data?.description;
+      throw new Error(`Telegram API ${method} 失敗: ${description || err.message}`);
+    }
+
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Telegram API ${method} 失敗: ${response.data?.description || '未知錯誤'}`);
+    }
+    return response.data.result;
+  }
+
+  startPolling() {
+    if (this.polling) return;
+    this.polling = true;
+    this.pollPromise = this.pollLoop();
+  }
+
+  async pollLoop() {
+    let retryDelay = this.settings.retryDelay;
+
+    while (this.polling) {
+      this.abortController = new AbortController();
+      try {
+        const updates = await this.callApi('getUpdates', {
+          offset: this.offset,
+          timeout: this.settings.pollTimeout,
+          allowed_updates: ['message']
+        }, {
+          timeout: (this.settings.pollTimeout + 10) * 1000,
+          signal: this.abortController.signal
+        });
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          await this.handleUpdate(update);
+        }
+        retryDelay = this.settings.retryDelay;
+        this.lastError = null;
+      } catch (err) {
+        if (!this.polling) break;
+        this.lastError = err.message;
+        this.logger.warn(`Telegram機械人 ${this.bot.id} 輪詢失敗，${retryDelay / 1000} 秒後重試：${err.message}`);
+        await new Promise(resolve => {
+          this.wakeUp = resolve;
+          this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            resolve();
+          }, retryDelay);
+        });
+        retryDelay = Math.min(retryDelay * 2, this.settings.maxRetryDelay);
+      }
+    }
+    this.abortController = null;
+  }
+
+  /**
+   * 處理一個 update（long polling 或 webhook）
+   * @param {Object} update - Telegram Update 物件
+   */
+  async handleUpdate(update) {
+    const msg = update && update.message;
+    if (!msg || !this.onMessage || (msg.from && msg.from.is_bot)) {
+      return;
+    }
+
+    try {
+      await this.onMessage(await this.toIncomingMessage(msg));
+    } catch (err) {
+      this.logger.error(`Telegram機械人 ${this.bot.id} 處理收到的消息失敗：${err.message}`);
+    }
+  }
+
+  /**
+   * 轉換為平台無關的消息格式
+   */
+  async toIncomingMessage(msg) {
+    const from = msg.from || {};
+    const incoming = {
+      platform: 'telegram',
+      messageId: String(msg.message_id),
+      chatId: String(msg.chat.id),
+      senderId: String(from.id || msg.chat.id),
+      phoneNumber: msg.contact?.phone_number || null,
+      senderName: [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || '',
+      isGroup: ['group', 'supergroup'].includes(msg.chat.type),
+      text: msg.text || msg.caption || '',
+      timestamp: new Date((msg.date || 0) * 1000 || Date.now()).toISOString()
+    };
+
+    if (msg.photo && msg.photo.length > 0) {
+      // 最後一個是最大尺寸
+      const photo = msg.photo[msg.photo.length - 1];
+      incoming.media = await this.downloadMedia(photo.file_id, 'image', 'image/jpeg', null);
+    } else if (msg.document) {
+      const mimetype = msg.document.mime_type || 'application/octet-stream';
+      // 以文件形式發送的收據圖片也視為圖片
+      const type = mimetype.startsWith('image/') ? 'image' : 'document';
+      incoming.media = await this.downloadMedia(msg.document.file_id, type, mimetype, msg.document.file_name || null);
+    }
+
+    return incoming;
+  }
+
+  async downloadMedia(fileId, type, mimetype, fileName) {
+    const file = await this.callApi('getFile', { file_id: fileId });
+    const response = await axios.get(`${this.apiBaseUrl}/file/bot${this.token}/${file.file_path}`, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    const buffer = Buffer.from(response.data);
+
+    return {
+      type,
+      mimetype,
+      fileName: fileName || file.file_path.split('/').pop(),
+      size: buffer.length,
+      data: buffer.toString('base64')
+    };
+  }
+
+  /**
+   * 發送消息
+   * @param {string|number} to - chat_id 或 @channelusername
+   * @param {string} content - 文字內容；發送媒體時作為說明文字
+   * @param {Object} options - { type: text|image|document, url, base64, mimetype, fileName, replyTo }
+   * @returns {Promise<Object>} { success, messageId, chatId, status, timestamp }
+   */
+  async sendMessage(to, content, options = {}) {
+    if (this.status !== 'connected') {
+      throw new Error(`Telegram機械人未連接（狀態：${this.status}）`);
+    }
+    if (!to) {
+      throw new Error('缺少收件人');
+    }
+
+    const type = options.type || 'text';
+    const method = SEND_METHODS[type];
+    if (!method) {
+      throw new Error(`不支援的消息類型: ${type}`);
+    }
+
+    let result;
+    if (type === 'text') {
+      if (!content) {
+        throw new Error('文字消息內容不能為空');
+      }
+      const params = { chat_id: to, text: content };
+      if (options.replyTo) params.reply_to_message_id = options.replyTo;
+      result = await this.callApi(method, params);
+    } else {
+      result = await this.callApi(method, this.buildMediaParams(to, content, type, options));
+    }
+
+    return {
+      success: true,
+      messageId: String(result.message_id),
+      chatId: String(result.chat.id),
+      status: 'sent',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  buildMediaParams(to, content, type, options) {
+    const field = type === 'image' ? 'photo' : 'document';
+
+    if (options.url) {
+      const params = { chat_id: to, [field]: options.url };
+      if (content) params.caption = content;
+      if (options.replyTo) params.reply_to_message_id = options.replyTo;
+      return params;
+    }
+    if (!options.base64) {
+      throw new Error(`發送 ${type} 需要提供 url 或 base64`);
+    }
+
+    const form = new FormData();
+    form.append('chat_id', String(to));
+    if (content) form.append('caption', content);
+    if (options.replyTo) form.append('reply_to_message_id', String(options.replyTo));
+    const blob = new Blob([Buffer.from(options.base64, 'base64')], {
+      type: options.mimetype || (type === 'image' ? 'image/jpeg' : 'application/octet-stream')
+    });
+    form.append(field, blob, options.fileName || (type === 'image' ? 'photo.jpg' : 'document'));
+    return form;
+  }
+
+  /**
+   * 驗證 webhook 請求的 secret token
+   * @param {string} secret - X-Telegram-Bot-Api-Secret-Token 標頭
+   * @returns {boolean}
+   */
+  verifyWebhookSecret(secret) {
+    if (!this.webhookSecret) return false;
+    const expected = Buffer.from(String(this.webhookSecret));
+    const actual = Buffer.from(String(secret || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  getStatus() {
+    return {
+      platform: 'telegram',
+      mode: this.mode,
+      status: this.status,
+      username: this.botInfo ? this.botInfo.username : null,
+      offset: this.offset,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = TelegramBotConnector;
@@ -0,0 +1,434 @@
+/**
+ * WhatsApp 機械人連接器
+ * 綁定主系統已登入的 Baileys 客戶端（shared），或為機械人建立獨立的認證會話（dedicated）
+ * 主系統是另一個進程，共用模式經其內部 API 發送及接收（見 WhatsAppBridgeClient），只能綁定機械人所屬租戶的會話
+ *
+ * 連接器介面（其他平台的連接器需實現相同方法）：
+ *   connect()                          - 建立連接
+ *   disconnect()                       - 斷開連接
+ *   sendMessage(to, content, options)  - 發送消息，返回真實的消息ID，失敗時拋出錯誤
+ *   getMessageStatus(messageId)        - 查詢送達狀態
+ *   getStatus()                        - 連接狀態
+ */
+
+const path = require('path');
+const { businessLogger } = require('../../../utils/logger');
+const config = require('../../config');
+const WhatsAppBridgeClient = require('./WhatsAppBridgeClient');
+const PublicNetwork = require('../../core/PublicNetwork');
+
+// Baileys 的 WAMessageStatus
+const DELIVERY_STATUS = {
+  0: 'error',
+  1: 'pending',
+  2: 'sent',
+  3: 'delivered',
+  4: 'read',
+  5: 'played'
+};
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+class WhatsAppBotConnector {
+  /**
+   * @param {Object} bot - 機械人記錄（config 已解析）
+   * @param {Object} options
+   * @param {Function} options.onMessage - 收到消息時的回調 (message) => Promise
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.botConfig = bot.config || {};
+    this.onMessage = options.onMessage || null;
+    this.logger = businessLogger;
+    this.settings = config.bots.whatsapp;
+
+    this.mode = this.botConfig.linkedUserId ? 'shared' : 'dedicated';
+    this.client = null;
+    this.status = 'disconnected';
+    this.qrCode = null;
+    this.lastError = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.deliveries = new Map();
+    this.groupCache = null;
+
+    this.handleUpsert = this.handleUpsert.bind(this);
+    this.handleUpdate = this.handleUpdate.bind(this);
+    this.handleSharedConnection = this.handleSharedConnection.bind(this);
+  }
+
+  /**
+   * 建立連接
+   * @returns {Promise<Object>} 連接狀態
+   */
+  async connect() {
+    if (this.mode === 'shared') {
+      await this.attachSharedClient();
+    } else {
+      await this.startDedicatedSession();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * 綁定主系統中該用戶已連接的客戶端
+   */
+  async attachSharedClient() {
+    const linkedUserId = String(this.botConfig.linkedUserId);
+    // 機械人以租戶擁有者的用戶ID保存，綁定其他用戶的會話會讓租戶以他人的號碼收發消息
+    if (![this.bot.user_id, this.bot.tenant_id].map(String).includes(linkedUserId)) {
+      throw new Error(`WhatsApp機械人 ${this.bot.id} 只能綁定所屬租戶的 WhatsApp 會話`);
+    }
+
+    // 共用客戶端的收據消息已由主系統處理，只有明確要求時才轉發給工作流
+    const client = new WhatsAppBridgeClient(linkedUserId, { incoming: Boolean(this.botConfig.forwardIncoming) });
+    if (this.botConfig.forwardIncoming) {
+      client.ev.on('messages.upsert', this.handleUpsert);
+    }
+    client.ev.on('messages.update', this.handleUpdate);
+    client.ev.on('connection.update', this.handleSharedConnection);
+
+    try {
+      await client.start();
+    } catch (error) {
+      client.ev.removeAllListeners();
+      throw error;
+    }
+
+    this.client = client;
+    this.status = 'connected';
+    this.logger.info(`WhatsApp機械人 ${this.bot.id} 已綁定用戶 ${linkedUserId} 的客戶端`);
+  }
+
+  /**
+   * 主系統的客戶端斷開或恢復時更新狀態，恢復後可繼續發送
+   */
+  handleSharedConnection({ connection, lastDisconnect }) {
+    if (connection === 'open') {
+      this.status = 'connected';
+      this.lastError = null;
+    } else {
+      this.status = 'reconnecting';
+      this.lastError = lastDisconnect?.error?.message || null;
+    }
+  }
+
+  /**
+   * 以機械人自己的認證資料建立連接，未登入時產生 QR 碼
+   */
+  async startDedicatedSession() {
+    const { default: makeWASocket, useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
+    const pino = require('pino');
+    const QRCode = require('qrcode');
+
+    const authPath = path.resolve(this.settings.authDir, `workflow_bot_${this.bot.id}`);
+    const { state, saveCreds } = await useMultiFileAuthState(authPath);
+
+    const client = makeWASocket({
+      auth: state,
+      logger: pino({ level: 'silent' }),
+      printQRInTerminal: false,
+      connectTimeoutMs: 60000,
+      defaultQueryTimeoutMs: 60000
+    });
+    this.client = client;
+    this.status = 'connecting';
+
+    client.ev.on('creds.update', saveCreds);
+    client.ev.on('messages.upsert', this.handleUpsert);
+    client.ev.on('messages.update', this.handleUpdate);
+    client.ev.on('connection.update', async (update) => {
+      const { connection, lastDisconnect, qr } = update;
+
+      if (qr) {
+        try {
+          this.qrCode = await QRCode.toDataURL(qr);
+          this.status = 'qr';
+          this.logger.info(`WhatsApp機械人 ${this.bot.id} 等待掃描 QR 碼`);
+        } catch (err) {
+          this.logger.error(`WhatsApp機械人 ${this.bot.id} 產生 QR 碼失敗：${err.message}`);
+        }
+      }
+
+      if (connection === 'open') {
+        this.status = 'connected';
+        this.qrCode = null;
+        this.lastError = null;
+        this.reconnectAttempts = 0;
+        this.logger.info(`WhatsApp機械人 ${this.bot.id} 已連接`);
+      }
+
+      if (connection === 'close') {
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        this.lastError = lastDisconnect?.error?.message || null;
+
+        if (this.status === 'disconnecting') {
+          this.status = 'disconnected';
+          return;
+        }
+        if (statusCode === DisconnectReason.loggedOut) {
+          this.status = 'logged_out';
+          this.logger.warn(`WhatsApp機械人 ${this.bot.id} 已被登出，需要重新掃描 QR 碼`);
+          return;
+        }
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.settings.maxReconnectAttempts) {
+      this.status = 'error';
+      this.logger.error(`WhatsApp機械人 ${this.bot.id} 重連次數已達上限`);
+      return;
+    }
+
+    this.reconnectAttempts++;
+    this.status = 'reconnecting';
+    const delay = this.settings.reconnectDelay * this.reconnectAttempts;
+    this.logger.warn(`WhatsApp機械人 ${this.bot.id} 連接中斷，${delay / 1000} 秒後重連（第 ${this.reconnectAttempts} 次）`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.startDedicatedSession().catch(err => {
+        this.lastError = err.message;
+        this.logger.error(`WhatsApp機械人 ${this.bot.id} 重連失敗：${err.message}`);
+        this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  /**
+   * 斷開連接；共用客戶端只停止接收事件，不會登出主系統的會話
+   */
+  async disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (!this.client) {
+      this.status = 'disconnected';
+      return;
+    }
+
+    this.client.ev.off('messages.upsert', this.handleUpsert);
+    this.client.ev.off('messages.update', this.handleUpdate);
+
+    if (this.mode === 'shared') {
+      this.client.ev.off('connection.update', this.handleSharedConnection);
+      this.client.close();
+    } else {
+      this.status = 'disconnecting';
+      try {
+        this.client.end(undefined);
+      } catch (err) {
+        this.logger.warn(`WhatsApp機械人 ${this.bot.id} 關閉連接時發生錯誤：${err.message}`);
+      }
+    }
+
+    this.client = null;
+    this.status = 'disconnected';
+  }
+
+  /**
+   * 發送消息
+   * @param {string} to - 電話號碼、JID（@s.whatsapp.net / @g.us）或群組名稱
+   * @param {string} content - 文字內容；發送媒體時作為說明文字
+   * @param {Object} options
+   * @param {string} options.type - text / image / video / audio / document
+   * @param {string} options.url - 媒體連結（由工作流系統下載，只接受公共網絡的地址）
+   * @param {string} options.base64 - 媒體內容（base64）
+   * @param {string} options.mimetype - 媒體類型
+   * @param {string} options.fileName - 文件名稱（document）
+   * @returns {Promise<Object>} { success, messageId, chatId, status, timestamp }
+   */
+  async sendMessage(to, content, options = {}) {
+    if (!this.client || this.status !== 'connected') {
+      throw new Error(`WhatsApp機械人未連接（狀態：${this.status}）`);
+    }
+
+    const jid = await this.resolveJid(to);
+    const payload = await this.buildPayload(content, options);
+    const sent = await this.client.sendMessage(jid, payload);
+
+    if (!sent || !sent.key || !sent.key.id) {
+      throw new Error('WhatsApp 未返回消息ID，發送可能失敗');
+    }
+
+    this.trackDelivery(sent.key.id, 'pending');
+    return {
+      success: true,
+      messageId: sent.key.id,
+      chatId: sent.key.remoteJid,
+      status: 'pending',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 媒體連結在此下載後以內容發送：Baileys 會從伺服器請求連結，不能讓它請求內網地址
+   */
+  async buildPayload(content, options) {
+    const type = options.type || 'text';
+
+    if (type === 'text') {
+      if (!content) {
+        throw new Error('文字消息內容不能為空');
+      }
+      return { text: content };
+    }
+
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new Error(`不支援的消息類型: ${type}`);
+    }
+
+    let media;
+    if (options.base64) {
+      media = Buffer.from(options.base64, 'base64');
+    } else if (options.url) {
+      media = await PublicNetwork.download(options.url, {
+        maxSize: config.bots.whatsapp.maxMediaSize,
+        timeout: config.workflow.http.timeout
+      });
+    } else {
+      throw new Error(`發送 ${type} 需要提供 url 或 base64`);
+    }
+
+    const payload = { [type]: media };
+    if (options.mimetype) payload.mimetype = options.mimetype;
+    if (content && type !== 'audio') payload.caption = content;
+    if (type === 'document') {
+      payload.fileName = options.fileName || 'document';
+      payload.mimetype = options.mimetype || 'application/octet-stream';
+    }
+    return payload;
+  }
+
+  /**
+   * 解析收件人
+   * @param {string} to - 電話號碼、JID 或群組名稱
+   * @returns {Promise<string>} JID
+   */
+  async resolveJid(to) {
+    if (!to) {
+      throw new Error('缺少收件人');
+    }
+    const target = String(to).trim();
+
+    if (target.endsWith('@s.whatsapp.net') || target.endsWith('@g.us')) {
+      return target;
+    }
+
+    const digits = target.replace(/[\s\-()+]/g, '');
+    if (/^\d{6,15}$/.test(digits)) {
+      return `${digits}@s.whatsapp.net`;
+    }
+
+    // 依群組名稱查找
+    if (!this.groupCache) {
+      const groups = await this.client.groupFetchAllParticipating();
+      this.groupCache = Object.values(groups || {});
+    }
+    const group = this.groupCache.find(item => item.subject === target);
+    if (!group) {
+      throw new Error(`找不到收件人或群組: ${target}`);
+    }
+    return group.id;
+  }
+
+  trackDelivery(messageId, status) {
+    this.deliveries.delete(messageId);
+    this.deliveries.set(messageId, { status, updatedAt: new Date().toISOString() });
+
+    // 只保留最近的記錄
+    while (this.deliveries.size > this.settings.deliveryCacheSize) {
+      this.deliveries.delete(this.deliveries.keys().next().value);
+    }
+  }
+
+  /**
+   * 查詢消息送達狀態
+   * @param {string} messageId - 消息ID
+   * @returns {Object|null}
+   */
+  getMessageStatus(messageId) {
+    const delivery = this.deliveries.get(messageId);
+    return delivery ? { messageId, ...delivery } : null;
+  }
+
+  handleUpdate(updates) {
+    for (const { key, update } of updates || []) {
+      if (!key || !key.fromMe || !this.deliveries.has(key.id) || update.status === undefined) {
+        continue;
+      }
+      this.trackDelivery(key.id, DELIVERY_STATUS[update.status] || 'unknown');
+    }
+  }
+
+  async handleUpsert({ messages, type }) {
+    if (type !== 'notify' || !this.onMessage) return;
+
+    for (const msg of messages || []) {
+      if (!msg.message || msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') {
+        continue;
+      }
+      try {
+        await this.onMessage(await this.toIncomingMessage(msg));
+      } catch (err) {
+        this.logger.error(`WhatsApp機械人 ${this.bot.id} 處理收到的消息失敗：${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * 轉換為平台無關的消息格式
+   */
+  async toIncomingMessage(msg) {
+    const content = msg.message;
+    const chatId = msg.key.remoteJid;
+    const sender = msg.key.participant || chatId;
+    const incoming = {
+      platform: 'whatsapp',
+      messageId: msg.key.id,
+      chatId,
+      senderId: sender,
+      phoneNumber: sender.split('@')[0],
+      senderName: msg.pushName || '',
+      isGroup: chatId.endsWith('@g.us'),
+      text: content.conversation || content.extendedTextMessage?.text || '',
+      timestamp: new Date(Number(msg.messageTimestamp || 0) * 1000 || Date.now()).toISOString()
+    };
+
+    const media = content.imageMessage || content.documentMessage;
+    if (media) {
+      // 共用模式的媒體已由主系統下載
+      const buffer = msg.mediaData
+        ? Buffer.from(msg.mediaData, 'base64')
+        : await require('@whiskeysockets/baileys').downloadMediaMessage(msg, 'buffer', {});
+      incoming.media = {
+        type: content.imageMessage ? 'image' : 'document',
+        mimetype: media.mimetype,
+        fileName: media.fileName || null,
+        size: buffer.length,
+        data: buffer.toString('base64')
+      };
+      incoming.text = media.caption || incoming.text;
+    }
+
+    return incoming;
+  }
+
+  getStatus() {
+    return {
+      platform: 'whatsapp',
+      mode: this.mode,
+      status: this.status,
+      qrCode: this.qrCode,
+      linkedUserId: this.botConfig.linkedUserId || null,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = WhatsAppBotConnector;
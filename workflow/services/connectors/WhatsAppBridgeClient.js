@@ -0,0 +1,162 @@
+/**
+ * 主系統 WhatsApp 客戶端的遠端代理
+ * 工作流系統與主系統是不同進程，共用模式經主系統的內部 API（/api/internal/whatsapp）使用用戶已登入的客戶端
+ * 提供連接器用到的 Baileys 介面：sendMessage、groupFetchAllParticipating 及 ev 事件
+ *   messages.upsert / messages.update - 以 long polling 取得
+ *   connection.update                 - 主系統的客戶端可用或不可用時發出 { connection: open|close }
+ */
+
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const { businessLogger } = require('../../../utils/logger');
+const mainConfig = require('../../../config');
+const config = require('../../config');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+class WhatsAppBridgeClient {
+  /**
+   * @param {string} userId - 主系統的用戶ID（租戶）
+   * @param {Object} options
+   * @param {boolean} options.incoming - 是否接收收到的消息（否則只接收送達狀態）
+   */
+  constructor(userId, options = {}) {
+    this.userId = String(userId);
+    this.incoming = Boolean(options.incoming);
+    this.logger = businessLogger;
+    this.settings = mainConfig.internalApi;
+    this.ev = new EventEmitter();
+    this.cursor = null;
+    this.connected = false;
+    this.running = false;
+    this.controller = null;
+    this.wake = null;
+    this.http = axios.create({
+      baseURL: `${this.settings.url}/api/internal/whatsapp/${encodeURIComponent(this.userId)}`,
+      headers: { 'X-Internal-Secret': this.settings.secret },
+      timeout: 30000,
+      maxBodyLength: Infinity
+    });
+  }
+
+  /**
+   * 呼叫內部 API，錯誤訊息使用主系統返回的內容
+   * @returns {Promise<any>} 回應的 data 欄位
+   */
+  async request(method, url, options = {}) {
+    try {
+      const response = await this.http.request({ method, url, ...options });
+      return response.data.data;
+    } catch (error) {
+      const body = error.response && error.response.data;
+      const wrapped = new Error(body && body.error ? body.error : `主系統內部 API 請求失敗: ${error.message}`);
+      wrapped.code = body && body.code;
+      wrapped.status = error.response && error.response.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * 確認主系統的客戶端已連接，並開始接收事件
+   */
+  async start() {
+    if (!this.settings.secret) {
+      throw new Error('未設定 INTERNAL_API_SECRET，無法使用主系統的 WhatsApp 客戶端');
+    }
+
+    const status = await this.request('get', '/status');
+    if (!status.connected) {
+      throw new Error(`用戶 ${this.userId} 的 WhatsApp 未連接，請先在主系統登入`);
+    }
+
+    this.connected = true;
+    this.running = true;
+    this.poll().catch(error => {
+      this.logger.error(`WhatsApp 橋接事件輪詢中止: ${this.userId} - ${error.message}`);
+    });
+  }
+
+  /**
+   * 停止接收事件
+   */
+  close() {
+    this.running = false;
+    if (this.controller) {
+      this.controller.abort();
+    }
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * 發送消息，媒體 Buffer 轉為 base64 傳送
+   * @returns {Promise<Object>} { key }
+   */
+  async sendMessage(jid, payload) {
+    const body = { ...payload };
+    for (const type of MEDIA_TYPES) {
+      if (Buffer.isBuffer(body[type])) {
+        body[type] = { base64: body[type].toString('base64') };
+      }
+    }
+    return this.request('post', '/messages', { data: { jid, payload: body } });
+  }
+
+  /**
+   * @returns {Promise<Object>} 群組ID → { id, subject }
+   */
+  async groupFetchAllParticipating() {
+    const groups = await this.request('get', '/groups');
+    return Object.fromEntries(groups.map(group => [group.id, group]));
+  }
+
+  async poll() {
+    while (this.running) {
+      this.controller = new AbortController();
+      try {
+        const result = await this.request('get', '/events', {
+          params: { cursor: this.cursor === null ? undefined : this.cursor, incoming: this.incoming ? 1 : 0 },
+          timeout: this.settings.pollTimeout + 15000,
+          signal: this.controller.signal
+        });
+        this.setConnected(true);
+        this.cursor = result.cursor;
+        result.events.forEach(event => this.dispatch(event));
+      } catch (error) {
+        if (!this.running) break;
+        this.setConnected(false, error);
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, config.bots.whatsapp.reconnectDelay);
+          this.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wake = null;
+      }
+    }
+  }
+
+  dispatch(event) {
+    if (event.type === 'message') {
+      this.ev.emit('messages.upsert', { messages: [event.data], type: 'notify' });
+    } else if (event.type === 'update') {
+      this.ev.emit('messages.update', event.data);
+    }
+  }
+
+  setConnected(connected, error = null) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    if (!connected) {
+      this.logger.warn(`主系統用戶 ${this.userId} 的 WhatsApp 暫時不可用: ${error.message}`);
+    }
+    this.ev.emit('connection.update', {
+      connection: connected ? 'open' : 'close',
+      lastDisconnect: error ? { error } : undefined
+    });
+  }
+}
+
+module.exports = WhatsAppBridgeClient;